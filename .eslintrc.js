@@ -22,16 +22,27 @@ module.exports = {
     ModelId: 'readonly',
     ApiCredentials: 'readonly',
     GenerationProgress: 'readonly',
+    Chapter: 'readonly',
+    ChapterList: 'readonly',
+    CaptionTrackPreference: 'readonly',
     VideoTranscript: 'readonly',
     ChapterGeneration: 'readonly',
     BrowserTab: 'readonly',
     SessionRepository: 'readonly',
     TabRegistry: 'readonly',
+    StreamPortRegistry: 'readonly',
+    SessionCheckpointRepository: 'readonly',
+    ModelCatalogRepository: 'readonly',
+    IndexedDbAdapter: 'readonly',
+    GenerationHistoryRepository: 'readonly',
     SettingsRepository: 'readonly',
     BrowserStorageAdapter: 'readonly',
     InstructionHistoryRepository: 'readonly',
     InstructionEntry: 'readonly',
     ChapterGenerator: 'readonly',
+    ChapterValidator: 'readonly',
+    ChapterExporter: 'readonly',
+    TranscriptChunker: 'readonly',
     MessageCoordinator: 'readonly',
     PromptGenerator: 'writable',
     BaseLLM: 'writable',
@@ -39,8 +50,27 @@ module.exports = {
     NetworkCommunicator: 'readonly',
     GeminiChapterGenerator: 'readonly',
     OpenRouterChapterGenerator: 'readonly',
+    OpenAICompatibleChapterGenerator: 'readonly',
     GeminiApiAdapter: 'readonly',
     OpenRouterApiAdapter: 'readonly',
+    OpenAICompatibleApiAdapter: 'readonly',
+    AnthropicChapterGenerator: 'readonly',
+    AnthropicApiAdapter: 'readonly',
+    ProviderDefinition: 'readonly',
+    ModelCatalogFilter: 'readonly',
+    TokenPricing: 'readonly',
+    UsageRecord: 'readonly',
+    BudgetLimits: 'readonly',
+    UsageReport: 'readonly',
+    RetryPolicy: 'readonly',
+    CredentialProfile: 'readonly',
+    KeyStoragePolicy: 'readonly',
+    ApiKeyTestResult: 'readonly',
+    WebCryptoAdapter: 'readonly',
+    ApiKeyVault: 'readonly',
+    TokenBucket: 'readonly',
+    UsageLedgerRepository: 'readonly',
+    ProviderRegistry: 'readonly',
     BrowserMessageAdapter: 'readonly',
     ErrorHandler: 'readonly',
     extractVideoId: 'readonly',
@@ -48,6 +78,7 @@ module.exports = {
     normalizeUrl: 'readonly',
     l10n: 'readonly',
     cleanVideoURL: 'readonly',
+    toHostPermissionPattern: 'readonly',
     retryHandler: 'writable',
     getLocalizedMessage: 'readonly'
   },
@@ -56,7 +87,7 @@ module.exports = {
       vars: 'all',
       args: 'after-used',
       argsIgnorePattern: '^_',
-      varsIgnorePattern: '^(_|BaseLLM|retryHandler|GeminiAPI|OpenRouterAPI|PromptGenerator|cleanVideoURL|browser|_backgroundService|ModelId|BrowserHttpAdapter|BrowserMessageAdapter|GeminiApiAdapter|OpenRouterApiAdapter|SessionRepository|SettingsRepository|TabRegistry|BrowserStorageAdapter|InstructionHistoryRepository|InstructionEntry)$'
+      varsIgnorePattern: '^(_|BaseLLM|retryHandler|GeminiAPI|OpenRouterAPI|PromptGenerator|cleanVideoURL|toHostPermissionPattern|browser|_backgroundService|ModelId|BrowserHttpAdapter|BrowserMessageAdapter|GeminiApiAdapter|OpenRouterApiAdapter|OpenAICompatibleApiAdapter|AnthropicApiAdapter|SessionRepository|ModelCatalogRepository|SettingsRepository|TabRegistry|BrowserStorageAdapter|InstructionHistoryRepository|InstructionEntry|Chapter|ChapterList|ChapterValidator|GenerationProgress|TranscriptChunker|ProviderDefinition|ModelCatalogFilter|TokenPricing|UsageRecord|BudgetLimits|UsageReport|RetryPolicy|TokenBucket|CredentialProfile|KeyStoragePolicy|ApiKeyTestResult|WebCryptoAdapter|ApiKeyVault|UsageLedgerRepository|ProviderRegistry)$'
     }],
     'no-undef': 'error',
     'no-console': 'off',
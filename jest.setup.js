@@ -18,6 +18,18 @@ const domainClasses = {
   ModelId: './src/domain/values/ModelId',
   ApiCredentials: './src/domain/values/ApiCredentials',
   GenerationProgress: './src/domain/values/GenerationProgress',
+  Chapter: './src/domain/values/Chapter',
+  ChapterList: './src/domain/values/ChapterList',
+  CaptionTrackPreference: './src/domain/values/CaptionTrackPreference',
+  ProviderDefinition: './src/domain/values/ProviderDefinition',
+  ModelCatalogFilter: './src/domain/values/ModelCatalogFilter',
+  TokenPricing: './src/domain/values/TokenPricing',
+  UsageRecord: './src/domain/values/UsageRecord',
+  BudgetLimits: './src/domain/values/BudgetLimits',
+  RetryPolicy: './src/domain/values/RetryPolicy',
+  CredentialProfile: './src/domain/values/CredentialProfile',
+  KeyStoragePolicy: './src/domain/values/KeyStoragePolicy',
+  ApiKeyTestResult: './src/domain/values/ApiKeyTestResult',
 
   // Entities
   VideoTranscript: './src/domain/entities/VideoTranscript',
@@ -27,13 +39,30 @@ const domainClasses = {
 
   // Infrastructure
   BrowserStorageAdapter: './src/infrastructure/adapters/BrowserStorageAdapter',
+  SessionRepository: './src/infrastructure/repositories/SessionRepository',
+  TabRegistry: './src/infrastructure/repositories/TabRegistry',
+  SessionCheckpointRepository: './src/infrastructure/repositories/SessionCheckpointRepository',
+  ModelCatalogRepository: './src/infrastructure/repositories/ModelCatalogRepository',
   SettingsRepository: './src/infrastructure/repositories/SettingsRepository',
   InstructionHistoryRepository: './src/infrastructure/repositories/InstructionHistoryRepository',
+  IndexedDbAdapter: './src/infrastructure/adapters/IndexedDbAdapter',
+  GenerationHistoryRepository: './src/infrastructure/repositories/GenerationHistoryRepository',
+  UsageLedgerRepository: './src/infrastructure/repositories/UsageLedgerRepository',
+  WebCryptoAdapter: './src/infrastructure/adapters/WebCryptoAdapter',
+  ApiKeyVault: './src/infrastructure/repositories/ApiKeyVault',
 
   // Services (that don't have complex dependencies)
   NetworkCommunicator: './src/domain/services/NetworkCommunicator',
+  ChapterValidator: './src/domain/services/ChapterValidator',
+  ChapterExporter: './src/domain/services/ChapterExporter',
+  TranscriptChunker: './src/domain/services/TranscriptChunker',
+  UsageReport: './src/domain/services/UsageReport',
+  TokenBucket: './src/domain/services/TokenBucket',
   GeminiChapterGenerator: './src/domain/services/GeminiChapterGenerator',
-  OpenRouterChapterGenerator: './src/domain/services/OpenRouterChapterGenerator'
+  OpenRouterChapterGenerator: './src/domain/services/OpenRouterChapterGenerator',
+  OpenAICompatibleChapterGenerator: './src/domain/services/OpenAICompatibleChapterGenerator',
+  AnthropicChapterGenerator: './src/domain/services/AnthropicChapterGenerator',
+  ProviderRegistry: './src/domain/services/ProviderRegistry'
 };
 
 for (const [className, path] of Object.entries(domainClasses)) {
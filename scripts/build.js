@@ -92,7 +92,7 @@ class ExtensionBuilder {
     }
 
     const srcFiles = await glob(`src/**/*${extension}`, { 
-      ignore: ['**/*.test.js', '**/*.spec.js'],
+      ignore: ['**/*.test.js', '**/*.test-helper.js', '**/*.spec.js'],
       cwd: process.cwd() 
     });
     
@@ -102,22 +102,15 @@ class BaseLLM {
       throw new Error('No models available for testing');
     }
     if (!this.validateAPIKey(apiKey)) {
-      throw new Error('Invalid API key format');
+      return ApiKeyTestResult.invalidFormat();
     }
     try {
       const testPrompt = this.promptGenerator.buildTestPrompt();
       const response = await this.makeAPICall(testPrompt, apiKey, testModel);
-      const result = this.parseResponse(response);
-      return {
-        valid: true,
-        model: result.model || testModel,
-        message: 'API key is valid'
-      };
+      this.parseResponse(response);
+      return ApiKeyTestResult.valid();
     } catch (error) {
-      return {
-        valid: false,
-        error: error.message
-      };
+      return ApiKeyTestResult.fromError(error);
     }
   }
   getProviderInfo() {
@@ -29,4 +29,42 @@ describe('PromptGenerator', () => {
       expect(result).toContain('test content');
     });
   });
+
+  describe('long transcript prompts', () => {
+    test('should describe the part of the video a chunk covers', () => {
+      const promptGenerator = new PromptGenerator();
+
+      const instructions = promptGenerator.buildChunkInstructions({ index: 1 }, 3, '30:00', '1:00:00', '  Short titles ');
+
+      expect(instructions).toContain('part 2 of 3');
+      expect(instructions).toContain('covers 30:00 to 1:00:00');
+      expect(instructions.endsWith('\n\nShort titles')).toBe(true);
+    });
+
+    test('should ask to merge chapters generated per part', () => {
+      const promptGenerator = new PromptGenerator();
+
+      const prompt = promptGenerator.buildConsolidationPrompt('00:00 - Intro\n30:00 - Intro again', 2);
+
+      expect(prompt).toContain('2 consecutive parts');
+      expect(prompt).toContain('## Input Chapters\n00:00 - Intro\n30:00 - Intro again');
+      expect(prompt).not.toContain('## User Instructions');
+    });
+
+    test('should reject prompts longer than the model input limit', () => {
+      const promptGenerator = new PromptGenerator();
+
+      expect(promptGenerator.validatePromptLength('x'.repeat(400), 'unknown', 'model')).toEqual({ tokenCount: 100, limit: 1e5 });
+      expect(() => promptGenerator.validatePromptLength('x'.repeat(400004), 'unknown', 'model')).toThrow('Prompt too long');
+    });
+
+    test('should prefer token limits reported for a discovered model', () => {
+      const promptGenerator = new PromptGenerator();
+
+      promptGenerator.setTokenLimits('gemini', 'gemini-2.5-flash-lite', { input: 32768, output: 4096 });
+
+      expect(promptGenerator.getTokenLimits('gemini', 'gemini-2.5-flash-lite')).toEqual({ input: 32768, output: 4096 });
+      expect(promptGenerator.getTokenLimits('gemini', 'gemini-2.5-pro')).toEqual({ input: 1e6, output: 8192 });
+    });
+  });
 });
@@ -27,11 +27,21 @@ if (typeof importScripts !== 'undefined') {
 
 JsModuleImporter.importScriptsIfNeeded([
   '../utils/url-utils.js',
+  '../domain/values/RetryPolicy.js',
   'errorhandler.js',
   '../domain/values/VideoUrl.js',
   '../domain/values/ModelId.js',
   '../domain/values/ApiCredentials.js',
+  '../domain/values/CredentialProfile.js',
+  '../domain/values/KeyStoragePolicy.js',
+  '../domain/values/ApiKeyTestResult.js',
+  '../domain/values/ProviderDefinition.js',
   '../domain/values/GenerationProgress.js',
+  '../domain/values/Chapter.js',
+  '../domain/values/ChapterList.js',
+  '../domain/values/TokenPricing.js',
+  '../domain/values/UsageRecord.js',
+  '../domain/values/BudgetLimits.js',
   '../domain/entities/VideoTranscript.js',
   '../domain/entities/ChapterGeneration.js',
   '../domain/entities/BrowserTab.js',
@@ -39,36 +49,90 @@ JsModuleImporter.importScriptsIfNeeded([
   '../infrastructure/adapters/BrowserStorageAdapter.js',
   '../infrastructure/repositories/SessionRepository.js',
   '../infrastructure/repositories/TabRegistry.js',
+  '../infrastructure/repositories/StreamPortRegistry.js',
+  '../infrastructure/repositories/SessionCheckpointRepository.js',
+  '../infrastructure/repositories/ModelCatalogRepository.js',
+  '../infrastructure/adapters/WebCryptoAdapter.js',
+  '../infrastructure/repositories/ApiKeyVault.js',
   '../infrastructure/repositories/SettingsRepository.js',
   '../infrastructure/repositories/InstructionHistoryRepository.js',
+  '../infrastructure/adapters/IndexedDbAdapter.js',
+  '../infrastructure/repositories/GenerationHistoryRepository.js',
+  '../infrastructure/repositories/UsageLedgerRepository.js',
   'prompt-generator.js',
   'BaseLLM.js',
   '../infrastructure/adapters/BrowserHttpAdapter.js',
   '../domain/services/NetworkCommunicator.js',
+  '../domain/services/TokenBucket.js',
   '../domain/services/GeminiChapterGenerator.js',
   '../domain/services/OpenRouterChapterGenerator.js',
   '../infrastructure/adapters/GeminiApiAdapter.js',
   '../infrastructure/adapters/OpenRouterApiAdapter.js',
-  '../domain/services/ChapterGenerator.js'
-], ['BrowserStorageAdapter', 'SessionRepository', 'TabRegistry', 'SettingsRepository', 'InstructionHistoryRepository', 'VideoUrl', 'ModelId', 'ChapterGeneration', 'GeminiApiAdapter', 'OpenRouterApiAdapter', 'ChapterGenerator']);
+  '../domain/services/OpenAICompatibleChapterGenerator.js',
+  '../infrastructure/adapters/OpenAICompatibleApiAdapter.js',
+  '../domain/services/AnthropicChapterGenerator.js',
+  '../infrastructure/adapters/AnthropicApiAdapter.js',
+  '../domain/services/ProviderRegistry.js',
+  '../domain/services/ChapterValidator.js',
+  '../domain/services/TranscriptChunker.js',
+  '../domain/services/ChapterGenerator.js',
+  '../domain/services/UsageReport.js'
+], ['BrowserStorageAdapter', 'SessionRepository', 'TabRegistry', 'StreamPortRegistry', 'SessionCheckpointRepository', 'ModelCatalogRepository', 'ApiKeyVault', 'SettingsRepository', 'InstructionHistoryRepository', 'GenerationHistoryRepository', 'UsageLedgerRepository', 'VideoUrl', 'ModelId', 'ChapterGeneration', 'GeminiApiAdapter', 'OpenRouterApiAdapter', 'OpenAICompatibleApiAdapter', 'AnthropicApiAdapter', 'ProviderRegistry', 'ChapterGenerator', 'UsageReport']);
 
 
 const storageAdapter = new BrowserStorageAdapter();
 const sessionRepository = new SessionRepository();
 const tabRegistry = new TabRegistry();
-const settingsRepository = new SettingsRepository(storageAdapter);
+const streamPortRegistry = new StreamPortRegistry();
+const sessionCheckpointRepository = new SessionCheckpointRepository(storageAdapter, sessionRepository, tabRegistry);
+const modelCatalogRepository = new ModelCatalogRepository(storageAdapter);
+const providerRegistry = ProviderRegistry.createDefault();
+const webCryptoAdapter = new WebCryptoAdapter();
+const apiKeyVault = new ApiKeyVault(storageAdapter, webCryptoAdapter);
+const settingsRepository = new SettingsRepository(storageAdapter, providerRegistry, apiKeyVault);
 const instructionHistoryRepository = new InstructionHistoryRepository(storageAdapter, settingsRepository);
+const indexedDbAdapter = new IndexedDbAdapter();
+const generationHistoryRepository = new GenerationHistoryRepository(indexedDbAdapter, settingsRepository);
+const usageLedgerRepository = new UsageLedgerRepository(indexedDbAdapter);
 
 class BackgroundService {
   constructor() {
-    this.geminiAPI = new GeminiApiAdapter();
-
-    this.openRouterAPI = new OpenRouterApiAdapter(this);
-    this.chapterGenerator = new ChapterGenerator(this.geminiAPI, this.openRouterAPI);
+    const geminiApiAdapter = new GeminiApiAdapter(settingsRepository, modelCatalogRepository, webCryptoAdapter);
+    const openRouterApiAdapter = new OpenRouterApiAdapter(this, modelCatalogRepository);
+    modelCatalogRepository
+      .addSource('Gemini', () => geminiApiAdapter.fetchCatalogModels(), () => geminiApiAdapter.getCatalogFingerprint())
+      .addSource('OpenRouter', () => openRouterApiAdapter.fetchCatalogModels());
+    providerRegistry
+      .setProvider('Gemini', geminiApiAdapter)
+      .setProvider('OpenRouter', openRouterApiAdapter)
+      .setProvider('Anthropic', new AnthropicApiAdapter())
+      .setProvider('OpenAICompatible', new OpenAICompatibleApiAdapter(settingsRepository));
+    this.chapterGenerator = new ChapterGenerator(providerRegistry, new ChapterValidator(), new PromptGenerator());
+    this.generationControllers = new Map();
+    this.INTERRUPTED_GENERATION_ERROR = 'Generation was interrupted because the extension restarted';
+    this.sessionsRestored = false;
+    this.sessionRestoration = this.restoreInterruptedSessions();
 
     this.setupMessageListeners();
+    this.setupStreamPorts();
     this.setupTabListeners();
   }
+  setupStreamPorts() {
+    if (!browser.runtime.onConnect) {
+      return;
+    }
+    browser.runtime.onConnect.addListener(port => {
+      if (!streamPortRegistry.accepts(port)) {
+        return;
+      }
+      port.onMessage.addListener(message => {
+        if (message && message.type === 'subscribe' && message.resultId) {
+          streamPortRegistry.subscribe(message.resultId, port);
+        }
+      });
+      port.onDisconnect.addListener(() => streamPortRegistry.unsubscribe(port));
+    });
+  }
   setupTabListeners() {
     if (browser.tabs && browser.tabs.onRemoved) {
       browser.tabs.onRemoved.addListener(tabId => {
@@ -81,8 +145,39 @@ class BackgroundService {
       });
     }
   }
+  async restoreInterruptedSessions() {
+    try {
+      const interruptedSessions = await sessionCheckpointRepository.restore();
+      sessionCheckpointRepository.watch();
+      interruptedSessions.forEach(session => {
+        // The request died with the previous service worker, the results tab offers a retry
+        session.markFailed(this.INTERRUPTED_GENERATION_ERROR);
+        sessionRepository.save(session);
+        console.warn('BackgroundService: Generation interrupted by restart:', session.id);
+      });
+    } catch (error) {
+      console.error('BackgroundService: Failed to restore sessions:', error);
+      sessionCheckpointRepository.watch();
+    } finally {
+      this.sessionsRestored = true;
+    }
+  }
+  // A message may be what woke the worker, so listeners only run once sessions are back
+  waitForRestoredSessions(listener) {
+    return (request, sender, sendResponse) => {
+      if (this.sessionsRestored) {
+        return listener(request, sender, sendResponse);
+      }
+      this.sessionRestoration.then(() => {
+        if (!listener(request, sender, sendResponse)) {
+          sendResponse();
+        }
+      });
+      return true;
+    };
+  }
   setupMessageListeners() {
-    browser.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    browser.runtime.onMessage.addListener(this.waitForRestoredSessions((request, sender, sendResponse) => {
       switch (request.action) {
         case 'generateChapters':
           this.handleChapterGeneration(request, sendResponse, sender);
@@ -116,6 +211,53 @@ class BackgroundService {
           this.handleGetAllModels(request, sendResponse);
           return true;
 
+        case 'getModelCatalog':
+          this.handleGetModelCatalog(request, sendResponse);
+          return true;
+
+        case 'estimateGeneration':
+          this.handleEstimateGeneration(request, sendResponse);
+          return true;
+
+        case 'checkBudget':
+          this.handleCheckBudget(request, sendResponse);
+          return true;
+
+        case 'getUsageLedger':
+          this.handleGetUsageLedger(request, sendResponse);
+          return true;
+
+        case 'clearUsageLedger':
+          this.handleClearUsageLedger(request, sendResponse);
+          return true;
+
+        case 'getApiKeyStorageStatus':
+          this.handleGetApiKeyStorageStatus(request, sendResponse);
+          return true;
+
+        case 'setApiKeyPassphrase':
+          this.handleSetApiKeyPassphrase(request, sendResponse);
+          return true;
+
+        case 'unlockApiKeys':
+          this.handleUnlockApiKeys(request, sendResponse);
+          return true;
+
+        case 'lockApiKeys':
+          this.handleLockApiKeys(request, sendResponse);
+          return true;
+
+        case 'testApiKey':
+          this.handleTestApiKey(request, sendResponse);
+          return true;
+
+        case 'getProviders':
+          sendResponse({
+            success: true,
+            data: providerRegistry.getDefinitions().map(definition => definition.toJSON())
+          });
+          return true;
+
         case 'setSessionResults':
         {
           if (request.resultId && request.results) {
@@ -165,7 +307,8 @@ class BackgroundService {
           const status = sessionRepository.getGenerationStatus(resultId);
           sendResponse({
             success: true,
-            status
+            status,
+            progress: sessionRepository.getGenerationProgress(resultId)
           });
           return true;
         }
@@ -276,6 +419,14 @@ class BackgroundService {
           this.handleSaveCurrentInstructionName(request, sendResponse);
           return true;
 
+        case 'getCaptionTrackPreference':
+          this.handleGetCaptionTrackPreference(request, sendResponse);
+          return true;
+
+        case 'saveCaptionTrackPreference':
+          this.handleSaveCaptionTrackPreference(request, sendResponse);
+          return true;
+
         case 'getUserLanguage':
           this.handleGetUserLanguage(request, sendResponse);
           return true;
@@ -284,14 +435,52 @@ class BackgroundService {
           this.handleChatMessage(request, sendResponse);
           return true;
 
+        case 'cancelGeneration':
+          this.handleCancelGeneration(request, sendResponse);
+          return true;
+
+        case 'repairChapters':
+          this.handleRepairChapters(request, sendResponse);
+          return true;
+
+        case 'getGenerationHistory':
+          this.handleGetGenerationHistory(request, sendResponse);
+          return true;
+
+        case 'openHistoryEntry':
+          this.handleOpenHistoryEntry(request, sendResponse);
+          return true;
+
+        case 'deleteHistoryEntry':
+          this.handleDeleteHistoryEntry(request, sendResponse);
+          return true;
+
+        case 'clearGenerationHistory':
+          this.handleClearGenerationHistory(request, sendResponse);
+          return true;
+
+        case 'getSavedChatHistory':
+          this.handleGetSavedChatHistory(request, sendResponse);
+          return true;
+
+        case 'getChapterMarkers':
+          this.handleGetChapterMarkers(request, sendResponse);
+          return true;
+
+        case 'getVideoResult':
+          this.handleGetVideoResult(request, sendResponse);
+          return true;
+
         default:
           return false;
       }
-    });
+    }));
   }
   async handleChapterGeneration(request, sendResponse, sender) {
+    let generationSession = null;
+    let generationController = null;
     try {
-      const {customInstructions, apiKey, modelId, resultId} = request;
+      const {customInstructions, modelId, resultId} = request;
       const tabId = sender?.tab?.id || null;
 
       if (!modelId || !modelId.value || !modelId.provider) {
@@ -308,42 +497,171 @@ class BackgroundService {
       const newGenerationSession = this.createNewGenerationSession(existingSession, fullModelId, customInstructions);
 
       if (request.newResultId) {
-        newGenerationSession.id = request.newResultId;
+        // Results pages read the id from their URL, so it may arrive as a string
+        newGenerationSession.id = typeof request.newResultId === 'string' ? parseInt(request.newResultId, 10) : request.newResultId;
       }
 
       sessionRepository.save(newGenerationSession);
+      generationSession = newGenerationSession;
+      this.publishVideoResult(newGenerationSession);
+
+      const processedContent = newGenerationSession.videoTranscript.toProcessedContent();
+      const budgetCheck = await this.checkBudget(fullModelId, processedContent, customInstructions);
+      // Only the page that starts a generation can ask the user, so exceeding the budget needs its explicit confirmation
+      if (budgetCheck.blocks || (budgetCheck.exceededLimits.length > 0 && !request.budgetConfirmed)) {
+        throw new Error(this.describeExceededBudget(budgetCheck.exceededLimits));
+      }
+      generationController = new AbortController();
+      this.generationControllers.set(newGenerationSession.id, generationController);
 
-      const credentials = fullModelId.isGemini()
-        ? new ApiCredentials(apiKey, '')
-        : new ApiCredentials('', apiKey);
+      const credentials = await this.loadGenerationCredentials(fullModelId, request.apiKey);
+      const fallbackModelIds = await this.loadFallbackModelIds(processedContent, customInstructions);
+      const rotationProfiles = await settingsRepository.loadRotationProfiles();
+      await this.applyRetrySettings();
       const completedSession = await this.chapterGenerator.generateChapters(
         newGenerationSession,
         credentials,
-        tabId
+        tabId,
+        {
+          signal: generationController.signal,
+          onDelta: (delta, text, progress) => this.publishChapterDelta(newGenerationSession.id, text, progress),
+          onProgress: progress => this.publishGenerationProgress(newGenerationSession.id, progress),
+          fallbackModelIds,
+          rotationProfiles
+        }
       );
       sessionRepository.save(completedSession);
+      streamPortRegistry.publish(completedSession.id, { type: 'generationFinished', status: 'done' });
+      this.publishChapterMarkers(completedSession);
 
       sendResponse({
         success: true,
         data: { chapters: completedSession.chapters, resultId: completedSession.id }
       });
+      // A fresh generation starts without chat, even when it re-runs an existing entry
+      await this.recordGenerationHistory(completedSession, []);
+      // A fallback model may have produced the chapters, its price is what the user pays
+      await this.recordUsage(
+        completedSession.modelId,
+        completedSession.inputTokens,
+        completedSession.outputTokens,
+        completedSession.videoTranscript.videoUrl.toString(),
+        'generation',
+        completedSession.credentialProfile
+      );
 
     } catch (error) {
       const sessionIdToFail = request.newResultId || request.resultId;
       if (sessionIdToFail) {
-        const session = sessionRepository.findById(sessionIdToFail);
+        // A re-run may already have replaced the session under the same id
+        const session = generationSession || sessionRepository.findById(sessionIdToFail);
         if (session && session.isPending()) {
           session.markFailed(error.message);
           sessionRepository.save(session);
         }
+        if (!session || !session.isCancelled()) {
+          streamPortRegistry.publish(sessionIdToFail, { type: 'generationFinished', status: 'error' });
+        }
       }
 
+      sendResponse({
+        success: false,
+        error: error.message,
+        cancelled: Boolean(error.isCancelled)
+      });
+    } finally {
+      if (generationSession && this.generationControllers.get(generationSession.id) === generationController) {
+        this.generationControllers.delete(generationSession.id);
+      }
+    }
+  }
+  async handleCancelGeneration(request, sendResponse) {
+    try {
+      const session = sessionRepository.findById(request.resultId);
+      if (!session) {
+        throw new Error(`Session ${request.resultId} not found`);
+      }
+      // The generation may have finished while the cancel request was on its way
+      if (!session.isPending()) {
+        sendResponse({
+          success: true,
+          status: sessionRepository.getGenerationStatus(session.id)
+        });
+        return;
+      }
+
+      session.markCancelled();
+      sessionRepository.save(session);
+
+      const controller = this.generationControllers.get(session.id);
+      if (controller) {
+        controller.abort();
+      }
+      streamPortRegistry.publish(session.id, { type: 'generationFinished', status: 'cancelled' });
+
+      sendResponse({
+        success: true,
+        status: 'cancelled'
+      });
+    } catch (error) {
+      console.error('BackgroundService: handleCancelGeneration - Error:', error);
       sendResponse({
         success: false,
         error: error.message
       });
     }
   }
+  async loadGenerationCredentials(modelId, apiKey) {
+    // Fallback models may belong to other providers, so all stored keys are needed
+    const credentials = await settingsRepository.loadActiveCredentials();
+    if (!apiKey && !credentials.getKeyForModel(modelId)) {
+      await this.throwIfApiKeysLocked(modelId.provider);
+    }
+    // The popup sends the key it shows, which differs only when a default key was typed and not saved yet
+    return apiKey && apiKey !== credentials.getKeyForModel(modelId) ? credentials.withKey(modelId.provider, apiKey) : credentials;
+  }
+
+  // A missing key of an encrypted provider only needs the passphrase, not a new key
+  async throwIfApiKeysLocked(providerId) {
+    const settings = await settingsRepository.loadSettings();
+    if (KeyStoragePolicy.fromSettings(settings).isEncrypted(providerId) && !(await apiKeyVault.getStatus()).unlocked) {
+      throw apiKeyVault.createLockedError();
+    }
+  }
+  async applyRetrySettings() {
+    const settings = await settingsRepository.loadSettings();
+    retryHandler.setRetryPolicy(RetryPolicy.fromSettings(settings));
+  }
+  async loadFallbackModelIds(processedContent, customInstructions) {
+    const settings = await settingsRepository.loadSettings();
+    const fallbackModels = Array.isArray(settings.fallbackModels) ? settings.fallbackModels : [];
+    const fallbackModelIds = [];
+    for (const model of fallbackModels) {
+      if (!model || !model.value || !model.provider) {
+        continue;
+      }
+      const modelId = new ModelId(model.value, model.provider, model.pricing);
+      // Nobody can confirm a budget overrun halfway through a generation, so fallbacks have to stay within the budget
+      const budgetCheck = await this.checkBudget(modelId, processedContent, customInstructions);
+      if (budgetCheck.exceededLimits.length === 0) {
+        fallbackModelIds.push(modelId);
+      }
+    }
+    return fallbackModelIds;
+  }
+  publishChapterDelta(resultId, text, progress) {
+    streamPortRegistry.publish(resultId, {
+      type: 'chapterDelta',
+      text,
+      progress: progress ? progress.toJSON() : null
+    });
+  }
+  publishGenerationProgress(resultId, progress) {
+    streamPortRegistry.publish(resultId, {
+      type: 'generationProgress',
+      progress: progress.toJSON()
+    });
+  }
   async handleSaveInstruction(request, sendResponse) {
     try {
       const { instructionEntry } = request;
@@ -456,9 +774,7 @@ class BackgroundService {
   }
   async handleGetAllModels(_request, sendResponse) {
     try {
-      const openRouterModels = await this.fetchOpenRouterModels();
-      const geminiModels = this.getGeminiModels();
-      const allModels = [...openRouterModels, ...geminiModels];
+      const allModels = await providerRegistry.listModels();
 
       // Cache for fast lookup
       this.cachedModels = allModels;
@@ -476,33 +792,249 @@ class BackgroundService {
     }
   }
 
-  async fetchOpenRouterModels() {
-    const CURATED_MODELS = this.getBestAvailableModels();
-
+  async handleGetModelCatalog(_request, sendResponse) {
     try {
-      const response = await fetch('https://openrouter.ai/api/v1/models', {
-        headers: {
-          'HTTP-Referer': 'https://github.com/dimitry-polivaev/timecodes-browser-extension',
-          'X-Title': 'Chaptotek'
+      const models = await modelCatalogRepository.getModels('OpenRouter');
+      sendResponse({
+        success: true,
+        data: {
+          models,
+          recommendedModelIds: this.getBestAvailableModels()
         }
       });
+    } catch (error) {
+      console.error('BackgroundService: handleGetModelCatalog - Error:', error);
+      sendResponse({
+        success: false,
+        error: error.message
+      });
+    }
+  }
 
-      if (!response.ok) {
-        throw new Error(`OpenRouter API error: ${response.status}`);
-      }
+  async handleEstimateGeneration(request, sendResponse) {
+    try {
+      const { processedContent, customInstructions, modelId } = request;
+      const estimate = await this.chapterGenerator.estimateTokens(
+        ModelId.fromJSON(modelId),
+        processedContent || '',
+        customInstructions || ''
+      );
+      sendResponse({
+        success: true,
+        data: estimate
+      });
+    } catch (error) {
+      console.error('BackgroundService: handleEstimateGeneration - Error:', error);
+      sendResponse({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  async handleCheckBudget(request, sendResponse) {
+    try {
+      const { processedContent, customInstructions, modelId } = request;
+      const budgetCheck = await this.checkBudget(ModelId.fromJSON(modelId), processedContent || '', customInstructions || '');
+      sendResponse({
+        success: true,
+        data: budgetCheck
+      });
+    } catch (error) {
+      console.error('BackgroundService: handleCheckBudget - Error:', error);
+      sendResponse({
+        success: false,
+        error: error.message
+      });
+    }
+  }
 
-      const data = await response.json();
+  async checkBudget(modelId, processedContent, customInstructions) {
+    const { additionalSettings } = await settingsRepository.load();
+    const budgetLimits = BudgetLimits.fromSettings(additionalSettings);
+    const pricing = TokenPricing.fromModel(modelId);
+    // Only models with a known price count against the budget
+    if (!budgetLimits.hasLimits() || !pricing.isKnown() || pricing.isFree()) {
+      return { exceededLimits: [], estimatedCost: 0, blocks: false };
+    }
 
-      if (!data.data || data.data.length === 0) {
-        throw new Error('OpenRouter API returned no models');
-      }
+    // The upper end of the estimate keeps long answers of reasoning models within the budget
+    const estimate = await this.chapterGenerator.estimateTokens(modelId, processedContent, customInstructions);
+    const estimatedCost = pricing.getCost(estimate.inputTokens, estimate.maxOutputTokens);
+    const spending = new UsageReport(await usageLedgerRepository.findAll()).getSpending();
+    const exceededLimits = budgetLimits.findExceededLimits(spending, estimatedCost);
+    return {
+      exceededLimits,
+      estimatedCost,
+      blocks: exceededLimits.length > 0 && budgetLimits.blocksExceedingRequests()
+    };
+  }
+
+  describeExceededBudget(exceededLimits) {
+    const details = exceededLimits
+      .map(({ period, limit, spent }) => `${period} limit ${TokenPricing.formatCost(limit)}, spent ${TokenPricing.formatCost(spent)}`)
+      .join('; ');
+    return `Budget limit reached (${details}). Raise the limit in the extension settings or choose a free model.`;
+  }
 
-      return data.data
-        .filter(model => CURATED_MODELS.includes(model.id))
+  async recordUsage(modelId, inputTokens, outputTokens, videoUrl, requestType, profile = '') {
+    // The ledger is bookkeeping, a failing write must never break the request itself
+    try {
+      const { additionalSettings } = await settingsRepository.load();
+      await usageLedgerRepository.add(UsageRecord.forModel(modelId, {
+        inputTokens,
+        outputTokens,
+        videoId: this.getVideoId(videoUrl),
+        requestType,
+        userLabel: additionalSettings.usageUserLabel,
+        profile
+      }));
+    } catch (error) {
+      console.error('BackgroundService: Failed to record usage:', error);
+    }
+  }
+
+  getVideoId(videoUrl) {
+    try {
+      return new VideoUrl(videoUrl).getVideoId() || '';
+    } catch (error) {
+      return '';
+    }
+  }
+
+  async handleGetUsageLedger(_request, sendResponse) {
+    try {
+      const records = await usageLedgerRepository.findAll();
+      sendResponse({
+        success: true,
+        data: records.map(record => record.toJSON())
+      });
+    } catch (error) {
+      console.error('BackgroundService: handleGetUsageLedger - Error:', error);
+      sendResponse({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  async handleClearUsageLedger(_request, sendResponse) {
+    try {
+      await usageLedgerRepository.clear();
+      sendResponse({
+        success: true
+      });
+    } catch (error) {
+      sendResponse({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  async handleGetApiKeyStorageStatus(_request, sendResponse) {
+    try {
+      sendResponse({
+        success: true,
+        data: await apiKeyVault.getStatus()
+      });
+    } catch (error) {
+      sendResponse({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  async handleSetApiKeyPassphrase(request, sendResponse) {
+    try {
+      await apiKeyVault.setPassphrase(request.passphrase);
+      // Loading moves synced keys that were waiting for a passphrase into the vault
+      await settingsRepository.load();
+      sendResponse({
+        success: true,
+        data: await apiKeyVault.getStatus()
+      });
+    } catch (error) {
+      sendResponse({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  async handleUnlockApiKeys(request, sendResponse) {
+    try {
+      await apiKeyVault.unlock(request.passphrase);
+      await settingsRepository.load();
+      sendResponse({
+        success: true,
+        data: await apiKeyVault.getStatus()
+      });
+    } catch (error) {
+      sendResponse({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  async handleLockApiKeys(_request, sendResponse) {
+    try {
+      await apiKeyVault.lock();
+      sendResponse({
+        success: true,
+        data: await apiKeyVault.getStatus()
+      });
+    } catch (error) {
+      sendResponse({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  // Tests the key typed in the options, which may not be saved yet
+  async handleTestApiKey(request, sendResponse) {
+    try {
+      const definition = providerRegistry.getDefinition(request.providerId);
+      const apiKey = (request.apiKey || '').trim();
+      const validFormat = apiKey ? definition.isValidApiKey(apiKey) : !definition.requiresApiKey();
+      const result = validFormat
+        ? await providerRegistry.getProvider(request.providerId).testAPIKey(apiKey)
+        : ApiKeyTestResult.invalidFormat();
+      sendResponse({
+        success: true,
+        data: result.toJSON()
+      });
+    } catch (error) {
+      console.error('BackgroundService: handleTestApiKey - Error:', error);
+      sendResponse({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  async getSelectableOpenRouterModelIds() {
+    const settings = await settingsRepository.loadSettings();
+    // Users who never starred a model keep following the curated list
+    return settings.favoriteModels && settings.favoriteModels.length > 0
+      ? settings.favoriteModels
+      : this.getBestAvailableModels();
+  }
+
+  async fetchOpenRouterModels() {
+    try {
+      const selectableModelIds = await this.getSelectableOpenRouterModelIds();
+      const models = await modelCatalogRepository.getModels('OpenRouter');
+
+      return models
+        .filter(model => selectableModelIds.includes(model.id))
         .map(model => this.transformToStandardModelFormat(model));
     } catch (error) {
-      console.error('BackgroundService: OpenRouter API fetch failed:', error);
-      // Return empty array when OpenRouter API is unavailable
+      console.error('BackgroundService: OpenRouter model catalog unavailable:', error);
+      // Return empty array when OpenRouter API is unavailable and nothing is cached
       return [];
     }
   }
@@ -550,13 +1082,6 @@ class BackgroundService {
   }
 
 
-  getGeminiModels() {
-    return [
-      new ModelId('gemini-2.5-pro', 'Gemini'),
-      new ModelId('gemini-3-flash-preview', 'Gemini')
-    ];
-  }
-
   shouldRegisterVideoTabMapping(resultId, vidTabId, vidUrl) {
     const normalizedResultId = typeof resultId === 'string' ? parseInt(resultId, 10) : resultId;
     const existingMapping = tabRegistry.resultToVideoMapping.get(normalizedResultId);
@@ -846,6 +1371,44 @@ class BackgroundService {
     }
   }
 
+  async handleGetCaptionTrackPreference(request, sendResponse) {
+    try {
+      const { channelId } = request;
+      const preferences = (await storageAdapter.getCaptionTrackPreferences()) || {};
+      sendResponse({
+        success: true,
+        data: channelId ? preferences[channelId] || null : null
+      });
+    } catch (error) {
+      console.error('Error getting caption track preference:', error);
+      sendResponse({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  async handleSaveCaptionTrackPreference(request, sendResponse) {
+    try {
+      const { channelId, preference } = request;
+      if (!channelId) {
+        throw new Error('Channel id is required to remember a caption track');
+      }
+      const preferences = (await storageAdapter.getCaptionTrackPreferences()) || {};
+      preferences[channelId] = preference;
+      await storageAdapter.setCaptionTrackPreferences(preferences);
+      sendResponse({
+        success: true
+      });
+    } catch (error) {
+      console.error('Error saving caption track preference:', error);
+      sendResponse({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
   async handleSaveCurrentInstructionName(request, sendResponse) {
     try {
       const { name } = request;
@@ -882,6 +1445,203 @@ class BackgroundService {
     }
   }
 
+  async handleRepairChapters(request, sendResponse) {
+    try {
+      const session = sessionRepository.findById(request.resultId);
+      if (!session) {
+        throw new Error(`Session ${request.resultId} not found`);
+      }
+
+      this.chapterGenerator.repairChapters(session);
+      sessionRepository.save(session);
+      this.publishChapterMarkers(session);
+
+      sendResponse({
+        success: true,
+        results: session.toSessionResults()
+      });
+      await this.recordGenerationHistory(session);
+    } catch (error) {
+      sendResponse({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  handleGetChapterMarkers(request, sendResponse) {
+    const session = request.videoId ? sessionRepository.findLatestChaptersForVideo(request.videoId) : null;
+    sendResponse({
+      success: true,
+      data: session ? this.createChapterMarkers(session) : null
+    });
+  }
+
+  handleGetVideoResult(request, sendResponse) {
+    const session = request.videoId ? sessionRepository.findLatestForVideo(request.videoId) : null;
+    sendResponse({
+      success: true,
+      data: session ? { resultId: session.id, videoId: request.videoId } : null
+    });
+  }
+
+  // Side panels showing the video switch to the new generation
+  async publishVideoResult(session) {
+    const videoId = session.videoTranscript.getVideoId();
+    if (!videoId) {
+      return;
+    }
+    try {
+      await browser.runtime.sendMessage({ action: 'videoResultChanged', videoId, resultId: session.id });
+    } catch (error) {
+      // Nothing listens while no side panel is open
+    }
+  }
+
+  createChapterMarkers(session) {
+    return {
+      resultId: session.id,
+      videoId: session.videoTranscript.getVideoId(),
+      chapters: session.chapterList.toJSON()
+    };
+  }
+
+  // Every open YouTube tab is told, the content scripts ignore chapters of other videos
+  async publishChapterMarkers(session) {
+    if (!session.hasStructuredChapters() || !session.videoTranscript.getVideoId()) {
+      return;
+    }
+    try {
+      const tabs = await browser.tabs.query({ url: '*://*.youtube.com/*' });
+      const message = { action: 'showChapterMarkers', ...this.createChapterMarkers(session) };
+      await Promise.all(tabs.map(tab => browser.tabs.sendMessage(tab.id, message).catch(() => {
+        // Tabs opened before the extension was installed have no content script
+      })));
+    } catch (error) {
+      console.warn('BackgroundService: Failed to update chapter markers:', error.message);
+    }
+  }
+
+  async recordGenerationHistory(session, chatHistory = null) {
+    // History is optional, a failing write must never break the generation itself
+    try {
+      await generationHistoryRepository.save(session, chatHistory);
+    } catch (error) {
+      console.error('BackgroundService: Failed to record generation history:', error);
+    }
+  }
+
+  async recordChatHistory(resultId, chatHistory) {
+    try {
+      if (await generationHistoryRepository.isEnabled()) {
+        await generationHistoryRepository.updateChatHistory(resultId, chatHistory);
+      }
+    } catch (error) {
+      console.error('BackgroundService: Failed to record chat history:', error);
+    }
+  }
+
+  async handleGetGenerationHistory(request, sendResponse) {
+    try {
+      const enabled = await generationHistoryRepository.isEnabled();
+      const entries = await generationHistoryRepository.search(request.query || '');
+      sendResponse({
+        success: true,
+        data: { enabled, entries }
+      });
+    } catch (error) {
+      console.error('BackgroundService: handleGetGenerationHistory - Error:', error);
+      sendResponse({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  async handleOpenHistoryEntry(request, sendResponse) {
+    try {
+      const record = await generationHistoryRepository.findById(request.id);
+      if (!record) {
+        throw new Error(`History entry ${request.id} not found`);
+      }
+
+      // Sessions live in memory only, restore the stored one after a browser restart
+      if (!sessionRepository.findById(record.id)) {
+        sessionRepository.save(ChapterGeneration.fromSessionResults(record.results));
+      }
+      if (record.url && !tabRegistry.resultToVideoMapping.has(record.id)) {
+        tabRegistry.registerVideoUrlForResult(record.id, record.url);
+      }
+
+      const existingResultsTab = tabRegistry.getResultsTab(record.id);
+      if (existingResultsTab) {
+        try {
+          const tab = await browser.tabs.get(existingResultsTab);
+          await browser.tabs.update(existingResultsTab, { active: true });
+          await browser.windows.update(tab.windowId, { focused: true });
+          sendResponse({ success: true, tabId: existingResultsTab });
+          return;
+        } catch (error) {
+          tabRegistry.cleanupResultsTab(existingResultsTab);
+        }
+      }
+
+      const tab = await browser.tabs.create({
+        url: browser.runtime.getURL('results/results.html') + '?resultId=' + record.id
+      });
+      tabRegistry.registerResultsTab(record.id, tab.id);
+      sendResponse({ success: true, tabId: tab.id });
+    } catch (error) {
+      console.error('BackgroundService: handleOpenHistoryEntry - Error:', error);
+      sendResponse({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  async handleDeleteHistoryEntry(request, sendResponse) {
+    try {
+      await generationHistoryRepository.delete(request.id);
+      sendResponse({ success: true });
+    } catch (error) {
+      console.error('BackgroundService: handleDeleteHistoryEntry - Error:', error);
+      sendResponse({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  async handleClearGenerationHistory(_request, sendResponse) {
+    try {
+      await generationHistoryRepository.clear();
+      sendResponse({ success: true });
+    } catch (error) {
+      console.error('BackgroundService: handleClearGenerationHistory - Error:', error);
+      sendResponse({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  async handleGetSavedChatHistory(request, sendResponse) {
+    try {
+      const record = await generationHistoryRepository.findById(request.resultId);
+      sendResponse({
+        success: true,
+        chatHistory: record ? record.chatHistory : []
+      });
+    } catch (error) {
+      console.error('BackgroundService: handleGetSavedChatHistory - Error:', error);
+      sendResponse({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
   async handleChatMessage(request, sendResponse) {
     try {
       const { resultId, message, chatHistory } = request;
@@ -914,41 +1674,33 @@ class BackgroundService {
     try {
       const modelId = new ModelId(sessionResults.model.value, sessionResults.model.provider, sessionResults.model.pricing);
 
-      // Get API key from settings (not stored in session for security)
-      const settingsData = await settingsRepository.load();
-      const credentials = settingsData.credentials;
+      const definition = providerRegistry.getDefinition(modelId.provider);
+      // API keys are not stored in the session, chat uses the currently selected profiles
+      const credentials = await settingsRepository.loadActiveCredentials();
+      const apiKey = credentials.getKeyForModel(modelId);
 
-      const apiKey = modelId.isGemini()
-        ? credentials.geminiKey
-        : credentials.openRouterKey;
-
-      if (!apiKey) {
-        throw new Error(`API key required for model: ${modelId.getDisplayName()}. Please configure your ${modelId.isGemini() ? 'Gemini' : 'OpenRouter'} API key in extension settings.`);
+      if (!apiKey && definition.requiresApiKey()) {
+        await this.throwIfApiKeysLocked(modelId.provider);
+        throw new Error(`API key required for model: ${modelId.getDisplayName()}. Please configure your ${definition.displayName} API key in extension settings.`);
       }
 
       // Build conversation messages from chat history
       const conversationMessages = this.buildConversationMessages(chatHistory, sessionResults);
 
-      // Generate response using the appropriate API adapter with conversation messages
-      let response;
-
-      if (modelId.isGemini()) {
-        response = await this.geminiAPI.processSubtitles(
-          conversationMessages, // Pass array of messages instead of string
-          '', // No custom instructions for chat
-          apiKey,
-          modelId.toString()
-        );
-      } else if (modelId.isOpenRouter()) {
-        response = await this.openRouterAPI.processSubtitles(
-          conversationMessages, // Pass array of messages instead of string
-          '', // No custom instructions for chat
-          apiKey,
-          modelId.toString()
-        );
-      } else {
-        throw new Error(`Unsupported model provider: ${modelId.provider}`);
-      }
+      // Stream the reply to the results tab while it is being generated
+      const requestOptions = {
+        onDelta: (delta, text) => streamPortRegistry.publish(sessionResults.resultId, { type: 'chatDelta', text })
+      };
+
+      // Pass the array of messages instead of a prompt string, chat has no custom instructions
+      const response = await providerRegistry.getProvider(modelId.provider).processSubtitles(
+        conversationMessages,
+        '',
+        apiKey,
+        modelId.toString(),
+        null,
+        requestOptions
+      );
 
       sendResponse({
         success: true,
@@ -956,6 +1708,17 @@ class BackgroundService {
         inputTokens: response.inputTokens || 0,
         outputTokens: response.outputTokens || 0
       });
+      await this.recordUsage(modelId, response.inputTokens, response.outputTokens, sessionResults.videoMetadata?.url, 'chat', credentials.getProfileName(modelId.provider));
+      await this.recordChatHistory(sessionResults.resultId, [
+        ...chatHistory,
+        {
+          role: 'assistant',
+          content: response.chapters,
+          timestamp: Date.now(),
+          inputTokens: response.inputTokens || 0,
+          outputTokens: response.outputTokens || 0
+        }
+      ]);
 
     } catch (error) {
       console.error('Error processing chat message:', error);
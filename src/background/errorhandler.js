@@ -1,15 +1,23 @@
 /**
- * Retry utility for handling server errors (5xx) with exponential backoff
- * and tab-based cancellation support
+ * Retry utility for handling rate limits (429) and server errors (5xx) with
+ * exponential backoff, server-requested delays and tab-based cancellation support
  */
 
 class RetryHandler {
-  constructor() {
+  constructor(retryPolicy = new RetryPolicy()) {
+    this.retryPolicy = retryPolicy;
     this.activeRetries = new Map(); // Maps requestId to retry controller
     this.tabRetries = new Map(); // Maps tabId to Set of requestIds
     this.setupTabListeners();
   }
 
+  /**
+   * Replace the policy used by requests started from now on
+   */
+  setRetryPolicy(retryPolicy) {
+    this.retryPolicy = retryPolicy;
+  }
+
   /**
    * Listen for tab close events to cancel associated retries
    */
@@ -71,27 +79,29 @@ class RetryHandler {
   }
 
   /**
-   * Check if an error is a server error (5xx) that should be retried
+   * Check if a response is a rate limit or server error (5xx) that should be retried
    */
   isRetryableError(response) {
-    return response && response.status >= 500 && response.status < 600;
+    return response && this.retryPolicy.isRetryableStatus(response.status);
   }
 
   /**
-   * Perform fetch with retry logic for 5xx errors
+   * Perform fetch with retry logic for rate limits and 5xx errors
    * @param {string} url - The URL to fetch
    * @param {object} options - Fetch options
    * @param {string} requestId - Unique identifier for this request
    * @param {number} tabId - Tab ID for cancellation tracking (optional)
-   * @param {number} maxRetries - Maximum number of retries (default: 3)
+   * @param {Function} onRetry - Called with { attempt, maxRetries, delayMs, reason } before waiting for a retry (optional)
    * @returns {Promise<Response>} - The fetch response
    */
-  async fetchWithRetry(url, options = {}, requestId, tabId = null, maxRetries = 3) {
+  async fetchWithRetry(url, options = {}, requestId, tabId = null, onRetry = null) {
     const controller = new AbortController();
     const mergedOptions = {
       ...options,
       signal: controller.signal
     };
+    const unlinkSignal = this.linkSignal(options.signal, controller);
+    const maxRetries = this.retryPolicy.maxRetries;
 
     this.activeRetries.set(requestId, controller);
     if (tabId !== null) {
@@ -104,7 +114,9 @@ class RetryHandler {
     let attempt = 0;
 
     try {
-      while (attempt <= maxRetries) {
+      for (;;) {
+        let delay;
+        let reason;
         try {
           if (controller.signal.aborted) {
             throw new Error('Request cancelled');
@@ -121,17 +133,20 @@ class RetryHandler {
             return response;
           }
 
-          lastError = new Error(`Server error: ${response.status} ${response.statusText}`);
+          delay = this.retryPolicy.getRetryDelay(attempt, response.headers, response.status);
+          if (delay === null && response.status === 429) {
+            // The caller reports the rate limit, which lets a fallback model take over
+            console.log(`❌ RETRY_FAILED: Rate limit persists after ${attempt} retries for ${url}`);
+            return response;
+          }
 
-          if (attempt >= maxRetries) {
+          // Rate limits are returned above once retries run out, so only server errors are thrown
+          lastError = Object.assign(new Error(`Server error: ${response.status} ${response.statusText}`), { category: 'server_error' });
+          if (delay === null) {
             break;
           }
-
-          const delay = (attempt + 1) * 5000;
-          console.log(`🔄 RETRY: Server error ${response.status} ${response.statusText} - Retry attempt ${attempt + 1}/${maxRetries} after ${delay}ms for ${url}`);
-
-          await this.delay(delay, controller.signal);
-          attempt++;
+          reason = response.status === 429 ? 'rate_limit' : 'server_error';
+          console.log(`🔄 RETRY: ${response.status} ${response.statusText} - Retry attempt ${attempt + 1}/${maxRetries} after ${delay}ms for ${url}`);
 
         } catch (error) {
           if (error.name === 'AbortError' || error.message === 'Request cancelled') {
@@ -140,27 +155,31 @@ class RetryHandler {
           }
 
           lastError = error;
-
-          if (attempt >= maxRetries) {
+          delay = this.retryPolicy.getRetryDelay(attempt);
+          if (delay === null) {
             break;
           }
-
-          const delay = (attempt + 1) * 5000;
+          reason = 'network_error';
           console.log(`🔄 RETRY: Network/fetch error "${error.message}" - Retry attempt ${attempt + 1}/${maxRetries} after ${delay}ms for ${url}`);
+        }
 
-          try {
-            await this.delay(delay, controller.signal);
-            attempt++;
-          } catch (delayError) {
-            throw new Error('Request cancelled');
-          }
+        if (onRetry) {
+          onRetry({ attempt: attempt + 1, maxRetries, delayMs: delay, reason });
+        }
+        try {
+          await this.delay(delay, controller.signal);
+        } catch (delayError) {
+          console.log(`🚫 RETRY_CANCELLED: Request cancelled after ${attempt + 1} attempts for ${url}`);
+          throw new Error('Request cancelled');
         }
+        attempt++;
       }
 
       console.log(`❌ RETRY_FAILED: All ${maxRetries} retries exhausted for ${url}. Final error: ${lastError?.message || 'Unknown error'}`);
       throw lastError || new Error('All retries exhausted');
 
     } finally {
+      unlinkSignal();
       this.activeRetries.delete(requestId);
       if (tabId !== null) {
         const requestIds = this.tabRetries.get(tabId);
@@ -174,6 +193,24 @@ class RetryHandler {
     }
   }
 
+  /**
+   * Abort the request controller when a caller-supplied signal aborts
+   * @returns {Function} - Removes the link again
+   */
+  linkSignal(signal, controller) {
+    if (!signal) {
+      return () => {};
+    }
+    if (signal.aborted) {
+      controller.abort();
+      return () => {};
+    }
+
+    const abort = () => controller.abort();
+    signal.addEventListener('abort', abort, { once: true });
+    return () => signal.removeEventListener('abort', abort);
+  }
+
   /**
    * Delay with cancellation support
    */
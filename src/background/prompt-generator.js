@@ -21,6 +21,7 @@
  */
 class PromptGenerator {
   constructor() {
+    this.modelTokenLimits = new Map();
     this.defaultPrompt = `Break down the video into chapters.
 Generate timecodes in mm:ss or h:mm:ss format.
 The first chapter MUST ALWAYS start with the timecode 00:00.
@@ -60,6 +61,30 @@ ${this.defaultPrompt}
 ${processedContent}`;
     }
   }
+  buildChunkInstructions(chunk, totalChunks, startTimecode, endTimecode, customInstructions = '') {
+    const chunkInstructions = `This content is part ${chunk.index + 1} of ${totalChunks} of a longer video and covers ${startTimecode} to ${endTimecode}.
+Only create chapters for this part.
+Use the timecodes from the transcript; the first chapter of this part starts at ${startTimecode}, not at 00:00.`;
+    const customInstructionsStripped = customInstructions.trim();
+    return customInstructionsStripped ? `${chunkInstructions}\n\n${customInstructionsStripped}` : chunkInstructions;
+  }
+  buildConsolidationPrompt(chapters, totalChunks, customInstructions = '') {
+    const customInstructionsStripped = customInstructions.trim();
+    const userInstructions = customInstructionsStripped ? `
+
+## User Instructions
+
+${customInstructionsStripped}` : '';
+    return `## Instructions
+The chapters below were generated separately for ${totalChunks} consecutive parts of one long video.
+Merge them into a single chapter list for the whole video.
+Remove chapters that repeat the same topic at part boundaries and combine chapters that are too fine-grained.
+Keep the original timecodes of the chapters you keep.
+${this.defaultPrompt}${userInstructions}
+
+## Input Chapters
+${chapters}`;
+  }
   buildFormatPrompt(chapters, targetFormat, _options = {}) {
     const formatInstructions = this.getFormatInstructions(targetFormat);
     return `## Instructions
@@ -115,7 +140,7 @@ ${content}`;
     const tokenCount = this.estimateTokenCount(prompt);
     const limits = this.getTokenLimits(provider, model);
     if (tokenCount > limits.input) {
-      throw new Error(`Prompt too long: ${tokenCount} tokens (max: ${limits.input} for ${provider}/${model})`);
+      throw Object.assign(new Error(`Prompt too long: ${tokenCount} tokens (max: ${limits.input} for ${provider}/${model})`), { category: 'content_too_long' });
     }
     return {
       tokenCount,
@@ -126,16 +151,21 @@ ${content}`;
     return this.buildChapterPrompt(processedContent, customInstructions);
   }
 
+  setTokenLimits(provider, model, limits) {
+    this.modelTokenLimits.set(`${provider}/${model}`, limits);
+  }
+
   getTokenLimits(provider, model) {
+    // Limits reported by the provider for a discovered model win over the defaults below
+    const discoveredLimits = this.modelTokenLimits.get(`${provider}/${model}`);
+    if (discoveredLimits) {
+      return discoveredLimits;
+    }
     const limits = {
       gemini: {
-        'gemini-2.5-pro': {
+        default: {
           input: 1e6,
           output: 8192
-        },
-        'gemini-3-flash-preview': {
-          input: 2e5,
-          output: 16184
         }
       },
       openrouter: {
@@ -143,6 +173,19 @@ ${content}`;
           input: 2e5,
           output: 8192
         }
+      },
+      anthropic: {
+        default: {
+          input: 2e5,
+          output: 8192
+        }
+      },
+      // Self-hosted models often run with small context windows, long transcripts are split
+      openaicompatible: {
+        default: {
+          input: 16000,
+          output: 4096
+        }
       }
     };
     return limits[provider]?.[model] || limits[provider]?.['default'] || {
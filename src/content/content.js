@@ -62,6 +62,270 @@ function formatTranscriptLines(entries) {
   return entries.map(entry => entry.timestamp ? `(${entry.timestamp}) ${entry.text}` : entry.text);
 }
 
+function formatTranscriptTimestamp(totalSeconds) {
+  const wholeSeconds = Math.max(0, Math.floor(totalSeconds));
+  const hours = Math.floor(wholeSeconds / 3600);
+  const minutes = Math.floor((wholeSeconds % 3600) / 60);
+  const seconds = String(wholeSeconds % 60).padStart(2, '0');
+
+  if (hours > 0) {
+    return `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`;
+  }
+  return `${minutes}:${seconds}`;
+}
+
+function extractJsonObject(text, startIndex) {
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+
+  for (let index = startIndex; index < text.length; index++) {
+    const character = text[index];
+
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (character === '\\') {
+        escaped = true;
+      } else if (character === '"') {
+        inString = false;
+      }
+      continue;
+    }
+
+    if (character === '"') {
+      inString = true;
+    } else if (character === '{') {
+      depth += 1;
+    } else if (character === '}') {
+      depth -= 1;
+      if (depth === 0) {
+        return text.substring(startIndex, index + 1);
+      }
+    }
+  }
+
+  return null;
+}
+
+function extractPlayerResponseFromHtml(html) {
+  if (!html || typeof html !== 'string') {
+    return null;
+  }
+
+  const marker = /ytInitialPlayerResponse\s*=\s*\{/g;
+  let match;
+  while ((match = marker.exec(html)) !== null) {
+    const json = extractJsonObject(html, match.index + match[0].length - 1);
+    if (!json) {
+      continue;
+    }
+    try {
+      return JSON.parse(json);
+    } catch (error) {
+      console.debug('Skipping unparsable player response candidate:', error.message);
+    }
+  }
+
+  return null;
+}
+
+function readTextRuns(value) {
+  if (!value) {
+    return '';
+  }
+  if (typeof value.simpleText === 'string') {
+    return value.simpleText;
+  }
+  if (Array.isArray(value.runs)) {
+    return value.runs.map(run => run.text || '').join('');
+  }
+  return '';
+}
+
+function getCaptionTracks(playerResponse) {
+  const tracks = playerResponse?.captions?.playerCaptionsTracklistRenderer?.captionTracks;
+  if (!Array.isArray(tracks)) {
+    return [];
+  }
+
+  return tracks
+    .filter(track => track && track.baseUrl)
+    .map((track, index) => ({
+      id: track.vssId || `${track.languageCode || 'track'}.${index}`,
+      baseUrl: track.baseUrl,
+      languageCode: track.languageCode || null,
+      name: readTextRuns(track.name) || track.languageCode || null,
+      vssId: track.vssId || null,
+      isAutoGenerated: track.kind === 'asr' || (track.vssId || '').startsWith('a.'),
+      isTranslatable: Boolean(track.isTranslatable),
+      isTranslation: false,
+      translationLanguageCode: null
+    }));
+}
+
+function getTranslatedCaptionTracks(playerResponse, sourceTrack) {
+  const languages = playerResponse?.captions?.playerCaptionsTracklistRenderer?.translationLanguages;
+  if (!sourceTrack || !sourceTrack.isTranslatable || !Array.isArray(languages)) {
+    return [];
+  }
+
+  return languages
+    .filter(language => language && language.languageCode && language.languageCode !== sourceTrack.languageCode)
+    .map(language => ({
+      id: `${sourceTrack.id}>${language.languageCode}`,
+      baseUrl: sourceTrack.baseUrl,
+      languageCode: language.languageCode,
+      name: readTextRuns(language.languageName) || language.languageCode,
+      vssId: sourceTrack.vssId,
+      isAutoGenerated: sourceTrack.isAutoGenerated,
+      isTranslatable: false,
+      isTranslation: true,
+      translationLanguageCode: language.languageCode,
+      sourceTrackName: sourceTrack.name
+    }));
+}
+
+function buildCaptionTrackOptions(playerResponse, preferredLanguage = null, selectedTrackId = null) {
+  const tracks = getCaptionTracks(playerResponse);
+  const defaultTrack = selectCaptionTrack(tracks, preferredLanguage);
+  // Translations of every track would list each language once per track, so only the selected track is translated
+  const selectedTrack = selectedTrackId
+    ? tracks.find(track => selectedTrackId === track.id || selectedTrackId.startsWith(`${track.id}>`))
+    : null;
+
+  return {
+    tracks: [...tracks, ...getTranslatedCaptionTracks(playerResponse, selectedTrack || defaultTrack)],
+    defaultTrackId: defaultTrack ? defaultTrack.id : null
+  };
+}
+
+function selectCaptionTrack(tracks, preferredLanguage = null) {
+  if (!Array.isArray(tracks) || tracks.length === 0) {
+    return null;
+  }
+
+  const baseLanguage = code => (code || '').toLowerCase().split('-')[0];
+  const manualTracks = tracks.filter(track => !track.isAutoGenerated);
+  const candidates = manualTracks.length ? manualTracks : tracks;
+
+  if (preferredLanguage) {
+    const preferred = baseLanguage(preferredLanguage);
+    const languageMatch = candidates.find(track => baseLanguage(track.languageCode) === preferred);
+    if (languageMatch) {
+      return languageMatch;
+    }
+  }
+
+  return candidates[0];
+}
+
+function decodeXmlEntities(text) {
+  const namedEntities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ' };
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const isHex = code[1] === 'x' || code[1] === 'X';
+      const codePoint = parseInt(code.substring(isHex ? 2 : 1), isHex ? 16 : 10);
+      return Number.isFinite(codePoint) ? String.fromCodePoint(codePoint) : entity;
+    }
+    return namedEntities[code.toLowerCase()] ?? entity;
+  });
+}
+
+function normalizeCaptionText(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+function parseTimedTextJson3(data) {
+  const events = Array.isArray(data?.events) ? data.events : [];
+  const entries = [];
+
+  events.forEach(event => {
+    if (!Array.isArray(event.segs) || !Number.isFinite(event.tStartMs)) {
+      return;
+    }
+    const text = normalizeCaptionText(event.segs.map(seg => seg.utf8 || '').join(''));
+    if (text) {
+      entries.push({ timestamp: formatTranscriptTimestamp(event.tStartMs / 1000), text });
+    }
+  });
+
+  return entries;
+}
+
+function parseTimedTextXml(xml) {
+  const entries = [];
+  const textPattern = /<text\b[^>]*?\bstart="([\d.]+)"[^>]*>([\s\S]*?)<\/text>/g;
+  const paragraphPattern = /<p\b[^>]*?\bt="(\d+)"[^>]*>([\s\S]*?)<\/p>/g;
+
+  const stripTags = text => text.replace(/<[^>]+>/g, '');
+  const collect = (pattern, toSeconds, toText) => {
+    let match;
+    while ((match = pattern.exec(xml)) !== null) {
+      const text = normalizeCaptionText(toText(match[2]));
+      if (text) {
+        entries.push({ timestamp: formatTranscriptTimestamp(toSeconds(match[1])), text });
+      }
+    }
+  };
+
+  // Classic captions carry HTML inside XML text, so entities are encoded twice
+  collect(textPattern, value => parseFloat(value), text => stripTags(decodeXmlEntities(decodeXmlEntities(text))));
+  if (!entries.length) {
+    collect(paragraphPattern, value => parseInt(value, 10) / 1000, text => decodeXmlEntities(stripTags(text)));
+  }
+
+  return entries;
+}
+
+function parseTimedTextResponse(body) {
+  const trimmed = (body || '').trim();
+  if (!trimmed) {
+    return [];
+  }
+  if (trimmed.startsWith('{')) {
+    return parseTimedTextJson3(JSON.parse(trimmed));
+  }
+  return parseTimedTextXml(trimmed);
+}
+
+function buildTimedTextUrl(baseUrl, format = 'json3', translationLanguageCode = null) {
+  const url = new URL(baseUrl, 'https://www.youtube.com');
+  url.searchParams.set('fmt', format);
+  if (translationLanguageCode) {
+    url.searchParams.set('tlang', translationLanguageCode);
+  }
+  return url.toString();
+}
+
+function buildChapterSegments(chapters, durationSeconds) {
+  if (!Array.isArray(chapters) || !Number.isFinite(durationSeconds) || durationSeconds <= 0) {
+    return [];
+  }
+
+  const startingChapters = chapters
+    .filter(chapter => chapter && Number.isFinite(chapter.startSeconds) && chapter.startSeconds >= 0 && chapter.startSeconds < durationSeconds)
+    .sort((first, second) => first.startSeconds - second.startSeconds);
+
+  return startingChapters
+    .map((chapter, index) => {
+      const endSeconds = index + 1 < startingChapters.length ? startingChapters[index + 1].startSeconds : durationSeconds;
+      return {
+        title: chapter.title || '',
+        startSeconds: chapter.startSeconds,
+        endSeconds,
+        left: (chapter.startSeconds / durationSeconds) * 100,
+        width: ((endSeconds - chapter.startSeconds) / durationSeconds) * 100
+      };
+    })
+    // Of several chapters starting at the same time only the last one can be reached
+    .filter(segment => segment.endSeconds > segment.startSeconds);
+}
+
+function findChapterSegment(segments, seconds) {
+  return segments.find(segment => seconds >= segment.startSeconds && seconds < segment.endSeconds) || null;
+}
+
 if (typeof window !== 'undefined') {
   if (typeof browser === 'undefined') {
     const browser = chrome;
@@ -74,22 +338,181 @@ if (typeof window !== 'undefined') {
   } else {
     window.hasYouTubeIntegration = true;
 
+    // Draws generated chapters onto the YouTube player, which knows nothing about them
+    class ChapterMarkerOverlay {
+      constructor() {
+        this.chapters = [];
+        this.segments = [];
+        this.video = null;
+        this.progressBar = null;
+        this.container = null;
+        this.tooltip = null;
+        this.titleElement = null;
+        this.listeners = [];
+      }
+
+      show(chapters) {
+        this.clear();
+        this.video = document.querySelector('#movie_player video.html5-main-video');
+        this.progressBar = document.querySelector('#movie_player .ytp-progress-bar');
+        if (!this.video || !this.progressBar || !Array.isArray(chapters) || chapters.length === 0) {
+          return;
+        }
+
+        this.chapters = chapters;
+        this.listen(this.video, 'durationchange', () => this.render());
+        this.listen(this.video, 'timeupdate', () => this.updateTitle());
+        this.listen(this.progressBar, 'mousemove', event => this.showTooltip(event));
+        this.listen(this.progressBar, 'mouseleave', () => this.hideTooltip());
+        this.render();
+      }
+
+      listen(target, type, handler) {
+        target.addEventListener(type, handler);
+        this.listeners.push({ target, type, handler });
+      }
+
+      clear() {
+        this.listeners.forEach(({ target, type, handler }) => target.removeEventListener(type, handler));
+        this.listeners = [];
+        this.removeElements();
+        this.chapters = [];
+        this.video = null;
+        this.progressBar = null;
+      }
+
+      removeElements() {
+        [this.container, this.titleElement].forEach(element => element && element.remove());
+        this.container = null;
+        this.tooltip = null;
+        this.titleElement = null;
+        this.segments = [];
+      }
+
+      // YouTube splits its progress bar into one hover container per chapter of the creator
+      hasCreatorChapters() {
+        return this.progressBar.querySelectorAll('.ytp-chapter-hover-container').length > 1;
+      }
+
+      render() {
+        this.removeElements();
+        if (!this.video || this.hasCreatorChapters()) {
+          return;
+        }
+        this.segments = buildChapterSegments(this.chapters, this.video.duration);
+        if (this.segments.length === 0) {
+          return;
+        }
+
+        this.container = document.createElement('div');
+        this.container.className = 'chaptotek-chapter-markers';
+        this.segments.forEach(segment => {
+          if (segment.startSeconds > 0) {
+            this.container.appendChild(this.createMarker(segment));
+          }
+        });
+        this.tooltip = document.createElement('div');
+        this.tooltip.className = 'chaptotek-chapter-tooltip';
+        this.container.appendChild(this.tooltip);
+        this.progressBar.appendChild(this.container);
+
+        const timeDisplay = document.querySelector('#movie_player .ytp-time-display');
+        if (timeDisplay) {
+          this.titleElement = document.createElement('span');
+          this.titleElement.className = 'chaptotek-chapter-title';
+          timeDisplay.appendChild(this.titleElement);
+        }
+        this.updateTitle();
+      }
+
+      createMarker(segment) {
+        const marker = document.createElement('div');
+        marker.className = 'chaptotek-chapter-marker';
+        marker.style.left = `${segment.left}%`;
+        marker.title = segment.title;
+        // The progress bar seeks on mousedown, so it must not see clicks meant for the marker
+        marker.addEventListener('mousedown', event => event.stopPropagation());
+        marker.addEventListener('click', event => {
+          event.stopPropagation();
+          event.preventDefault();
+          this.seek(segment.startSeconds);
+        });
+        return marker;
+      }
+
+      seek(seconds) {
+        if (this.video) {
+          this.video.currentTime = seconds;
+        }
+      }
+
+      updateTitle() {
+        if (!this.titleElement || !this.video) {
+          return;
+        }
+        const segment = findChapterSegment(this.segments, this.video.currentTime);
+        this.titleElement.textContent = segment ? segment.title : '';
+      }
+
+      showTooltip(event) {
+        if (!this.tooltip || !this.video) {
+          return;
+        }
+        const bounds = this.progressBar.getBoundingClientRect();
+        if (bounds.width <= 0) {
+          return;
+        }
+        const fraction = Math.min(1, Math.max(0, (event.clientX - bounds.left) / bounds.width));
+        const segment = findChapterSegment(this.segments, fraction * this.video.duration);
+        if (!segment) {
+          this.hideTooltip();
+          return;
+        }
+        this.tooltip.textContent = segment.title;
+        this.tooltip.style.left = `${fraction * 100}%`;
+        this.tooltip.classList.add('visible');
+      }
+
+      hideTooltip() {
+        if (this.tooltip) {
+          this.tooltip.classList.remove('visible');
+        }
+      }
+    }
+
     class YouTubeIntegration {
       constructor() {
+        this.cachedPlayerResponse = null;
+        this.chapterMarkers = new ChapterMarkerOverlay();
       }
 
       init() {
         console.log('YouTubeIntegration: Starting init...');
         this.setupMessageListener();
+        // YouTube swaps videos without reloading the page
+        document.addEventListener('yt-navigate-finish', () => this.loadChapterMarkers());
+        this.loadChapterMarkers();
       }
 
       setupMessageListener() {
         browser.runtime.onMessage.addListener((request, sender, sendResponse) => {
           console.log('YouTubeIntegration: Received message:', request);
           if (request.action === 'copyTranscript') {
-            this.extractTranscriptData().then(sendResponse);
+            this.extractTranscriptData(request.trackId).then(sendResponse);
             return true;
           }
+          if (request.action === 'getCaptionTracks') {
+            this.listCaptionTracks(request.trackId).then(sendResponse);
+            return true;
+          }
+          if (request.action === 'showChapterMarkers') {
+            this.showChapterMarkers(request).then(sendResponse);
+            return true;
+          }
+          if (request.action === 'seekVideo') {
+            sendResponse(this.seekVideo(request.seconds));
+            return false;
+          }
           return false;
         });
       }
@@ -103,22 +526,90 @@ if (typeof window !== 'undefined') {
         return videoId;
       }
 
-      async extractTranscriptData() {
+      getCurrentVideoId() {
+        const videoUrl = window.location.href;
+        if (/youtube\.com\/shorts\//.test(videoUrl)) {
+          return videoUrl.split('/shorts/')[1].split(/[/?#&]/)[0];
+        }
+        if (/youtube\.com\/live\//.test(videoUrl)) {
+          return videoUrl.split('/live/')[1].split(/[/?#&]/)[0];
+        }
+        return new URLSearchParams(window.location.search).get('v');
+      }
+
+      async listCaptionTracks(selectedTrackId = null) {
         try {
-          console.log('YouTubeIntegration: extractTranscriptData called - returning raw data for domain layer');
-          const videoUrl = window.location.href;
-          const isShorts = /youtube\.com\/shorts\//.test(videoUrl);
-          const isLive = /youtube\.com\/live\//.test(videoUrl);
-
-          let videoId;
-          if (isShorts) {
-            videoId = videoUrl.split('/shorts/')[1].split(/[/?#&]/)[0];
-          } else if (isLive) {
-            videoId = videoUrl.split('/live/')[1].split(/[/?#&]/)[0];
-          } else {
-            videoId = new URLSearchParams(window.location.search).get('v');
+          const videoId = this.getCurrentVideoId();
+          if (!videoId) {
+            return { status: 'error', message: 'No YouTube video detected' };
           }
 
+          const playerResponse = await this.getPlayerResponse(videoId);
+          const { tracks, defaultTrackId } = buildCaptionTrackOptions(playerResponse, this.getPreferredLanguage(), selectedTrackId);
+
+          return {
+            status: 'success',
+            videoId,
+            channelId: playerResponse.videoDetails?.channelId || null,
+            defaultTrackId,
+            tracks: tracks.map(({ baseUrl: _baseUrl, ...track }) => track)
+          };
+        } catch (error) {
+          console.error('YouTubeIntegration: listCaptionTracks error:', error);
+          return { status: 'error', message: error.message };
+        }
+      }
+
+      async loadChapterMarkers() {
+        this.chapterMarkers.clear();
+        const videoId = this.getCurrentVideoId();
+        if (!videoId) {
+          return;
+        }
+
+        try {
+          const response = await browser.runtime.sendMessage({ action: 'getChapterMarkers', videoId });
+          if (response && response.success && response.data) {
+            await this.showChapterMarkers(response.data);
+          }
+        } catch (error) {
+          console.debug('YouTubeIntegration: Could not load chapter markers:', error.message);
+        }
+      }
+
+      async showChapterMarkers({ videoId, chapters }) {
+        if (!videoId || videoId !== this.getCurrentVideoId()) {
+          return { status: 'ignored' };
+        }
+
+        const progressBar = await this.waitForElement('#movie_player .ytp-progress-bar', 10000);
+        // The user may have moved on to another video while the player was loading
+        if (!progressBar || videoId !== this.getCurrentVideoId()) {
+          return { status: 'ignored' };
+        }
+        this.chapterMarkers.show(chapters);
+        return { status: 'success' };
+      }
+
+      // Seeking the playing video keeps its buffer, while a &t= link would load the page again
+      seekVideo(seconds) {
+        const video = document.querySelector('#movie_player video.html5-main-video');
+        if (!video || !Number.isFinite(seconds)) {
+          return { status: 'error', message: 'No playing video found' };
+        }
+        video.currentTime = Math.max(0, seconds);
+        return { status: 'success' };
+      }
+
+      getPreferredLanguage() {
+        return document.documentElement.lang || navigator.language || null;
+      }
+
+      async extractTranscriptData(trackId = null) {
+        try {
+          console.log('YouTubeIntegration: extractTranscriptData called - returning raw data for domain layer');
+          const videoId = this.getCurrentVideoId();
+
           if (!videoId) {
             return {
               status: 'error',
@@ -127,10 +618,8 @@ if (typeof window !== 'undefined') {
           }
 
           console.log('YouTubeIntegration: Video ID detected:', videoId);
-          console.log('YouTubeIntegration: Is Shorts:', isShorts);
-          console.log('YouTubeIntegration: Is Live:', isLive);
 
-          const transcriptObj = await this.getTranscriptDict();
+          const transcriptObj = await this.getTranscriptDict(videoId, trackId);
           if (!transcriptObj.transcript || transcriptObj.transcript.length === 0) {
             return {
               status: 'error',
@@ -145,7 +634,10 @@ if (typeof window !== 'undefined') {
             transcript: lines,
             title: transcriptObj.title,
             author: transcriptObj.author,
-            url: window.location.href
+            url: window.location.href,
+            language: transcriptObj.language,
+            trackName: transcriptObj.trackName,
+            isAutoGenerated: transcriptObj.isAutoGenerated
           };
         } catch (error) {
           console.error('YouTubeIntegration: extractTranscriptData error:', error);
@@ -156,19 +648,106 @@ if (typeof window !== 'undefined') {
         }
       }
 
-      async getTranscriptDict() {
+      async getTranscriptDict(videoId, trackId = null) {
         const metadata = this.getVideoMetadata();
-        const transcript = await this.scrapeTranscriptFromDom();
-        if (!transcript.length) {
-          return { title: metadata.title, author: metadata.author, transcript: [] };
+        let captionResult = null;
+
+        try {
+          captionResult = await this.getTranscriptFromCaptionTracks(videoId, trackId);
+        } catch (error) {
+          console.log('YouTubeIntegration: Caption track extraction failed, falling back to transcript panel:', error.message);
         }
+
+        if (captionResult) {
+          return {
+            title: metadata.title,
+            author: metadata.author,
+            ...captionResult
+          };
+        }
+
+        const transcript = await this.scrapeTranscriptFromDom();
         return {
           title: metadata.title,
           author: metadata.author,
-          transcript
+          transcript,
+          language: null,
+          trackName: null,
+          isAutoGenerated: false
         };
       }
 
+      async getTranscriptFromCaptionTracks(videoId, trackId = null) {
+        const playerResponse = await this.getPlayerResponse(videoId);
+        const { tracks, defaultTrackId } = buildCaptionTrackOptions(playerResponse, this.getPreferredLanguage(), trackId);
+        const track = tracks.find(candidate => candidate.id === (trackId || defaultTrackId));
+        if (!track) {
+          throw new Error(trackId ? `Caption track ${trackId} not available` : 'No caption tracks available');
+        }
+
+        const transcript = await this.fetchCaptionTrack(track);
+        if (!transcript.length) {
+          throw new Error(`Caption track ${track.vssId || track.languageCode} is empty`);
+        }
+
+        return {
+          transcript,
+          language: track.languageCode,
+          trackName: track.isTranslation ? `${track.name} (${track.sourceTrackName})` : track.name,
+          isAutoGenerated: track.isAutoGenerated
+        };
+      }
+
+      async getPlayerResponse(videoId) {
+        if (this.cachedPlayerResponse?.videoDetails?.videoId === videoId) {
+          return this.cachedPlayerResponse;
+        }
+        this.cachedPlayerResponse = await this.loadPlayerResponse(videoId);
+        return this.cachedPlayerResponse;
+      }
+
+      async loadPlayerResponse(videoId) {
+        const inlineResponse = Array.from(document.querySelectorAll('script'))
+          .map(script => script.textContent || '')
+          .filter(text => text.includes('ytInitialPlayerResponse'))
+          .map(text => extractPlayerResponseFromHtml(text))
+          .find(response => response?.videoDetails?.videoId === videoId);
+        if (inlineResponse) {
+          return inlineResponse;
+        }
+
+        // After in-page navigation the inline response belongs to the first video, so reload the page source
+        const response = await fetch(`https://www.youtube.com/watch?v=${encodeURIComponent(videoId)}`, { credentials: 'include' });
+        if (!response.ok) {
+          throw new Error(`Watch page request failed: HTTP ${response.status}`);
+        }
+
+        const playerResponse = extractPlayerResponseFromHtml(await response.text());
+        if (!playerResponse || playerResponse.videoDetails?.videoId !== videoId) {
+          throw new Error('Player response not found');
+        }
+        return playerResponse;
+      }
+
+      async fetchCaptionTrack(track) {
+        for (const format of ['json3', 'srv3']) {
+          const response = await fetch(buildTimedTextUrl(track.baseUrl, format, track.translationLanguageCode), { credentials: 'include' });
+          if (!response.ok) {
+            continue;
+          }
+
+          try {
+            const entries = parseTimedTextResponse(await response.text());
+            if (entries.length) {
+              return entries;
+            }
+          } catch (error) {
+            console.debug(`YouTubeIntegration: Could not parse ${format} captions:`, error.message);
+          }
+        }
+        return [];
+      }
+
       getVideoMetadata() {
         const title =
           document.querySelector('h1.ytd-watch-metadata yt-formatted-string')?.textContent?.trim() ||
@@ -383,6 +962,18 @@ if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     extractTimestampFromSegment,
     buildTranscriptEntriesFromSegments,
-    formatTranscriptLines
+    formatTranscriptLines,
+    formatTranscriptTimestamp,
+    extractPlayerResponseFromHtml,
+    getCaptionTracks,
+    getTranslatedCaptionTracks,
+    buildCaptionTrackOptions,
+    selectCaptionTrack,
+    parseTimedTextJson3,
+    parseTimedTextXml,
+    parseTimedTextResponse,
+    buildTimedTextUrl,
+    buildChapterSegments,
+    findChapterSegment
   };
 }
@@ -1,7 +1,19 @@
 const {
   extractTimestampFromSegment,
   buildTranscriptEntriesFromSegments,
-  formatTranscriptLines
+  formatTranscriptLines,
+  formatTranscriptTimestamp,
+  extractPlayerResponseFromHtml,
+  getCaptionTracks,
+  getTranslatedCaptionTracks,
+  buildCaptionTrackOptions,
+  selectCaptionTrack,
+  parseTimedTextJson3,
+  parseTimedTextXml,
+  parseTimedTextResponse,
+  buildTimedTextUrl,
+  buildChapterSegments,
+  findChapterSegment
 } = require('./content');
 
 function createMockSegment({ timestamp = '', text = '' } = {}) {
@@ -55,3 +67,191 @@ describe('content transcript helpers', () => {
     ]);
   });
 });
+
+describe('caption track transcript helpers', () => {
+  const playerResponse = {
+    videoDetails: { videoId: 'abc123' },
+    captions: {
+      playerCaptionsTracklistRenderer: {
+        captionTracks: [
+          {
+            baseUrl: 'https://www.youtube.com/api/timedtext?v=abc123&lang=en&kind=asr',
+            name: { simpleText: 'English (auto-generated)' },
+            vssId: 'a.en',
+            languageCode: 'en',
+            kind: 'asr',
+            isTranslatable: true
+          },
+          {
+            baseUrl: 'https://www.youtube.com/api/timedtext?v=abc123&lang=de',
+            name: { runs: [{ text: 'German' }] },
+            vssId: '.de',
+            languageCode: 'de',
+            isTranslatable: true
+          },
+          {
+            baseUrl: 'https://www.youtube.com/api/timedtext?v=abc123&lang=en-GB',
+            name: { simpleText: 'English (United Kingdom)' },
+            vssId: '.en-GB',
+            languageCode: 'en-GB'
+          }
+        ],
+        translationLanguages: [
+          { languageCode: 'de', languageName: { simpleText: 'German' } },
+          { languageCode: 'fr', languageName: { runs: [{ text: 'French' }] } }
+        ]
+      }
+    }
+  };
+
+  test('formatTranscriptTimestamp matches the transcript panel format', () => {
+    expect(formatTranscriptTimestamp(5.9)).toBe('0:05');
+    expect(formatTranscriptTimestamp(754)).toBe('12:34');
+    expect(formatTranscriptTimestamp(3723)).toBe('1:02:03');
+  });
+
+  test('extractPlayerResponseFromHtml finds the player response in page source', () => {
+    const html = '<script>var ytInitialPlayerResponse = ' + JSON.stringify(playerResponse) +
+      ';var meta = {"text": "contains } brace"};</script>';
+    expect(extractPlayerResponseFromHtml(html)).toEqual(playerResponse);
+  });
+
+  test('extractPlayerResponseFromHtml handles braces and quotes inside strings', () => {
+    const response = { videoDetails: { videoId: 'x', title: 'A \\"quoted\\" {title}' } };
+    const html = 'window["ytInitialPlayerResponse"] = null; ytInitialPlayerResponse = ' + JSON.stringify(response) + ';';
+    expect(extractPlayerResponseFromHtml(html)).toEqual(response);
+    expect(extractPlayerResponseFromHtml('<html></html>')).toBeNull();
+  });
+
+  test('getCaptionTracks normalizes manual and auto-generated tracks', () => {
+    const tracks = getCaptionTracks(playerResponse);
+
+    expect(tracks).toHaveLength(3);
+    expect(tracks[0]).toMatchObject({ languageCode: 'en', name: 'English (auto-generated)', isAutoGenerated: true });
+    expect(tracks[1]).toMatchObject({ languageCode: 'de', name: 'German', isAutoGenerated: false });
+    expect(getCaptionTracks({})).toEqual([]);
+  });
+
+  test('selectCaptionTrack prefers manual tracks in the preferred language', () => {
+    const tracks = getCaptionTracks(playerResponse);
+
+    expect(selectCaptionTrack(tracks, 'en-US').languageCode).toBe('en-GB');
+    expect(selectCaptionTrack(tracks, 'fr').languageCode).toBe('de');
+    expect(selectCaptionTrack([tracks[0]], 'de').languageCode).toBe('en');
+    expect(selectCaptionTrack([], 'en')).toBeNull();
+  });
+
+  test('parseTimedTextJson3 joins segments and skips empty events', () => {
+    const entries = parseTimedTextJson3({
+      events: [
+        { tStartMs: 0, dDurationMs: 1000 },
+        { tStartMs: 1200, segs: [{ utf8: 'Hello' }, { utf8: ' world' }] },
+        { tStartMs: 3000, segs: [{ utf8: '\n' }] },
+        { tStartMs: 65000, segs: [{ utf8: 'next\nline' }] }
+      ]
+    });
+
+    expect(entries).toEqual([
+      { timestamp: '0:01', text: 'Hello world' },
+      { timestamp: '1:05', text: 'next line' }
+    ]);
+  });
+
+  test('parseTimedTextXml reads classic and srv3 caption formats', () => {
+    const classic = '<?xml version="1.0"?><transcript><text start="0.5" dur="2">Tom &amp;amp; Jerry</text>' +
+      '<text start="62.1" dur="1">it&amp;#39;s &lt;b&gt;ok&lt;/b&gt;</text></transcript>';
+    const srv3 = '<timedtext format="3"><body><p t="1500" d="900"><s>Hi</s><s t="300"> there</s></p><p t="4000" d="10"></p></body></timedtext>';
+
+    expect(parseTimedTextXml(classic)).toEqual([
+      { timestamp: '0:00', text: 'Tom & Jerry' },
+      { timestamp: '1:02', text: 'it\'s ok' }
+    ]);
+    expect(parseTimedTextXml(srv3)).toEqual([{ timestamp: '0:01', text: 'Hi there' }]);
+  });
+
+  test('parseTimedTextResponse detects the response format', () => {
+    expect(parseTimedTextResponse('')).toEqual([]);
+    expect(parseTimedTextResponse('{"events":[{"tStartMs":0,"segs":[{"utf8":"x"}]}]}')).toEqual([{ timestamp: '0:00', text: 'x' }]);
+    expect(parseTimedTextResponse('<transcript><text start="1">y</text></transcript>')).toEqual([{ timestamp: '0:01', text: 'y' }]);
+  });
+
+  test('buildTimedTextUrl requests the desired format', () => {
+    const url = buildTimedTextUrl('https://www.youtube.com/api/timedtext?v=abc&lang=en&fmt=srv1', 'json3');
+    expect(url).toBe('https://www.youtube.com/api/timedtext?v=abc&lang=en&fmt=json3');
+    expect(buildTimedTextUrl('/api/timedtext?v=abc')).toBe('https://www.youtube.com/api/timedtext?v=abc&fmt=json3');
+    expect(buildTimedTextUrl('/api/timedtext?v=abc', 'json3', 'fr')).toBe('https://www.youtube.com/api/timedtext?v=abc&fmt=json3&tlang=fr');
+  });
+
+  test('getTranslatedCaptionTracks offers translations of translatable tracks', () => {
+    const [autoEnglish, german, british] = getCaptionTracks(playerResponse);
+    const translations = getTranslatedCaptionTracks(playerResponse, german);
+
+    expect(translations).toHaveLength(1);
+    expect(translations[0]).toMatchObject({
+      id: '.de>fr',
+      languageCode: 'fr',
+      name: 'French',
+      isTranslation: true,
+      translationLanguageCode: 'fr',
+      sourceTrackName: 'German'
+    });
+    expect(getTranslatedCaptionTracks(playerResponse, autoEnglish)).toHaveLength(2);
+    expect(getTranslatedCaptionTracks(playerResponse, british)).toEqual([]);
+    expect(getTranslatedCaptionTracks(playerResponse, null)).toEqual([]);
+  });
+
+  test('buildCaptionTrackOptions lists translations of the default track', () => {
+    const { tracks, defaultTrackId } = buildCaptionTrackOptions(playerResponse, 'de-AT');
+
+    expect(defaultTrackId).toBe('.de');
+    expect(tracks.map(track => track.id)).toEqual(['a.en', '.de', '.en-GB', '.de>fr']);
+    expect(buildCaptionTrackOptions({})).toEqual({ tracks: [], defaultTrackId: null });
+  });
+
+  test('buildCaptionTrackOptions lists translations of the selected track', () => {
+    const { tracks, defaultTrackId } = buildCaptionTrackOptions(playerResponse, 'de-AT', 'a.en');
+
+    expect(defaultTrackId).toBe('.de');
+    expect(tracks.filter(track => track.isTranslation).map(track => track.sourceTrackName)).toEqual(['English (auto-generated)', 'English (auto-generated)']);
+    expect(buildCaptionTrackOptions(playerResponse, 'de-AT', 'a.en>fr').tracks.map(track => track.id)).toContain('a.en>fr');
+    expect(buildCaptionTrackOptions(playerResponse, 'de-AT', 'unknown').tracks.map(track => track.id)).toContain('.de>fr');
+  });
+});
+
+describe('chapter marker helpers', () => {
+  const chapters = [
+    { startSeconds: 300, title: 'Second' },
+    { startSeconds: 0, title: 'Intro' },
+    { startSeconds: 900, title: 'After the end' }
+  ];
+
+  test('buildChapterSegments spans each chapter until the next one starts', () => {
+    expect(buildChapterSegments(chapters, 600)).toEqual([
+      { title: 'Intro', startSeconds: 0, endSeconds: 300, left: 0, width: 50 },
+      { title: 'Second', startSeconds: 300, endSeconds: 600, left: 50, width: 50 }
+    ]);
+  });
+
+  test('buildChapterSegments waits for a known duration', () => {
+    expect(buildChapterSegments(chapters, NaN)).toEqual([]);
+    expect(buildChapterSegments(chapters, Infinity)).toEqual([]);
+    expect(buildChapterSegments(null, 600)).toEqual([]);
+  });
+
+  test('buildChapterSegments keeps the last of chapters starting at the same time', () => {
+    const segments = buildChapterSegments([
+      { startSeconds: 0, title: 'First' },
+      { startSeconds: 0, title: 'Same start' }
+    ], 100);
+
+    expect(segments.map(segment => segment.title)).toEqual(['Same start']);
+  });
+
+  test('findChapterSegment finds the chapter playing at a time', () => {
+    const segments = buildChapterSegments([{ startSeconds: 60, title: 'Late start' }, { startSeconds: 120, title: 'End' }], 180);
+
+    expect(findChapterSegment(segments, 30)).toBeNull();
+    expect(findChapterSegment(segments, 60).title).toBe('Late start');
+    expect(findChapterSegment(segments, 179).title).toBe('End');
+  });
+});
@@ -10,6 +10,9 @@
 if (typeof ModelId === 'undefined' && typeof require !== 'undefined') {
   const ModelId = require('../values/ModelId');
 }
+if (typeof ChapterList === 'undefined' && typeof require !== 'undefined') {
+  const ChapterList = require('../values/ChapterList');
+}
 
 class ChapterGeneration {
   constructor(videoTranscript, modelId, customInstructions = '') {
@@ -19,7 +22,12 @@ class ChapterGeneration {
     this.customInstructions = customInstructions.trim();
     this.status = 'pending';
     this.chapters = null;
+    this.chapterList = null;
+    this.validationIssues = [];
+    this.progress = null;
     this.error = null;
+    this.fallbackAttempts = [];
+    this.credentialProfile = '';
     this.inputTokens = 0;
     this.outputTokens = 0;
     this.createdAt = new Date();
@@ -53,7 +61,7 @@ class ChapterGeneration {
     return modelId;
   }
 
-  markCompleted(chapters, inputTokens = 0, outputTokens = 0) {
+  markCompleted(chapters, inputTokens = 0, outputTokens = 0, chapterList = null) {
     if (this.status !== 'pending') {
       throw new Error(`Cannot complete generation with status: ${this.status}`);
     }
@@ -64,9 +72,11 @@ class ChapterGeneration {
 
     this.status = 'completed';
     this.chapters = chapters.trim();
+    this.chapterList = chapterList instanceof ChapterList ? chapterList : ChapterList.parse(this.chapters);
     this.inputTokens = inputTokens || 0;
     this.outputTokens = outputTokens || 0;
     this.completedAt = new Date();
+    this.progress = null;
     this.error = null;
   }
 
@@ -79,6 +89,71 @@ class ChapterGeneration {
     this.error = error instanceof Error ? error.message : String(error);
     this.completedAt = new Date();
     this.chapters = null;
+    this.chapterList = null;
+    this.validationIssues = [];
+    this.progress = null;
+  }
+
+  markCancelled() {
+    if (this.status !== 'pending') {
+      throw new Error(`Cannot cancel generation with status: ${this.status}`);
+    }
+
+    this.status = 'cancelled';
+    this.completedAt = new Date();
+    this.chapters = null;
+    this.chapterList = null;
+    this.validationIssues = [];
+    this.progress = null;
+    this.error = null;
+  }
+
+  switchToFallbackModel(modelId, error) {
+    if (this.status !== 'pending') {
+      throw new Error(`Cannot switch model of generation with status: ${this.status}`);
+    }
+
+    // The failed models are kept so that the results show why another model produced the chapters
+    this.fallbackAttempts.push({
+      model: this.modelId.toJSON(),
+      error: error instanceof Error ? error.message : String(error)
+    });
+    this.modelId = this.validateModelId(modelId);
+    this.progress = null;
+  }
+
+  useCredentialProfile(profileName) {
+    if (this.status !== 'pending') {
+      throw new Error(`Cannot change credential profile of generation with status: ${this.status}`);
+    }
+
+    this.credentialProfile = profileName || '';
+  }
+
+  reportProgress(progress) {
+    if (this.status !== 'pending') {
+      throw new Error(`Cannot report progress of generation with status: ${this.status}`);
+    }
+
+    this.progress = progress;
+  }
+
+  setValidationIssues(issues) {
+    this.validationIssues = Array.isArray(issues) ? issues.map(issue => ({ ...issue })) : [];
+  }
+
+  replaceChapterList(chapterList, validationIssues = []) {
+    if (this.status !== 'completed') {
+      throw new Error(`Cannot replace chapters of generation with status: ${this.status}`);
+    }
+
+    if (!(chapterList instanceof ChapterList) || chapterList.isEmpty()) {
+      throw new Error('chapterList must be a non-empty ChapterList instance');
+    }
+
+    this.chapterList = chapterList;
+    this.chapters = chapterList.toText();
+    this.setValidationIssues(validationIssues);
   }
 
   isPending() {
@@ -93,10 +168,30 @@ class ChapterGeneration {
     return this.status === 'failed';
   }
 
+  isCancelled() {
+    return this.status === 'cancelled';
+  }
+
+  hasFallenBack() {
+    return this.fallbackAttempts.length > 0;
+  }
+
+  getRequestedModelId() {
+    return this.hasFallenBack() ? ModelId.fromJSON(this.fallbackAttempts[0].model) : this.modelId;
+  }
+
   hasCustomInstructions() {
     return this.customInstructions.length > 0;
   }
 
+  hasStructuredChapters() {
+    return this.chapterList !== null && !this.chapterList.isEmpty();
+  }
+
+  hasValidationIssues() {
+    return this.validationIssues.length > 0;
+  }
+
   getDurationMs() {
     const endTime = this.completedAt || new Date();
     return endTime.getTime() - this.createdAt.getTime();
@@ -120,8 +215,12 @@ class ChapterGeneration {
         isAutoGenerated: this.videoTranscript.isAutoGenerated
       },
       chapters: this.chapters || this.videoTranscript.videoUrl?.toString() || '',
+      chapterList: this.chapterList ? this.chapterList.toJSON() : null,
+      validationIssues: this.validationIssues.map(issue => ({ ...issue })),
       timestamp: this.createdAt.getTime(),
       model: this.modelId.toJSON(),
+      fallbackAttempts: this.fallbackAttempts.map(attempt => ({ ...attempt })),
+      credentialProfile: this.credentialProfile,
       customInstructions: this.customInstructions,
       videoMetadata: this.getVideoMetadata(),
       status: this.status,
@@ -172,11 +271,19 @@ class ChapterGeneration {
 
     generation.id = results.resultId;
     generation.createdAt = new Date(results.timestamp);
+    if (Array.isArray(results.fallbackAttempts)) {
+      generation.fallbackAttempts = results.fallbackAttempts.map(attempt => ({ ...attempt }));
+    }
+    generation.credentialProfile = results.credentialProfile || '';
 
-    if (results.error) {
+    if (results.status === 'cancelled') {
+      generation.markCancelled();
+    } else if (results.error) {
       generation.markFailed(results.error);
     } else if (results.chapters && results.chapters !== results.videoMetadata?.url) {
-      generation.markCompleted(results.chapters, results.inputTokens || 0, results.outputTokens || 0);
+      const chapterList = Array.isArray(results.chapterList) ? ChapterList.fromJSON(results.chapterList) : null;
+      generation.markCompleted(results.chapters, results.inputTokens || 0, results.outputTokens || 0, chapterList);
+      generation.setValidationIssues(results.validationIssues);
     }
 
     return generation;
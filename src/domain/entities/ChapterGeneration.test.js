@@ -9,6 +9,7 @@
 const ChapterGeneration = require('./ChapterGeneration');
 const VideoTranscript = require('./VideoTranscript');
 const ModelId = require('../values/ModelId');
+const ChapterList = require('../values/ChapterList');
 
 describe('ChapterGeneration Entity', () => {
   let mockVideoTranscript;
@@ -93,6 +94,26 @@ describe('ChapterGeneration Entity', () => {
       expect(generation.completedAt).toBeInstanceOf(Date);
     });
 
+    test('should mark as cancelled successfully', () => {
+      generation.reportProgress(GenerationProgress.chunk(0, 2));
+      generation.markCancelled();
+
+      expect(generation.isCancelled()).toBe(true);
+      expect(generation.isPending()).toBe(false);
+      expect(generation.isFailed()).toBe(false);
+      expect(generation.error).toBe(null);
+      expect(generation.progress).toBe(null);
+      expect(generation.completedAt).toBeInstanceOf(Date);
+    });
+
+    test('should not allow cancellation or completion once cancelled', () => {
+      generation.markCancelled();
+
+      expect(() => generation.markCancelled()).toThrow('Cannot cancel generation with status: cancelled');
+      expect(() => generation.markCompleted('00:00 - Intro')).toThrow('Cannot complete generation with status: cancelled');
+      expect(() => generation.markFailed('late error')).toThrow('Cannot fail generation with status: cancelled');
+    });
+
     test('should not allow completion from non-pending state', () => {
       generation.markCompleted('Test chapters');
 
@@ -193,5 +214,96 @@ describe('ChapterGeneration Entity', () => {
       expect(generation.isCompleted()).toBe(true);
       expect(generation.chapters).toBe('1. Test Chapter');
     });
+
+    test('should parse structured chapters on completion', () => {
+      const geminiModel = new ModelId('gemini-2.5-pro', 'Gemini');
+      const generation = new ChapterGeneration(mockVideoTranscript, geminiModel);
+      generation.markCompleted('Here you go:\n00:00 - Intro\n02:15 - Demo');
+
+      expect(generation.hasStructuredChapters()).toBe(true);
+      expect(generation.chapterList.getChapters().map(c => c.startSeconds)).toEqual([0, 135]);
+    });
+
+    test('should round-trip validation issues through session results', () => {
+      const geminiModel = new ModelId('gemini-2.5-pro', 'Gemini');
+      const generation = new ChapterGeneration(mockVideoTranscript, geminiModel);
+      generation.markCompleted('00:00 - Intro\n01:00 - Main');
+      generation.setValidationIssues([{ type: 'too_few_chapters', chapterIndex: null, timecode: null, title: null }]);
+
+      const restored = ChapterGeneration.fromSessionResults(JSON.parse(JSON.stringify(generation.toSessionResults())));
+
+      expect(restored.validationIssues).toEqual(generation.validationIssues);
+    });
+
+    test('should round-trip cancelled status through session results', () => {
+      const geminiModel = new ModelId('gemini-2.5-pro', 'Gemini');
+      const generation = new ChapterGeneration(mockVideoTranscript, geminiModel);
+      generation.markCancelled();
+
+      const results = JSON.parse(JSON.stringify(generation.toSessionResults()));
+      const restored = ChapterGeneration.fromSessionResults(results);
+
+      expect(results.status).toBe('cancelled');
+      expect(restored.isCancelled()).toBe(true);
+    });
+
+    test('should replace chapters with a repaired list', () => {
+      const geminiModel = new ModelId('gemini-2.5-pro', 'Gemini');
+      const generation = new ChapterGeneration(mockVideoTranscript, geminiModel);
+      generation.markCompleted('Sure!\n00:05 - Intro\n01:00 - Main');
+      generation.setValidationIssues([{ type: 'first_not_at_zero' }]);
+
+      generation.replaceChapterList(ChapterList.parse('00:00 - Intro\n01:00 - Main'));
+
+      expect(generation.chapters).toBe('00:00 - Intro\n01:00 - Main');
+      expect(generation.hasValidationIssues()).toBe(false);
+    });
+
+    test('should not replace chapters of pending generations', () => {
+      const geminiModel = new ModelId('gemini-2.5-pro', 'Gemini');
+      const generation = new ChapterGeneration(mockVideoTranscript, geminiModel);
+
+      expect(() => generation.replaceChapterList(ChapterList.parse('00:00 - Intro')))
+        .toThrow('Cannot replace chapters of generation with status: pending');
+    });
+
+    test('should round-trip structured chapters through session results', () => {
+      const geminiModel = new ModelId('gemini-2.5-pro', 'Gemini');
+      const generation = new ChapterGeneration(mockVideoTranscript, geminiModel);
+      generation.markCompleted('00:00 - Intro\nWelcome words\n1:02:03 - Finale', 10, 20);
+
+      const results = JSON.parse(JSON.stringify(generation.toSessionResults()));
+      const restored = ChapterGeneration.fromSessionResults(results);
+
+      expect(results.chapterList).toHaveLength(2);
+      expect(restored.chapterList.toJSON()).toEqual(generation.chapterList.toJSON());
+      expect(restored.chapterList.first().descriptionLines).toEqual(['Welcome words']);
+    });
+
+    test('should record the models that failed before a fallback model took over', () => {
+      const requestedModel = new ModelId('deepseek/deepseek-r1-0528:free', 'OpenRouter');
+      const fallbackModel = new ModelId('gemini-2.5-flash', 'Gemini');
+      const generation = new ChapterGeneration(mockVideoTranscript, requestedModel);
+
+      generation.switchToFallbackModel(fallbackModel, new Error('Rate limit exceeded. Please try again later.'));
+      generation.markCompleted('00:00 - Intro');
+
+      const restored = ChapterGeneration.fromSessionResults(JSON.parse(JSON.stringify(generation.toSessionResults())));
+
+      expect(restored.modelId).toEqual(fallbackModel);
+      expect(restored.hasFallenBack()).toBe(true);
+      expect(restored.getRequestedModelId()).toEqual(requestedModel);
+      expect(restored.fallbackAttempts).toEqual([
+        { model: requestedModel.toJSON(), error: 'Rate limit exceeded. Please try again later.' }
+      ]);
+    });
+
+    test('should not switch the model of finished generations', () => {
+      const generation = new ChapterGeneration(mockVideoTranscript, new ModelId('gemini-2.5-pro', 'Gemini'));
+      generation.markCompleted('00:00 - Intro');
+
+      expect(() => generation.switchToFallbackModel(new ModelId('gemini-2.5-flash', 'Gemini'), new Error('Rate limit exceeded')))
+        .toThrow('Cannot switch model of generation with status: completed');
+    });
   });
 });
@@ -6,6 +6,11 @@
  * Licensed under GPL3 or later
  */
 
+// Load Chapter for Node.js environment (tests), skip if already loaded in browser
+if (typeof Chapter === 'undefined' && typeof require !== 'undefined') {
+  const Chapter = require('../values/Chapter');
+}
+
 class VideoTranscript {
   constructor(content, title, author, videoUrl, language = null, trackName = null, isAutoGenerated = false) {
     this.content = this.validateContent(content);
@@ -30,8 +35,8 @@ class VideoTranscript {
     return content;
   }
 
-  toProcessedContent() {
-    return `Video Title: ${this.title}\nAuthor: ${this.author}\n\nTranscript Content:\n${this.content}`;
+  toProcessedContent(content = this.content) {
+    return `Video Title: ${this.title}\nAuthor: ${this.author}\n\nTranscript Content:\n${content}`;
   }
 
   getWordCount() {
@@ -42,6 +47,21 @@ class VideoTranscript {
     return this.content.length;
   }
 
+  getLastTimestampSeconds() {
+    const timestampPattern = /^\s*[[(]((?:\d{1,2}:)?\d{1,2}:\d{2})[\])]/gm;
+    let lastSeconds = null;
+    let match;
+
+    while ((match = timestampPattern.exec(this.content)) !== null) {
+      const seconds = Chapter.parseTimecode(match[1]);
+      if (seconds !== null && (lastSeconds === null || seconds > lastSeconds)) {
+        lastSeconds = seconds;
+      }
+    }
+
+    return lastSeconds;
+  }
+
   isEmpty() {
     return this.content.trim().length === 0;
   }
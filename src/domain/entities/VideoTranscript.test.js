@@ -268,6 +268,18 @@ describe('VideoTranscript', () => {
     });
   });
 
+  describe('transcript end detection', () => {
+    test('should find the last timestamp in the transcript', () => {
+      const transcript = new VideoTranscript('(0:00) Hello\n(1:05) Middle\n(1:02:03) Goodbye');
+      expect(transcript.getLastTimestampSeconds()).toBe(3723);
+    });
+
+    test('should return null for transcripts without timestamps', () => {
+      const transcript = new VideoTranscript('Plain text transcript mentioning 10:00 inline');
+      expect(transcript.getLastTimestampSeconds()).toBe(null);
+    });
+  });
+
   describe('timestamp handling', () => {
     test('should set extraction timestamp on creation', () => {
       const before = new Date();
@@ -11,7 +11,18 @@ if (typeof importScripts !== 'undefined') {
     'values/VideoUrl.js',
     'values/ModelId.js',
     'values/ApiCredentials.js',
+    'values/CredentialProfile.js',
+    'values/KeyStoragePolicy.js',
+    'values/ApiKeyTestResult.js',
+    'values/ProviderDefinition.js',
+    'values/ModelCatalogFilter.js',
+    'values/TokenPricing.js',
+    'values/UsageRecord.js',
+    'values/BudgetLimits.js',
     'values/GenerationProgress.js',
+    'values/Chapter.js',
+    'values/ChapterList.js',
+    'values/CaptionTrackPreference.js',
     'entities/VideoTranscript.js',
     'entities/ChapterGeneration.js',
     'entities/BrowserTab.js'
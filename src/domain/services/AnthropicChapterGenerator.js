@@ -0,0 +1,328 @@
+/**
+ * Anthropic Chapter Generator - Pure Domain Logic
+ * Talks to Claude models directly through the Anthropic Messages API
+ *
+ * Copyright (C) 2025 Dimitry Polivaev
+ * Licensed under GPL3 or later
+ */
+
+// Load ProviderDefinition for Node.js environment (tests), skip if already loaded in browser
+if (typeof ProviderDefinition === 'undefined' && typeof require !== 'undefined') {
+  const ProviderDefinition = require('../values/ProviderDefinition');
+}
+
+class AnthropicChapterGenerator {
+  constructor(networkCommunicator, promptGenerator) {
+    this.networkCommunicator = networkCommunicator;
+    this.promptGenerator = promptGenerator;
+    this.baseUrl = 'https://api.anthropic.com/v1';
+    this.API_VERSION = '2023-06-01';
+    this.GENERATION_TEMPERATURE = 0.7;
+    this.MAX_RESPONSE_TOKENS = 8192;
+    this.OVERLOADED_STATUS = 529;
+    this.TEST_MODEL = 'claude-haiku-4-5';
+    this.TEST_RESPONSE_TOKENS = 16;
+    this.availableModels = [
+      {
+        id: 'claude-sonnet-4-5',
+        displayName: 'Claude Sonnet 4.5',
+        description: 'Balanced model for complex reasoning and long transcripts',
+        isFree: false,
+        category: 'premium',
+        capabilities: ['reasoning', 'analysis']
+      },
+      {
+        id: 'claude-haiku-4-5',
+        displayName: 'Claude Haiku 4.5',
+        description: 'Fastest and cheapest Claude model',
+        isFree: false,
+        category: 'fast',
+        capabilities: ['speed', 'general']
+      },
+      {
+        id: 'claude-opus-4-1',
+        displayName: 'Claude Opus 4.1',
+        description: 'Most capable Claude model',
+        isFree: false,
+        category: 'premium',
+        capabilities: ['reasoning', 'analysis']
+      }
+    ];
+  }
+
+  static createProviderDefinition() {
+    return new ProviderDefinition({
+      id: 'Anthropic',
+      displayName: 'Anthropic',
+      credential: {
+        settingsKey: 'anthropicApiKey',
+        required: true,
+        keyPattern: '^sk-ant-[A-Za-z0-9_-]{20,}$',
+        keyUrl: 'https://console.anthropic.com/settings/keys',
+        keyUrlLabelKey: 'get_anthropic_api_key',
+        labelKey: 'anthropic_api_key_label',
+        placeholderKey: 'anthropic_api_key_placeholder',
+        requiredMessageKey: 'anthropic_api_key_required',
+        clearedMessageKey: 'api_key_cleared_anthropic'
+      }
+    });
+  }
+
+  validateApiKey(apiKey) {
+    return AnthropicChapterGenerator.createProviderDefinition().isValidApiKey(apiKey);
+  }
+
+  getAvailableModels() {
+    return [...this.availableModels];
+  }
+
+  buildMessagesUrl() {
+    return `${this.baseUrl}/messages`;
+  }
+
+  // Listing models would not reveal an empty credit balance, a tiny prompt to the cheapest model does
+  async sendTestPrompt(apiKey) {
+    const body = {
+      model: this.TEST_MODEL,
+      max_tokens: this.TEST_RESPONSE_TOKENS,
+      messages: [{ role: 'user', content: this.promptGenerator.buildTestPrompt() }]
+    };
+    return this.networkCommunicator.post(this.buildMessagesUrl(), this.buildHeaders(apiKey), body);
+  }
+
+  buildHeaders(apiKey) {
+    return {
+      'Content-Type': 'application/json',
+      'x-api-key': apiKey,
+      'anthropic-version': this.API_VERSION,
+      // Required for requests sent from a browser extension instead of a server
+      'anthropic-dangerous-direct-browser-access': 'true'
+    };
+  }
+
+  toAnthropicMessages(messages) {
+    const systemPrompts = [];
+    const anthropicMessages = [];
+
+    messages.forEach(message => {
+      if (message.role === 'system') {
+        systemPrompts.push(message.content);
+        return;
+      }
+      const role = message.role === 'assistant' ? 'assistant' : 'user';
+      const previous = anthropicMessages[anthropicMessages.length - 1];
+      // The Messages API expects user and assistant turns to alternate
+      if (previous && previous.role === role) {
+        previous.content = `${previous.content}\n\n${message.content}`;
+      } else {
+        anthropicMessages.push({ role, content: message.content });
+      }
+    });
+
+    if (anthropicMessages.length === 0 || anthropicMessages[0].role !== 'user') {
+      throw new Error('Conversation must start with a user message');
+    }
+
+    return {
+      system: systemPrompts.join('\n\n'),
+      messages: anthropicMessages
+    };
+  }
+
+  buildMessagesBody(messages, model) {
+    const { system, messages: anthropicMessages } = this.toAnthropicMessages(messages);
+    const body = {
+      model,
+      max_tokens: this.MAX_RESPONSE_TOKENS,
+      temperature: this.GENERATION_TEMPERATURE,
+      messages: anthropicMessages
+    };
+    if (system) {
+      body.system = system;
+    }
+    return body;
+  }
+
+  buildStreamingMessagesBody(messages, model) {
+    return {
+      ...this.buildMessagesBody(messages, model),
+      stream: true
+    };
+  }
+
+  extractErrorMessage(errorData) {
+    return errorData?.error?.message || null;
+  }
+
+  createOverloadedError() {
+    return Object.assign(new Error('Anthropic API is temporarily overloaded. Please try again in a few minutes.'), { category: 'server_error' });
+  }
+
+  categorizeHttpError(status, errorData, model) {
+    const errorType = errorData?.error?.type;
+    const apiMessage = this.extractErrorMessage(errorData);
+    if (status === this.OVERLOADED_STATUS || errorType === 'overloaded_error') {
+      return this.createOverloadedError();
+    } else if (status === 401) {
+      return new Error('Invalid API key. Please check your Anthropic API key.');
+    } else if (status === 403) {
+      return new Error('API access forbidden. Your Anthropic API key has no permission for this request.');
+    } else if (status === 404) {
+      return Object.assign(new Error(`Model not found: ${model}. Please choose another Claude model.`), { category: 'model_unavailable' });
+    } else if (status === 429) {
+      return Object.assign(new Error('Rate limit exceeded. Please try again later.'), { category: 'rate_limit' });
+    } else if (status === 400) {
+      const error = new Error(`Request error: ${apiMessage || 'Bad request'}`);
+      if (/prompt is too long/i.test(apiMessage || '')) {
+        error.category = 'content_too_long';
+      }
+      return error;
+    } else {
+      const error = new Error(`API request failed: ${status}${apiMessage ? ` (${apiMessage})` : ''}`);
+      if (status === 413) {
+        error.category = 'content_too_long';
+      } else if (status >= 500) {
+        error.category = 'server_error';
+      }
+      return error;
+    }
+  }
+
+  categorizeStreamError(errorData) {
+    if (errorData?.error?.type === 'overloaded_error') {
+      return this.createOverloadedError();
+    }
+    return new Error(`Stream error: ${this.extractErrorMessage(errorData) || 'Unknown error'}`);
+  }
+
+  isOverloadedAfterRetries(error) {
+    // Overloaded responses are retried as server errors and arrive here as a plain error once retries are exhausted
+    return new RegExp(`Server error: ${this.OVERLOADED_STATUS}\\b`).test(error.message);
+  }
+
+  validateHttpResponse(responseData) {
+    if (!responseData || !Array.isArray(responseData.content)) {
+      throw new Error('Invalid response from Anthropic API');
+    }
+    return responseData;
+  }
+
+  parseApiResponse(responseData) {
+    const text = responseData.content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+    if (!text.trim()) {
+      throw new Error('Empty response from AI');
+    }
+
+    const result = {
+      chapters: text.trim(),
+      finishReason: responseData.stop_reason,
+      model: responseData.model || 'unknown'
+    };
+
+    if (responseData.usage) {
+      result.inputTokens = responseData.usage.input_tokens || 0;
+      result.outputTokens = responseData.usage.output_tokens || 0;
+    }
+
+    return result;
+  }
+
+  createStreamAccumulator(onDelta) {
+    const accumulator = {
+      text: '',
+      finishReason: null,
+      model: null,
+      inputTokens: null,
+      outputTokens: null,
+      onEvent: event => {
+        if (event.type === 'error') {
+          const error = this.categorizeStreamError(event);
+          error.isCategorized = true;
+          throw error;
+        }
+        if (event.type === 'message_start' && event.message) {
+          accumulator.model = event.message.model || accumulator.model;
+          accumulator.inputTokens = event.message.usage?.input_tokens ?? accumulator.inputTokens;
+        } else if (event.type === 'message_delta') {
+          accumulator.finishReason = event.delta?.stop_reason || accumulator.finishReason;
+          accumulator.outputTokens = event.usage?.output_tokens ?? accumulator.outputTokens;
+        } else if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+          accumulator.text += event.delta.text;
+          onDelta(event.delta.text, accumulator.text);
+        }
+      }
+    };
+    return accumulator;
+  }
+
+  parseStreamResult(accumulator) {
+    const text = accumulator.text.trim();
+    if (!text) {
+      throw new Error('Empty response from AI');
+    }
+
+    const result = {
+      chapters: text,
+      finishReason: accumulator.finishReason,
+      model: accumulator.model || 'unknown'
+    };
+
+    if (accumulator.inputTokens !== null || accumulator.outputTokens !== null) {
+      result.inputTokens = accumulator.inputTokens || 0;
+      result.outputTokens = accumulator.outputTokens || 0;
+    }
+
+    return result;
+  }
+
+  async processSubtitles(processedContent, customInstructions, apiKey, model, requestOptions = {}) {
+    const prompt = this.promptGenerator.buildPrompt(processedContent, customInstructions);
+    const messages = [{ role: 'user', content: prompt }];
+    return this.processConversation(messages, apiKey, model, requestOptions);
+  }
+
+  async processConversation(messages, apiKey, model, requestOptions = {}) {
+    if (!apiKey) {
+      throw new Error('Anthropic API key is required');
+    }
+    if (!model) {
+      throw new Error('A model name is required for the Anthropic API');
+    }
+
+    const conversationMessages = Array.isArray(messages) ? messages : [{ role: 'user', content: messages }];
+    const url = this.buildMessagesUrl();
+    const headers = this.buildHeaders(apiKey);
+
+    try {
+      if (typeof requestOptions.onDelta === 'function') {
+        const accumulator = this.createStreamAccumulator(requestOptions.onDelta);
+        const body = this.buildStreamingMessagesBody(conversationMessages, model);
+        await this.networkCommunicator.postStream(url, headers, body, accumulator.onEvent, null, requestOptions.signal, requestOptions.onRetry);
+        return this.parseStreamResult(accumulator);
+      }
+
+      const body = this.buildMessagesBody(conversationMessages, model);
+      const responseData = await this.networkCommunicator.post(url, headers, body, null, requestOptions.signal, requestOptions.onRetry);
+      this.validateHttpResponse(responseData);
+      return this.parseApiResponse(responseData);
+    } catch (error) {
+      if (error.isHttpError) {
+        throw this.categorizeHttpError(error.status, error.responseData, model);
+      }
+      if (error.isCategorized) {
+        throw error;
+      }
+      if (this.isOverloadedAfterRetries(error)) {
+        throw this.createOverloadedError();
+      }
+      throw Object.assign(new Error(`AI processing failed: ${error.message}`), { category: error.category });
+    }
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AnthropicChapterGenerator;
+}
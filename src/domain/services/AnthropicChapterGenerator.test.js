@@ -0,0 +1,262 @@
+/**
+ * AnthropicChapterGenerator Service Tests
+ * Tests requests to the Anthropic Messages API with dependency injection
+ *
+ * Copyright (C) 2025 Dimitry Polivaev
+ * Licensed under GPL3 or later
+ */
+
+const AnthropicChapterGenerator = require('./AnthropicChapterGenerator');
+
+describe('AnthropicChapterGenerator', () => {
+  let generator;
+  let mockNetworkCommunicator;
+  let mockPromptGenerator;
+  const validKey = 'sk-ant-REDACTED';
+
+  const httpError = (status, responseData = {}) => {
+    const error = new Error(`HTTP ${status}`);
+    error.isHttpError = true;
+    error.status = status;
+    error.responseData = responseData;
+    return error;
+  };
+
+  const textResponse = text => ({
+    model: 'claude-sonnet-4-5',
+    content: [{ type: 'text', text }],
+    stop_reason: 'end_turn',
+    usage: { input_tokens: 1200, output_tokens: 80 }
+  });
+
+  beforeEach(() => {
+    mockNetworkCommunicator = {
+      post: jest.fn(),
+      postStream: jest.fn()
+    };
+    mockPromptGenerator = {
+      buildPrompt: jest.fn().mockReturnValue('Generated prompt')
+    };
+
+    generator = new AnthropicChapterGenerator(mockNetworkCommunicator, mockPromptGenerator);
+  });
+
+  describe('provider definition', () => {
+    test('should declare a required Anthropic credential', () => {
+      const definition = AnthropicChapterGenerator.createProviderDefinition();
+
+      expect(definition.id).toBe('Anthropic');
+      expect(definition.getCredentialSettingsKey()).toBe('anthropicApiKey');
+      expect(definition.requiresApiKey()).toBe(true);
+    });
+
+    test('should validate Anthropic key format', () => {
+      expect(generator.validateApiKey(validKey)).toBe(true);
+      expect(generator.validateApiKey('sk-or-v1-abcdefghijklmnopqrstuvwxyz')).toBe(false);
+      expect(generator.validateApiKey('')).toBe(false);
+    });
+  });
+
+  describe('request headers', () => {
+    test('should authenticate with x-api-key and pin the API version', () => {
+      expect(generator.buildHeaders(validKey)).toEqual({
+        'Content-Type': 'application/json',
+        'x-api-key': validKey,
+        'anthropic-version': '2023-06-01',
+        'anthropic-dangerous-direct-browser-access': 'true'
+      });
+    });
+  });
+
+  describe('message conversion', () => {
+    test('should move system messages into the system prompt', () => {
+      const body = generator.buildMessagesBody([
+        { role: 'system', content: 'You are a chapter assistant' },
+        { role: 'user', content: 'Hello' }
+      ], 'claude-sonnet-4-5');
+
+      expect(body.system).toBe('You are a chapter assistant');
+      expect(body.messages).toEqual([{ role: 'user', content: 'Hello' }]);
+      expect(body.max_tokens).toBe(8192);
+    });
+
+    test('should omit the system prompt when there is none', () => {
+      const body = generator.buildMessagesBody([{ role: 'user', content: 'Hello' }], 'claude-sonnet-4-5');
+
+      expect(body).not.toHaveProperty('system');
+    });
+
+    test('should merge consecutive messages of the same role', () => {
+      const { messages } = generator.toAnthropicMessages([
+        { role: 'user', content: 'Transcript' },
+        { role: 'user', content: 'Question' },
+        { role: 'assistant', content: 'Answer' }
+      ]);
+
+      expect(messages).toEqual([
+        { role: 'user', content: 'Transcript\n\nQuestion' },
+        { role: 'assistant', content: 'Answer' }
+      ]);
+    });
+
+    test('should reject conversations that do not start with a user message', () => {
+      expect(() => generator.toAnthropicMessages([{ role: 'assistant', content: 'Hi' }]))
+        .toThrow('Conversation must start with a user message');
+    });
+  });
+
+  describe('full processing workflow', () => {
+    test('should send the prompt to the Messages API and parse the response', async () => {
+      mockNetworkCommunicator.post.mockResolvedValue(textResponse('00:00 Intro'));
+
+      const result = await generator.processSubtitles('Transcript', 'Be brief', validKey, 'claude-sonnet-4-5');
+
+      expect(mockPromptGenerator.buildPrompt).toHaveBeenCalledWith('Transcript', 'Be brief');
+      expect(mockNetworkCommunicator.post).toHaveBeenCalledWith(
+        'https://api.anthropic.com/v1/messages',
+        expect.objectContaining({ 'x-api-key': validKey }),
+        expect.objectContaining({
+          model: 'claude-sonnet-4-5',
+          messages: [{ role: 'user', content: 'Generated prompt' }]
+        }),
+        null,
+        undefined,
+        undefined
+      );
+      expect(result).toEqual({
+        chapters: '00:00 Intro',
+        finishReason: 'end_turn',
+        model: 'claude-sonnet-4-5',
+        inputTokens: 1200,
+        outputTokens: 80
+      });
+    });
+
+    test('should continue a multi-turn chat', async () => {
+      mockNetworkCommunicator.post.mockResolvedValue(textResponse('Sure'));
+
+      await generator.processConversation([
+        { role: 'system', content: 'Context' },
+        { role: 'user', content: 'First question' },
+        { role: 'assistant', content: 'First answer' },
+        { role: 'user', content: 'Follow-up' }
+      ], validKey, 'claude-haiku-4-5');
+
+      const body = mockNetworkCommunicator.post.mock.calls[0][2];
+      expect(body.system).toBe('Context');
+      expect(body.messages.map(message => message.role)).toEqual(['user', 'assistant', 'user']);
+    });
+
+    test('should require an API key', async () => {
+      await expect(generator.processConversation([{ role: 'user', content: 'Hi' }], '', 'claude-sonnet-4-5'))
+        .rejects.toThrow('Anthropic API key is required');
+      expect(mockNetworkCommunicator.post).not.toHaveBeenCalled();
+    });
+
+    test('should reject responses without text', async () => {
+      mockNetworkCommunicator.post.mockResolvedValue({ content: [] });
+
+      await expect(generator.processSubtitles('Transcript', '', validKey, 'claude-sonnet-4-5'))
+        .rejects.toThrow('Empty response from AI');
+    });
+  });
+
+  describe('API key test', () => {
+    test('should send a short test prompt to the cheapest model', async () => {
+      mockPromptGenerator.buildTestPrompt = jest.fn().mockReturnValue('Test prompt');
+      mockNetworkCommunicator.post.mockResolvedValue(textResponse('API key is working'));
+
+      await generator.sendTestPrompt(validKey);
+
+      expect(mockNetworkCommunicator.post).toHaveBeenCalledWith(
+        'https://api.anthropic.com/v1/messages',
+        expect.objectContaining({ 'x-api-key': validKey }),
+        { model: 'claude-haiku-4-5', max_tokens: 16, messages: [{ role: 'user', content: 'Test prompt' }] }
+      );
+    });
+
+    test('should pass on HTTP errors for classification', async () => {
+      mockPromptGenerator.buildTestPrompt = jest.fn().mockReturnValue('Test prompt');
+      mockNetworkCommunicator.post.mockRejectedValue(httpError(401));
+
+      await expect(generator.sendTestPrompt(validKey)).rejects.toMatchObject({ status: 401 });
+    });
+  });
+
+  describe('error categorization', () => {
+    const expectError = async (error, message) => {
+      mockNetworkCommunicator.post.mockRejectedValue(error);
+      await expect(generator.processSubtitles('Transcript', '', validKey, 'claude-sonnet-4-5')).rejects.toThrow(message);
+    };
+
+    test('should map authentication and permission failures', async () => {
+      await expectError(httpError(401), 'Invalid API key. Please check your Anthropic API key.');
+      await expectError(httpError(403), 'API access forbidden');
+    });
+
+    test('should map rate limits and unknown models', async () => {
+      await expectError(httpError(429), 'Rate limit exceeded');
+      await expectError(httpError(404), 'Model not found: claude-sonnet-4-5');
+    });
+
+    test('should report overloaded responses', async () => {
+      await expectError(httpError(529), 'Anthropic API is temporarily overloaded');
+      await expectError(httpError(500, { error: { type: 'overloaded_error', message: 'Overloaded' } }), 'temporarily overloaded');
+    });
+
+    test('should report overload once server retries are exhausted', async () => {
+      await expectError(new Error('Network error: Server error: 529 Overloaded'), 'Anthropic API is temporarily overloaded');
+    });
+
+    test('should include the API message for bad requests', async () => {
+      await expectError(httpError(400, { error: { type: 'invalid_request_error', message: 'prompt is too long' } }),
+        'Request error: prompt is too long');
+    });
+
+    test('should mark the errors a fallback model can fix', async () => {
+      const expectCategory = async (error, category) => {
+        mockNetworkCommunicator.post.mockRejectedValue(error);
+        await expect(generator.processSubtitles('Transcript', '', validKey, 'claude-sonnet-4-5')).rejects.toMatchObject({ category });
+      };
+      await expectCategory(httpError(404), 'model_unavailable');
+      await expectCategory(httpError(429), 'rate_limit');
+      await expectCategory(httpError(529), 'server_error');
+      await expectCategory(httpError(400, { error: { type: 'invalid_request_error', message: 'prompt is too long: 250000 tokens > 200000 maximum' } }),
+        'content_too_long');
+      await expectCategory(Object.assign(new Error('Network error: Server error: 502 Bad Gateway'), { category: 'server_error' }), 'server_error');
+    });
+  });
+
+  describe('streaming responses', () => {
+    test('should accumulate text deltas and usage', async () => {
+      const onDelta = jest.fn();
+      mockNetworkCommunicator.postStream.mockImplementation(async (url, headers, body, onEvent) => {
+        onEvent({ type: 'message_start', message: { model: 'claude-sonnet-4-5', usage: { input_tokens: 900 } } });
+        onEvent({ type: 'content_block_delta', delta: { type: 'text_delta', text: '00:00 ' } });
+        onEvent({ type: 'content_block_delta', delta: { type: 'text_delta', text: 'Intro' } });
+        onEvent({ type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 5 } });
+      });
+
+      const result = await generator.processSubtitles('Transcript', '', validKey, 'claude-sonnet-4-5', { onDelta });
+
+      expect(mockNetworkCommunicator.postStream.mock.calls[0][2].stream).toBe(true);
+      expect(onDelta).toHaveBeenLastCalledWith('Intro', '00:00 Intro');
+      expect(result).toEqual({
+        chapters: '00:00 Intro',
+        finishReason: 'end_turn',
+        model: 'claude-sonnet-4-5',
+        inputTokens: 900,
+        outputTokens: 5
+      });
+    });
+
+    test('should report overloaded error events', async () => {
+      mockNetworkCommunicator.postStream.mockImplementation(async (url, headers, body, onEvent) => {
+        onEvent({ type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } });
+      });
+
+      await expect(generator.processSubtitles('Transcript', '', validKey, 'claude-sonnet-4-5', { onDelta: jest.fn() }))
+        .rejects.toThrow('Anthropic API is temporarily overloaded');
+    });
+  });
+});
@@ -0,0 +1,225 @@
+/**
+ * ChapterExporter Domain Service
+ * Converts chapter lists into downloadable chapter file formats without an LLM round-trip
+ *
+ * Copyright (C) 2025 Dimitry Polivaev
+ * Licensed under GPL3 or later
+ */
+
+// Load ChapterList for Node.js environment (tests), skip if already loaded in browser
+if (typeof ChapterList === 'undefined' && typeof require !== 'undefined') {
+  const ChapterList = require('../values/ChapterList');
+}
+
+class ChapterExporter {
+  constructor() {
+    this.MIN_LAST_CHAPTER_SECONDS = 10;
+    this.MAX_FILE_NAME_LENGTH = 100;
+    this.FORMATS = {
+      youtube: { fileSuffix: '.txt', mimeType: 'text/plain' },
+      json: { fileSuffix: '.json', mimeType: 'application/json' },
+      csv: { fileSuffix: '.csv', mimeType: 'text/csv' },
+      srt: { fileSuffix: '.srt', mimeType: 'application/x-subrip' },
+      vtt: { fileSuffix: '.vtt', mimeType: 'text/vtt' },
+      ffmetadata: { fileSuffix: '.ffmetadata.txt', mimeType: 'text/plain' },
+      podlove: { fileSuffix: '.psc.xml', mimeType: 'application/xml' },
+      matroska: { fileSuffix: '.chapters.xml', mimeType: 'application/xml' }
+    };
+  }
+
+  getSupportedFormats() {
+    return Object.keys(this.FORMATS);
+  }
+
+  export(chapterList, format, metadata = {}) {
+    if (!(chapterList instanceof ChapterList)) {
+      throw new Error('chapterList must be a ChapterList instance');
+    }
+    if (chapterList.isEmpty()) {
+      throw new Error('No chapters to export');
+    }
+
+    const formatInfo = this.FORMATS[format];
+    if (!formatInfo) {
+      throw new Error(`Unsupported export format: ${format}`);
+    }
+
+    const timedChapters = this.buildTimedChapters(chapterList, metadata.durationSeconds);
+    const content = this.renderers()[format](timedChapters, metadata);
+
+    return {
+      content,
+      fileName: this.buildFileName(metadata.title, formatInfo.fileSuffix),
+      mimeType: formatInfo.mimeType
+    };
+  }
+
+  renderers() {
+    return {
+      youtube: chapters => this.toYoutube(chapters),
+      json: (chapters, metadata) => this.toJson(chapters, metadata),
+      csv: chapters => this.toCsv(chapters),
+      srt: chapters => this.toSrt(chapters),
+      vtt: chapters => this.toWebVtt(chapters),
+      ffmetadata: (chapters, metadata) => this.toFfmetadata(chapters, metadata),
+      podlove: chapters => this.toPodlove(chapters),
+      matroska: chapters => this.toMatroska(chapters)
+    };
+  }
+
+  buildTimedChapters(chapterList, durationSeconds) {
+    const chapters = chapterList.getChapters();
+    return chapters.map((chapter, index) => {
+      const next = chapters[index + 1];
+      let endSeconds;
+      if (next) {
+        endSeconds = Math.max(next.startSeconds, chapter.startSeconds);
+      } else {
+        const minimumEnd = chapter.startSeconds + this.MIN_LAST_CHAPTER_SECONDS;
+        endSeconds = Number.isFinite(durationSeconds) ? Math.max(durationSeconds, minimumEnd) : minimumEnd;
+      }
+      return { chapter, endSeconds };
+    });
+  }
+
+  toYoutube(timedChapters) {
+    return timedChapters
+      .map(({ chapter }) => `${chapter.timecode} ${chapter.title}`)
+      .join('\n') + '\n';
+  }
+
+  toJson(timedChapters, metadata) {
+    return JSON.stringify({
+      title: metadata.title || null,
+      url: metadata.url || null,
+      chapters: timedChapters.map(({ chapter, endSeconds }) => ({
+        ...chapter.toJSON(),
+        endSeconds
+      }))
+    }, null, 2) + '\n';
+  }
+
+  toCsv(timedChapters) {
+    const rows = timedChapters.map(({ chapter }) =>
+      [chapter.timecode, chapter.title, String(chapter.startSeconds)].map(value => this.escapeCsv(value)).join(',')
+    );
+    return ['timestamp,title,seconds', ...rows].join('\r\n') + '\r\n';
+  }
+
+  toSrt(timedChapters) {
+    return timedChapters.map(({ chapter, endSeconds }, index) => [
+      String(index + 1),
+      `${this.formatClock(chapter.startSeconds, ',')} --> ${this.formatClock(endSeconds, ',')}`,
+      chapter.title,
+      ...chapter.descriptionLines
+    ].join('\n')).join('\n\n') + '\n';
+  }
+
+  toWebVtt(timedChapters) {
+    const cues = timedChapters.map(({ chapter, endSeconds }, index) => [
+      `chapter-${index + 1}`,
+      `${this.formatClock(chapter.startSeconds, '.')} --> ${this.formatClock(endSeconds, '.')}`,
+      this.escapeVtt(chapter.title)
+    ].join('\n'));
+    return ['WEBVTT', ...cues].join('\n\n') + '\n';
+  }
+
+  toFfmetadata(timedChapters, metadata) {
+    const lines = [';FFMETADATA1'];
+    if (metadata.title) {
+      lines.push(`title=${this.escapeFfmetadata(metadata.title)}`);
+    }
+
+    timedChapters.forEach(({ chapter, endSeconds }) => {
+      lines.push(
+        '',
+        '[CHAPTER]',
+        'TIMEBASE=1/1000',
+        `START=${chapter.startSeconds * 1000}`,
+        `END=${endSeconds * 1000}`,
+        `title=${this.escapeFfmetadata(chapter.title)}`
+      );
+    });
+
+    return lines.join('\n') + '\n';
+  }
+
+  toPodlove(timedChapters) {
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<psc:chapters version="1.2" xmlns:psc="http://podlove.org/simple-chapters">',
+      ...timedChapters.map(({ chapter }) =>
+        `  <psc:chapter start="${this.formatClock(chapter.startSeconds, '.')}" title="${this.escapeXml(chapter.title)}"/>`
+      ),
+      '</psc:chapters>'
+    ];
+    return lines.join('\n') + '\n';
+  }
+
+  toMatroska(timedChapters) {
+    const atoms = timedChapters.map(({ chapter, endSeconds }) => [
+      '    <ChapterAtom>',
+      `      <ChapterTimeStart>${this.formatClock(chapter.startSeconds, '.')}000000</ChapterTimeStart>`,
+      `      <ChapterTimeEnd>${this.formatClock(endSeconds, '.')}000000</ChapterTimeEnd>`,
+      '      <ChapterDisplay>',
+      `        <ChapterString>${this.escapeXml(chapter.title)}</ChapterString>`,
+      '        <ChapterLanguage>und</ChapterLanguage>',
+      '      </ChapterDisplay>',
+      '    </ChapterAtom>'
+    ].join('\n'));
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<!DOCTYPE Chapters SYSTEM "matroskachapters.dtd">',
+      '<Chapters>',
+      '  <EditionEntry>',
+      ...atoms,
+      '  </EditionEntry>',
+      '</Chapters>'
+    ].join('\n') + '\n';
+  }
+
+  formatClock(totalSeconds, millisecondSeparator) {
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    const pad = value => String(value).padStart(2, '0');
+    return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${millisecondSeparator}000`;
+  }
+
+  buildFileName(title, fileSuffix) {
+    const baseName = String(title || '')
+      .replace(/[\\/:*?"<>|]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .replace(/^\.+|\.+$/g, '')
+      .slice(0, this.MAX_FILE_NAME_LENGTH)
+      .trim();
+    return (baseName || 'chapters') + fileSuffix;
+  }
+
+  escapeCsv(value) {
+    return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+  }
+
+  escapeVtt(value) {
+    return value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/-->/g, '--&gt;');
+  }
+
+  escapeFfmetadata(value) {
+    return value.replace(/[\\=;#\n]/g, character => `\\${character}`);
+  }
+
+  escapeXml(value) {
+    return value
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ChapterExporter;
+}
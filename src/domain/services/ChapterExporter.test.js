@@ -0,0 +1,120 @@
+/**
+ * ChapterExporter Service Tests
+ * Tests local conversion of chapters into chapter file formats
+ *
+ * Copyright (C) 2025 Dimitry Polivaev
+ * Licensed under GPL3 or later
+ */
+
+const ChapterExporter = require('./ChapterExporter');
+const ChapterList = require('../values/ChapterList');
+
+describe('ChapterExporter', () => {
+  let exporter;
+  let chapterList;
+  const metadata = {
+    title: 'Episode 42: "Tea" & <Biscuits>',
+    url: 'https://www.youtube.com/watch?v=abc123',
+    durationSeconds: 4000
+  };
+
+  beforeEach(() => {
+    exporter = new ChapterExporter();
+    chapterList = ChapterList.parse('00:00 - Intro\nWelcome everyone\n01:30 - Tea, milk & "sugar"\n1:02:03 - Outro');
+  });
+
+  const exportAs = format => exporter.export(chapterList, format, metadata);
+
+  test('should support all advertised formats', () => {
+    expect(exporter.getSupportedFormats()).toEqual(
+      ['youtube', 'json', 'csv', 'srt', 'vtt', 'ffmetadata', 'podlove', 'matroska']
+    );
+  });
+
+  test('should export YouTube description text', () => {
+    expect(exportAs('youtube').content).toBe('00:00 Intro\n01:30 Tea, milk & "sugar"\n1:02:03 Outro\n');
+  });
+
+  test('should export JSON with end times', () => {
+    const data = JSON.parse(exportAs('json').content);
+
+    expect(data.title).toBe(metadata.title);
+    expect(data.url).toBe(metadata.url);
+    expect(data.chapters[0]).toEqual({
+      startSeconds: 0,
+      endSeconds: 90,
+      timecode: '00:00',
+      title: 'Intro',
+      descriptionLines: ['Welcome everyone']
+    });
+    expect(data.chapters[2].endSeconds).toBe(4000);
+  });
+
+  test('should export CSV with timestamp, title and seconds columns', () => {
+    expect(exportAs('csv').content).toBe(
+      'timestamp,title,seconds\r\n' +
+      '00:00,Intro,0\r\n' +
+      '01:30,"Tea, milk & ""sugar""",90\r\n' +
+      '1:02:03,Outro,3723\r\n'
+    );
+  });
+
+  test('should export numbered SRT cues', () => {
+    const content = exportAs('srt').content;
+
+    expect(content).toContain('1\n00:00:00,000 --> 00:01:30,000\nIntro\nWelcome everyone\n\n');
+    expect(content).toContain('3\n01:02:03,000 --> 01:06:40,000\nOutro\n');
+  });
+
+  test('should export WebVTT chapters', () => {
+    const content = exportAs('vtt').content;
+
+    expect(content.startsWith('WEBVTT\n\n')).toBe(true);
+    expect(content).toContain('chapter-2\n00:01:30.000 --> 01:02:03.000\nTea, milk &amp; "sugar"');
+  });
+
+  test('should export FFmpeg metadata with escaped values', () => {
+    const content = exportAs('ffmetadata').content;
+
+    expect(content.startsWith(';FFMETADATA1\ntitle=Episode 42: "Tea" & <Biscuits>\n')).toBe(true);
+    expect(content).toContain('[CHAPTER]\nTIMEBASE=1/1000\nSTART=90000\nEND=3723000\ntitle=Tea, milk & "sugar"');
+    expect(exporter.escapeFfmetadata('a=b;c#d\\e')).toBe('a\\=b\\;c\\#d\\\\e');
+  });
+
+  test('should export Podlove simple chapters', () => {
+    const content = exportAs('podlove').content;
+
+    expect(content).toContain('<psc:chapters version="1.2" xmlns:psc="http://podlove.org/simple-chapters">');
+    expect(content).toContain('<psc:chapter start="00:01:30.000" title="Tea, milk &amp; &quot;sugar&quot;"/>');
+  });
+
+  test('should export Matroska chapter XML', () => {
+    const content = exportAs('matroska').content;
+
+    expect(content).toContain('<ChapterTimeStart>01:02:03.000000000</ChapterTimeStart>');
+    expect(content).toContain('<ChapterTimeEnd>01:06:40.000000000</ChapterTimeEnd>');
+    expect(content).toContain('<ChapterString>Intro</ChapterString>');
+  });
+
+  test('should name files after the video title', () => {
+    expect(exportAs('srt').fileName).toBe('Episode 42 Tea & Biscuits.srt');
+    expect(exportAs('podlove').fileName).toBe('Episode 42 Tea & Biscuits.psc.xml');
+    expect(exportAs('csv').mimeType).toBe('text/csv');
+  });
+
+  test('should fall back to a generic file name', () => {
+    expect(exporter.export(chapterList, 'json').fileName).toBe('chapters.json');
+    expect(exporter.buildFileName('...', '.txt')).toBe('chapters.txt');
+  });
+
+  test('should give the last chapter a minimal length without known duration', () => {
+    const data = JSON.parse(exporter.export(chapterList, 'json').content);
+    expect(data.chapters[2].endSeconds).toBe(3733);
+  });
+
+  test('should reject unsupported formats and empty chapter lists', () => {
+    expect(() => exporter.export(chapterList, 'docx')).toThrow('Unsupported export format: docx');
+    expect(() => exporter.export(new ChapterList(), 'json')).toThrow('No chapters to export');
+    expect(() => exporter.export('00:00 - Intro', 'json')).toThrow('chapterList must be a ChapterList instance');
+  });
+});
@@ -10,14 +10,38 @@
 if (typeof ModelId === 'undefined' && typeof require !== 'undefined') {
   const ModelId = require('../values/ModelId');
 }
+if (typeof ChapterList === 'undefined' && typeof require !== 'undefined') {
+  const ChapterList = require('../values/ChapterList');
+}
+if (typeof Chapter === 'undefined' && typeof require !== 'undefined') {
+  const Chapter = require('../values/Chapter');
+}
+if (typeof GenerationProgress === 'undefined' && typeof require !== 'undefined') {
+  const GenerationProgress = require('../values/GenerationProgress');
+}
+if (typeof ChapterValidator === 'undefined' && typeof require !== 'undefined') {
+  const ChapterValidator = require('./ChapterValidator');
+}
+if (typeof TranscriptChunker === 'undefined' && typeof require !== 'undefined') {
+  const TranscriptChunker = require('./TranscriptChunker');
+}
+if (typeof ProviderRegistry === 'undefined' && typeof require !== 'undefined') {
+  const ProviderRegistry = require('./ProviderRegistry');
+}
 
 class ChapterGenerator {
-  constructor(geminiAPI, openRouterAPI) {
-    this.geminiAPI = geminiAPI;
-    this.openRouterAPI = openRouterAPI;
+  constructor(providerRegistry, chapterValidator = new ChapterValidator(), promptGenerator = null) {
+    if (!(providerRegistry instanceof ProviderRegistry)) {
+      throw new Error('providerRegistry must be a ProviderRegistry instance');
+    }
+    this.providerRegistry = providerRegistry;
+    this.chapterValidator = chapterValidator;
+    this.promptGenerator = promptGenerator;
+    this.transcriptChunker = promptGenerator ? new TranscriptChunker(promptGenerator) : null;
+    this.FALLBACK_CATEGORIES = ['rate_limit', 'model_unavailable', 'server_error', 'content_too_long'];
   }
 
-  async generateChapters(chapterGeneration, credentials, tabId = null) {
+  async generateChapters(chapterGeneration, credentials, tabId = null, requestOptions = {}) {
     if (!(chapterGeneration instanceof ChapterGeneration)) {
       throw new Error('chapterGeneration must be a ChapterGeneration instance');
     }
@@ -32,55 +56,316 @@ class ChapterGenerator {
         throw new Error('Chapter generation has already completed');
       } else if (status === 'failed') {
         throw new Error('Chapter generation has already failed');
+      } else if (status === 'cancelled') {
+        throw new Error('Chapter generation has been cancelled');
       } else {
         throw new Error(`Chapter generation is not in pending state (current: ${status})`);
       }
     }
 
+    const { fallbackModelIds = [], rotationProfiles = [], ...providerOptions } = requestOptions;
     try {
-      const modelId = chapterGeneration.modelId;
       const processedContent = chapterGeneration.videoTranscript.toProcessedContent();
-      const apiKey = credentials.getKeyForModel(modelId);
+      const usableFallbackModelIds = await this.filterUsableModels(fallbackModelIds, chapterGeneration.modelId, credentials);
+      const result = await this.generateWithFallback(chapterGeneration, usableFallbackModelIds, processedContent, credentials, tabId, providerOptions, rotationProfiles);
+
+      this.throwIfCancelled(chapterGeneration, requestOptions.signal);
+      const chapterList = ChapterList.parse(result.chapters);
+      chapterGeneration.markCompleted(result.chapters, result.inputTokens || 0, result.outputTokens || 0, chapterList);
+      chapterGeneration.setValidationIssues(this.validateChapters(chapterGeneration));
+      return chapterGeneration;
 
-      if (modelId.requiresApiKey() && !apiKey) {
-        throw new Error(`API key required for model: ${modelId.getDisplayName()}`);
+    } catch (error) {
+      if (this.isCancelled(chapterGeneration, requestOptions.signal)) {
+        if (chapterGeneration.isPending()) {
+          chapterGeneration.markCancelled();
+        }
+        throw this.createCancellationError();
       }
+      chapterGeneration.markFailed(error);
+      throw error;
+    }
+  }
 
-      let result;
-
-      if (modelId.isGemini()) {
-        result = await this.geminiAPI.processSubtitles(
-          processedContent,
-          chapterGeneration.customInstructions,
-          apiKey,
-          modelId.toString(),
-          tabId
-        );
-      } else if (modelId.isOpenRouter()) {
-        console.log('ChapterGenerator: Calling OpenRouter API with:', { model: modelId.toString(), hasApiKey: !!apiKey });
-        result = await this.openRouterAPI.processSubtitles(
-          processedContent,
-          chapterGeneration.customInstructions,
-          apiKey,
-          modelId.toString(),
-          tabId
-        );
-        console.log('ChapterGenerator: OpenRouter result:', result);
-      } else {
-        throw new Error(`Unsupported model provider: ${modelId.provider}`);
+  async generateWithFallback(chapterGeneration, fallbackModelIds, processedContent, credentials, tabId, requestOptions, rotationProfiles = []) {
+    let currentCredentials = credentials;
+    const untriedProfiles = [...rotationProfiles];
+    for (let attempt = 0; ;) {
+      try {
+        const result = await this.generateWithModel(chapterGeneration, processedContent, currentCredentials, tabId, requestOptions);
+        chapterGeneration.useCredentialProfile(currentCredentials.getProfileName(chapterGeneration.modelId.provider));
+        return result;
+      } catch (error) {
+        const reason = this.getFallbackReason(error);
+        if (this.isCancelled(chapterGeneration, requestOptions.signal) || !reason) {
+          throw error;
+        }
+
+        // Another key of the rotation group lifts a rate limit without giving up the chosen model
+        const provider = chapterGeneration.modelId.provider;
+        const profileIndex = reason === 'rate_limit' ? untriedProfiles.findIndex(profile => profile.providerId === provider) : -1;
+        if (profileIndex >= 0) {
+          const [nextProfile] = untriedProfiles.splice(profileIndex, 1);
+          console.warn(`ChapterGenerator: ${chapterGeneration.modelId} is rate limited, rotating to key profile ${nextProfile.name}`);
+          currentCredentials = currentCredentials.withProfile(nextProfile);
+          chapterGeneration.reportProgress(null);
+          continue;
+        }
+
+        const nextModelId = fallbackModelIds[attempt++];
+        if (!nextModelId) {
+          throw error;
+        }
+        console.warn(`ChapterGenerator: ${chapterGeneration.modelId} failed (${error.message}), falling back to ${nextModelId}`);
+        chapterGeneration.switchToFallbackModel(nextModelId, error);
       }
+    }
+  }
+
+  async generateWithModel(chapterGeneration, processedContent, credentials, tabId, requestOptions) {
+    const modelId = chapterGeneration.modelId;
+    const apiKey = credentials.getKeyForModel(modelId);
+
+    if (this.providerRegistry.requiresApiKey(modelId) && !apiKey) {
+      throw new Error(`API key required for model: ${modelId.getDisplayName()}`);
+    }
+
+    await this.loadTokenLimits(modelId);
+    const streamOptions = this.createStreamOptions(chapterGeneration, this.createRetryOptions(chapterGeneration, requestOptions));
+    return this.needsChunking(chapterGeneration, processedContent)
+      ? await this.generateChunkedChapters(chapterGeneration, apiKey, tabId, streamOptions)
+      : await this.requestChapters(modelId, processedContent, chapterGeneration.customInstructions, apiKey, tabId, streamOptions);
+  }
 
-      if (!result || !result.chapters) {
-        throw new Error('Invalid response from AI provider');
+  async filterUsableModels(fallbackModelIds, requestedModelId, credentials) {
+    const usableModelIds = [];
+    for (const modelId of fallbackModelIds) {
+      // Falling back to the failed model again or to one without an API key would fail right away
+      const isDuplicate = [requestedModelId, ...usableModelIds]
+        .some(usedModelId => usedModelId.provider === modelId.provider && usedModelId.value === modelId.value);
+      if (!isDuplicate && await this.canGenerateChapters(modelId, credentials)) {
+        usableModelIds.push(modelId);
       }
+    }
+    return usableModelIds;
+  }
 
-      chapterGeneration.markCompleted(result.chapters, result.inputTokens || 0, result.outputTokens || 0);
-      return chapterGeneration;
+  getFallbackReason(error) {
+    // The generators categorize provider errors, server errors keep their category once the network layer's retries are exhausted
+    const category = error && error.category;
+    return this.FALLBACK_CATEGORIES.includes(category) ? category : null;
+  }
 
-    } catch (error) {
-      chapterGeneration.markFailed(error);
-      throw error;
+  isCancelled(chapterGeneration, signal) {
+    return chapterGeneration.isCancelled() || Boolean(signal && signal.aborted);
+  }
+
+  throwIfCancelled(chapterGeneration, signal) {
+    if (this.isCancelled(chapterGeneration, signal)) {
+      throw this.createCancellationError();
+    }
+  }
+
+  createCancellationError() {
+    const error = new Error('Chapter generation was cancelled');
+    error.isCancelled = true;
+    return error;
+  }
+
+  async requestChapters(modelId, content, customInstructions, apiKey, tabId, requestOptions = {}) {
+    const provider = this.providerRegistry.getProvider(modelId.provider);
+    const result = await provider.processSubtitles(
+      content,
+      customInstructions,
+      apiKey,
+      modelId.toString(),
+      tabId,
+      requestOptions
+    );
+
+    if (!result || !result.chapters) {
+      throw new Error('Invalid response from AI provider');
+    }
+
+    return result;
+  }
+
+  createRetryOptions(chapterGeneration, requestOptions) {
+    if (typeof requestOptions.onProgress !== 'function') {
+      return requestOptions;
+    }
+
+    const retryOptions = {
+      ...requestOptions,
+      onRetry: ({ delayMs, reason }) => {
+        if (!chapterGeneration.isPending()) {
+          return;
+        }
+        chapterGeneration.reportProgress(GenerationProgress.retrying(Date.now() + delayMs, reason, chapterGeneration.progress));
+        requestOptions.onProgress(chapterGeneration.progress);
+      }
+    };
+    delete retryOptions.onProgress;
+    return retryOptions;
+  }
+
+  createStreamOptions(chapterGeneration, requestOptions) {
+    if (typeof requestOptions.onDelta !== 'function') {
+      return requestOptions;
+    }
+
+    return {
+      ...requestOptions,
+      onDelta: (delta, text) => {
+        if (!chapterGeneration.isPending()) {
+          return;
+        }
+        if (!chapterGeneration.progress || !chapterGeneration.progress.isChunked()) {
+          chapterGeneration.reportProgress(this.estimateStreamingProgress(chapterGeneration, text));
+        }
+        requestOptions.onDelta(delta, text, chapterGeneration.progress);
+      }
+    };
+  }
+
+  estimateStreamingProgress(chapterGeneration, text) {
+    const transcriptEndSeconds = chapterGeneration.videoTranscript.getLastTimestampSeconds();
+    if (!transcriptEndSeconds) {
+      return GenerationProgress.inProgress();
+    }
+    const lastChapter = ChapterList.parse(text).last();
+    return GenerationProgress.streaming(lastChapter ? lastChapter.startSeconds : 0, transcriptEndSeconds);
+  }
+
+  needsChunking(chapterGeneration, processedContent) {
+    if (!this.transcriptChunker) {
+      return false;
+    }
+    const prompt = this.promptGenerator.buildChapterPrompt(processedContent, chapterGeneration.customInstructions);
+    return this.transcriptChunker.needsChunking(prompt, this.getProviderKey(chapterGeneration.modelId), chapterGeneration.modelId.toString());
+  }
+
+  async generateChunkedChapters(chapterGeneration, apiKey, tabId, streamOptions = {}) {
+    const modelId = chapterGeneration.modelId;
+    const provider = this.getProviderKey(modelId);
+    const model = modelId.toString();
+    const videoTranscript = chapterGeneration.videoTranscript;
+    const customInstructions = chapterGeneration.customInstructions;
+
+    const promptWithoutContent = this.promptGenerator.buildChapterPrompt(
+      videoTranscript.toProcessedContent(''),
+      this.promptGenerator.buildChunkInstructions({ index: 0 }, 1, '0:00:00', '0:00:00', customInstructions)
+    );
+    const chunks = this.transcriptChunker.split(
+      videoTranscript.content,
+      this.transcriptChunker.getContentBudget(promptWithoutContent, provider, model)
+    );
+
+    const chunkRequestOptions = { ...streamOptions };
+    delete chunkRequestOptions.onDelta;
+    const chapterLists = [];
+    let inputTokens = 0;
+    let outputTokens = 0;
+
+    for (const chunk of chunks) {
+      this.throwIfCancelled(chapterGeneration, streamOptions.signal);
+      chapterGeneration.reportProgress(GenerationProgress.chunk(chunk.index, chunks.length));
+      const chunkContent = videoTranscript.toProcessedContent(chunk.content);
+      const chunkInstructions = this.promptGenerator.buildChunkInstructions(
+        chunk,
+        chunks.length,
+        Chapter.formatTimecode(chunk.startSeconds),
+        Chapter.formatTimecode(chunk.endSeconds),
+        customInstructions
+      );
+      this.promptGenerator.validatePromptLength(this.promptGenerator.buildChapterPrompt(chunkContent, chunkInstructions), provider, model);
+
+      const result = await this.requestChapters(modelId, chunkContent, chunkInstructions, apiKey, tabId, chunkRequestOptions);
+      chapterLists.push(ChapterList.parse(result.chapters));
+      inputTokens += result.inputTokens || 0;
+      outputTokens += result.outputTokens || 0;
+    }
+
+    const mergedList = this.transcriptChunker.merge(chunks, chapterLists);
+    if (mergedList.isEmpty()) {
+      throw new Error('No chapters were generated for any part of the transcript');
+    }
+
+    this.throwIfCancelled(chapterGeneration, streamOptions.signal);
+    chapterGeneration.reportProgress(GenerationProgress.consolidating(chunks.length));
+    const consolidationPrompt = this.promptGenerator.buildConsolidationPrompt(mergedList.toText(), chunks.length, customInstructions);
+    this.promptGenerator.validatePromptLength(consolidationPrompt, provider, model);
+
+    const consolidated = await this.requestChapters(modelId, [{ role: 'user', content: consolidationPrompt }], '', apiKey, tabId, streamOptions);
+    const consolidatedList = ChapterList.parse(consolidated.chapters);
+
+    return {
+      chapters: consolidatedList.isEmpty() ? mergedList.toText() : consolidated.chapters,
+      inputTokens: inputTokens + (consolidated.inputTokens || 0),
+      outputTokens: outputTokens + (consolidated.outputTokens || 0)
+    };
+  }
+
+  async estimateTokens(modelId, processedContent, customInstructions = '') {
+    if (!this.promptGenerator) {
+      throw new Error('Token estimates require a prompt generator');
+    }
+    await this.loadTokenLimits(modelId);
+    const provider = this.getProviderKey(modelId);
+    const model = modelId.toString();
+    const prompt = this.promptGenerator.buildChapterPrompt(processedContent, customInstructions);
+    const inputTokens = this.promptGenerator.estimateTokenCount(prompt);
+    const limits = this.promptGenerator.getTokenLimits(provider, model);
+    return {
+      inputTokens,
+      contextWindow: limits.input,
+      maxOutputTokens: limits.output,
+      exceedsContextWindow: inputTokens > limits.input
+    };
+  }
+
+  async loadTokenLimits(modelId) {
+    const provider = this.providerRegistry.getProvider(modelId.provider);
+    if (!this.promptGenerator || typeof provider.getTokenLimits !== 'function') {
+      return;
     }
+    const limits = await provider.getTokenLimits(modelId.toString());
+    if (limits) {
+      this.promptGenerator.setTokenLimits(this.getProviderKey(modelId), modelId.toString(), limits);
+    }
+  }
+
+  getProviderKey(modelId) {
+    return modelId.provider.toLowerCase();
+  }
+
+  validateChapters(chapterGeneration) {
+    return this.chapterValidator.validate(
+      chapterGeneration.chapterList,
+      chapterGeneration.videoTranscript.getLastTimestampSeconds()
+    );
+  }
+
+  repairChapters(chapterGeneration) {
+    if (!(chapterGeneration instanceof ChapterGeneration)) {
+      throw new Error('chapterGeneration must be a ChapterGeneration instance');
+    }
+
+    if (!chapterGeneration.hasStructuredChapters()) {
+      throw new Error('No chapters available to repair');
+    }
+
+    const transcriptEndSeconds = chapterGeneration.videoTranscript.getLastTimestampSeconds();
+    const repairedList = this.chapterValidator.repair(chapterGeneration.chapterList, transcriptEndSeconds);
+    if (repairedList.isEmpty()) {
+      throw new Error('No chapters left after repair');
+    }
+
+    chapterGeneration.replaceChapterList(
+      repairedList,
+      this.chapterValidator.validate(repairedList, transcriptEndSeconds)
+    );
+    return chapterGeneration;
   }
 
   async canGenerateChapters(modelId, credentials) {
@@ -89,17 +374,17 @@ class ChapterGenerator {
       if (!(modelId instanceof ModelId)) {
         throw new Error('modelId must be a ModelId instance');
       }
-      return credentials.canUseModel(modelId);
+      if (!this.providerRegistry.has(modelId.provider)) {
+        return false;
+      }
+      return credentials.hasKey(modelId.provider) || !this.providerRegistry.requiresApiKey(modelId);
     } catch (error) {
       return false;
     }
   }
 
-  getAvailableModels() {
-    const geminiModels = this.geminiAPI.getAvailableModels();
-    const openRouterModels = this.openRouterAPI.getAvailableModels();
-
-    return [...openRouterModels, ...geminiModels];
+  async getAvailableModels() {
+    return this.providerRegistry.listModels();
   }
 
   async processWithLegacyAPI(processedContent, customInstructions, apiKey, modelId, tabId) {
@@ -110,9 +395,7 @@ class ChapterGenerator {
         throw new Error('modelId must be a ModelId instance');
       }
       const chapterGeneration = new ChapterGeneration(videoTranscript, modelId, customInstructions);
-      const credentials = modelId.isGemini()
-        ? new ApiCredentials(apiKey, '')
-        : new ApiCredentials('', apiKey);
+      const credentials = ApiCredentials.forModel(modelId, apiKey);
 
       const result = await this.generateChapters(chapterGeneration, credentials, tabId);
 
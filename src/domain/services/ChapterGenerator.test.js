@@ -11,26 +11,33 @@ const ChapterGeneration = require('../entities/ChapterGeneration');
 const ApiCredentials = require('../values/ApiCredentials');
 const VideoTranscript = require('../entities/VideoTranscript');
 const ModelId = require('../values/ModelId');
+const Chapter = require('../values/Chapter');
+const PromptGenerator = require('../../background/prompt-generator');
+const ProviderRegistry = require('./ProviderRegistry');
 
 describe('ChapterGenerator', () => {
   let chapterGenerator;
   let mockGeminiAPI;
   let mockOpenRouterAPI;
+  let providerRegistry;
   let videoTranscript;
   let credentials;
 
   beforeEach(() => {
     mockGeminiAPI = {
       processSubtitles: jest.fn(),
-      getAvailableModels: jest.fn()
+      listModels: jest.fn()
     };
 
     mockOpenRouterAPI = {
       processSubtitles: jest.fn(),
-      getAvailableModels: jest.fn()
+      listModels: jest.fn()
     };
 
-    chapterGenerator = new ChapterGenerator(mockGeminiAPI, mockOpenRouterAPI);
+    providerRegistry = ProviderRegistry.createDefault()
+      .setProvider('Gemini', mockGeminiAPI)
+      .setProvider('OpenRouter', mockOpenRouterAPI);
+    chapterGenerator = new ChapterGenerator(providerRegistry);
 
     videoTranscript = new VideoTranscript(
       'Test transcript content',
@@ -43,9 +50,14 @@ describe('ChapterGenerator', () => {
   });
 
   describe('constructor and configuration', () => {
-    test('should store injected API dependencies', () => {
-      expect(chapterGenerator.geminiAPI).toBe(mockGeminiAPI);
-      expect(chapterGenerator.openRouterAPI).toBe(mockOpenRouterAPI);
+    test('should route models to the providers registered for them', () => {
+      expect(chapterGenerator.providerRegistry.getProvider('Gemini')).toBe(mockGeminiAPI);
+      expect(chapterGenerator.providerRegistry.getProvider('OpenRouter')).toBe(mockOpenRouterAPI);
+    });
+
+    test('should reject a missing provider registry', () => {
+      expect(() => new ChapterGenerator(mockGeminiAPI, mockOpenRouterAPI))
+        .toThrow('providerRegistry must be a ProviderRegistry instance');
     });
   });
 
@@ -123,13 +135,29 @@ describe('ChapterGenerator', () => {
         'Focus on technical content',
         'test-gemini-key',
         'gemini-2.5-pro',
-        123
+        123,
+        {}
       );
 
       expect(result.isCompleted()).toBe(true);
       expect(result.chapters).toContain('1. Introduction');
     });
 
+    test('should attach structured chapters parsed from the model output', async () => {
+      const modelId = new ModelId('gemini-2.5-pro', 'Gemini', false);
+      const chapterGeneration = new ChapterGeneration(videoTranscript, modelId);
+
+      mockGeminiAPI.processSubtitles.mockResolvedValue({
+        chapters: '00:00 - Introduction\n03:10 - Technical Overview',
+        finishReason: 'STOP'
+      });
+
+      const result = await chapterGenerator.generateChapters(chapterGeneration, credentials);
+
+      expect(result.hasStructuredChapters()).toBe(true);
+      expect(result.chapterList.getChapters().map(c => c.title)).toEqual(['Introduction', 'Technical Overview']);
+    });
+
     test('should handle Gemini processing without tabId', async () => {
       const modelId = new ModelId('gemini-3-flash-preview', 'Gemini', false);
       const chapterGeneration = new ChapterGeneration(videoTranscript, modelId, 'Generate chapters');
@@ -146,7 +174,8 @@ describe('ChapterGenerator', () => {
         'Generate chapters',
         'test-gemini-key',
         'gemini-3-flash-preview',
-        null
+        null,
+        {}
       );
     });
 
@@ -180,7 +209,8 @@ describe('ChapterGenerator', () => {
         'Analyze content',
         'test-openrouter-key',
         'deepseek/deepseek-r1-0528',
-        456
+        456,
+        {}
       );
 
       expect(result.isCompleted()).toBe(true);
@@ -204,7 +234,8 @@ describe('ChapterGenerator', () => {
         'Test instructions',
         '',
         'deepseek/deepseek-r1-0528:free',
-        null
+        null,
+        {}
       );
 
       expect(result.isCompleted()).toBe(true);
@@ -220,6 +251,30 @@ describe('ChapterGenerator', () => {
     });
   });
 
+  describe('OpenAI-compatible model processing', () => {
+    test('should send self-hosted models to the OpenAI-compatible server without a key', async () => {
+      const mockOpenAICompatibleAPI = {
+        processSubtitles: jest.fn().mockResolvedValue({ chapters: '00:00 - Local chapters', finishReason: 'stop' })
+      };
+      const generator = new ChapterGenerator(providerRegistry.setProvider('OpenAICompatible', mockOpenAICompatibleAPI));
+      const modelId = new ModelId('llama3.1:8b', 'OpenAICompatible');
+      const chapterGeneration = new ChapterGeneration(videoTranscript, modelId, 'Test instructions');
+
+      const result = await generator.generateChapters(chapterGeneration, credentials);
+
+      expect(mockOpenAICompatibleAPI.processSubtitles).toHaveBeenCalledWith(
+        expect.any(String),
+        'Test instructions',
+        '',
+        'llama3.1:8b',
+        null,
+        {}
+      );
+      expect(mockOpenRouterAPI.processSubtitles).not.toHaveBeenCalled();
+      expect(result.isCompleted()).toBe(true);
+    });
+  });
+
   describe('unsupported model handling', () => {
     test('should handle unknown models that return invalid responses', async () => {
       const modelId = new ModelId('unknown/model', 'OpenRouter', false);
@@ -306,6 +361,350 @@ describe('ChapterGenerator', () => {
     });
   });
 
+  describe('chapter validation and repair', () => {
+    const timedTranscript = () => new VideoTranscript(
+      '(0:00) Hello\n(2:00) Topic\n(10:00) Bye',
+      'Test Video',
+      'Test Author',
+      'https://youtube.com/watch?v=test123'
+    );
+
+    test('should record validation issues after generation', async () => {
+      const modelId = new ModelId('gemini-2.5-pro', 'Gemini', false);
+      const chapterGeneration = new ChapterGeneration(timedTranscript(), modelId);
+
+      mockGeminiAPI.processSubtitles.mockResolvedValue({
+        chapters: '00:30 - Intro\n02:00 - Topic\n15:00 - Invented'
+      });
+
+      const result = await chapterGenerator.generateChapters(chapterGeneration, credentials);
+
+      expect(result.hasValidationIssues()).toBe(true);
+      expect(result.validationIssues.map(issue => issue.type)).toEqual(['first_not_at_zero', 'past_transcript_end']);
+    });
+
+    test('should repair chapters and clear fixed issues', async () => {
+      const modelId = new ModelId('gemini-2.5-pro', 'Gemini', false);
+      const chapterGeneration = new ChapterGeneration(timedTranscript(), modelId);
+
+      mockGeminiAPI.processSubtitles.mockResolvedValue({
+        chapters: '00:30 - Intro\n05:00 - Wrap up\n02:00 - Topic\n15:00 - Invented'
+      });
+
+      await chapterGenerator.generateChapters(chapterGeneration, credentials);
+      const repaired = chapterGenerator.repairChapters(chapterGeneration);
+
+      expect(repaired.chapters).toBe('00:00 - Intro\n02:00 - Topic\n05:00 - Wrap up');
+      expect(repaired.validationIssues).toEqual([]);
+    });
+
+    test('should refuse to repair generations without chapters', () => {
+      const modelId = new ModelId('gemini-2.5-pro', 'Gemini', false);
+      const chapterGeneration = new ChapterGeneration(timedTranscript(), modelId);
+
+      expect(() => chapterGenerator.repairChapters(chapterGeneration)).toThrow('No chapters available to repair');
+    });
+  });
+
+  describe('streaming generation', () => {
+    test('should forward deltas with progress based on the covered transcript time', async () => {
+      const modelId = new ModelId('gemini-2.5-pro', 'Gemini', false);
+      const transcript = new VideoTranscript('(0:00) Hello\n(5:00) Middle\n(10:00) End', 'Test Video', 'Test Author');
+      const chapterGeneration = new ChapterGeneration(transcript, modelId);
+      const received = [];
+
+      mockGeminiAPI.processSubtitles.mockImplementation(async (content, instructions, apiKey, model, tabId, requestOptions) => {
+        requestOptions.onDelta('00:00 - Intro\n', '00:00 - Intro\n');
+        requestOptions.onDelta('05:00 - Middle', '00:00 - Intro\n05:00 - Middle');
+        return { chapters: '00:00 - Intro\n05:00 - Middle', inputTokens: 10, outputTokens: 4 };
+      });
+
+      const result = await chapterGenerator.generateChapters(chapterGeneration, credentials, null, {
+        onDelta: (delta, text, progress) => received.push({ text, percent: progress.percent })
+      });
+
+      expect(received).toEqual([
+        { text: '00:00 - Intro\n', percent: 30 },
+        { text: '00:00 - Intro\n05:00 - Middle', percent: 60 }
+      ]);
+      expect(result.isCompleted()).toBe(true);
+      expect(result.progress).toBeNull();
+      expect(result.outputTokens).toBe(4);
+    });
+  });
+
+  describe('retry progress', () => {
+    test('should report retries as a countdown without forwarding onProgress to the provider', async () => {
+      const modelId = new ModelId('gemini-2.5-pro', 'Gemini', false);
+      const chapterGeneration = new ChapterGeneration(videoTranscript, modelId);
+      const reported = [];
+      let providerOptions;
+
+      mockGeminiAPI.processSubtitles.mockImplementation(async (content, instructions, apiKey, model, tabId, requestOptions) => {
+        providerOptions = requestOptions;
+        requestOptions.onRetry({ attempt: 1, maxRetries: 3, delayMs: 12000, reason: 'rate_limit' });
+        return { chapters: '00:00 - Intro', inputTokens: 10, outputTokens: 4 };
+      });
+
+      const before = Date.now();
+      const result = await chapterGenerator.generateChapters(chapterGeneration, credentials, null, {
+        onProgress: progress => reported.push(progress)
+      });
+
+      expect(providerOptions.onProgress).toBeUndefined();
+      expect(reported).toHaveLength(1);
+      expect(reported[0].retryReason).toBe('rate_limit');
+      expect(reported[0].retryAt).toBeGreaterThanOrEqual(before + 12000);
+      expect(reported[0].isWaitingForRetry(before)).toBe(true);
+      expect(result.isCompleted()).toBe(true);
+    });
+  });
+
+  describe('long transcript chunking', () => {
+    let promptGenerator;
+    let chunkingGenerator;
+
+    const longTranscript = () => new VideoTranscript(
+      Array.from({ length: 120 }, (_, index) => `(${Chapter.formatTimecode(index * 30)}) spoken words number ${index}`).join('\n'),
+      'Long Stream',
+      'Test Author',
+      'https://youtube.com/watch?v=test123'
+    );
+
+    const chunkChapters = content => {
+      const timecodes = [...content.matchAll(/^\((\d+:\d{2}(?::\d{2})?)\)/gm)].map(match => match[1]);
+      return [timecodes[0], timecodes[Math.floor(timecodes.length / 2)]]
+        .map(timecode => `${timecode} - Topic at ${timecode}`)
+        .join('\n');
+    };
+
+    beforeEach(() => {
+      promptGenerator = new PromptGenerator();
+      promptGenerator.getTokenLimits = () => ({ input: 800, output: 100 });
+      chunkingGenerator = new ChapterGenerator(providerRegistry, undefined, promptGenerator);
+    });
+
+    test('should chunk by the token limits the provider reports for the model', async () => {
+      const modelId = new ModelId('gemini-2.5-flash-lite', 'Gemini', false);
+      const chapterGeneration = new ChapterGeneration(videoTranscript, modelId);
+      const reportingGenerator = new ChapterGenerator(providerRegistry, undefined, new PromptGenerator());
+      mockGeminiAPI.getTokenLimits = jest.fn().mockResolvedValue({ input: 800, output: 100 });
+      mockGeminiAPI.processSubtitles.mockResolvedValue({ chapters: '00:00 - Intro' });
+
+      await reportingGenerator.generateChapters(chapterGeneration, credentials);
+
+      expect(mockGeminiAPI.getTokenLimits).toHaveBeenCalledWith('gemini-2.5-flash-lite');
+      expect(reportingGenerator.promptGenerator.getTokenLimits('gemini', 'gemini-2.5-flash-lite')).toEqual({ input: 800, output: 100 });
+    });
+
+    test('should estimate the prompt size against the context window', async () => {
+      const modelId = new ModelId('gemini-2.5-pro', 'Gemini', false);
+
+      const shortEstimate = await chunkingGenerator.estimateTokens(modelId, videoTranscript.toProcessedContent(), 'Short titles');
+      const longEstimate = await chunkingGenerator.estimateTokens(modelId, longTranscript().toProcessedContent());
+
+      expect(shortEstimate).toEqual(expect.objectContaining({ contextWindow: 800, maxOutputTokens: 100, exceedsContextWindow: false }));
+      expect(shortEstimate.inputTokens).toBeGreaterThan(0);
+      expect(longEstimate.exceedsContextWindow).toBe(true);
+      expect(mockGeminiAPI.processSubtitles).not.toHaveBeenCalled();
+    });
+
+    test('should send transcripts that fit the context window in one request', async () => {
+      const modelId = new ModelId('gemini-2.5-pro', 'Gemini', false);
+      const chapterGeneration = new ChapterGeneration(videoTranscript, modelId);
+      mockGeminiAPI.processSubtitles.mockResolvedValue({ chapters: '00:00 - Intro' });
+
+      await chunkingGenerator.generateChapters(chapterGeneration, credentials);
+
+      expect(mockGeminiAPI.processSubtitles).toHaveBeenCalledTimes(1);
+    });
+
+    test('should generate chapters per window and consolidate them', async () => {
+      const modelId = new ModelId('gemini-2.5-pro', 'Gemini', false);
+      const chapterGeneration = new ChapterGeneration(longTranscript(), modelId, 'Short titles');
+      const progressReports = [];
+      const reportProgress = chapterGeneration.reportProgress.bind(chapterGeneration);
+      chapterGeneration.reportProgress = progress => {
+        progressReports.push(progress);
+        reportProgress(progress);
+      };
+
+      mockGeminiAPI.processSubtitles.mockImplementation(async content => {
+        if (Array.isArray(content)) {
+          return { chapters: '00:00 - Start\n30:00 - Middle', inputTokens: 5, outputTokens: 2 };
+        }
+        return { chapters: chunkChapters(content), inputTokens: 10, outputTokens: 1 };
+      });
+
+      const result = await chunkingGenerator.generateChapters(chapterGeneration, credentials);
+
+      const calls = mockGeminiAPI.processSubtitles.mock.calls;
+      const chunkCalls = calls.filter(call => !Array.isArray(call[0]));
+      expect(chunkCalls.length).toBeGreaterThan(1);
+      expect(chunkCalls[0][1]).toContain(`part 1 of ${chunkCalls.length}`);
+      expect(chunkCalls[0][1]).toContain('Short titles');
+
+      const consolidationCall = calls[calls.length - 1];
+      expect(Array.isArray(consolidationCall[0])).toBe(true);
+      expect(consolidationCall[0][0].content).toContain('00:00 - Topic at 00:00');
+
+      expect(result.isCompleted()).toBe(true);
+      expect(result.chapters).toBe('00:00 - Start\n30:00 - Middle');
+      expect(result.inputTokens).toBe(chunkCalls.length * 10 + 5);
+      expect(result.outputTokens).toBe(chunkCalls.length + 2);
+      expect(result.progress).toBeNull();
+      expect(progressReports.map(progress => progress.completedChunks))
+        .toEqual([...chunkCalls.map((_, index) => index), chunkCalls.length]);
+      expect(progressReports[progressReports.length - 1].isConsolidating()).toBe(true);
+    });
+
+    test('should fall back to the merged chapters when consolidation returns no chapters', async () => {
+      const modelId = new ModelId('gemini-2.5-pro', 'Gemini', false);
+      const chapterGeneration = new ChapterGeneration(longTranscript(), modelId);
+
+      mockGeminiAPI.processSubtitles.mockImplementation(async content => {
+        if (Array.isArray(content)) {
+          return { chapters: 'Sorry, I cannot help with that.' };
+        }
+        return { chapters: chunkChapters(content) };
+      });
+
+      const result = await chunkingGenerator.generateChapters(chapterGeneration, credentials);
+
+      expect(result.chapters.split('\n')[0]).toBe('00:00 - Topic at 00:00');
+      expect(result.chapterList.size()).toBeGreaterThan(2);
+    });
+
+    test('should fail when no window produced chapters', async () => {
+      const modelId = new ModelId('gemini-2.5-pro', 'Gemini', false);
+      const chapterGeneration = new ChapterGeneration(longTranscript(), modelId);
+      mockGeminiAPI.processSubtitles.mockResolvedValue({ chapters: 'No chapters here' });
+
+      await expect(chunkingGenerator.generateChapters(chapterGeneration, credentials))
+        .rejects.toThrow('No chapters were generated for any part of the transcript');
+      expect(chapterGeneration.isFailed()).toBe(true);
+    });
+
+    test('should not request further windows once cancelled', async () => {
+      const modelId = new ModelId('gemini-2.5-pro', 'Gemini', false);
+      const chapterGeneration = new ChapterGeneration(longTranscript(), modelId);
+      const controller = new AbortController();
+
+      mockGeminiAPI.processSubtitles.mockImplementation(async content => {
+        controller.abort();
+        return { chapters: chunkChapters(content) };
+      });
+
+      await expect(chunkingGenerator.generateChapters(chapterGeneration, credentials, null, { signal: controller.signal }))
+        .rejects.toThrow('Chapter generation was cancelled');
+      expect(mockGeminiAPI.processSubtitles).toHaveBeenCalledTimes(1);
+      expect(chapterGeneration.isCancelled()).toBe(true);
+    });
+  });
+
+  describe('model fallback', () => {
+    const freeModel = new ModelId('deepseek/deepseek-r1-0528:free', 'OpenRouter', { prompt: '0', completion: '0' });
+    const geminiModel = new ModelId('gemini-2.5-flash', 'Gemini');
+    const categorizedError = (message, category) => Object.assign(new Error(message), { category });
+
+    test('should retry with the next fallback model when the model is rate limited', async () => {
+      const chapterGeneration = new ChapterGeneration(videoTranscript, freeModel);
+      mockOpenRouterAPI.processSubtitles.mockRejectedValue(categorizedError('Rate limit exceeded. Please try again later.', 'rate_limit'));
+      mockGeminiAPI.processSubtitles.mockResolvedValue({ chapters: '00:00 - Intro', inputTokens: 10, outputTokens: 5 });
+
+      const result = await chapterGenerator.generateChapters(chapterGeneration, credentials, null, { fallbackModelIds: [geminiModel] });
+
+      expect(mockGeminiAPI.processSubtitles).toHaveBeenCalledWith(
+        videoTranscript.toProcessedContent(), '', 'test-gemini-key', 'gemini-2.5-flash', null, {}
+      );
+      expect(result.isCompleted()).toBe(true);
+      expect(result.modelId).toBe(geminiModel);
+      expect(result.getRequestedModelId()).toEqual(freeModel);
+      expect(result.fallbackAttempts[0].error).toBe('Rate limit exceeded. Please try again later.');
+    });
+
+    test('should not fall back on errors another model would not fix', async () => {
+      const chapterGeneration = new ChapterGeneration(videoTranscript, freeModel);
+      mockOpenRouterAPI.processSubtitles.mockRejectedValue(new Error('Invalid API key. Please check your OpenRouter API key.'));
+
+      await expect(chapterGenerator.generateChapters(chapterGeneration, credentials, null, { fallbackModelIds: [geminiModel] }))
+        .rejects.toThrow('Invalid API key');
+
+      expect(mockGeminiAPI.processSubtitles).not.toHaveBeenCalled();
+      expect(chapterGeneration.isFailed()).toBe(true);
+    });
+
+    test('should skip fallback models without an API key and the requested model itself', async () => {
+      const chapterGeneration = new ChapterGeneration(videoTranscript, freeModel);
+      const otherFreeModel = new ModelId('meta-llama/llama-3.3-70b-instruct:free', 'OpenRouter', { prompt: '0', completion: '0' });
+      mockOpenRouterAPI.processSubtitles
+        .mockRejectedValueOnce(categorizedError('Free model access denied. The model may be temporarily unavailable.', 'model_unavailable'))
+        .mockResolvedValueOnce({ chapters: '00:00 - Intro' });
+
+      const result = await chapterGenerator.generateChapters(
+        chapterGeneration,
+        ApiCredentials.fromKeys({}),
+        null,
+        { fallbackModelIds: [freeModel, geminiModel, otherFreeModel] }
+      );
+
+      expect(mockGeminiAPI.processSubtitles).not.toHaveBeenCalled();
+      expect(mockOpenRouterAPI.processSubtitles).toHaveBeenCalledTimes(2);
+      expect(result.modelId).toBe(otherFreeModel);
+    });
+
+    test('should fail with the last error once every fallback model failed', async () => {
+      const chapterGeneration = new ChapterGeneration(videoTranscript, freeModel);
+      mockOpenRouterAPI.processSubtitles.mockRejectedValue(categorizedError('AI processing failed: Network error: Server error: 503 Service Unavailable', 'server_error'));
+      mockGeminiAPI.processSubtitles.mockRejectedValue(categorizedError('Request error: The input token count (2000000) exceeds the maximum number of tokens allowed (1048576).', 'content_too_long'));
+
+      await expect(chapterGenerator.generateChapters(chapterGeneration, credentials, null, { fallbackModelIds: [geminiModel] }))
+        .rejects.toThrow('exceeds the maximum number of tokens');
+
+      expect(chapterGeneration.isFailed()).toBe(true);
+      expect(chapterGeneration.fallbackAttempts).toHaveLength(1);
+    });
+
+    test('should rotate to the next key profile before falling back to another model', async () => {
+      const chapterGeneration = new ChapterGeneration(videoTranscript, freeModel);
+      const workCredentials = credentials.withProfile({ providerId: 'OpenRouter', name: 'Work', apiKey: 'work-key' });
+      const backupProfile = new CredentialProfile({ id: 'backup', name: 'Backup', providerId: 'OpenRouter', apiKey: 'backup-key', rotationGroup: 'team' });
+      mockOpenRouterAPI.processSubtitles
+        .mockRejectedValueOnce(categorizedError('Rate limit exceeded. Please try again later.', 'rate_limit'))
+        .mockResolvedValueOnce({ chapters: '00:00 - Intro' });
+
+      const result = await chapterGenerator.generateChapters(chapterGeneration, workCredentials, null, {
+        fallbackModelIds: [geminiModel],
+        rotationProfiles: [backupProfile]
+      });
+
+      expect(mockOpenRouterAPI.processSubtitles.mock.calls.map(call => call[2])).toEqual(['work-key', 'backup-key']);
+      expect(mockGeminiAPI.processSubtitles).not.toHaveBeenCalled();
+      expect(result.modelId).toBe(freeModel);
+      expect(result.hasFallenBack()).toBe(false);
+      expect(result.credentialProfile).toBe('Backup');
+    });
+
+    test('should remember the key profile that produced the chapters', async () => {
+      const chapterGeneration = new ChapterGeneration(videoTranscript, freeModel);
+      const workCredentials = credentials.withProfile({ providerId: 'OpenRouter', name: 'Work', apiKey: 'work-key' });
+      mockOpenRouterAPI.processSubtitles.mockResolvedValue({ chapters: '00:00 - Intro' });
+
+      const result = await chapterGenerator.generateChapters(chapterGeneration, workCredentials);
+
+      expect(result.credentialProfile).toBe('Work');
+      expect(ChapterGeneration.fromSessionResults(result.toSessionResults()).credentialProfile).toBe('Work');
+    });
+
+    test('should fall back only for the error categories another model can fix', () => {
+      ['rate_limit', 'model_unavailable', 'server_error', 'content_too_long'].forEach(category => {
+        expect(chapterGenerator.getFallbackReason(categorizedError('Failed', category))).toBe(category);
+      });
+      expect(chapterGenerator.getFallbackReason(new Error('Rate limit exceeded. Please try again later.'))).toBeNull();
+      expect(chapterGenerator.getFallbackReason(categorizedError('Request error: Bad request', undefined))).toBeNull();
+    });
+  });
+
   describe('error handling and state management', () => {
     test('should mark generation as failed on API error', async () => {
       const modelId = new ModelId('gemini-2.5-pro', 'Gemini', false);
@@ -335,6 +734,52 @@ describe('ChapterGenerator', () => {
     });
   });
 
+  describe('cancellation', () => {
+    test('should mark generation as cancelled when the request is aborted', async () => {
+      const modelId = new ModelId('gemini-2.5-pro', 'Gemini', false);
+      const chapterGeneration = new ChapterGeneration(videoTranscript, modelId);
+      const controller = new AbortController();
+
+      mockGeminiAPI.processSubtitles.mockImplementation(async (content, instructions, apiKey, model, tabId, requestOptions) => {
+        expect(requestOptions.signal).toBe(controller.signal);
+        controller.abort();
+        throw new Error('AI processing failed: Network error: Request cancelled');
+      });
+
+      await expect(chapterGenerator.generateChapters(chapterGeneration, credentials, null, { signal: controller.signal }))
+        .rejects.toMatchObject({ message: 'Chapter generation was cancelled', isCancelled: true });
+
+      expect(chapterGeneration.isCancelled()).toBe(true);
+      expect(chapterGeneration.error).toBeNull();
+    });
+
+    test('should discard a response that arrives after cancellation', async () => {
+      const modelId = new ModelId('gemini-2.5-pro', 'Gemini', false);
+      const chapterGeneration = new ChapterGeneration(videoTranscript, modelId);
+
+      mockGeminiAPI.processSubtitles.mockImplementation(async () => {
+        chapterGeneration.markCancelled();
+        return { chapters: '00:00 - Intro' };
+      });
+
+      await expect(chapterGenerator.generateChapters(chapterGeneration, credentials))
+        .rejects.toThrow('Chapter generation was cancelled');
+
+      expect(chapterGeneration.isCancelled()).toBe(true);
+      expect(chapterGeneration.chapters).toBeNull();
+    });
+
+    test('should reject generations that were already cancelled', async () => {
+      const modelId = new ModelId('gemini-2.5-pro', 'Gemini', false);
+      const chapterGeneration = new ChapterGeneration(videoTranscript, modelId);
+      chapterGeneration.markCancelled();
+
+      await expect(chapterGenerator.generateChapters(chapterGeneration, credentials))
+        .rejects.toThrow('Chapter generation has been cancelled');
+      expect(mockGeminiAPI.processSubtitles).not.toHaveBeenCalled();
+    });
+  });
+
   describe('model capability checking', () => {
     test('should check if generation is possible with valid model and credentials', async () => {
       const geminiModel = new ModelId('gemini-2.5-pro', 'Gemini', false);
@@ -357,7 +802,7 @@ describe('ChapterGenerator', () => {
   });
 
   describe('available models aggregation', () => {
-    test('should combine models from both APIs', () => {
+    test('should combine models from all registered providers', async () => {
       const geminiModels = [
         { id: 'gemini-2.5-pro', displayName: 'Gemini 2.5 Pro' }
       ];
@@ -366,21 +811,19 @@ describe('ChapterGenerator', () => {
         { id: 'deepseek/deepseek-r1-0528', displayName: 'DeepSeek R1' }
       ];
 
-      mockGeminiAPI.getAvailableModels.mockReturnValue(geminiModels);
-      mockOpenRouterAPI.getAvailableModels.mockReturnValue(openRouterModels);
+      mockGeminiAPI.listModels.mockResolvedValue(geminiModels);
+      mockOpenRouterAPI.listModels.mockResolvedValue(openRouterModels);
 
-      const allModels = chapterGenerator.getAvailableModels();
+      const allModels = await chapterGenerator.getAvailableModels();
 
-      expect(allModels).toHaveLength(2);
-      expect(allModels).toContain(geminiModels[0]);
-      expect(allModels).toContain(openRouterModels[0]);
+      expect(allModels).toEqual([openRouterModels[0], geminiModels[0]]);
     });
 
-    test('should handle empty model lists', () => {
-      mockGeminiAPI.getAvailableModels.mockReturnValue([]);
-      mockOpenRouterAPI.getAvailableModels.mockReturnValue([]);
+    test('should handle empty model lists', async () => {
+      mockGeminiAPI.listModels.mockResolvedValue([]);
+      mockOpenRouterAPI.listModels.mockResolvedValue([]);
 
-      const allModels = chapterGenerator.getAvailableModels();
+      const allModels = await chapterGenerator.getAvailableModels();
       expect(allModels).toHaveLength(0);
     });
   });
@@ -408,7 +851,8 @@ describe('ChapterGenerator', () => {
         'Legacy instructions',
         'legacy-gemini-key',
         'gemini-2.5-pro',
-        789
+        789,
+        {}
       );
     });
 
@@ -434,7 +878,8 @@ describe('ChapterGenerator', () => {
         'Legacy instructions',
         'legacy-openrouter-key',
         'deepseek/deepseek-r1-0528',
-        789
+        789,
+        {}
       );
     });
 
@@ -473,7 +918,8 @@ describe('ChapterGenerator', () => {
         '',
         expect.any(String),
         expect.any(String),
-        null
+        null,
+        {}
       );
       expect(result.isCompleted()).toBe(true);
     });
@@ -498,7 +944,8 @@ describe('ChapterGenerator', () => {
         'Summarize this large content',
         expect.any(String),
         'gemini-2.5-pro',
-        null
+        null,
+        {}
       );
     });
   });
@@ -0,0 +1,129 @@
+/**
+ * ChapterValidator Domain Service
+ * Checks chapter lists against YouTube chapter rules and repairs violations
+ *
+ * Copyright (C) 2025 Dimitry Polivaev
+ * Licensed under GPL3 or later
+ */
+
+// Load ChapterList for Node.js environment (tests), skip if already loaded in browser
+if (typeof ChapterList === 'undefined' && typeof require !== 'undefined') {
+  const ChapterList = require('../values/ChapterList');
+}
+
+class ChapterValidator {
+  constructor() {
+    this.MIN_CHAPTER_COUNT = 3;
+    this.MIN_CHAPTER_SECONDS = 10;
+    this.ISSUE_TYPES = {
+      FIRST_NOT_AT_ZERO: 'first_not_at_zero',
+      TOO_FEW_CHAPTERS: 'too_few_chapters',
+      OUT_OF_ORDER: 'out_of_order',
+      TOO_SHORT: 'too_short',
+      PAST_TRANSCRIPT_END: 'past_transcript_end'
+    };
+  }
+
+  validate(chapterList, transcriptEndSeconds = null) {
+    this.validateChapterList(chapterList);
+
+    const chapters = chapterList.getChapters();
+    if (chapters.length === 0) {
+      return [];
+    }
+
+    const types = this.ISSUE_TYPES;
+    const issues = [];
+
+    if (chapters[0].startSeconds !== 0) {
+      issues.push(this.createIssue(types.FIRST_NOT_AT_ZERO, chapters[0], 0));
+    }
+
+    if (chapters.length < this.MIN_CHAPTER_COUNT) {
+      issues.push(this.createIssue(types.TOO_FEW_CHAPTERS));
+    }
+
+    chapters.forEach((chapter, index) => {
+      const next = chapters[index + 1];
+
+      if (next && next.startSeconds < chapter.startSeconds) {
+        issues.push(this.createIssue(types.OUT_OF_ORDER, next, index + 1));
+      }
+
+      if (this.isPastTranscriptEnd(chapter, transcriptEndSeconds)) {
+        issues.push(this.createIssue(types.PAST_TRANSCRIPT_END, chapter, index));
+      } else if (next && this.isTooShort(chapter, next)) {
+        issues.push(this.createIssue(types.TOO_SHORT, chapter, index));
+      }
+    });
+
+    return issues;
+  }
+
+  repair(chapterList, transcriptEndSeconds = null) {
+    this.validateChapterList(chapterList);
+
+    const sorted = chapterList.getChapters()
+      .filter(chapter => !this.isPastTranscriptEnd(chapter, transcriptEndSeconds))
+      .map((chapter, index) => ({ chapter, index }))
+      .sort((a, b) => (a.chapter.startSeconds - b.chapter.startSeconds) || (a.index - b.index))
+      .map(entry => entry.chapter);
+
+    if (sorted.length === 0) {
+      return new ChapterList();
+    }
+
+    if (sorted[0].startSeconds !== 0) {
+      sorted[0] = sorted[0].withStartSeconds(0);
+    }
+
+    const merged = [];
+    sorted.forEach(chapter => {
+      const previous = merged[merged.length - 1];
+      if (previous && this.isTooShort(previous, chapter)) {
+        merged[merged.length - 1] = this.mergeInto(previous, chapter);
+      } else {
+        merged.push(chapter);
+      }
+    });
+
+    return new ChapterList(merged);
+  }
+
+  isRepairable(issues) {
+    return Array.isArray(issues) &&
+      issues.some(issue => issue.type !== this.ISSUE_TYPES.TOO_FEW_CHAPTERS);
+  }
+
+  isPastTranscriptEnd(chapter, transcriptEndSeconds) {
+    return Number.isFinite(transcriptEndSeconds) && chapter.startSeconds > transcriptEndSeconds;
+  }
+
+  isTooShort(chapter, next) {
+    return next.startSeconds >= chapter.startSeconds &&
+      next.startSeconds - chapter.startSeconds < this.MIN_CHAPTER_SECONDS;
+  }
+
+  mergeInto(target, absorbed) {
+    return target.withDescriptionLines([...target.descriptionLines, ...absorbed.descriptionLines]);
+  }
+
+  createIssue(type, chapter = null, chapterIndex = null) {
+    return {
+      type,
+      chapterIndex,
+      timecode: chapter ? chapter.timecode : null,
+      title: chapter ? chapter.title : null
+    };
+  }
+
+  validateChapterList(chapterList) {
+    if (!(chapterList instanceof ChapterList)) {
+      throw new Error('chapterList must be a ChapterList instance');
+    }
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ChapterValidator;
+}
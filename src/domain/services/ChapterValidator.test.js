@@ -0,0 +1,123 @@
+/**
+ * ChapterValidator Service Tests
+ * Tests YouTube chapter rule checks and deterministic repairs
+ *
+ * Copyright (C) 2025 Dimitry Polivaev
+ * Licensed under GPL3 or later
+ */
+
+const ChapterValidator = require('./ChapterValidator');
+const ChapterList = require('../values/ChapterList');
+
+describe('ChapterValidator', () => {
+  let validator;
+
+  beforeEach(() => {
+    validator = new ChapterValidator();
+  });
+
+  const issueTypes = issues => issues.map(issue => issue.type);
+
+  describe('validate', () => {
+    test('should accept chapters that follow YouTube rules', () => {
+      const list = ChapterList.parse('00:00 - Intro\n01:00 - Main\n05:00 - Outro');
+      expect(validator.validate(list, 400)).toEqual([]);
+    });
+
+    test('should not report anything for output without chapters', () => {
+      expect(validator.validate(new ChapterList())).toEqual([]);
+    });
+
+    test('should report first chapter not at 00:00', () => {
+      const issues = validator.validate(ChapterList.parse('00:15 - Intro\n01:00 - Main\n05:00 - Outro'));
+
+      expect(issueTypes(issues)).toEqual(['first_not_at_zero']);
+      expect(issues[0]).toEqual({ type: 'first_not_at_zero', chapterIndex: 0, timecode: '00:15', title: 'Intro' });
+    });
+
+    test('should report too few chapters', () => {
+      const issues = validator.validate(ChapterList.parse('00:00 - Intro\n01:00 - Main'));
+      expect(issues).toEqual([{ type: 'too_few_chapters', chapterIndex: null, timecode: null, title: null }]);
+    });
+
+    test('should report out of order chapters', () => {
+      const issues = validator.validate(ChapterList.parse('00:00 - Intro\n05:00 - Outro\n01:00 - Main'));
+
+      expect(issueTypes(issues)).toEqual(['out_of_order']);
+      expect(issues[0].chapterIndex).toBe(2);
+      expect(issues[0].title).toBe('Main');
+    });
+
+    test('should report chapters shorter than 10 seconds', () => {
+      const issues = validator.validate(ChapterList.parse('00:00 - Intro\n00:05 - Teaser\n01:00 - Main'));
+
+      expect(issueTypes(issues)).toEqual(['too_short']);
+      expect(issues[0].chapterIndex).toBe(0);
+    });
+
+    test('should report chapters starting after the last transcript timestamp', () => {
+      const issues = validator.validate(ChapterList.parse('00:00 - Intro\n01:00 - Main\n12:00 - Invented'), 600);
+
+      expect(issueTypes(issues)).toEqual(['past_transcript_end']);
+      expect(issues[0].timecode).toBe('12:00');
+    });
+
+    test('should skip transcript end check when transcript has no timestamps', () => {
+      const list = ChapterList.parse('00:00 - Intro\n01:00 - Main\n12:00 - Outro');
+      expect(validator.validate(list, null)).toEqual([]);
+    });
+  });
+
+  describe('repair', () => {
+    test('should sort chapters and move the first one to 00:00', () => {
+      const repaired = validator.repair(ChapterList.parse('05:00 - Outro\n00:20 - Intro\n01:00 - Main'));
+      expect(repaired.toText()).toBe('00:00 - Intro\n01:00 - Main\n05:00 - Outro');
+    });
+
+    test('should merge short chapters into the preceding chapter', () => {
+      const repaired = validator.repair(ChapterList.parse([
+        '00:00 - Intro',
+        'Welcome',
+        '00:04 - Teaser',
+        'Sneak peek',
+        '00:08 - Sponsor',
+        '01:00 - Main',
+        '05:00 - Outro'
+      ].join('\n')));
+
+      expect(repaired.getChapters().map(c => c.title)).toEqual(['Intro', 'Main', 'Outro']);
+      expect(repaired.first().descriptionLines).toEqual(['Welcome', 'Sneak peek']);
+    });
+
+    test('should drop chapters after the transcript end', () => {
+      const repaired = validator.repair(ChapterList.parse('00:00 - Intro\n01:00 - Main\n02:00 - Recap\n30:00 - Invented'), 600);
+      expect(repaired.getChapters().map(c => c.timecode)).toEqual(['00:00', '01:00', '02:00']);
+    });
+
+    test('should produce a list without repairable issues', () => {
+      const broken = ChapterList.parse('00:30 - Intro\n03:00 - Part B\n00:35 - Part A\n09:00 - Ghost\n05:00 - End');
+      const repaired = validator.repair(broken, 400);
+
+      expect(validator.isRepairable(validator.validate(repaired, 400))).toBe(false);
+    });
+
+    test('should keep the repair deterministic', () => {
+      const text = '00:00 - A\n00:04 - B\n01:00 - C\n00:50 - D';
+      expect(validator.repair(ChapterList.parse(text)).toText())
+        .toBe(validator.repair(ChapterList.parse(text)).toText());
+      expect(validator.repair(ChapterList.parse(text)).toText()).toBe('00:00 - A\n00:50 - D\n01:00 - C');
+    });
+
+    test('should reject values that are not chapter lists', () => {
+      expect(() => validator.repair('00:00 - Intro')).toThrow('chapterList must be a ChapterList instance');
+    });
+  });
+
+  describe('isRepairable', () => {
+    test('should not offer a repair for too few chapters only', () => {
+      expect(validator.isRepairable([{ type: 'too_few_chapters' }])).toBe(false);
+      expect(validator.isRepairable([{ type: 'too_few_chapters' }, { type: 'too_short' }])).toBe(true);
+      expect(validator.isRepairable(undefined)).toBe(false);
+    });
+  });
+});
@@ -6,11 +6,19 @@
  * Licensed under GPL3 or later
  */
 
+// Load ProviderDefinition for Node.js environment (tests), skip if already loaded in browser
+if (typeof ProviderDefinition === 'undefined' && typeof require !== 'undefined') {
+  const ProviderDefinition = require('../values/ProviderDefinition');
+}
+
 class GeminiChapterGenerator {
-  constructor(networkCommunicator, promptGenerator) {
+  constructor(networkCommunicator, promptGenerator, modelCatalog = null) {
     this.networkCommunicator = networkCommunicator;
     this.promptGenerator = promptGenerator;
+    this.modelCatalog = modelCatalog;
     this.baseUrl = 'https://generativelanguage.googleapis.com/v1beta';
+    this.MODELS_PAGE_SIZE = 1000;
+    // Offered until the models available for the user's key have been discovered
     this.availableModels = [
       {
         id: 'gemini-2.5-pro',
@@ -22,7 +30,7 @@ class GeminiChapterGenerator {
       },
       {
         id: 'gemini-3-flash-preview',
-        displayName: 'Gemini 2.5 Flash',
+        displayName: 'Gemini 3 Flash Preview',
         description: 'Faster model optimized for speed while maintaining quality',
         isFree: false,
         category: 'fast',
@@ -31,26 +39,131 @@ class GeminiChapterGenerator {
     ];
   }
 
+  static createProviderDefinition() {
+    return new ProviderDefinition({
+      id: 'Gemini',
+      displayName: 'Gemini',
+      credential: {
+        settingsKey: 'apiKey',
+        required: true,
+        keyPattern: '^[A-Za-z0-9_-]{11,}$',
+        keyUrl: 'https://aistudio.google.com/app/apikey',
+        keyUrlLabelKey: 'get_gemini_api_key',
+        labelKey: 'gemini_api_key_label',
+        placeholderKey: 'gemini_api_key_placeholder',
+        requiredMessageKey: 'gemini_api_key_required',
+        clearedMessageKey: 'api_key_cleared_gemini'
+      }
+    });
+  }
+
   validateApiKey(apiKey) {
-    if (!apiKey || typeof apiKey !== 'string') {
-      return false;
-    }
-    const apiKeyPattern = /^[A-Za-z0-9_-]+$/;
-    return apiKeyPattern.test(apiKey) && apiKey.length > 10;
+    return GeminiChapterGenerator.createProviderDefinition().isValidApiKey(apiKey);
   }
 
-  validateModel(model) {
-    return this.availableModels.some(m => m.id === model);
+  allowModelWhenApiUnavailable(model) {
+    console.warn('GeminiChapterGenerator: Could not validate model, allowing:', model);
+    return true;
+  }
+
+  async validateModel(model) {
+    if (!model || typeof model !== 'string') {
+      return false;
+    }
+    if (this.availableModels.some(m => m.id === model)) {
+      return true;
+    }
+    if (!this.modelCatalog) {
+      return false;
+    }
+    try {
+      const models = await this.modelCatalog.getModels('Gemini');
+      return models.some(m => m.id === model);
+    } catch (error) {
+      return this.allowModelWhenApiUnavailable(model);
+    }
   }
 
   getAvailableModels() {
     return [...this.availableModels];
   }
 
+  async getLiveModels() {
+    if (this.modelCatalog) {
+      return this.modelCatalog.getModels('Gemini');
+    }
+    return this.getAvailableModels();
+  }
+
+  async getTokenLimits(model) {
+    const models = await this.getLiveModels();
+    const modelInfo = models.find(m => m.id === model);
+    if (!modelInfo || !modelInfo.inputTokenLimit || !modelInfo.outputTokenLimit) {
+      return null;
+    }
+    return {
+      input: modelInfo.inputTokenLimit,
+      output: modelInfo.outputTokenLimit
+    };
+  }
+
+  buildModelsUrl(apiKey, pageToken = null) {
+    const pageParameter = pageToken ? `&pageToken=${encodeURIComponent(pageToken)}` : '';
+    return `${this.baseUrl}/models?pageSize=${this.MODELS_PAGE_SIZE}${pageParameter}&key=${apiKey}`;
+  }
+
+  supportsChapterGeneration(apiModel) {
+    return Array.isArray(apiModel.supportedGenerationMethods) &&
+      apiModel.supportedGenerationMethods.includes('generateContent');
+  }
+
+  toModelInfo(apiModel) {
+    const id = apiModel.name.replace(/^models\//, '');
+    return {
+      id,
+      displayName: apiModel.displayName || id,
+      description: apiModel.description || '',
+      inputTokenLimit: apiModel.inputTokenLimit || null,
+      outputTokenLimit: apiModel.outputTokenLimit || null
+    };
+  }
+
+  async fetchLiveModels(apiKey) {
+    if (!this.validateApiKey(apiKey)) {
+      throw new Error('API key is required');
+    }
+
+    const models = [];
+    let pageToken = null;
+    try {
+      do {
+        const responseData = await this.networkCommunicator.get(this.buildModelsUrl(apiKey, pageToken), this.buildHttpHeaders());
+        (responseData.models || [])
+          .filter(apiModel => apiModel.name && this.supportsChapterGeneration(apiModel))
+          .forEach(apiModel => models.push(this.toModelInfo(apiModel)));
+        pageToken = responseData.nextPageToken || null;
+      } while (pageToken);
+    } catch (error) {
+      if (error.isHttpError) {
+        throw this.categorizeHttpError(error.status, error.responseData);
+      }
+      throw error;
+    }
+
+    if (models.length === 0) {
+      throw new Error('Gemini API returned no models');
+    }
+    return models;
+  }
+
   buildRequestUrl(model, apiKey) {
     return `${this.baseUrl}/models/${model}:generateContent?key=${apiKey}`;
   }
 
+  buildStreamRequestUrl(model, apiKey) {
+    return `${this.baseUrl}/models/${model}:streamGenerateContent?alt=sse&key=${apiKey}`;
+  }
+
   buildRequestBody(prompt) {
     return {
       contents: [
@@ -135,18 +248,30 @@ class GeminiChapterGenerator {
     };
   }
 
-  categorizeHttpError(status, errorData) {
-    if (status === 401) {
+  categorizeHttpError(status, errorData, model = null) {
+    if (status === 404 && model) {
+      return Object.assign(new Error(`Model not found: ${model}. It may have been retired, please choose another Gemini model.`), { category: 'model_unavailable' });
+    } else if (status === 401) {
       return new Error('Invalid API key. Please check your Gemini API key.');
     } else if (status === 403) {
       return new Error('API access forbidden. Please check your API key permissions.');
     } else if (status === 429) {
-      return new Error('Rate limit exceeded. Please try again later.');
+      return Object.assign(new Error('Rate limit exceeded. Please try again later.'), { category: 'rate_limit' });
     } else if (status === 400) {
       const errorMessage = errorData.error?.message || 'Bad request';
-      return new Error(`Request error: ${errorMessage}`);
+      const error = new Error(`Request error: ${errorMessage}`);
+      if (/exceeds the maximum number of tokens/i.test(errorMessage)) {
+        error.category = 'content_too_long';
+      }
+      return error;
     } else {
-      return new Error(`API request failed: ${status}`);
+      const error = new Error(`API request failed: ${status}`);
+      if (status === 413) {
+        error.category = 'content_too_long';
+      } else if (status >= 500) {
+        error.category = 'server_error';
+      }
+      return error;
     }
   }
 
@@ -197,21 +322,80 @@ class GeminiChapterGenerator {
     return result;
   }
 
-  async processSubtitles(processedContent, customInstructions, apiKey, model = 'gemini-2.5-pro') {
+  createStreamAccumulator(onDelta) {
+    const accumulator = {
+      text: '',
+      finishReason: null,
+      model: null,
+      usageMetadata: null,
+      onEvent: event => {
+        if (event.error) {
+          throw new Error(`Stream error: ${event.error.message || 'Unknown error'}`);
+        }
+        accumulator.model = event.modelVersion || accumulator.model;
+        accumulator.usageMetadata = event.usageMetadata || accumulator.usageMetadata;
+
+        const candidate = event.candidates && event.candidates[0];
+        if (!candidate) {
+          return;
+        }
+        accumulator.finishReason = candidate.finishReason || accumulator.finishReason;
+
+        const delta = (candidate.content?.parts || [])
+          .filter(part => part.text && !part.thought)
+          .map(part => part.text)
+          .join('');
+        if (delta) {
+          accumulator.text += delta;
+          onDelta(delta, accumulator.text);
+        }
+      }
+    };
+    return accumulator;
+  }
+
+  parseStreamResult(accumulator) {
+    if (accumulator.finishReason === 'SAFETY') {
+      throw new Error('Response was blocked by safety filters');
+    }
+
+    if (accumulator.finishReason === 'RECITATION') {
+      throw new Error('Response was blocked due to recitation concerns');
+    }
+
+    const text = accumulator.text.trim();
+    if (!text) {
+      throw new Error('Empty response from AI');
+    }
+
+    const result = {
+      chapters: text,
+      finishReason: accumulator.finishReason,
+      model: accumulator.model || 'unknown'
+    };
+
+    if (accumulator.usageMetadata) {
+      result.inputTokens = accumulator.usageMetadata.promptTokenCount || 0;
+      result.outputTokens = accumulator.usageMetadata.candidatesTokenCount || 0;
+    }
+
+    return result;
+  }
+
+  async processSubtitles(processedContent, customInstructions, apiKey, model = 'gemini-2.5-pro', requestOptions = {}) {
     // Convert string prompt to conversation format for unified handling
     const prompt = this.promptGenerator.buildPrompt(processedContent, customInstructions);
     const messages = [{ role: 'user', content: prompt }];
-    return this.processConversation(messages, apiKey, model);
+    return this.processConversation(messages, apiKey, model, requestOptions);
   }
 
-  async processConversation(messages, apiKey, model = 'gemini-2.5-pro') {
+  async processConversation(messages, apiKey, model = 'gemini-2.5-pro', requestOptions = {}) {
     if (!this.validateApiKey(apiKey)) {
       throw new Error('API key is required');
     }
 
-    if (!this.validateModel(model)) {
-      const availableIds = this.availableModels.map(m => m.id);
-      throw new Error(`Invalid model: ${model}. Available models: ${availableIds.join(', ')}`);
+    if (!(await this.validateModel(model))) {
+      throw new Error(`Invalid model: ${model}. Please choose another Gemini model.`);
     }
 
     // Handle both array of messages and single string prompt
@@ -223,12 +407,18 @@ class GeminiChapterGenerator {
       conversationMessages = [{ role: 'user', content: messages }];
     }
 
-    const url = this.buildRequestUrl(model, apiKey);
     const headers = this.buildHttpHeaders();
     const body = this.buildConversationBody(conversationMessages);
 
     try {
-      const responseData = await this.networkCommunicator.post(url, headers, body);
+      if (typeof requestOptions.onDelta === 'function') {
+        const accumulator = this.createStreamAccumulator(requestOptions.onDelta);
+        await this.networkCommunicator.postStream(this.buildStreamRequestUrl(model, apiKey), headers, body, accumulator.onEvent, null, requestOptions.signal, requestOptions.onRetry);
+        return this.parseStreamResult(accumulator);
+      }
+
+      const url = this.buildRequestUrl(model, apiKey);
+      const responseData = await this.networkCommunicator.post(url, headers, body, null, requestOptions.signal, requestOptions.onRetry);
       this.validateHttpResponse(responseData);
       const result = this.parseApiResponse(responseData);
 
@@ -241,9 +431,9 @@ class GeminiChapterGenerator {
       return result;
     } catch (error) {
       if (error.isHttpError) {
-        throw this.categorizeHttpError(error.status, error.responseData);
+        throw this.categorizeHttpError(error.status, error.responseData, model);
       }
-      throw new Error(`AI processing failed: ${error.message}`);
+      throw Object.assign(new Error(`AI processing failed: ${error.message}`), { category: error.category });
     }
   }
 }
@@ -15,7 +15,8 @@ describe('GeminiChapterGenerator', () => {
 
   beforeEach(() => {
     mockNetworkCommunicator = {
-      post: jest.fn()
+      post: jest.fn(),
+      get: jest.fn()
     };
 
     mockPromptGenerator = {
@@ -90,12 +91,12 @@ describe('GeminiChapterGenerator', () => {
   });
 
   describe('model validation', () => {
-    test('should accept valid models', () => {
-      expect(geminiGenerator.validateModel('gemini-2.5-pro')).toBe(true);
-      expect(geminiGenerator.validateModel('gemini-3-flash-preview')).toBe(true);
+    test('should accept valid models', async () => {
+      expect(await geminiGenerator.validateModel('gemini-2.5-pro')).toBe(true);
+      expect(await geminiGenerator.validateModel('gemini-3-flash-preview')).toBe(true);
     });
 
-    test('should reject invalid models', () => {
+    test('should reject invalid models', async () => {
       const invalidModels = [
         'gemini-1.5-pro',
         'gpt-4',
@@ -106,9 +107,103 @@ describe('GeminiChapterGenerator', () => {
         123
       ];
 
-      invalidModels.forEach(model => {
-        expect(geminiGenerator.validateModel(model)).toBe(false);
+      for (const model of invalidModels) {
+        expect(await geminiGenerator.validateModel(model)).toBe(false);
+      }
+    });
+
+    test('should accept models discovered for the user key', async () => {
+      const modelCatalog = { getModels: jest.fn().mockResolvedValue([{ id: 'gemini-2.5-flash-lite' }]) };
+      const generator = new GeminiChapterGenerator(mockNetworkCommunicator, mockPromptGenerator, modelCatalog);
+
+      expect(await generator.validateModel('gemini-2.5-flash-lite')).toBe(true);
+      expect(await generator.validateModel('gemini-1.0-pro')).toBe(false);
+      expect(modelCatalog.getModels).toHaveBeenCalledWith('Gemini');
+    });
+  });
+
+  describe('model discovery', () => {
+    const apiKey = 'AIzaSyDemoKey123456789';
+
+    test('should list models supporting generateContent with their token limits', async () => {
+      mockNetworkCommunicator.get.mockResolvedValue({
+        models: [
+          {
+            name: 'models/gemini-2.5-flash',
+            displayName: 'Gemini 2.5 Flash',
+            inputTokenLimit: 1048576,
+            outputTokenLimit: 65536,
+            supportedGenerationMethods: ['generateContent', 'countTokens']
+          },
+          {
+            name: 'models/text-embedding-004',
+            displayName: 'Text Embedding 004',
+            supportedGenerationMethods: ['embedContent']
+          }
+        ]
       });
+
+      const models = await geminiGenerator.fetchLiveModels(apiKey);
+
+      expect(mockNetworkCommunicator.get).toHaveBeenCalledWith(
+        `https://generativelanguage.googleapis.com/v1beta/models?pageSize=1000&key=${apiKey}`,
+        { 'Content-Type': 'application/json' }
+      );
+      expect(models).toEqual([{
+        id: 'gemini-2.5-flash',
+        displayName: 'Gemini 2.5 Flash',
+        description: '',
+        inputTokenLimit: 1048576,
+        outputTokenLimit: 65536
+      }]);
+    });
+
+    test('should follow page tokens', async () => {
+      const model = name => ({ name: `models/${name}`, supportedGenerationMethods: ['generateContent'] });
+      mockNetworkCommunicator.get
+        .mockResolvedValueOnce({ models: [model('gemini-2.5-pro')], nextPageToken: 'next page' })
+        .mockResolvedValueOnce({ models: [model('gemini-2.5-flash')] });
+
+      const models = await geminiGenerator.fetchLiveModels(apiKey);
+
+      expect(models.map(m => m.id)).toEqual(['gemini-2.5-pro', 'gemini-2.5-flash']);
+      expect(mockNetworkCommunicator.get.mock.calls[1][0]).toContain('&pageToken=next%20page&');
+    });
+
+    test('should require a key and report API errors', async () => {
+      await expect(geminiGenerator.fetchLiveModels('')).rejects.toThrow('API key is required');
+
+      const error = new Error('HTTP 400');
+      error.isHttpError = true;
+      error.status = 400;
+      error.responseData = { error: { message: 'API key not valid' } };
+      mockNetworkCommunicator.get.mockRejectedValue(error);
+      await expect(geminiGenerator.fetchLiveModels(apiKey)).rejects.toThrow('Request error: API key not valid');
+    });
+
+    test('should report token limits of discovered models', async () => {
+      const modelCatalog = {
+        getModels: jest.fn().mockResolvedValue([{ id: 'gemini-2.5-flash', inputTokenLimit: 1048576, outputTokenLimit: 65536 }])
+      };
+      const generator = new GeminiChapterGenerator(mockNetworkCommunicator, mockPromptGenerator, modelCatalog);
+
+      expect(await generator.getTokenLimits('gemini-2.5-flash')).toEqual({ input: 1048576, output: 65536 });
+      expect(await generator.getTokenLimits('gemini-unknown')).toBeNull();
+    });
+
+    test('should explain retired models', () => {
+      expect(geminiGenerator.categorizeHttpError(404, {}, 'gemini-1.5-pro').message)
+        .toBe('Model not found: gemini-1.5-pro. It may have been retired, please choose another Gemini model.');
+    });
+
+    test('should mark the errors a fallback model can fix', () => {
+      expect(geminiGenerator.categorizeHttpError(404, {}, 'gemini-1.5-pro').category).toBe('model_unavailable');
+      expect(geminiGenerator.categorizeHttpError(429, {}).category).toBe('rate_limit');
+      expect(geminiGenerator.categorizeHttpError(503, {}).category).toBe('server_error');
+      expect(geminiGenerator.categorizeHttpError(400, {
+        error: { message: 'The input token count (2000000) exceeds the maximum number of tokens allowed (1048576).' }
+      }).category).toBe('content_too_long');
+      expect(geminiGenerator.categorizeHttpError(401, {}).category).toBeUndefined();
     });
   });
 
@@ -328,7 +423,10 @@ describe('GeminiChapterGenerator', () => {
               threshold: 'BLOCK_NONE'
             }
           ]
-        }
+        },
+        null,
+        undefined,
+        undefined
       );
 
       expect(result).toEqual({
@@ -362,6 +460,51 @@ describe('GeminiChapterGenerator', () => {
     });
   });
 
+  describe('streaming responses', () => {
+    test('should stream text parts through the SSE endpoint', async () => {
+      const deltas = [];
+      mockNetworkCommunicator.postStream = jest.fn(async (url, headers, body, onEvent) => {
+        onEvent({ candidates: [{ content: { parts: [{ text: 'planning', thought: true }, { text: '00:00 - ' }] } }] });
+        onEvent({
+          candidates: [{ content: { parts: [{ text: 'Intro' }] }, finishReason: 'STOP' }],
+          usageMetadata: { promptTokenCount: 200, candidatesTokenCount: 5 },
+          modelVersion: 'gemini-2.5-pro'
+        });
+      });
+
+      const result = await geminiGenerator.processConversation(
+        [{ role: 'user', content: 'Hello' }],
+        'test-api-key-123',
+        'gemini-2.5-pro',
+        { onDelta: (delta, text) => deltas.push(text) }
+      );
+
+      expect(mockNetworkCommunicator.postStream.mock.calls[0][0])
+        .toBe('https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-pro:streamGenerateContent?alt=sse&key=test-api-key-123');
+      expect(deltas).toEqual(['00:00 - ', '00:00 - Intro']);
+      expect(result).toEqual({
+        chapters: '00:00 - Intro',
+        finishReason: 'STOP',
+        model: 'gemini-2.5-pro',
+        inputTokens: 200,
+        outputTokens: 5
+      });
+    });
+
+    test('should reject streams blocked by safety filters', async () => {
+      mockNetworkCommunicator.postStream = jest.fn(async (url, headers, body, onEvent) => {
+        onEvent({ candidates: [{ content: { parts: [{ text: 'partial' }] }, finishReason: 'SAFETY' }] });
+      });
+
+      await expect(geminiGenerator.processConversation(
+        [{ role: 'user', content: 'Hello' }],
+        'test-api-key-123',
+        'gemini-2.5-pro',
+        { onDelta: jest.fn() }
+      )).rejects.toThrow('Response was blocked by safety filters');
+    });
+  });
+
   describe('edge cases', () => {
     test('should handle empty subtitle content', async () => {
       mockPromptGenerator.buildPrompt.mockReturnValue('prompt for empty content');
@@ -391,6 +534,21 @@ describe('GeminiChapterGenerator', () => {
       expect(mockPromptGenerator.buildPrompt).toHaveBeenCalledWith('content', null);
     });
 
+    test('should pass the abort signal to the network request', async () => {
+      const controller = new AbortController();
+      mockPromptGenerator.buildPrompt.mockReturnValue('prompt');
+      mockNetworkCommunicator.post.mockResolvedValue({
+        candidates: [{
+          content: { parts: [{ text: 'chapters' }] },
+          finishReason: 'STOP'
+        }]
+      });
+
+      await geminiGenerator.processSubtitles('content', '', 'valid-api-key-123', 'gemini-2.5-pro', { signal: controller.signal });
+
+      expect(mockNetworkCommunicator.post.mock.calls[0][4]).toBe(controller.signal);
+    });
+
     test('should handle processing without tabId', async () => {
       mockPromptGenerator.buildPrompt.mockReturnValue('prompt');
       mockNetworkCommunicator.post.mockResolvedValue({
@@ -405,7 +563,10 @@ describe('GeminiChapterGenerator', () => {
       expect(mockNetworkCommunicator.post).toHaveBeenCalledWith(
         expect.any(String),
         expect.any(Object),
-        expect.any(Object)
+        expect.any(Object),
+        null,
+        undefined,
+        undefined
       );
     });
   });
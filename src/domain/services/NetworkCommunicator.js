@@ -12,7 +12,48 @@ class NetworkCommunicator {
     this.retryHandler = retryHandler;
   }
 
-  async post(url, headers, body, tabId = null) {
+  async post(url, headers, body, tabId = null, signal = null, onRetry = null) {
+    return this.requestJson(url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body),
+      ...(signal ? { signal } : {})
+    }, tabId, onRetry);
+  }
+
+  async get(url, headers = {}, tabId = null, signal = null) {
+    return this.requestJson(url, {
+      method: 'GET',
+      headers,
+      ...(signal ? { signal } : {})
+    }, tabId);
+  }
+
+  async requestJson(url, options, tabId, onRetry = null) {
+    const requestId = this.retryHandler.generateRequestId();
+
+    try {
+      const response = await this.retryHandler.fetchWithRetry(url, options, requestId, tabId, onRetry);
+
+      if (!response.ok) {
+        const errorData = await this.parseErrorResponse(response);
+        const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+        error.isHttpError = true;
+        error.status = response.status;
+        error.responseData = errorData;
+        throw error;
+      }
+
+      return await response.json();
+    } catch (error) {
+      if (error.isHttpError) {
+        throw error;
+      }
+      throw Object.assign(new Error(`Network error: ${error.message}`), { category: error.category });
+    }
+  }
+
+  async postStream(url, headers, body, onEvent, tabId = null, signal = null, onRetry = null) {
     const requestId = this.retryHandler.generateRequestId();
 
     try {
@@ -20,11 +61,13 @@ class NetworkCommunicator {
         url,
         {
           method: 'POST',
-          headers,
-          body: JSON.stringify(body)
+          headers: { ...headers, Accept: 'text/event-stream' },
+          body: JSON.stringify(body),
+          ...(signal ? { signal } : {})
         },
         requestId,
-        tabId
+        tabId,
+        onRetry
       );
 
       if (!response.ok) {
@@ -36,12 +79,65 @@ class NetworkCommunicator {
         throw error;
       }
 
-      return await response.json();
+      if (!response.body || typeof response.body.getReader !== 'function') {
+        throw new Error('Streaming responses are not supported');
+      }
+
+      await this.readServerSentEvents(response.body.getReader(), onEvent);
     } catch (error) {
-      if (error.isHttpError) {
+      if (error.isHttpError || error.isStreamError) {
         throw error;
       }
-      throw new Error(`Network error: ${error.message}`);
+      throw Object.assign(new Error(`Network error: ${error.message}`), { category: error.category });
+    }
+  }
+
+  async readServerSentEvents(reader, onEvent) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for (;;) {
+      const { done, value } = await reader.read();
+      buffer += done ? decoder.decode() : decoder.decode(value, { stream: true });
+
+      const { events, rest } = this.parseServerSentEvents(buffer, done);
+      buffer = rest;
+      events.forEach(event => this.dispatchServerSentEvent(event, onEvent));
+
+      if (done) {
+        return;
+      }
+    }
+  }
+
+  parseServerSentEvents(buffer, isFinal = false) {
+    const blocks = buffer.replace(/\r\n?/g, '\n').split('\n\n');
+    const rest = isFinal ? '' : blocks.pop();
+    const events = blocks
+      .map(block => block
+        .split('\n')
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).replace(/^ /, ''))
+        .join('\n'))
+      .filter(data => data.length > 0 && data !== '[DONE]');
+
+    return { events, rest };
+  }
+
+  dispatchServerSentEvent(data, onEvent) {
+    let event;
+    try {
+      event = JSON.parse(data);
+    } catch {
+      console.warn('NetworkCommunicator: Ignoring malformed stream event:', data);
+      return;
+    }
+
+    try {
+      onEvent(event);
+    } catch (error) {
+      error.isStreamError = true;
+      throw error;
     }
   }
 
@@ -58,6 +58,7 @@ describe('NetworkCommunicator', () => {
           body: JSON.stringify(body)
         },
         'request-123',
+        null,
         null
       );
       expect(result).toEqual(expectedResponse);
@@ -86,7 +87,44 @@ describe('NetworkCommunicator', () => {
           body: JSON.stringify(body)
         }),
         'request-123',
-        tabId
+        tabId,
+        null
+      );
+    });
+
+    test('should pass an abort signal to the retry handler', async () => {
+      const controller = new AbortController();
+      mockRetryHandler.fetchWithRetry.mockResolvedValue({
+        ok: true,
+        json: jest.fn().mockResolvedValue({})
+      });
+
+      await networkCommunicator.post('https://api.test.com', {}, {}, null, controller.signal);
+
+      expect(mockRetryHandler.fetchWithRetry).toHaveBeenCalledWith(
+        'https://api.test.com',
+        expect.objectContaining({ signal: controller.signal }),
+        'request-123',
+        null,
+        null
+      );
+    });
+
+    test('should pass the retry callback to the retry handler', async () => {
+      const onRetry = jest.fn();
+      mockRetryHandler.fetchWithRetry.mockResolvedValue({
+        ok: true,
+        json: jest.fn().mockResolvedValue({})
+      });
+
+      await networkCommunicator.post('https://api.test.com', {}, {}, 7, null, onRetry);
+
+      expect(mockRetryHandler.fetchWithRetry).toHaveBeenCalledWith(
+        'https://api.test.com',
+        expect.any(Object),
+        'request-123',
+        7,
+        onRetry
       );
     });
 
@@ -112,11 +150,47 @@ describe('NetworkCommunicator', () => {
           body: JSON.stringify(complexBody)
         }),
         expect.any(String),
+        null,
         null
       );
     });
   });
 
+  describe('GET requests', () => {
+    test('should make GET request without a body', async () => {
+      mockRetryHandler.fetchWithRetry.mockResolvedValue({
+        ok: true,
+        json: jest.fn().mockResolvedValue({ models: [] })
+      });
+
+      const result = await networkCommunicator.get('https://api.test.com/models', { Accept: 'application/json' });
+
+      expect(mockRetryHandler.fetchWithRetry).toHaveBeenCalledWith(
+        'https://api.test.com/models',
+        { method: 'GET', headers: { Accept: 'application/json' } },
+        'request-123',
+        null,
+        null
+      );
+      expect(result).toEqual({ models: [] });
+    });
+
+    test('should report HTTP errors like POST requests', async () => {
+      mockRetryHandler.fetchWithRetry.mockResolvedValue({
+        ok: false,
+        status: 400,
+        statusText: 'Bad Request',
+        json: jest.fn().mockResolvedValue({ error: { message: 'API key not valid' } })
+      });
+
+      await expect(networkCommunicator.get('https://api.test.com/models')).rejects.toMatchObject({
+        isHttpError: true,
+        status: 400,
+        responseData: { error: { message: 'API key not valid' } }
+      });
+    });
+  });
+
   describe('HTTP error handling', () => {
     test('should handle HTTP 400 error', async () => {
       const errorData = { error: 'Bad request', code: 'INVALID_INPUT' };
@@ -206,6 +280,14 @@ describe('NetworkCommunicator', () => {
         .rejects.toThrow('Network error: Connection refused');
     });
 
+    test('should keep the category of server errors that outlasted the retries', async () => {
+      const serverError = Object.assign(new Error('Server error: 503 Service Unavailable'), { category: 'server_error' });
+      mockRetryHandler.fetchWithRetry.mockRejectedValue(serverError);
+
+      await expect(networkCommunicator.post('https://api.test.com', {}, {}))
+        .rejects.toMatchObject({ message: 'Network error: Server error: 503 Service Unavailable', category: 'server_error' });
+    });
+
     test('should not wrap HTTP errors as network errors', async () => {
       const httpError = new Error('HTTP 404: Not Found');
       httpError.isHttpError = true;
@@ -301,6 +383,7 @@ describe('NetworkCommunicator', () => {
         expect.any(String),
         expect.any(Object),
         'request-1',
+        null,
         null
       );
       expect(mockRetryHandler.fetchWithRetry).toHaveBeenNthCalledWith(
@@ -308,8 +391,85 @@ describe('NetworkCommunicator', () => {
         expect.any(String),
         expect.any(Object),
         'request-2',
+        null,
         null
       );
     });
   });
+
+  describe('streaming POST requests', () => {
+    const createStreamResponse = chunks => {
+      const encoder = new TextEncoder();
+      const reads = chunks.map(chunk => ({ done: false, value: encoder.encode(chunk) }));
+      reads.push({ done: true, value: undefined });
+      return {
+        ok: true,
+        body: {
+          getReader: () => ({ read: jest.fn(async () => reads.shift()) })
+        }
+      };
+    };
+
+    test('should deliver parsed events split across network chunks', async () => {
+      mockRetryHandler.fetchWithRetry.mockResolvedValue(createStreamResponse([
+        ': keep-alive\n\ndata: {"n":1}\n\nda',
+        'ta: {"n":2}\r\n\r\ndata: [DONE]\n\n'
+      ]));
+      const events = [];
+
+      await networkCommunicator.postStream('https://api.test.com', { 'Content-Type': 'application/json' }, { stream: true }, event => events.push(event));
+
+      expect(events).toEqual([{ n: 1 }, { n: 2 }]);
+      expect(mockRetryHandler.fetchWithRetry).toHaveBeenCalledWith(
+        'https://api.test.com',
+        {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', Accept: 'text/event-stream' },
+          body: JSON.stringify({ stream: true })
+        },
+        'request-123',
+        null,
+        null
+      );
+    });
+
+    test('should flush a final event without trailing blank line', async () => {
+      mockRetryHandler.fetchWithRetry.mockResolvedValue(createStreamResponse(['data: {"last":true}']));
+      const events = [];
+
+      await networkCommunicator.postStream('https://api.test.com', {}, {}, event => events.push(event));
+
+      expect(events).toEqual([{ last: true }]);
+    });
+
+    test('should report HTTP errors like non-streaming requests', async () => {
+      mockRetryHandler.fetchWithRetry.mockResolvedValue({
+        ok: false,
+        status: 401,
+        statusText: 'Unauthorized',
+        json: jest.fn().mockResolvedValue({ error: { message: 'bad key' } })
+      });
+
+      await expect(networkCommunicator.postStream('https://api.test.com', {}, {}, jest.fn())).rejects.toMatchObject({
+        isHttpError: true,
+        status: 401,
+        responseData: { error: { message: 'bad key' } }
+      });
+    });
+
+    test('should propagate errors raised by the event handler', async () => {
+      mockRetryHandler.fetchWithRetry.mockResolvedValue(createStreamResponse(['data: {"error":true}\n\n']));
+
+      await expect(networkCommunicator.postStream('https://api.test.com', {}, {}, () => {
+        throw new Error('Stream error: boom');
+      })).rejects.toThrow('Stream error: boom');
+    });
+
+    test('should reject responses without a readable body', async () => {
+      mockRetryHandler.fetchWithRetry.mockResolvedValue({ ok: true, body: null });
+
+      await expect(networkCommunicator.postStream('https://api.test.com', {}, {}, jest.fn()))
+        .rejects.toThrow('Network error: Streaming responses are not supported');
+    });
+  });
 });
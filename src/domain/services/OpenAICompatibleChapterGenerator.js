@@ -0,0 +1,271 @@
+/**
+ * OpenAI-Compatible Chapter Generator - Pure Domain Logic
+ * Talks to self-hosted and local servers exposing the OpenAI chat completions API (Ollama, LM Studio, vLLM, llama.cpp)
+ *
+ * Copyright (C) 2025 Dimitry Polivaev
+ * Licensed under GPL3 or later
+ */
+
+// Load ProviderDefinition for Node.js environment (tests), skip if already loaded in browser
+if (typeof ProviderDefinition === 'undefined' && typeof require !== 'undefined') {
+  const ProviderDefinition = require('../values/ProviderDefinition');
+}
+
+class OpenAICompatibleChapterGenerator {
+  constructor(networkCommunicator, promptGenerator, baseUrl) {
+    this.networkCommunicator = networkCommunicator;
+    this.promptGenerator = promptGenerator;
+    this.baseUrl = this.normalizeBaseUrl(baseUrl);
+    this.GENERATION_TEMPERATURE = 0.7;
+    this.MAX_RESPONSE_TOKENS = 4096;
+    this.TOP_P_SAMPLING = 0.95;
+  }
+
+  static createProviderDefinition() {
+    return new ProviderDefinition({
+      id: 'OpenAICompatible',
+      displayName: 'OpenAI-compatible',
+      displayNameKey: 'openai_compatible_models_group',
+      settingsTitleKey: 'openai_compatible_section_title',
+      displayModelIds: true,
+      credential: {
+        settingsKey: 'openAICompatibleApiKey',
+        required: false,
+        labelKey: 'openai_compatible_api_key_label',
+        placeholderKey: 'openai_compatible_api_key_placeholder'
+      },
+      settings: [
+        {
+          key: 'openAICompatibleBaseUrl',
+          type: 'url',
+          defaultValue: '',
+          labelKey: 'openai_compatible_base_url_label',
+          hintKey: 'openai_compatible_base_url_hint',
+          placeholder: 'http://localhost:11434/v1',
+          grantsHostPermission: true
+        },
+        {
+          key: 'openAICompatibleModels',
+          type: 'list',
+          defaultValue: [],
+          labelKey: 'openai_compatible_models_label',
+          hintKey: 'openai_compatible_models_hint',
+          placeholder: 'llama3.1:8b\nqwen2.5:14b'
+        }
+      ]
+    });
+  }
+
+  normalizeBaseUrl(baseUrl) {
+    if (!baseUrl || typeof baseUrl !== 'string' || !baseUrl.trim()) {
+      throw new Error('OpenAI-compatible server URL is not configured. Please set it in extension settings.');
+    }
+
+    let url;
+    try {
+      url = new URL(baseUrl.trim());
+    } catch (error) {
+      throw new Error(`Invalid OpenAI-compatible server URL: ${baseUrl}`);
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      throw new Error(`Invalid OpenAI-compatible server URL: ${baseUrl}`);
+    }
+
+    // Accept the server root, the API root or the full endpoint as configured by the user
+    let path = url.pathname.replace(/\/+$/, '').replace(/\/chat\/completions$/, '');
+    if (!/\/v\d+$/.test(path)) {
+      path = `${path}/v1`;
+    }
+    return `${url.origin}${path}`;
+  }
+
+  buildChatCompletionsUrl() {
+    return `${this.baseUrl}/chat/completions`;
+  }
+
+  async fetchModels(apiKey) {
+    return this.networkCommunicator.get(`${this.baseUrl}/models`, this.buildHeaders(apiKey));
+  }
+
+  buildHeaders(apiKey) {
+    const headers = {
+      'Content-Type': 'application/json'
+    };
+
+    // Local servers usually run without authentication
+    if (apiKey) {
+      headers['Authorization'] = `Bearer ${apiKey}`;
+    }
+
+    return headers;
+  }
+
+  buildConversationBody(messages, model) {
+    return {
+      model,
+      messages,
+      temperature: this.GENERATION_TEMPERATURE,
+      max_tokens: this.MAX_RESPONSE_TOKENS,
+      top_p: this.TOP_P_SAMPLING
+    };
+  }
+
+  buildStreamingConversationBody(messages, model) {
+    return {
+      ...this.buildConversationBody(messages, model),
+      stream: true,
+      stream_options: { include_usage: true }
+    };
+  }
+
+  extractErrorMessage(errorData) {
+    if (!errorData) {
+      return null;
+    }
+    if (typeof errorData.error === 'string') {
+      return errorData.error;
+    }
+    return errorData.error?.message || errorData.message || null;
+  }
+
+  categorizeHttpError(status, errorData, model) {
+    const serverMessage = this.extractErrorMessage(errorData);
+    if (status === 401 || status === 403) {
+      return new Error('The OpenAI-compatible server rejected the request. Please check its API key in extension settings.');
+    } else if (status === 404) {
+      return new Error(`Model not found on the OpenAI-compatible server: ${model}. Please check the model list in extension settings.`);
+    } else if (status === 429) {
+      return Object.assign(new Error('Rate limit exceeded. Please try again later.'), { category: 'rate_limit' });
+    } else if (status === 400) {
+      const error = new Error(`Request error: ${serverMessage || 'Bad request'}`);
+      if (/context length/i.test(serverMessage || '')) {
+        error.category = 'content_too_long';
+      }
+      return error;
+    } else {
+      const error = new Error(`Server request failed: ${status}${serverMessage ? ` (${serverMessage})` : ''}`);
+      if (status === 413) {
+        error.category = 'content_too_long';
+      } else if (status >= 500) {
+        error.category = 'server_error';
+      }
+      return error;
+    }
+  }
+
+  validateHttpResponse(responseData) {
+    if (!responseData || !responseData.choices || !responseData.choices[0] || !responseData.choices[0].message) {
+      throw new Error('Invalid response from OpenAI-compatible server');
+    }
+    return responseData;
+  }
+
+  parseApiResponse(responseData) {
+    const choice = responseData.choices[0];
+    const text = choice.message.content;
+    if (!text || !text.trim()) {
+      throw new Error('Empty response from AI');
+    }
+
+    const result = {
+      chapters: text.trim(),
+      finishReason: choice.finish_reason,
+      model: responseData.model || 'unknown'
+    };
+
+    if (responseData.usage) {
+      result.inputTokens = responseData.usage.prompt_tokens || 0;
+      result.outputTokens = responseData.usage.completion_tokens || 0;
+    }
+
+    return result;
+  }
+
+  createStreamAccumulator(onDelta) {
+    const accumulator = {
+      text: '',
+      finishReason: null,
+      model: null,
+      usage: null,
+      onEvent: event => {
+        if (event.error) {
+          throw new Error(`Stream error: ${this.extractErrorMessage(event) || 'Unknown error'}`);
+        }
+        accumulator.model = event.model || accumulator.model;
+        accumulator.usage = event.usage || accumulator.usage;
+
+        const choice = event.choices && event.choices[0];
+        if (!choice) {
+          return;
+        }
+        accumulator.finishReason = choice.finish_reason || accumulator.finishReason;
+
+        const delta = choice.delta && choice.delta.content;
+        if (delta) {
+          accumulator.text += delta;
+          onDelta(delta, accumulator.text);
+        }
+      }
+    };
+    return accumulator;
+  }
+
+  parseStreamResult(accumulator) {
+    const text = accumulator.text.trim();
+    if (!text) {
+      throw new Error('Empty response from AI');
+    }
+
+    const result = {
+      chapters: text,
+      finishReason: accumulator.finishReason,
+      model: accumulator.model || 'unknown'
+    };
+
+    if (accumulator.usage) {
+      result.inputTokens = accumulator.usage.prompt_tokens || 0;
+      result.outputTokens = accumulator.usage.completion_tokens || 0;
+    }
+
+    return result;
+  }
+
+  async processSubtitles(processedContent, customInstructions, apiKey, model, requestOptions = {}) {
+    const prompt = this.promptGenerator.buildPrompt(processedContent, customInstructions);
+    const messages = [{ role: 'user', content: prompt }];
+    return this.processConversation(messages, apiKey, model, requestOptions);
+  }
+
+  async processConversation(messages, apiKey, model, requestOptions = {}) {
+    if (!model) {
+      throw new Error('A model name is required for the OpenAI-compatible server');
+    }
+
+    const conversationMessages = Array.isArray(messages) ? messages : [{ role: 'user', content: messages }];
+    const url = this.buildChatCompletionsUrl();
+    const headers = this.buildHeaders(apiKey);
+
+    try {
+      if (typeof requestOptions.onDelta === 'function') {
+        const accumulator = this.createStreamAccumulator(requestOptions.onDelta);
+        const body = this.buildStreamingConversationBody(conversationMessages, model);
+        await this.networkCommunicator.postStream(url, headers, body, accumulator.onEvent, null, requestOptions.signal, requestOptions.onRetry);
+        return this.parseStreamResult(accumulator);
+      }
+
+      const body = this.buildConversationBody(conversationMessages, model);
+      const responseData = await this.networkCommunicator.post(url, headers, body, null, requestOptions.signal, requestOptions.onRetry);
+      this.validateHttpResponse(responseData);
+      return this.parseApiResponse(responseData);
+    } catch (error) {
+      if (error.isHttpError) {
+        throw this.categorizeHttpError(error.status, error.responseData, model);
+      }
+      throw Object.assign(new Error(`AI processing failed: ${error.message}`), { category: error.category });
+    }
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = OpenAICompatibleChapterGenerator;
+}
@@ -0,0 +1,184 @@
+/**
+ * OpenAICompatibleChapterGenerator Service Tests
+ * Tests requests to self-hosted OpenAI-compatible servers with dependency injection
+ *
+ * Copyright (C) 2025 Dimitry Polivaev
+ * Licensed under GPL3 or later
+ */
+
+const OpenAICompatibleChapterGenerator = require('./OpenAICompatibleChapterGenerator');
+
+describe('OpenAICompatibleChapterGenerator', () => {
+  let generator;
+  let mockNetworkCommunicator;
+  let mockPromptGenerator;
+
+  const httpError = (status, responseData = {}) => {
+    const error = new Error(`HTTP ${status}`);
+    error.isHttpError = true;
+    error.status = status;
+    error.responseData = responseData;
+    return error;
+  };
+
+  beforeEach(() => {
+    mockNetworkCommunicator = {
+      post: jest.fn(),
+      get: jest.fn(),
+      postStream: jest.fn()
+    };
+    mockPromptGenerator = {
+      buildPrompt: jest.fn().mockReturnValue('Generated prompt')
+    };
+
+    generator = new OpenAICompatibleChapterGenerator(mockNetworkCommunicator, mockPromptGenerator, 'http://localhost:11434');
+  });
+
+  describe('server URL', () => {
+    test('should accept the server root, the API root and the full endpoint', () => {
+      const urlFor = baseUrl => new OpenAICompatibleChapterGenerator(mockNetworkCommunicator, mockPromptGenerator, baseUrl)
+        .buildChatCompletionsUrl();
+
+      expect(urlFor('http://localhost:11434')).toBe('http://localhost:11434/v1/chat/completions');
+      expect(urlFor('http://localhost:1234/v1/')).toBe('http://localhost:1234/v1/chat/completions');
+      expect(urlFor('https://llm.example.com/openai/v1/chat/completions')).toBe('https://llm.example.com/openai/v1/chat/completions');
+    });
+
+    test('should reject missing and non-HTTP server URLs', () => {
+      expect(() => new OpenAICompatibleChapterGenerator(mockNetworkCommunicator, mockPromptGenerator, ''))
+        .toThrow('OpenAI-compatible server URL is not configured');
+      expect(() => new OpenAICompatibleChapterGenerator(mockNetworkCommunicator, mockPromptGenerator, 'ftp://localhost'))
+        .toThrow('Invalid OpenAI-compatible server URL: ftp://localhost');
+      expect(() => new OpenAICompatibleChapterGenerator(mockNetworkCommunicator, mockPromptGenerator, 'not a url'))
+        .toThrow('Invalid OpenAI-compatible server URL');
+    });
+  });
+
+  describe('request headers', () => {
+    test('should only send an authorization header when a key is configured', () => {
+      expect(generator.buildHeaders('')).toEqual({ 'Content-Type': 'application/json' });
+      expect(generator.buildHeaders('local-key')).toEqual({
+        'Content-Type': 'application/json',
+        'Authorization': 'Bearer local-key'
+      });
+    });
+  });
+
+  describe('model listing', () => {
+    test('should list the models of the server with the configured key', async () => {
+      mockNetworkCommunicator.get.mockResolvedValue({ data: [{ id: 'llama3.1' }] });
+
+      await generator.fetchModels('secret');
+
+      expect(mockNetworkCommunicator.get).toHaveBeenCalledWith(
+        'http://localhost:11434/v1/models',
+        { 'Content-Type': 'application/json', 'Authorization': 'Bearer secret' }
+      );
+    });
+  });
+
+  describe('full processing workflow', () => {
+    test('should process subtitles without an API key', async () => {
+      mockNetworkCommunicator.post.mockResolvedValue({
+        choices: [{ message: { content: '00:00 - Intro\n' }, finish_reason: 'stop' }],
+        model: 'llama3.1:8b',
+        usage: { prompt_tokens: 300, completion_tokens: 12 }
+      });
+
+      const result = await generator.processSubtitles('(0:00) Hello', 'Short titles', '', 'llama3.1:8b');
+
+      expect(mockPromptGenerator.buildPrompt).toHaveBeenCalledWith('(0:00) Hello', 'Short titles');
+      expect(mockNetworkCommunicator.post).toHaveBeenCalledWith(
+        'http://localhost:11434/v1/chat/completions',
+        { 'Content-Type': 'application/json' },
+        {
+          model: 'llama3.1:8b',
+          messages: [{ role: 'user', content: 'Generated prompt' }],
+          temperature: 0.7,
+          max_tokens: 4096,
+          top_p: 0.95
+        },
+        null,
+        undefined,
+        undefined
+      );
+      expect(result).toEqual({
+        chapters: '00:00 - Intro',
+        finishReason: 'stop',
+        model: 'llama3.1:8b',
+        inputTokens: 300,
+        outputTokens: 12
+      });
+    });
+
+    test('should reject responses without choices', async () => {
+      mockNetworkCommunicator.post.mockResolvedValue({ object: 'list' });
+
+      await expect(generator.processConversation([{ role: 'user', content: 'Hi' }], '', 'llama3.1:8b'))
+        .rejects.toThrow('AI processing failed: Invalid response from OpenAI-compatible server');
+    });
+
+    test('should wrap errors of unreachable servers', async () => {
+      mockNetworkCommunicator.post.mockRejectedValue(new Error('Network error: Failed to fetch'));
+
+      await expect(generator.processConversation('Hi', '', 'llama3.1:8b'))
+        .rejects.toThrow('AI processing failed: Network error: Failed to fetch');
+    });
+  });
+
+  describe('error categorization', () => {
+    test.each([
+      [401, {}, 'rejected the request', undefined],
+      [403, {}, 'rejected the request', undefined],
+      [404, { error: 'model "mistral" not found, try pulling it first' }, 'Model not found on the OpenAI-compatible server: mistral', undefined],
+      [429, {}, 'Rate limit exceeded', 'rate_limit'],
+      [400, { error: { message: 'context length exceeded' } }, 'Request error: context length exceeded', 'content_too_long'],
+      [500, { message: 'CUDA out of memory' }, 'Server request failed: 500 (CUDA out of memory)', 'server_error']
+    ])('should explain HTTP %s responses', async (status, responseData, expectedMessage, expectedCategory) => {
+      mockNetworkCommunicator.post.mockRejectedValue(httpError(status, responseData));
+
+      const error = await generator.processConversation('Hi', '', 'mistral').catch(rejection => rejection);
+      expect(error.message).toContain(expectedMessage);
+      expect(error.category).toBe(expectedCategory);
+    });
+  });
+
+  describe('streaming responses', () => {
+    test('should stream deltas and request the final usage', async () => {
+      const deltas = [];
+      mockNetworkCommunicator.postStream.mockImplementation(async (url, headers, body, onEvent) => {
+        onEvent({ model: 'qwen2.5:14b', choices: [{ delta: { role: 'assistant', content: '00:00 - ' } }] });
+        onEvent({ choices: [{ delta: { content: 'Intro' }, finish_reason: 'stop' }] });
+        onEvent({ choices: [], usage: { prompt_tokens: 80, completion_tokens: 5 } });
+      });
+
+      const result = await generator.processConversation(
+        [{ role: 'user', content: 'Hello' }],
+        'local-key',
+        'qwen2.5:14b',
+        { onDelta: (delta, text) => deltas.push([delta, text]) }
+      );
+
+      const body = mockNetworkCommunicator.postStream.mock.calls[0][2];
+      expect(body.stream).toBe(true);
+      expect(body.stream_options).toEqual({ include_usage: true });
+      expect(deltas).toEqual([['00:00 - ', '00:00 - '], ['Intro', '00:00 - Intro']]);
+      expect(result).toEqual({
+        chapters: '00:00 - Intro',
+        finishReason: 'stop',
+        model: 'qwen2.5:14b',
+        inputTokens: 80,
+        outputTokens: 5
+      });
+    });
+
+    test('should fail on errors reported inside the stream', async () => {
+      mockNetworkCommunicator.postStream.mockImplementation(async (url, headers, body, onEvent) => {
+        onEvent({ error: { message: 'Model is loading' } });
+      });
+
+      await expect(generator.processConversation('Hello', '', 'qwen2.5:14b', { onDelta: jest.fn() }))
+        .rejects.toThrow('AI processing failed: Stream error: Model is loading');
+    });
+  });
+});
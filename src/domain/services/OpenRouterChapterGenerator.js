@@ -6,26 +6,54 @@
  * Licensed under GPL3 or later
  */
 
+// Load ProviderDefinition for Node.js environment (tests), skip if already loaded in browser
+if (typeof ProviderDefinition === 'undefined' && typeof require !== 'undefined') {
+  const ProviderDefinition = require('../values/ProviderDefinition');
+}
+if (typeof TokenBucket === 'undefined' && typeof require !== 'undefined') {
+  const TokenBucket = require('./TokenBucket');
+}
+
 class OpenRouterChapterGenerator {
-  constructor(networkCommunicator, promptGenerator) {
+  constructor(networkCommunicator, promptGenerator, modelCatalog = null, freeModelRateLimit = OpenRouterChapterGenerator.createFreeModelRateLimit()) {
     this.networkCommunicator = networkCommunicator;
     this.promptGenerator = promptGenerator;
+    this.modelCatalog = modelCatalog;
     this.baseUrl = 'https://openrouter.ai/api/v1';
-    this.MINIMUM_API_KEY_LENGTH = 20;
     this.DEFAULT_FREE_MODEL = 'deepseek/deepseek-r1-0528:free';
     this.GENERATION_TEMPERATURE = 0.7;
     this.MAX_RESPONSE_TOKENS = 8192;
     this.TOP_P_SAMPLING = 0.95;
     this.GITHUB_REFERER = 'https://github.com/dimitry-polivaev/timecodes-browser-extension';
     this.APPLICATION_TITLE = 'Chaptotek';
+    this.freeModelRateLimit = freeModelRateLimit;
+  }
+
+  static createFreeModelRateLimit() {
+    // OpenRouter rejects more than 20 requests per minute to free model variants, waiting beats a 429
+    return TokenBucket.perMinute(20);
+  }
+
+  static createProviderDefinition() {
+    return new ProviderDefinition({
+      id: 'OpenRouter',
+      displayName: 'OpenRouter',
+      credential: {
+        settingsKey: 'openRouterApiKey',
+        required: true,
+        keyPattern: '^sk-or-[A-Za-z0-9_-]{15,}$',
+        keyUrl: 'https://openrouter.ai/keys',
+        keyUrlLabelKey: 'create_openrouter_account',
+        labelKey: 'openrouter_api_key_label',
+        placeholderKey: 'openrouter_api_key_placeholder',
+        requiredMessageKey: 'openrouter_api_key_required',
+        clearedMessageKey: 'api_key_cleared_openrouter'
+      }
+    });
   }
 
   validateApiKey(apiKey) {
-    if (!apiKey || typeof apiKey !== 'string') {
-      return false;
-    }
-    const apiKeyPattern = /^sk-or-[A-Za-z0-9_-]+$/;
-    return apiKeyPattern.test(apiKey) && apiKey.length > this.MINIMUM_API_KEY_LENGTH;
+    return OpenRouterChapterGenerator.createProviderDefinition().isValidApiKey(apiKey);
   }
 
   allowModelWhenApiUnavailable(model) {
@@ -41,7 +69,7 @@ class OpenRouterChapterGenerator {
 
   async validateModel(model) {
     try {
-      const models = await this.fetchLiveModels();
+      const models = await this.getLiveModels();
       return models.some(m => m.id === model);
     } catch (error) {
       return this.allowModelWhenApiUnavailable(model);
@@ -56,7 +84,7 @@ class OpenRouterChapterGenerator {
 
   async isModelFree(model) {
     try {
-      const models = await this.fetchLiveModels();
+      const models = await this.getLiveModels();
       const modelInfo = models.find(m => m.id === model);
       if (!modelInfo) {
         console.warn('OpenRouterChapterGenerator: Model not found in API, assuming paid:', model);
@@ -69,9 +97,24 @@ class OpenRouterChapterGenerator {
     }
   }
 
+  isFreeVariant(model) {
+    return /:free$/.test(model);
+  }
+
+  async waitForFreeModelRateLimit(model, requestOptions) {
+    if (!this.isFreeVariant(model)) {
+      return;
+    }
+    await this.freeModelRateLimit.take(requestOptions.signal, waitMs => {
+      if (typeof requestOptions.onRetry === 'function') {
+        requestOptions.onRetry({ delayMs: waitMs, reason: 'throttled' });
+      }
+    });
+  }
+
   async getAvailableModels() {
     try {
-      const liveModels = await this.fetchLiveModels();
+      const liveModels = await this.getLiveModels();
       return liveModels.map(model => {
         const isFree = this.determineIfModelIsFree(model.pricing);
 
@@ -90,6 +133,13 @@ class OpenRouterChapterGenerator {
     }
   }
 
+  async getLiveModels() {
+    if (this.modelCatalog) {
+      return this.modelCatalog.getModels('OpenRouter');
+    }
+    return this.fetchLiveModels();
+  }
+
   async fetchLiveModels() {
     const response = await fetch('https://openrouter.ai/api/v1/models', {
       headers: {
@@ -153,6 +203,23 @@ class OpenRouterChapterGenerator {
     return `${this.baseUrl}/chat/completions`;
   }
 
+  // Usage, credit limit and rate limit of a key, which OpenRouter reports without charging anything
+  async fetchKeyInfo(apiKey) {
+    const responseData = await this.networkCommunicator.get(`${this.baseUrl}/key`, this.buildOpenRouterHeaders(apiKey));
+    const data = responseData.data || {};
+    const toNumber = value => (typeof value === 'number' ? value : null);
+    return {
+      label: data.label || '',
+      usage: toNumber(data.usage),
+      limit: toNumber(data.limit),
+      limitRemaining: toNumber(data.limit_remaining),
+      isFreeTier: Boolean(data.is_free_tier),
+      rateLimit: data.rate_limit && data.rate_limit.requests
+        ? { requests: data.rate_limit.requests, interval: data.rate_limit.interval || '' }
+        : null
+    };
+  }
+
   buildOpenRouterHeaders(apiKey) {
     const headers = {
       'Content-Type': 'application/json',
@@ -192,10 +259,18 @@ class OpenRouterChapterGenerator {
     };
   }
 
+  buildStreamingConversationBody(messages, model) {
+    return {
+      ...this.buildConversationBody(messages, model),
+      stream: true,
+      usage: { include: true }
+    };
+  }
+
   async categorizeUnauthorizedError(model) {
     const isFreeModel = await this.isModelFree(model);
     if (isFreeModel) {
-      return new Error('Free model access denied. The model may be temporarily unavailable.');
+      return Object.assign(new Error('Free model access denied. The model may be temporarily unavailable.'), { category: 'model_unavailable' });
     } else {
       return new Error('Invalid API key. Please check your OpenRouter API key.');
     }
@@ -204,7 +279,7 @@ class OpenRouterChapterGenerator {
   async categorizeForbiddenError(model) {
     const isFreeModel = await this.isModelFree(model);
     if (isFreeModel) {
-      return new Error('Free model access forbidden. The model may have usage limits.');
+      return Object.assign(new Error('Free model access forbidden. The model may have usage limits.'), { category: 'model_unavailable' });
     } else {
       return new Error('API access forbidden. Please check your API key permissions.');
     }
@@ -212,7 +287,11 @@ class OpenRouterChapterGenerator {
 
   categorizeBadRequestError(errorData) {
     const errorMessage = errorData.error?.message || 'Bad request';
-    return new Error(`Request error: ${errorMessage}`);
+    const error = new Error(`Request error: ${errorMessage}`);
+    if (/context length/i.test(errorMessage)) {
+      error.category = 'content_too_long';
+    }
+    return error;
   }
 
   async categorizeHttpError(status, errorData, model) {
@@ -221,11 +300,17 @@ class OpenRouterChapterGenerator {
     } else if (status === 403) {
       return await this.categorizeForbiddenError(model);
     } else if (status === 429) {
-      return new Error('Rate limit exceeded. Please try again later.');
+      return Object.assign(new Error('Rate limit exceeded. Please try again later.'), { category: 'rate_limit' });
     } else if (status === 400) {
       return this.categorizeBadRequestError(errorData);
     } else {
-      return new Error(`API request failed: ${status}`);
+      const error = new Error(`API request failed: ${status}`);
+      if (status === 413) {
+        error.category = 'content_too_long';
+      } else if (status >= 500) {
+        error.category = 'server_error';
+      }
+      return error;
     }
   }
 
@@ -267,14 +352,63 @@ class OpenRouterChapterGenerator {
     return result;
   }
 
-  async processSubtitles(processedContent, customInstructions, apiKey, model = this.DEFAULT_FREE_MODEL) {
+  createStreamAccumulator(onDelta) {
+    const accumulator = {
+      text: '',
+      finishReason: null,
+      model: null,
+      usage: null,
+      onEvent: event => {
+        if (event.error) {
+          throw new Error(`Stream error: ${event.error.message || 'Unknown error'}`);
+        }
+        accumulator.model = event.model || accumulator.model;
+        accumulator.usage = event.usage || accumulator.usage;
+
+        const choice = event.choices && event.choices[0];
+        if (!choice) {
+          return;
+        }
+        accumulator.finishReason = choice.finish_reason || accumulator.finishReason;
+
+        const delta = choice.delta && choice.delta.content;
+        if (delta) {
+          accumulator.text += delta;
+          onDelta(delta, accumulator.text);
+        }
+      }
+    };
+    return accumulator;
+  }
+
+  parseStreamResult(accumulator) {
+    const text = accumulator.text.trim();
+    if (!text) {
+      throw new Error('Empty response from AI');
+    }
+
+    const result = {
+      chapters: text,
+      finishReason: accumulator.finishReason,
+      model: accumulator.model || 'unknown'
+    };
+
+    if (accumulator.usage) {
+      result.inputTokens = accumulator.usage.prompt_tokens || 0;
+      result.outputTokens = accumulator.usage.completion_tokens || 0;
+    }
+
+    return result;
+  }
+
+  async processSubtitles(processedContent, customInstructions, apiKey, model = this.DEFAULT_FREE_MODEL, requestOptions = {}) {
     // Convert string prompt to conversation format for unified handling
     const prompt = this.promptGenerator.buildPrompt(processedContent, customInstructions);
     const messages = [{ role: 'user', content: prompt }];
-    return this.processConversation(messages, apiKey, model);
+    return this.processConversation(messages, apiKey, model, requestOptions);
   }
 
-  async processConversation(messages, apiKey, model = this.DEFAULT_FREE_MODEL) {
+  async processConversation(messages, apiKey, model = this.DEFAULT_FREE_MODEL, requestOptions = {}) {
     this.validateApiKeyRequired(apiKey);
 
     const isValidModel = await this.validateModel(model);
@@ -293,10 +427,18 @@ class OpenRouterChapterGenerator {
 
     const url = this.buildChatCompletionsUrl();
     const headers = this.buildOpenRouterHeaders(apiKey);
-    const body = this.buildConversationBody(conversationMessages, model);
+    await this.waitForFreeModelRateLimit(model, requestOptions);
 
     try {
-      const responseData = await this.networkCommunicator.post(url, headers, body);
+      if (typeof requestOptions.onDelta === 'function') {
+        const accumulator = this.createStreamAccumulator(requestOptions.onDelta);
+        const body = this.buildStreamingConversationBody(conversationMessages, model);
+        await this.networkCommunicator.postStream(url, headers, body, accumulator.onEvent, null, requestOptions.signal, requestOptions.onRetry);
+        return this.parseStreamResult(accumulator);
+      }
+
+      const body = this.buildConversationBody(conversationMessages, model);
+      const responseData = await this.networkCommunicator.post(url, headers, body, null, requestOptions.signal, requestOptions.onRetry);
       this.validateHttpResponse(responseData);
       const result = this.parseApiResponse(responseData);
 
@@ -311,7 +453,7 @@ class OpenRouterChapterGenerator {
       if (error.isHttpError) {
         throw await this.categorizeHttpError(error.status, error.responseData, model);
       }
-      throw new Error(`AI processing failed: ${error.message}`);
+      throw Object.assign(new Error(`AI processing failed: ${error.message}`), { category: error.category });
     }
   }
 }
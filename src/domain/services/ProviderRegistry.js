@@ -0,0 +1,106 @@
+/**
+ * ProviderRegistry Domain Service
+ * Keeps the provider definitions and the adapters serving them, so callers never branch on provider ids
+ *
+ * Copyright (C) 2025 Dimitry Polivaev
+ * Licensed under GPL3 or later
+ */
+
+// Load ProviderDefinition for Node.js environment (tests), skip if already loaded in browser
+if (typeof ProviderDefinition === 'undefined' && typeof require !== 'undefined') {
+  const ProviderDefinition = require('../values/ProviderDefinition');
+}
+
+class ProviderRegistry {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  static createDefault() {
+    const registry = new ProviderRegistry();
+    // Registration order is the order models are offered in
+    registry.register(OpenRouterChapterGenerator.createProviderDefinition());
+    registry.register(GeminiChapterGenerator.createProviderDefinition());
+    registry.register(AnthropicChapterGenerator.createProviderDefinition());
+    registry.register(OpenAICompatibleChapterGenerator.createProviderDefinition());
+    return registry;
+  }
+
+  register(definition, provider = null) {
+    if (!(definition instanceof ProviderDefinition)) {
+      throw new Error('definition must be a ProviderDefinition instance');
+    }
+    if (this.entries.has(definition.id)) {
+      throw new Error(`Provider already registered: ${definition.id}`);
+    }
+    this.entries.set(definition.id, { definition, provider });
+    return this;
+  }
+
+  setProvider(providerId, provider) {
+    this.getEntry(providerId).provider = provider;
+    return this;
+  }
+
+  has(providerId) {
+    return this.entries.has(providerId);
+  }
+
+  getEntry(providerId) {
+    const entry = this.entries.get(providerId);
+    if (!entry) {
+      throw new Error(`Unsupported model provider: ${providerId}`);
+    }
+    return entry;
+  }
+
+  getDefinition(providerId) {
+    return this.getEntry(providerId).definition;
+  }
+
+  getDefinitions() {
+    return Array.from(this.entries.values()).map(entry => entry.definition);
+  }
+
+  getProvider(providerId) {
+    const entry = this.getEntry(providerId);
+    if (!entry.provider) {
+      throw new Error(`Unsupported model provider: ${providerId}`);
+    }
+    return entry.provider;
+  }
+
+  requiresApiKey(modelId) {
+    return this.has(modelId.provider) && this.getDefinition(modelId.provider).requiresApiKey(modelId);
+  }
+
+  getCredentialSettingsKeys() {
+    return this.getDefinitions()
+      .filter(definition => definition.hasCredential())
+      .map(definition => ({ providerId: definition.id, settingsKey: definition.getCredentialSettingsKey() }));
+  }
+
+  getSettingsDefaults() {
+    return this.getDefinitions().reduce((defaults, definition) => ({ ...defaults, ...definition.getSettingsDefaults() }), {});
+  }
+
+  async listModels() {
+    const modelLists = await Promise.all(Array.from(this.entries.values()).map(async ({ definition, provider }) => {
+      if (!provider || typeof provider.listModels !== 'function') {
+        return [];
+      }
+      try {
+        return await provider.listModels();
+      } catch (error) {
+        // One unreachable provider must not hide the models of the others
+        console.error(`ProviderRegistry: Failed to list ${definition.id} models:`, error);
+        return [];
+      }
+    }));
+    return modelLists.flat();
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ProviderRegistry;
+}
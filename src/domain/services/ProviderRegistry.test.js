@@ -0,0 +1,103 @@
+/**
+ * ProviderRegistry Service Tests
+ * Tests provider registration, lookup and model aggregation
+ *
+ * Copyright (C) 2025 Dimitry Polivaev
+ * Licensed under GPL3 or later
+ */
+
+const ProviderRegistry = require('./ProviderRegistry');
+const ProviderDefinition = require('../values/ProviderDefinition');
+const ModelId = require('../values/ModelId');
+
+describe('ProviderRegistry', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new ProviderRegistry();
+  });
+
+  describe('default providers', () => {
+    test('should register the built-in providers in the order models are offered', () => {
+      const defaultRegistry = ProviderRegistry.createDefault();
+      expect(defaultRegistry.getDefinitions().map(definition => definition.id)).toEqual(['OpenRouter', 'Gemini', 'Anthropic', 'OpenAICompatible']);
+    });
+
+    test('should expose credential and provider settings keys', () => {
+      const defaultRegistry = ProviderRegistry.createDefault();
+
+      expect(defaultRegistry.getCredentialSettingsKeys()).toEqual([
+        { providerId: 'OpenRouter', settingsKey: 'openRouterApiKey' },
+        { providerId: 'Gemini', settingsKey: 'apiKey' },
+        { providerId: 'Anthropic', settingsKey: 'anthropicApiKey' },
+        { providerId: 'OpenAICompatible', settingsKey: 'openAICompatibleApiKey' }
+      ]);
+      expect(defaultRegistry.getSettingsDefaults()).toEqual({
+        openAICompatibleBaseUrl: '',
+        openAICompatibleModels: []
+      });
+    });
+
+    test('should know which models need a key', () => {
+      const defaultRegistry = ProviderRegistry.createDefault();
+
+      expect(defaultRegistry.requiresApiKey(new ModelId('gemini-2.5-pro', 'Gemini'))).toBe(true);
+      expect(defaultRegistry.requiresApiKey(new ModelId('openai/gpt-4o', 'OpenRouter'))).toBe(true);
+      expect(defaultRegistry.requiresApiKey(new ModelId('claude-sonnet-4-5', 'Anthropic'))).toBe(true);
+      expect(defaultRegistry.requiresApiKey(ModelId.getDefault())).toBe(false);
+      expect(defaultRegistry.requiresApiKey(new ModelId('llama3.1:8b', 'OpenAICompatible'))).toBe(false);
+      expect(defaultRegistry.requiresApiKey(new ModelId('unknown', 'Unknown'))).toBe(false);
+    });
+  });
+
+  describe('registration and lookup', () => {
+    test('should return the provider registered for an id', () => {
+      const provider = { processSubtitles: jest.fn() };
+      registry.register(new ProviderDefinition({ id: 'Mistral' }), provider);
+
+      expect(registry.has('Mistral')).toBe(true);
+      expect(registry.getProvider('Mistral')).toBe(provider);
+      expect(registry.getDefinition('Mistral').id).toBe('Mistral');
+    });
+
+    test('should attach providers to definitions registered earlier', () => {
+      const provider = { processSubtitles: jest.fn() };
+      registry.register(new ProviderDefinition({ id: 'Mistral' }));
+
+      expect(() => registry.getProvider('Mistral')).toThrow('Unsupported model provider: Mistral');
+      registry.setProvider('Mistral', provider);
+      expect(registry.getProvider('Mistral')).toBe(provider);
+    });
+
+    test('should reject unknown and duplicate providers', () => {
+      registry.register(new ProviderDefinition({ id: 'Mistral' }));
+
+      expect(() => registry.getDefinition('Unknown')).toThrow('Unsupported model provider: Unknown');
+      expect(() => registry.setProvider('Unknown', {})).toThrow('Unsupported model provider: Unknown');
+      expect(() => registry.register(new ProviderDefinition({ id: 'Mistral' }))).toThrow('Provider already registered: Mistral');
+      expect(() => registry.register({ id: 'Plain' })).toThrow('definition must be a ProviderDefinition instance');
+    });
+  });
+
+  describe('model listing', () => {
+    test('should combine models of all providers in registration order', async () => {
+      const mistralModel = new ModelId('mistral-large', 'Mistral');
+      const localModel = new ModelId('llama3.1:8b', 'Local');
+      registry.register(new ProviderDefinition({ id: 'Mistral' }), { listModels: jest.fn().mockResolvedValue([mistralModel]) });
+      registry.register(new ProviderDefinition({ id: 'Local' }), { listModels: jest.fn().mockResolvedValue([localModel]) });
+
+      expect(await registry.listModels()).toEqual([mistralModel, localModel]);
+    });
+
+    test('should keep the models of other providers when one fails', async () => {
+      const localModel = new ModelId('llama3.1:8b', 'Local');
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      registry.register(new ProviderDefinition({ id: 'Mistral' }), { listModels: jest.fn().mockRejectedValue(new Error('offline')) });
+      registry.register(new ProviderDefinition({ id: 'Local' }), { listModels: jest.fn().mockResolvedValue([localModel]) });
+      registry.register(new ProviderDefinition({ id: 'Unwired' }));
+
+      expect(await registry.listModels()).toEqual([localModel]);
+      console.error.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * TokenBucket Domain Service
+ * Client-side request throttling for known rate limits, so requests wait instead of being rejected
+ *
+ * Copyright (C) 2025 Dimitry Polivaev
+ * Licensed under GPL3 or later
+ */
+
+class TokenBucket {
+  constructor(capacity, refillIntervalMs, clock = () => Date.now()) {
+    if (!Number.isInteger(capacity) || capacity < 1) {
+      throw new Error('capacity must be a positive integer');
+    }
+    if (!Number.isFinite(refillIntervalMs) || refillIntervalMs <= 0) {
+      throw new Error('refillIntervalMs must be a positive number');
+    }
+    this.capacity = capacity;
+    this.refillIntervalMs = refillIntervalMs;
+    this.clock = clock;
+    this.tokens = capacity;
+    this.lastRefill = clock();
+  }
+
+  static perMinute(requests, clock) {
+    return new TokenBucket(requests, 60000, clock);
+  }
+
+  refill() {
+    const now = this.clock();
+    const refilledTokens = (now - this.lastRefill) * this.capacity / this.refillIntervalMs;
+    this.tokens = Math.min(this.capacity, this.tokens + refilledTokens);
+    this.lastRefill = now;
+  }
+
+  tryTake() {
+    this.refill();
+    if (this.tokens < 1) {
+      return false;
+    }
+    this.tokens -= 1;
+    return true;
+  }
+
+  getWaitTime() {
+    this.refill();
+    return this.tokens >= 1 ? 0 : Math.ceil((1 - this.tokens) * this.refillIntervalMs / this.capacity);
+  }
+
+  async take(signal = null, onWait = null) {
+    // Requests waiting at the same time compete again for every refilled token
+    while (!this.tryTake()) {
+      const waitMs = this.getWaitTime();
+      if (onWait) {
+        onWait(waitMs);
+      }
+      await this.wait(waitMs, signal);
+    }
+  }
+
+  wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(new Error('Request cancelled'));
+        return;
+      }
+      const cancel = () => {
+        clearTimeout(timeout);
+        reject(new Error('Request cancelled'));
+      };
+      const timeout = setTimeout(() => {
+        if (signal) {
+          signal.removeEventListener('abort', cancel);
+        }
+        resolve();
+      }, ms);
+      if (signal) {
+        signal.addEventListener('abort', cancel, { once: true });
+      }
+    });
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TokenBucket;
+}
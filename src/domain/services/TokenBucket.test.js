@@ -0,0 +1,82 @@
+/**
+ * TokenBucket Service Tests
+ * Tests client-side throttling of requests to known rate limits
+ *
+ * Copyright (C) 2025 Dimitry Polivaev
+ * Licensed under GPL3 or later
+ */
+
+const TokenBucket = require('./TokenBucket');
+
+describe('TokenBucket', () => {
+  let now;
+  const clock = () => now;
+
+  beforeEach(() => {
+    now = 0;
+  });
+
+  test('should allow requests up to the capacity and then ask to wait', () => {
+    const bucket = TokenBucket.perMinute(2, clock);
+
+    expect(bucket.tryTake()).toBe(true);
+    expect(bucket.tryTake()).toBe(true);
+    expect(bucket.tryTake()).toBe(false);
+    expect(bucket.getWaitTime()).toBe(30000);
+  });
+
+  test('should refill tokens over time without exceeding the capacity', () => {
+    const bucket = TokenBucket.perMinute(2, clock);
+    bucket.tryTake();
+    bucket.tryTake();
+
+    now = 30000;
+    expect(bucket.tryTake()).toBe(true);
+    expect(bucket.tryTake()).toBe(false);
+
+    now = 600000;
+    expect(bucket.tryTake()).toBe(true);
+    expect(bucket.tryTake()).toBe(true);
+    expect(bucket.tryTake()).toBe(false);
+  });
+
+  test('should wait for the next token and report the wait', async () => {
+    jest.useFakeTimers();
+    try {
+      const bucket = new TokenBucket(1, 1000, clock);
+      const onWait = jest.fn();
+      bucket.tryTake();
+
+      let taken = false;
+      const take = bucket.take(null, onWait).then(() => {
+        taken = true;
+      });
+      await Promise.resolve();
+      expect(onWait).toHaveBeenCalledWith(1000);
+      expect(taken).toBe(false);
+
+      now = 1000;
+      jest.advanceTimersByTime(1000);
+      await take;
+      expect(taken).toBe(true);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('should stop waiting when the request is cancelled', async () => {
+    const bucket = new TokenBucket(1, 60000, clock);
+    const controller = new AbortController();
+    bucket.tryTake();
+
+    const take = bucket.take(controller.signal);
+    controller.abort();
+
+    await expect(take).rejects.toThrow('Request cancelled');
+  });
+
+  test('should reject invalid limits', () => {
+    expect(() => new TokenBucket(0, 1000)).toThrow('capacity must be a positive integer');
+    expect(() => new TokenBucket(1, 0)).toThrow('refillIntervalMs must be a positive number');
+  });
+});
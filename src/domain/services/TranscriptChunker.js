@@ -0,0 +1,154 @@
+/**
+ * TranscriptChunker Domain Service
+ * Splits transcripts that exceed a model's context window into overlapping time windows
+ * and merges the chapters generated per window back into one list
+ *
+ * Copyright (C) 2025 Dimitry Polivaev
+ * Licensed under GPL3 or later
+ */
+
+// Load Chapter and ChapterList for Node.js environment (tests), skip if already loaded in browser
+if (typeof Chapter === 'undefined' && typeof require !== 'undefined') {
+  const Chapter = require('../values/Chapter');
+}
+if (typeof ChapterList === 'undefined' && typeof require !== 'undefined') {
+  const ChapterList = require('../values/ChapterList');
+}
+
+class TranscriptChunker {
+  constructor(promptGenerator) {
+    this.promptGenerator = promptGenerator;
+    this.OVERLAP_SECONDS = 60;
+    this.PROMPT_BUDGET_RATIO = 0.8;
+    this.TIMESTAMP_PATTERN = /^\s*[[(]((?:\d{1,2}:)?\d{1,2}:\d{2})[\])]/;
+  }
+
+  getPromptBudget(provider, model) {
+    const limits = this.promptGenerator.getTokenLimits(provider, model);
+    return Math.floor(limits.input * this.PROMPT_BUDGET_RATIO);
+  }
+
+  needsChunking(prompt, provider, model) {
+    return this.promptGenerator.estimateTokenCount(prompt) > this.getPromptBudget(provider, model);
+  }
+
+  getContentBudget(promptWithoutContent, provider, model) {
+    const overhead = this.promptGenerator.estimateTokenCount(promptWithoutContent);
+    const budget = this.getPromptBudget(provider, model) - overhead;
+    if (budget <= 0) {
+      throw new Error(`Instructions alone exceed the context window of ${provider}/${model}`);
+    }
+    return budget;
+  }
+
+  split(content, maxTokens) {
+    const lines = this.toTimedLines(content);
+    if (lines.length === 0) {
+      return [];
+    }
+
+    const chunks = [];
+    let startIndex = 0;
+    while (startIndex < lines.length) {
+      const endIndex = this.findWindowEnd(lines, startIndex, maxTokens);
+      chunks.push(this.createChunk(chunks.length, lines.slice(startIndex, endIndex)));
+      if (endIndex >= lines.length) {
+        break;
+      }
+      startIndex = this.findOverlapStart(lines, startIndex, endIndex);
+    }
+
+    return chunks;
+  }
+
+  toTimedLines(content) {
+    let currentSeconds = 0;
+    return String(content || '')
+      .split('\n')
+      .filter(text => text.trim().length > 0)
+      .map(text => {
+        const match = text.match(this.TIMESTAMP_PATTERN);
+        const seconds = match ? Chapter.parseTimecode(match[1]) : null;
+        if (seconds !== null) {
+          currentSeconds = seconds;
+        }
+        return {
+          text,
+          seconds: currentSeconds,
+          tokens: this.promptGenerator.estimateTokenCount(text + '\n')
+        };
+      });
+  }
+
+  findWindowEnd(lines, startIndex, maxTokens) {
+    let tokens = 0;
+    let endIndex = startIndex;
+    while (endIndex < lines.length && (endIndex === startIndex || tokens + lines[endIndex].tokens <= maxTokens)) {
+      tokens += lines[endIndex].tokens;
+      endIndex++;
+    }
+    return endIndex;
+  }
+
+  findOverlapStart(lines, startIndex, endIndex) {
+    const overlapFrom = lines[endIndex - 1].seconds - this.OVERLAP_SECONDS;
+    let overlapStart = endIndex;
+    while (overlapStart - 1 > startIndex && lines[overlapStart - 1].seconds >= overlapFrom) {
+      overlapStart--;
+    }
+    return overlapStart;
+  }
+
+  createChunk(index, lines) {
+    return {
+      index,
+      content: lines.map(line => line.text).join('\n'),
+      startSeconds: lines[0].seconds,
+      endSeconds: lines[lines.length - 1].seconds
+    };
+  }
+
+  merge(chunks, chapterLists) {
+    if (!Array.isArray(chunks) || !Array.isArray(chapterLists) || chunks.length !== chapterLists.length) {
+      throw new Error('Each chunk needs exactly one chapter list');
+    }
+
+    const merged = [];
+    chapterLists.forEach((chapterList, index) => {
+      const ownedFrom = this.getOwnedStartSeconds(chunks, index);
+      const ownedUntil = this.getOwnedStartSeconds(chunks, index + 1);
+      chapterList.getChapters()
+        .filter(chapter => chapter.startSeconds >= ownedFrom && chapter.startSeconds < ownedUntil)
+        .forEach(chapter => {
+          const previous = merged[merged.length - 1];
+          if (previous && this.isSameTitle(previous, chapter)) {
+            return;
+          }
+          merged.push(chapter);
+        });
+    });
+
+    return new ChapterList(merged);
+  }
+
+  getOwnedStartSeconds(chunks, index) {
+    if (index === 0) {
+      return 0;
+    }
+    if (index >= chunks.length) {
+      return Infinity;
+    }
+    const previousEnd = chunks[index - 1].endSeconds;
+    const start = chunks[index].startSeconds;
+    return Math.floor((start + Math.max(start, previousEnd)) / 2);
+  }
+
+  isSameTitle(first, second) {
+    const normalize = title => title.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+    return normalize(first.title) === normalize(second.title);
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TranscriptChunker;
+}
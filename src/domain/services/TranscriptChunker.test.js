@@ -0,0 +1,110 @@
+/**
+ * TranscriptChunker Service Tests
+ * Tests splitting long transcripts into overlapping windows and merging chapters per window
+ *
+ * Copyright (C) 2025 Dimitry Polivaev
+ * Licensed under GPL3 or later
+ */
+
+const TranscriptChunker = require('./TranscriptChunker');
+const PromptGenerator = require('../../background/prompt-generator');
+const Chapter = require('../values/Chapter');
+const ChapterList = require('../values/ChapterList');
+
+describe('TranscriptChunker', () => {
+  let promptGenerator;
+  let chunker;
+
+  const buildTranscript = (lineCount, stepSeconds = 30) => Array.from({ length: lineCount }, (_, index) =>
+    `(${Chapter.formatTimecode(index * stepSeconds)}) spoken words number ${index}`
+  ).join('\n');
+
+  beforeEach(() => {
+    promptGenerator = new PromptGenerator();
+    promptGenerator.getTokenLimits = () => ({ input: 1000, output: 100 });
+    chunker = new TranscriptChunker(promptGenerator);
+  });
+
+  describe('context window budget', () => {
+    test('should detect prompts that exceed the budgeted context window', () => {
+      expect(chunker.needsChunking('x'.repeat(3200), 'gemini', 'model')).toBe(false);
+      expect(chunker.needsChunking('x'.repeat(3204), 'gemini', 'model')).toBe(true);
+    });
+
+    test('should subtract the instruction overhead from the content budget', () => {
+      expect(chunker.getContentBudget('x'.repeat(400), 'gemini', 'model')).toBe(700);
+      expect(() => chunker.getContentBudget('x'.repeat(4000), 'gemini', 'model'))
+        .toThrow('Instructions alone exceed the context window of gemini/model');
+    });
+  });
+
+  describe('split', () => {
+    test('should keep short transcripts in a single chunk', () => {
+      const chunks = chunker.split(buildTranscript(3), 1000);
+
+      expect(chunks).toHaveLength(1);
+      expect(chunks[0]).toMatchObject({ index: 0, startSeconds: 0, endSeconds: 60 });
+    });
+
+    test('should split into overlapping windows within the token budget', () => {
+      const content = buildTranscript(60);
+      const chunks = chunker.split(content, 100);
+
+      expect(chunks.length).toBeGreaterThan(1);
+      chunks.forEach((chunk, index) => {
+        expect(chunk.index).toBe(index);
+        expect(promptGenerator.estimateTokenCount(chunk.content)).toBeLessThanOrEqual(100);
+        if (index > 0) {
+          const previous = chunks[index - 1];
+          expect(chunk.startSeconds).toBeGreaterThan(previous.startSeconds);
+          expect(chunk.startSeconds).toBeLessThanOrEqual(previous.endSeconds);
+          expect(previous.endSeconds - chunk.startSeconds).toBeLessThanOrEqual(chunker.OVERLAP_SECONDS);
+        }
+      });
+      expect(chunks[0].startSeconds).toBe(0);
+      expect(chunks[chunks.length - 1].endSeconds).toBe(59 * 30);
+    });
+
+    test('should always make progress when a single line exceeds the budget', () => {
+      const chunks = chunker.split('(0:00) ' + 'long '.repeat(100) + '\n(0:30) short', 10);
+
+      expect(chunks.map(chunk => chunk.startSeconds)).toEqual([0, 30]);
+    });
+
+    test('should carry the last timestamp over to lines without one', () => {
+      const chunks = chunker.split('(1:00) first\ncontinued\n(2:00) second', 1000);
+
+      expect(chunks[0]).toMatchObject({ startSeconds: 60, endSeconds: 120 });
+      expect(chunker.split('   \n', 1000)).toEqual([]);
+    });
+  });
+
+  describe('merge', () => {
+    const chunks = [
+      { index: 0, startSeconds: 0, endSeconds: 600 },
+      { index: 1, startSeconds: 540, endSeconds: 1200 }
+    ];
+
+    test('should keep each chapter from the window owning its start time', () => {
+      const merged = chunker.merge(chunks, [
+        ChapterList.parse('00:00 - Intro\n05:00 - Setup\n09:20 - Boundary topic'),
+        ChapterList.parse('00:00 - Hallucinated start\n09:10 - Setup again\n12:00 - Deep dive')
+      ]);
+
+      expect(merged.toText()).toBe('00:00 - Intro\n05:00 - Setup\n09:20 - Boundary topic\n12:00 - Deep dive');
+    });
+
+    test('should drop repeated titles at window boundaries', () => {
+      const merged = chunker.merge(chunks, [
+        ChapterList.parse('00:00 - Intro\n09:00 - Q&A'),
+        ChapterList.parse('09:40 - Q & A\n15:00 - Outro')
+      ]);
+
+      expect(merged.getChapters().map(chapter => chapter.title)).toEqual(['Intro', 'Q&A', 'Outro']);
+    });
+
+    test('should require one chapter list per chunk', () => {
+      expect(() => chunker.merge(chunks, [new ChapterList()])).toThrow('Each chunk needs exactly one chapter list');
+    });
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * UsageReport Domain Service
+ * Sums up usage ledger records per day and per model, computes current spending and exports the ledger as CSV
+ *
+ * Copyright (C) 2025 Dimitry Polivaev
+ * Licensed under GPL3 or later
+ */
+
+class UsageReport {
+  constructor(records = []) {
+    this.records = records;
+  }
+
+  // Days and months follow the user's local calendar, like the budgets they set
+  getSpending(now = new Date()) {
+    const startOfDay = new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime();
+    const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1).getTime();
+    return {
+      daily: this.sumCost(this.records.filter(record => record.timestamp >= startOfDay)),
+      monthly: this.sumCost(this.records.filter(record => record.timestamp >= startOfMonth))
+    };
+  }
+
+  summarizeByDay(dayCount, now = new Date()) {
+    const days = [];
+    for (let offset = dayCount - 1; offset >= 0; offset--) {
+      const day = new Date(now.getFullYear(), now.getMonth(), now.getDate() - offset);
+      days.push({ day: UsageReport.formatDay(day), ...this.createTotals() });
+    }
+    const totalsByDay = new Map(days.map(totals => [totals.day, totals]));
+
+    this.records.forEach(record => {
+      const totals = totalsByDay.get(UsageReport.formatDay(new Date(record.timestamp)));
+      if (totals) {
+        this.addRecord(totals, record);
+      }
+    });
+    return days;
+  }
+
+  summarizeByModel() {
+    const totalsByModel = new Map();
+    this.records.forEach(record => {
+      const key = `${record.provider}/${record.model}`;
+      if (!totalsByModel.has(key)) {
+        totalsByModel.set(key, { provider: record.provider, model: record.model, ...this.createTotals() });
+      }
+      this.addRecord(totalsByModel.get(key), record);
+    });
+    return Array.from(totalsByModel.values())
+      .sort((first, second) => second.cost - first.cost || (second.inputTokens + second.outputTokens) - (first.inputTokens + first.outputTokens));
+  }
+
+  // Requests made with the default key of a provider are summed up under an empty profile name
+  summarizeByProfile() {
+    const totalsByProfile = new Map();
+    this.records.forEach(record => {
+      const key = `${record.provider}/${record.profile}`;
+      if (!totalsByProfile.has(key)) {
+        totalsByProfile.set(key, { provider: record.provider, profile: record.profile, ...this.createTotals() });
+      }
+      this.addRecord(totalsByProfile.get(key), record);
+    });
+    return Array.from(totalsByProfile.values())
+      .sort((first, second) => second.cost - first.cost || second.requests - first.requests);
+  }
+
+  createTotals() {
+    return { cost: 0, inputTokens: 0, outputTokens: 0, requests: 0 };
+  }
+
+  addRecord(totals, record) {
+    totals.cost += record.getCost();
+    totals.inputTokens += record.inputTokens;
+    totals.outputTokens += record.outputTokens;
+    totals.requests += 1;
+  }
+
+  sumCost(records) {
+    return records.reduce((total, record) => total + record.getCost(), 0);
+  }
+
+  toCsv() {
+    const header = 'timestamp,user,profile,provider,model,request_type,video_id,input_tokens,output_tokens,cost_usd';
+    const rows = this.records.map(record => [
+      new Date(record.timestamp).toISOString(),
+      record.userLabel,
+      record.profile,
+      record.provider,
+      record.model,
+      record.requestType,
+      record.videoId,
+      String(record.inputTokens),
+      String(record.outputTokens),
+      record.cost === null ? '' : String(record.cost)
+    ].map(value => this.escapeCsv(value)).join(','));
+    return [header, ...rows].join('\r\n') + '\r\n';
+  }
+
+  escapeCsv(value) {
+    return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+  }
+
+  static formatDay(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = UsageReport;
+}
@@ -0,0 +1,84 @@
+/**
+ * UsageReport Domain Service Tests
+ * Tests spending totals, per-day and per-model summaries and the CSV export of the usage ledger
+ *
+ * Copyright (C) 2025 Dimitry Polivaev
+ * Licensed under GPL3 or later
+ */
+
+const UsageReport = require('./UsageReport');
+
+describe('UsageReport', () => {
+  const now = new Date(2025, 5, 15, 12, 0);
+  const at = (day, hour = 10) => new Date(2025, 5, day, hour).getTime();
+  const record = (timestamp, model, cost, userLabel = '', profile = '') => new UsageRecord({
+    timestamp,
+    provider: 'OpenRouter',
+    model,
+    inputTokens: 1000,
+    outputTokens: 100,
+    cost,
+    videoId: 'abc123',
+    userLabel,
+    profile
+  });
+
+  const records = [
+    record(new Date(2025, 4, 31, 23).getTime(), 'openai/gpt-4o', 1),
+    record(at(14), 'openai/gpt-4o', 0.25),
+    record(at(15, 8), 'openai/gpt-4o-mini', 0.01),
+    record(at(15, 9), 'deepseek/deepseek-r1-0528:free', 0),
+    record(at(15, 11), 'gemini-2.5-pro', null)
+  ];
+
+  test('should sum the spending of the current day and month', () => {
+    const spending = new UsageReport(records).getSpending(now);
+
+    expect(spending.daily).toBeCloseTo(0.01);
+    expect(spending.monthly).toBeCloseTo(0.26);
+  });
+
+  test('should summarize the last days including days without usage', () => {
+    const days = new UsageReport(records).summarizeByDay(3, now);
+
+    expect(days.map(day => day.day)).toEqual(['2025-06-13', '2025-06-14', '2025-06-15']);
+    expect(days[0]).toEqual({ day: '2025-06-13', cost: 0, inputTokens: 0, outputTokens: 0, requests: 0 });
+    expect(days[1].cost).toBeCloseTo(0.25);
+    expect(days[2]).toEqual(expect.objectContaining({ requests: 3, inputTokens: 3000, outputTokens: 300 }));
+  });
+
+  test('should summarize per model with the most expensive first', () => {
+    const models = new UsageReport(records).summarizeByModel();
+
+    expect(models.map(model => model.model)).toEqual([
+      'openai/gpt-4o',
+      'openai/gpt-4o-mini',
+      'deepseek/deepseek-r1-0528:free',
+      'gemini-2.5-pro'
+    ]);
+    expect(models[0]).toEqual(expect.objectContaining({ provider: 'OpenRouter', requests: 2, cost: 1.25 }));
+  });
+
+  test('should summarize per key profile with the most expensive first', () => {
+    const profiles = new UsageReport([
+      record(at(15, 8), 'openai/gpt-4o', 0.25, '', 'Personal'),
+      record(at(15, 9), 'openai/gpt-4o', 1, '', 'Work'),
+      record(at(15, 10), 'openai/gpt-4o-mini', 0.5, '', 'Work'),
+      record(at(15, 11), 'deepseek/deepseek-r1-0528:free', 0)
+    ]).summarizeByProfile();
+
+    expect(profiles.map(profile => profile.profile)).toEqual(['Work', 'Personal', '']);
+    expect(profiles[0]).toEqual(expect.objectContaining({ provider: 'OpenRouter', requests: 2, cost: 1.5 }));
+  });
+
+  test('should export every record as CSV', () => {
+    const csv = new UsageReport([record(Date.UTC(2025, 5, 15, 8), 'openai/gpt-4o', 0.25, 'Doe, Jane', 'Work'), record(Date.UTC(2025, 5, 15, 9), 'gemini-2.5-pro', null)]).toCsv();
+
+    expect(csv.split('\r\n')).toEqual([
+      'timestamp,user,profile,provider,model,request_type,video_id,input_tokens,output_tokens,cost_usd',
+      '2025-06-15T08:00:00.000Z,"Doe, Jane",Work,OpenRouter,openai/gpt-4o,generation,abc123,1000,100,0.25',
+      '2025-06-15T09:00:00.000Z,,,OpenRouter,gemini-2.5-pro,generation,abc123,1000,100,',
+      ''
+    ]);
+  });
+});
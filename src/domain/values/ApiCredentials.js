@@ -1,6 +1,6 @@
 /**
  * ApiCredentials Value Object
- * Represents API credentials for different providers
+ * Represents API credentials for different providers, keyed by provider id
  *
  * Copyright (C) 2025 Dimitry Polivaev
  * Licensed under GPL3 or later
@@ -13,57 +13,103 @@ if (typeof ModelId === 'undefined' && typeof require !== 'undefined') {
 
 class ApiCredentials {
   constructor(geminiKey = '', openRouterKey = '') {
-    this.geminiKey = this.validateKey(geminiKey, 'Gemini');
-    this.openRouterKey = this.validateKey(openRouterKey, 'OpenRouter');
+    this.keys = this.validateKeys({ Gemini: geminiKey, OpenRouter: openRouterKey });
+    this.profileNames = Object.freeze({});
     Object.freeze(this);
   }
 
+  static fromKeys(keys = {}, profileNames = {}) {
+    const credentials = Object.create(ApiCredentials.prototype);
+    credentials.keys = credentials.validateKeys(keys);
+    credentials.profileNames = credentials.validateProfileNames(profileNames, credentials.keys);
+    return Object.freeze(credentials);
+  }
+
+  static forModel(model, key = '') {
+    return ApiCredentials.fromKeys({ [model.provider]: key || '' });
+  }
+
+  validateKeys(keys) {
+    // Only non-empty keys are kept so that equal credentials compare equal whatever providers are known
+    const validatedKeys = {};
+    Object.entries(keys).forEach(([providerId, key]) => {
+      const validatedKey = this.validateKey(key, providerId);
+      if (validatedKey) {
+        validatedKeys[providerId] = validatedKey;
+      }
+    });
+    return Object.freeze(validatedKeys);
+  }
+
+  validateProfileNames(profileNames, keys) {
+    // A profile name only describes a key that is actually there
+    const validatedNames = {};
+    Object.entries(profileNames || {}).forEach(([providerId, name]) => {
+      if (keys[providerId] && typeof name === 'string' && name.trim()) {
+        validatedNames[providerId] = name.trim();
+      }
+    });
+    return Object.freeze(validatedNames);
+  }
+
   validateKey(key, provider) {
     if (key && typeof key !== 'string') {
       throw new Error(`${provider} API key must be a string`);
     }
-    return key.trim();
+    return (key || '').trim();
   }
 
-  canUseModel(model) {
-    if (model.isGemini()) {
-      return !!this.geminiKey;
-    }
-
-    if (model.isOpenRouter()) {
-      return !!this.openRouterKey;
-    }
+  get geminiKey() {
+    return this.getKey('Gemini');
+  }
 
-    return false;
+  get openRouterKey() {
+    return this.getKey('OpenRouter');
   }
 
+  getKey(providerId) {
+    return this.keys[providerId] || '';
+  }
 
-  getKeyForModel(model) {
-    if (model.isGemini()) {
-      return this.geminiKey;
-    }
+  hasKey(providerId) {
+    return !!this.getKey(providerId);
+  }
 
-    if (model.isOpenRouter()) {
-      return this.openRouterKey;
-    }
+  getProfileName(providerId) {
+    return this.profileNames[providerId] || '';
+  }
 
-    return '';
+  getKeyForModel(model) {
+    return this.getKey(model.provider);
   }
 
   hasGeminiKey() {
-    return !!this.geminiKey;
+    return this.hasKey('Gemini');
   }
 
   hasOpenRouterKey() {
-    return !!this.openRouterKey;
+    return this.hasKey('OpenRouter');
+  }
+
+  withKey(providerId, key) {
+    // A key entered by hand belongs to no profile
+    const { [providerId]: _, ...profileNames } = this.profileNames;
+    return ApiCredentials.fromKeys({ ...this.keys, [providerId]: key }, profileNames);
+  }
+
+  withProfile(profile) {
+    return ApiCredentials.fromKeys(
+      { ...this.keys, [profile.providerId]: profile.apiKey },
+      { ...this.profileNames, [profile.providerId]: profile.name }
+    );
   }
 
   withGeminiKey(key) {
-    return new ApiCredentials(key, this.openRouterKey);
+    return this.withKey('Gemini', key);
   }
 
   withOpenRouterKey(key) {
-    return new ApiCredentials(this.geminiKey, key);
+    return this.withKey('OpenRouter', key);
   }
 
 }
@@ -77,37 +77,6 @@ describe('ApiCredentials', () => {
     });
   });
 
-  describe('model compatibility', () => {
-    test('should allow Gemini models with Gemini key', () => {
-      const credentials = new ApiCredentials('gemini-key', '');
-      const geminiPro = new ModelId('gemini-2.5-pro', 'Gemini', false);
-      const geminiFlash = new ModelId('gemini-3-flash-preview', 'Gemini', false);
-      expect(credentials.canUseModel(geminiPro)).toBe(true);
-      expect(credentials.canUseModel(geminiFlash)).toBe(true);
-    });
-
-    test('should reject Gemini models without Gemini key', () => {
-      const credentials = new ApiCredentials('', 'openrouter-key');
-      const geminiPro = new ModelId('gemini-2.5-pro', 'Gemini', false);
-      expect(credentials.canUseModel(geminiPro)).toBe(false);
-    });
-
-    test('should allow paid OpenRouter models with OpenRouter key', () => {
-      const credentials = new ApiCredentials('', 'openrouter-key');
-      const gpt4o = new ModelId('openai/gpt-4o', 'OpenRouter', false);
-      const claude = new ModelId('anthropic/claude-3.5-sonnet', 'OpenRouter', false);
-      expect(credentials.canUseModel(gpt4o)).toBe(true);
-      expect(credentials.canUseModel(claude)).toBe(true);
-    });
-
-    test('should reject paid OpenRouter models without OpenRouter key', () => {
-      const credentials = new ApiCredentials('gemini-key', '');
-      const gpt4o = new ModelId('openai/gpt-4o', 'OpenRouter', false);
-      expect(credentials.canUseModel(gpt4o)).toBe(false);
-    });
-
-  });
-
   describe('key retrieval for models', () => {
     test('should return correct key for Gemini models', () => {
       const credentials = new ApiCredentials('gemini-key-123', 'openrouter-key-456');
@@ -128,6 +97,41 @@ describe('ApiCredentials', () => {
       const unknownModel = new ModelId('unknown-model', 'Unknown', false);
       expect(credentials.getKeyForModel(unknownModel)).toBe('');
     });
+
+    test('should return the OpenAI-compatible key for self-hosted models', () => {
+      const credentials = ApiCredentials.fromKeys({ Gemini: 'gemini-key', OpenAICompatible: 'local-key' });
+      const localModel = new ModelId('llama3.1:8b', 'OpenAICompatible');
+      expect(credentials.getKeyForModel(localModel)).toBe('local-key');
+    });
+  });
+
+  describe('keys by provider id', () => {
+    test('should validate and trim keys of any provider', () => {
+      const credentials = ApiCredentials.fromKeys({ Mistral: '  mistral-key  ' });
+      expect(credentials.getKey('Mistral')).toBe('mistral-key');
+      expect(credentials.hasKey('Mistral')).toBe(true);
+      expect(credentials.hasGeminiKey()).toBe(false);
+      expect(Object.isFrozen(credentials)).toBe(true);
+      expect(() => ApiCredentials.fromKeys({ Mistral: 42 })).toThrow('Mistral API key must be a string');
+    });
+
+    test('should have no key for models of providers without a stored key', () => {
+      const credentials = new ApiCredentials();
+      expect(credentials.getKeyForModel(new ModelId('mistral-large', 'Mistral'))).toBe('');
+    });
+  });
+
+  describe('credentials for a single model', () => {
+    test('should place the key where the model provider expects it', () => {
+      const gemini = new ModelId('gemini-2.5-pro', 'Gemini');
+      const openRouter = new ModelId('openai/gpt-4o', 'OpenRouter');
+      const local = new ModelId('llama3.1:8b', 'OpenAICompatible');
+
+      expect(ApiCredentials.forModel(gemini, 'key').geminiKey).toBe('key');
+      expect(ApiCredentials.forModel(openRouter, 'key').openRouterKey).toBe('key');
+      expect(ApiCredentials.forModel(local, 'key').getKey('OpenAICompatible')).toBe('key');
+      expect(ApiCredentials.forModel(local, undefined).getKeyForModel(local)).toBe('');
+    });
   });
 
   describe('immutable updates', () => {
@@ -150,6 +154,42 @@ describe('ApiCredentials', () => {
       expect(updated.geminiKey).toBe('gemini-key');
       expect(updated).not.toBe(original);
     });
+
+    test('should keep keys of other providers when updating one', () => {
+      const original = ApiCredentials.fromKeys({ Gemini: 'gemini-key', OpenRouter: 'openrouter-key', OpenAICompatible: 'local-key' });
+      const updated = original.withGeminiKey('new-gemini').withKey('OpenAICompatible', 'new-local');
+
+      expect(original.getKey('OpenAICompatible')).toBe('local-key');
+      expect(updated.getKey('OpenAICompatible')).toBe('new-local');
+      expect(updated.hasKey('OpenAICompatible')).toBe(true);
+      expect(updated.geminiKey).toBe('new-gemini');
+      expect(updated.openRouterKey).toBe('openrouter-key');
+    });
+  });
+
+  describe('credential profiles', () => {
+    const workProfile = { providerId: 'OpenRouter', name: 'Work', apiKey: 'work-key' };
+
+    test('should use the key of a profile and remember its name', () => {
+      const credentials = new ApiCredentials('gemini-key', 'default-key').withProfile(workProfile);
+
+      expect(credentials.openRouterKey).toBe('work-key');
+      expect(credentials.getProfileName('OpenRouter')).toBe('Work');
+      expect(credentials.getProfileName('Gemini')).toBe('');
+    });
+
+    test('should forget the profile when a key is set by hand', () => {
+      const credentials = new ApiCredentials('gemini-key', 'default-key').withProfile(workProfile).withOpenRouterKey('typed-key');
+
+      expect(credentials.openRouterKey).toBe('typed-key');
+      expect(credentials.getProfileName('OpenRouter')).toBe('');
+    });
+
+    test('should not name a profile without a key', () => {
+      const credentials = new ApiCredentials().withProfile({ ...workProfile, apiKey: '' });
+
+      expect(credentials.getProfileName('OpenRouter')).toBe('');
+    });
   });
 
 
@@ -0,0 +1,85 @@
+/**
+ * ApiKeyTestResult Value Object
+ * The outcome of testing an API key, classified into what the user has to do about it
+ *
+ * Copyright (C) 2025 Dimitry Polivaev
+ * Licensed under GPL3 or later
+ */
+
+class ApiKeyTestResult {
+  constructor({ category, message = '', keyInfo = null }) {
+    if (!ApiKeyTestResult.CATEGORIES.includes(category)) {
+      throw new Error(`Unknown API key test category: ${category}`);
+    }
+    this.category = category;
+    this.message = message || '';
+    this.keyInfo = keyInfo ? Object.freeze({ ...keyInfo }) : null;
+    Object.freeze(this);
+  }
+
+  static get CATEGORIES() {
+    return ['valid', 'invalid_key', 'insufficient_credits', 'region_not_supported', 'network_blocked', 'error'];
+  }
+
+  static valid(keyInfo = null) {
+    return new ApiKeyTestResult({ category: 'valid', keyInfo });
+  }
+
+  static invalidFormat() {
+    return new ApiKeyTestResult({ category: 'invalid_key', message: 'The key does not have the expected format' });
+  }
+
+  // Providers word the same problems differently, so the response text is checked before the status
+  static fromError(error) {
+    const message = ApiKeyTestResult.getErrorMessage(error);
+    const text = message.toLowerCase();
+    const status = error && error.isHttpError ? error.status : null;
+
+    let category = 'error';
+    if (/location is not supported|not available in your (region|country)|unsupported_country|region not supported/.test(text)) {
+      category = 'region_not_supported';
+    } else if (status === 402 || /credit balance|insufficient credits|insufficient_quota|billing/.test(text)) {
+      category = 'insufficient_credits';
+    } else if (status === 401 || status === 403 || /api key not valid|api_key_invalid|invalid api key|invalid x-api-key/.test(text)) {
+      category = 'invalid_key';
+    } else if (!status && /^network error|was not granted|failed to fetch|networkerror/.test(text)) {
+      category = 'network_blocked';
+    }
+    return new ApiKeyTestResult({ category, message });
+  }
+
+  static getErrorMessage(error) {
+    if (!error) {
+      return '';
+    }
+    const errorData = error.responseData || {};
+    const details = errorData.error
+      ? [errorData.error.message, errorData.error.status, errorData.error.code, errorData.error.type].filter(Boolean).join(' ')
+      : errorData.message;
+    return details ? `${error.message} ${details}` : error.message || '';
+  }
+
+  isValid() {
+    return this.category === 'valid';
+  }
+
+  getMessageKey() {
+    return `api_key_test_${this.category}`;
+  }
+
+  toJSON() {
+    return {
+      category: this.category,
+      message: this.message,
+      keyInfo: this.keyInfo ? { ...this.keyInfo } : null
+    };
+  }
+
+  static fromJSON(data) {
+    return new ApiKeyTestResult(data);
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ApiKeyTestResult;
+}
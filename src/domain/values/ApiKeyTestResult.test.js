@@ -0,0 +1,58 @@
+/**
+ * ApiKeyTestResult Value Object Tests
+ * Tests how failed API key tests are classified for the user
+ *
+ * Copyright (C) 2025 Dimitry Polivaev
+ * Licensed under GPL3 or later
+ */
+
+const ApiKeyTestResult = require('./ApiKeyTestResult');
+
+describe('ApiKeyTestResult', () => {
+  const httpError = (status, responseData = {}) => {
+    const error = new Error(`HTTP ${status}: Error`);
+    error.isHttpError = true;
+    error.status = status;
+    error.responseData = responseData;
+    return error;
+  };
+
+  test('should keep the key information of a valid key', () => {
+    const result = ApiKeyTestResult.valid({ limit: 10, limitRemaining: 4 });
+
+    expect(result.isValid()).toBe(true);
+    expect(result.getMessageKey()).toBe('api_key_test_valid');
+    expect(ApiKeyTestResult.fromJSON(JSON.parse(JSON.stringify(result)))).toEqual(result);
+    expect(Object.isFrozen(result)).toBe(true);
+  });
+
+  test('should reject unknown categories', () => {
+    expect(() => new ApiKeyTestResult({ category: 'maybe' })).toThrow('Unknown API key test category: maybe');
+  });
+
+  test('should report keys of the wrong format as invalid', () => {
+    expect(ApiKeyTestResult.invalidFormat().category).toBe('invalid_key');
+  });
+
+  test.each([
+    ['a rejected key', httpError(401, { error: { message: 'No auth credentials found' } }), 'invalid_key'],
+    ['a key without permission', httpError(403, { error: { message: 'Permission denied' } }), 'invalid_key'],
+    ['an invalid Gemini key', httpError(400, { error: { message: 'API key not valid. Please pass a valid API key.', status: 'INVALID_ARGUMENT' } }), 'invalid_key'],
+    ['an OpenRouter key without credits', httpError(402, { error: { message: 'Insufficient credits' } }), 'insufficient_credits'],
+    ['an Anthropic account without credits', httpError(400, { error: { type: 'invalid_request_error', message: 'Your credit balance is too low to access the Anthropic API.' } }), 'insufficient_credits'],
+    ['an OpenAI quota', httpError(429, { error: { message: 'You exceeded your current quota', code: 'insufficient_quota' } }), 'insufficient_credits'],
+    ['a Gemini region restriction', httpError(400, { error: { message: 'User location is not supported for the API use.', status: 'FAILED_PRECONDITION' } }), 'region_not_supported'],
+    ['an OpenRouter region restriction', httpError(403, { error: { message: 'This model is not available in your region.' } }), 'region_not_supported'],
+    ['a blocked request', new Error('Network error: Failed to fetch'), 'network_blocked'],
+    ['a missing host permission', new Error('Access to http://localhost:11434 was not granted.'), 'network_blocked'],
+    ['a server error', httpError(500), 'error']
+  ])('should classify %s', (_description, error, category) => {
+    expect(ApiKeyTestResult.fromError(error).category).toBe(category);
+  });
+
+  test('should keep the provider message for the details', () => {
+    const result = ApiKeyTestResult.fromError(httpError(500, { error: { message: 'Internal failure' } }));
+
+    expect(result.message).toBe('HTTP 500: Error Internal failure');
+  });
+});
@@ -0,0 +1,50 @@
+/**
+ * BudgetLimits Value Object
+ * Daily and monthly spending caps for paid models and what happens when a generation would exceed them
+ *
+ * Copyright (C) 2025 Dimitry Polivaev
+ * Licensed under GPL3 or later
+ */
+
+class BudgetLimits {
+  constructor(dailyLimit = null, monthlyLimit = null, action = 'confirm') {
+    if (!['confirm', 'block'].includes(action)) {
+      throw new Error(`Unknown budget action: ${action}`);
+    }
+    this.dailyLimit = this.validateLimit(dailyLimit);
+    this.monthlyLimit = this.validateLimit(monthlyLimit);
+    this.action = action;
+    Object.freeze(this);
+  }
+
+  validateLimit(limit) {
+    if (limit === null || limit === undefined || limit === '') {
+      return null;
+    }
+    const value = Number(limit);
+    return Number.isFinite(value) && value >= 0 ? value : null;
+  }
+
+  static fromSettings(settings = {}) {
+    return new BudgetLimits(settings.usageBudgetDaily, settings.usageBudgetMonthly, settings.usageBudgetAction || 'confirm');
+  }
+
+  hasLimits() {
+    return this.dailyLimit !== null || this.monthlyLimit !== null;
+  }
+
+  blocksExceedingRequests() {
+    return this.action === 'block';
+  }
+
+  findExceededLimits(spending, estimatedCost) {
+    return [
+      { period: 'daily', limit: this.dailyLimit, spent: spending.daily },
+      { period: 'monthly', limit: this.monthlyLimit, spent: spending.monthly }
+    ].filter(({ limit, spent }) => limit !== null && spent + estimatedCost > limit);
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BudgetLimits;
+}
@@ -0,0 +1,38 @@
+/**
+ * BudgetLimits Value Object Tests
+ * Tests daily and monthly spending caps
+ *
+ * Copyright (C) 2025 Dimitry Polivaev
+ * Licensed under GPL3 or later
+ */
+
+const BudgetLimits = require('./BudgetLimits');
+
+describe('BudgetLimits', () => {
+  test('should find the limits a request would exceed', () => {
+    const limits = new BudgetLimits(1, 20, 'block');
+
+    expect(limits.findExceededLimits({ daily: 0.9, monthly: 5 }, 0.05)).toEqual([]);
+    expect(limits.findExceededLimits({ daily: 0.9, monthly: 5 }, 0.2)).toEqual([{ period: 'daily', limit: 1, spent: 0.9 }]);
+    expect(limits.findExceededLimits({ daily: 0.9, monthly: 19.9 }, 0.2).map(exceeded => exceeded.period)).toEqual(['daily', 'monthly']);
+    expect(limits.blocksExceedingRequests()).toBe(true);
+  });
+
+  test('should read limits from settings', () => {
+    const limits = BudgetLimits.fromSettings({ usageBudgetDaily: '', usageBudgetMonthly: '10' });
+
+    expect(limits.dailyLimit).toBeNull();
+    expect(limits.monthlyLimit).toBe(10);
+    expect(limits.action).toBe('confirm');
+    expect(limits.hasLimits()).toBe(true);
+    expect(limits.findExceededLimits({ daily: 100, monthly: 9 }, 0.5)).toEqual([]);
+  });
+
+  test('should have no limits by default', () => {
+    const limits = BudgetLimits.fromSettings();
+
+    expect(limits.hasLimits()).toBe(false);
+    expect(limits.blocksExceedingRequests()).toBe(false);
+    expect(() => new BudgetLimits(1, 1, 'warn')).toThrow('Unknown budget action: warn');
+  });
+});
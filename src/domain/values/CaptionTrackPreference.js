@@ -0,0 +1,77 @@
+/**
+ * CaptionTrackPreference Value Object
+ * Remembers which kind of caption track a user prefers so it can be matched on other videos
+ *
+ * Copyright (C) 2025 Dimitry Polivaev
+ * Licensed under GPL3 or later
+ */
+
+class CaptionTrackPreference {
+  constructor(trackId, languageCode, isAutoGenerated = false, isTranslation = false) {
+    if (!trackId || typeof trackId !== 'string') {
+      throw new Error('Caption track id must be a non-empty string');
+    }
+
+    this.trackId = trackId;
+    this.languageCode = languageCode || null;
+    this.isAutoGenerated = Boolean(isAutoGenerated);
+    this.isTranslation = Boolean(isTranslation);
+    Object.freeze(this);
+  }
+
+  static fromTrack(track) {
+    if (!track || typeof track !== 'object') {
+      throw new Error('Caption track must be an object');
+    }
+    return new CaptionTrackPreference(track.id, track.languageCode, track.isAutoGenerated, track.isTranslation);
+  }
+
+  findMatchingTrack(tracks) {
+    if (!Array.isArray(tracks) || tracks.length === 0) {
+      return null;
+    }
+
+    const exactMatch = tracks.find(track => track.id === this.trackId);
+    if (exactMatch) {
+      return exactMatch;
+    }
+
+    const sameKind = tracks.filter(track =>
+      Boolean(track.isAutoGenerated) === this.isAutoGenerated &&
+      Boolean(track.isTranslation) === this.isTranslation
+    );
+
+    return sameKind.find(track => track.languageCode === this.languageCode) ||
+      sameKind.find(track => this.hasSameBaseLanguage(track.languageCode)) ||
+      null;
+  }
+
+  hasSameBaseLanguage(languageCode) {
+    const baseLanguage = code => (code || '').toLowerCase().split('-')[0];
+    return Boolean(this.languageCode) && baseLanguage(languageCode) === baseLanguage(this.languageCode);
+  }
+
+  toJSON() {
+    return {
+      trackId: this.trackId,
+      languageCode: this.languageCode,
+      isAutoGenerated: this.isAutoGenerated,
+      isTranslation: this.isTranslation
+    };
+  }
+
+  static fromJSON(data) {
+    if (!data || typeof data !== 'object') {
+      return null;
+    }
+    try {
+      return new CaptionTrackPreference(data.trackId, data.languageCode, data.isAutoGenerated, data.isTranslation);
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CaptionTrackPreference;
+}
@@ -0,0 +1,54 @@
+/**
+ * CaptionTrackPreference Value Object Tests
+ * Tests matching a remembered caption track against the tracks of another video
+ *
+ * Copyright (C) 2025 Dimitry Polivaev
+ * Licensed under GPL3 or later
+ */
+
+const CaptionTrackPreference = require('./CaptionTrackPreference');
+
+describe('CaptionTrackPreference', () => {
+  const tracks = [
+    { id: 'a.en', languageCode: 'en', isAutoGenerated: true, isTranslation: false },
+    { id: '.de', languageCode: 'de', isAutoGenerated: false, isTranslation: false },
+    { id: '.en-GB', languageCode: 'en-GB', isAutoGenerated: false, isTranslation: false },
+    { id: '.de>fr', languageCode: 'fr', isAutoGenerated: false, isTranslation: true }
+  ];
+
+  test('should require a track id', () => {
+    expect(() => new CaptionTrackPreference('', 'en')).toThrow('Caption track id must be a non-empty string');
+    expect(() => CaptionTrackPreference.fromTrack(null)).toThrow('Caption track must be an object');
+  });
+
+  test('should prefer the exact track id', () => {
+    const preference = new CaptionTrackPreference('.de>fr', 'fr', false, true);
+    expect(preference.findMatchingTrack(tracks).id).toBe('.de>fr');
+  });
+
+  test('should fall back to a track of the same kind and language', () => {
+    const manualEnglish = new CaptionTrackPreference('.en', 'en');
+    const autoEnglish = new CaptionTrackPreference('a.en-US', 'en-US', true);
+    const translatedFrench = new CaptionTrackPreference('.en>fr', 'fr', false, true);
+
+    expect(manualEnglish.findMatchingTrack(tracks).id).toBe('.en-GB');
+    expect(autoEnglish.findMatchingTrack(tracks).id).toBe('a.en');
+    expect(translatedFrench.findMatchingTrack(tracks).id).toBe('.de>fr');
+  });
+
+  test('should return null when nothing matches', () => {
+    expect(new CaptionTrackPreference('.es', 'es').findMatchingTrack(tracks)).toBeNull();
+    expect(new CaptionTrackPreference('a.de', 'de', true).findMatchingTrack(tracks)).toBeNull();
+    expect(new CaptionTrackPreference('.en', 'en').findMatchingTrack([])).toBeNull();
+  });
+
+  test('should round-trip through JSON', () => {
+    const preference = CaptionTrackPreference.fromTrack(tracks[0]);
+    const restored = CaptionTrackPreference.fromJSON(JSON.parse(JSON.stringify(preference)));
+
+    expect(restored).toEqual(preference);
+    expect(Object.isFrozen(restored)).toBe(true);
+    expect(CaptionTrackPreference.fromJSON(null)).toBeNull();
+    expect(CaptionTrackPreference.fromJSON({ languageCode: 'en' })).toBeNull();
+  });
+});
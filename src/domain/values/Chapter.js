@@ -0,0 +1,103 @@
+/**
+ * Chapter Value Object
+ * Represents a single chapter with its start time, title and optional description
+ *
+ * Copyright (C) 2025 Dimitry Polivaev
+ * Licensed under GPL3 or later
+ */
+
+class Chapter {
+  constructor(startSeconds, title, descriptionLines = []) {
+    if (!Number.isInteger(startSeconds) || startSeconds < 0) {
+      throw new Error('Chapter start must be a non-negative whole number of seconds');
+    }
+    if (!title || typeof title !== 'string' || title.trim().length === 0) {
+      throw new Error('Chapter title must be a non-empty string');
+    }
+    if (!Array.isArray(descriptionLines)) {
+      throw new Error('Chapter description lines must be an array');
+    }
+
+    this.startSeconds = startSeconds;
+    this.title = title.trim();
+    this.descriptionLines = Object.freeze(
+      descriptionLines
+        .map(line => String(line).trim())
+        .filter(line => line.length > 0)
+    );
+    Object.freeze(this);
+  }
+
+  get timecode() {
+    return Chapter.formatTimecode(this.startSeconds);
+  }
+
+  static formatTimecode(totalSeconds) {
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    const pad = value => String(value).padStart(2, '0');
+
+    if (hours > 0) {
+      return `${hours}:${pad(minutes)}:${pad(seconds)}`;
+    }
+    return `${pad(minutes)}:${pad(seconds)}`;
+  }
+
+  static parseTimecode(timecode) {
+    if (!timecode || typeof timecode !== 'string') {
+      return null;
+    }
+
+    const match = timecode.trim().match(/^(?:(\d{1,2}):)?(\d{1,2}):(\d{2})$/);
+    if (!match) {
+      return null;
+    }
+
+    const [, hours, minutes, seconds] = match;
+    const minuteValue = parseInt(minutes, 10);
+    const secondValue = parseInt(seconds, 10);
+
+    if (secondValue >= 60 || (hours !== undefined && minuteValue >= 60)) {
+      return null;
+    }
+
+    return (parseInt(hours || '0', 10) * 3600) + (minuteValue * 60) + secondValue;
+  }
+
+  hasDescription() {
+    return this.descriptionLines.length > 0;
+  }
+
+  withStartSeconds(startSeconds) {
+    return new Chapter(startSeconds, this.title, this.descriptionLines);
+  }
+
+  withDescriptionLines(descriptionLines) {
+    return new Chapter(this.startSeconds, this.title, descriptionLines);
+  }
+
+  toText() {
+    return [`${this.timecode} - ${this.title}`, ...this.descriptionLines].join('\n');
+  }
+
+  toJSON() {
+    return {
+      startSeconds: this.startSeconds,
+      timecode: this.timecode,
+      title: this.title,
+      descriptionLines: [...this.descriptionLines]
+    };
+  }
+
+  static fromJSON(data) {
+    if (!data || typeof data !== 'object') {
+      throw new Error('Chapter data must be an object');
+    }
+    return new Chapter(data.startSeconds, data.title, data.descriptionLines || []);
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Chapter;
+}
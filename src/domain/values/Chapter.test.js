@@ -0,0 +1,46 @@
+/**
+ * Chapter Value Object Tests
+ * Tests timecode handling and serialization of single chapters
+ *
+ * Copyright (C) 2025 Dimitry Polivaev
+ * Licensed under GPL3 or later
+ */
+
+const Chapter = require('./Chapter');
+
+describe('Chapter', () => {
+  test('should format timecodes like the prompt example', () => {
+    expect(Chapter.formatTimecode(0)).toBe('00:00');
+    expect(Chapter.formatTimecode(90)).toBe('01:30');
+    expect(Chapter.formatTimecode(7400)).toBe('2:03:20');
+  });
+
+  test('should parse timecodes to seconds', () => {
+    expect(Chapter.parseTimecode('00:00')).toBe(0);
+    expect(Chapter.parseTimecode('1:30')).toBe(90);
+    expect(Chapter.parseTimecode('2:03:20')).toBe(7400);
+    expect(Chapter.parseTimecode('01:75')).toBe(null);
+    expect(Chapter.parseTimecode('1:75:00')).toBe(null);
+    expect(Chapter.parseTimecode('intro')).toBe(null);
+  });
+
+  test('should reject invalid start or title', () => {
+    expect(() => new Chapter(-1, 'Intro')).toThrow('Chapter start must be a non-negative whole number of seconds');
+    expect(() => new Chapter(1.5, 'Intro')).toThrow('Chapter start must be a non-negative whole number of seconds');
+    expect(() => new Chapter(0, '  ')).toThrow('Chapter title must be a non-empty string');
+  });
+
+  test('should be immutable', () => {
+    const chapter = new Chapter(0, 'Intro', ['Welcome']);
+    expect(Object.isFrozen(chapter)).toBe(true);
+    expect(Object.isFrozen(chapter.descriptionLines)).toBe(true);
+  });
+
+  test('should round-trip through JSON', () => {
+    const chapter = new Chapter(3725, 'Deep dive', ['First point', 'Second point']);
+    const restored = Chapter.fromJSON(JSON.parse(JSON.stringify(chapter)));
+
+    expect(restored).toEqual(chapter);
+    expect(chapter.toJSON().timecode).toBe('1:02:05');
+  });
+});
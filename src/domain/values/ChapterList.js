@@ -0,0 +1,138 @@
+/**
+ * ChapterList Value Object
+ * Ordered collection of chapters parsed from LLM output
+ *
+ * Copyright (C) 2025 Dimitry Polivaev
+ * Licensed under GPL3 or later
+ */
+
+// Load Chapter for Node.js environment (tests), skip if already loaded in browser
+if (typeof Chapter === 'undefined' && typeof require !== 'undefined') {
+  const Chapter = require('./Chapter');
+}
+
+class ChapterList {
+  constructor(chapters = []) {
+    if (!Array.isArray(chapters)) {
+      throw new Error('Chapters must be an array');
+    }
+    chapters.forEach(chapter => {
+      if (!(chapter instanceof Chapter)) {
+        throw new Error('ChapterList can only contain Chapter instances');
+      }
+    });
+
+    this.chapters = Object.freeze([...chapters]);
+    Object.freeze(this);
+  }
+
+  static parse(text) {
+    if (!text || typeof text !== 'string') {
+      return new ChapterList();
+    }
+
+    const entries = [];
+    let acceptsDescription = false;
+
+    const lines = ChapterList.stripReasoningBlocks(text).split(/\r?\n/);
+    for (const rawLine of lines) {
+      if (/^\s*```/.test(rawLine)) {
+        acceptsDescription = false;
+        continue;
+      }
+
+      const line = ChapterList.normalizeLine(rawLine);
+      if (!line) {
+        acceptsDescription = false;
+        continue;
+      }
+
+      const parsed = ChapterList.parseChapterLine(line);
+      if (parsed) {
+        entries.push({ ...parsed, descriptionLines: [] });
+        acceptsDescription = true;
+      } else if (acceptsDescription) {
+        entries[entries.length - 1].descriptionLines.push(line);
+      }
+    }
+
+    return new ChapterList(entries.map(entry =>
+      new Chapter(entry.startSeconds, entry.title, entry.descriptionLines)
+    ));
+  }
+
+  static stripReasoningBlocks(text) {
+    return text.replace(/<think>[\s\S]*?<\/think>/gi, '');
+  }
+
+  static normalizeLine(line) {
+    return line
+      .replace(/\*\*|__|`/g, '')
+      .replace(/^\s*(?:[-*+•·]|\d{1,3}[.)])\s+/, '')
+      .replace(/^#+\s*/, '')
+      .trim();
+  }
+
+  static parseChapterLine(line) {
+    const timecodePattern = '(?:\\d{1,2}:)?\\d{1,2}:\\d{2}';
+    const chapterPattern = new RegExp(
+      `^[[(]?(${timecodePattern})[\\])]?` +
+      `(?:\\s*[-–—]\\s*[[(]?${timecodePattern}[\\])]?)?` +
+      '\\s*(?:[-–—:|]\\s*)?(.*)$'
+    );
+
+    const match = line.match(chapterPattern);
+    if (!match) {
+      return null;
+    }
+
+    const startSeconds = Chapter.parseTimecode(match[1]);
+    // Only a matching pair of quotes around the whole title is removed
+    const title = match[2].replace(/^(?:"([^"]*)"|'([^']*)'|“([^“”]*)”)$/, '$1$2$3').trim();
+
+    if (startSeconds === null || !title) {
+      return null;
+    }
+
+    return { startSeconds, title };
+  }
+
+  getChapters() {
+    return [...this.chapters];
+  }
+
+  size() {
+    return this.chapters.length;
+  }
+
+  isEmpty() {
+    return this.chapters.length === 0;
+  }
+
+  first() {
+    return this.chapters[0] || null;
+  }
+
+  last() {
+    return this.chapters[this.chapters.length - 1] || null;
+  }
+
+  toText() {
+    return this.chapters.map(chapter => chapter.toText()).join('\n');
+  }
+
+  toJSON() {
+    return this.chapters.map(chapter => chapter.toJSON());
+  }
+
+  static fromJSON(data) {
+    if (!Array.isArray(data)) {
+      return new ChapterList();
+    }
+    return new ChapterList(data.map(chapterData => Chapter.fromJSON(chapterData)));
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ChapterList;
+}
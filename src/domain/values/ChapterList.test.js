@@ -0,0 +1,124 @@
+/**
+ * ChapterList Value Object Tests
+ * Tests parsing of LLM chapter output into structured chapters
+ *
+ * Copyright (C) 2025 Dimitry Polivaev
+ * Licensed under GPL3 or later
+ */
+
+const Chapter = require('./Chapter');
+const ChapterList = require('./ChapterList');
+
+describe('ChapterList', () => {
+  describe('parse', () => {
+    test('should parse the canonical prompt format', () => {
+      const list = ChapterList.parse('00:00 - Intro\n01:30 - Setup\n2:03:20 - Wrap up');
+
+      expect(list.size()).toBe(3);
+      expect(list.getChapters().map(c => c.startSeconds)).toEqual([0, 90, 7400]);
+      expect(list.getChapters().map(c => c.title)).toEqual(['Intro', 'Setup', 'Wrap up']);
+    });
+
+    test('should tolerate bullets, numbering and markdown bold', () => {
+      const list = ChapterList.parse([
+        '- 00:00 - Intro',
+        '* **01:00** - Bold timecode',
+        '3. 02:00 - Numbered',
+        '4) **03:00 - Fully bold**'
+      ].join('\n'));
+
+      expect(list.getChapters().map(c => [c.timecode, c.title])).toEqual([
+        ['00:00', 'Intro'],
+        ['01:00', 'Bold timecode'],
+        ['02:00', 'Numbered'],
+        ['03:00', 'Fully bold']
+      ]);
+    });
+
+    test('should tolerate dashes, colons and bracketed timecodes', () => {
+      const list = ChapterList.parse([
+        '[00:00] Intro',
+        '(0:45) – En dash',
+        '01:10 — Em dash',
+        '1:20: Colon separator',
+        '01:40 No separator',
+        '02:00 - 02:30 - Range start wins'
+      ].join('\n'));
+
+      expect(list.getChapters().map(c => [c.startSeconds, c.title])).toEqual([
+        [0, 'Intro'],
+        [45, 'En dash'],
+        [70, 'Em dash'],
+        [80, 'Colon separator'],
+        [100, 'No separator'],
+        [120, 'Range start wins']
+      ]);
+    });
+
+    test('should attach description lines that directly follow a chapter', () => {
+      const list = ChapterList.parse([
+        '00:00 - Intro',
+        '  - Host introduces the guest',
+        '  Topic overview',
+        '05:00 - Main part'
+      ].join('\n'));
+
+      expect(list.first().descriptionLines).toEqual(['Host introduces the guest', 'Topic overview']);
+      expect(list.last().hasDescription()).toBe(false);
+    });
+
+    test('should ignore preamble, epilogue, code fences and reasoning blocks', () => {
+      const list = ChapterList.parse([
+        '<think>The video starts at 00:00 - with greetings</think>',
+        'Here are the chapters:',
+        '```',
+        '00:00 - Intro',
+        '10:00 - Outro',
+        '```',
+        '',
+        'Let me know if you need anything else.'
+      ].join('\n'));
+
+      expect(list.size()).toBe(2);
+      expect(list.last().descriptionLines).toEqual([]);
+    });
+
+    test('should return an empty list for text without timecodes', () => {
+      expect(ChapterList.parse('1. Introduction\n2. Main Content').isEmpty()).toBe(true);
+      expect(ChapterList.parse('').isEmpty()).toBe(true);
+      expect(ChapterList.parse(null).isEmpty()).toBe(true);
+    });
+  });
+
+  test('should strip quotes only when they wrap the whole title', () => {
+    const list = ChapterList.parse('00:00 - "Intro"\n01:00 - Tea & "sugar"\n02:00 - “Quoted”');
+    expect(list.getChapters().map(c => c.title)).toEqual(['Intro', 'Tea & "sugar"', 'Quoted']);
+  });
+
+  test('should keep quotes that do not pair up', () => {
+    const list = ChapterList.parse('00:00 - "Intro\'\n01:00 - \'Quoted”\n02:00 - "Mind the gap" and "the step"');
+    expect(list.getChapters().map(c => c.title)).toEqual(['"Intro\'', '\'Quoted”', '"Mind the gap" and "the step"']);
+  });
+
+  test('should render normalized text', () => {
+    const list = ChapterList.parse('- **0:00** – Intro\n  Welcome\n1:05:00 - End');
+    expect(list.toText()).toBe('00:00 - Intro\nWelcome\n1:05:00 - End');
+  });
+
+  test('should round-trip through JSON', () => {
+    const list = ChapterList.parse('00:00 - Intro\nDetails\n01:00 - Next');
+    const restored = ChapterList.fromJSON(JSON.parse(JSON.stringify(list.toJSON())));
+
+    expect(restored.toText()).toBe(list.toText());
+    expect(restored.first()).toBeInstanceOf(Chapter);
+  });
+
+  test('should treat malformed JSON as an empty list', () => {
+    expect(ChapterList.fromJSON(null).isEmpty()).toBe(true);
+    expect(ChapterList.fromJSON('00:00 - Intro').isEmpty()).toBe(true);
+  });
+
+  test('should only accept Chapter instances', () => {
+    expect(() => new ChapterList([{ startSeconds: 0, title: 'x' }])).toThrow('ChapterList can only contain Chapter instances');
+  });
+});
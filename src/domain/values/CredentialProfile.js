@@ -0,0 +1,98 @@
+/**
+ * CredentialProfile Value Object
+ * A named API key of one provider with an optional default model and rotation group
+ *
+ * Copyright (C) 2025 Dimitry Polivaev
+ * Licensed under GPL3 or later
+ */
+
+// Load ModelId for Node.js environment (tests), skip if already loaded in browser
+if (typeof ModelId === 'undefined' && typeof require !== 'undefined') {
+  const ModelId = require('./ModelId');
+}
+
+class CredentialProfile {
+  constructor({ id, name, providerId, apiKey = '', defaultModel = null, rotationGroup = '' }) {
+    if (!id || typeof id !== 'string') {
+      throw new Error('Profile id must be a non-empty string');
+    }
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      throw new Error('Profile name must be a non-empty string');
+    }
+    if (!providerId || typeof providerId !== 'string') {
+      throw new Error('Profile provider must be a non-empty string');
+    }
+    if (apiKey && typeof apiKey !== 'string') {
+      throw new Error('Profile API key must be a string');
+    }
+    if (defaultModel && defaultModel.provider !== providerId) {
+      throw new Error(`Default model of profile ${name.trim()} must belong to ${providerId}`);
+    }
+    this.id = id;
+    this.name = name.trim();
+    this.providerId = providerId;
+    this.apiKey = (apiKey || '').trim();
+    this.defaultModel = defaultModel ? ModelId.fromJSON(defaultModel).toJSON() : null;
+    this.rotationGroup = (rotationGroup || '').trim();
+    Object.freeze(this);
+  }
+
+  static generateId() {
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+  }
+
+  static fromJSON(data) {
+    return new CredentialProfile(data);
+  }
+
+  // Settings may have been edited by an older version, broken entries are skipped rather than breaking every request
+  static listFromJSON(list) {
+    if (!Array.isArray(list)) {
+      return [];
+    }
+    return list.flatMap(data => {
+      try {
+        return [CredentialProfile.fromJSON(data)];
+      } catch (error) {
+        console.warn('CredentialProfile: Skipping invalid profile:', error.message);
+        return [];
+      }
+    });
+  }
+
+  static findActive(profiles, activeProfileIds = {}) {
+    return profiles.filter(profile => activeProfileIds && activeProfileIds[profile.providerId] === profile.id);
+  }
+
+  getDefaultModelId() {
+    return this.defaultModel ? ModelId.fromJSON(this.defaultModel) : null;
+  }
+
+  // The other profiles of the rotation group, starting after this one so that the load spreads over all keys
+  getRotationPartners(profiles) {
+    if (!this.rotationGroup) {
+      return [];
+    }
+    const index = profiles.findIndex(profile => profile.id === this.id);
+    return [...profiles.slice(index + 1), ...profiles.slice(0, Math.max(index, 0))]
+      .filter(profile => profile.id !== this.id
+        && profile.providerId === this.providerId
+        && profile.rotationGroup === this.rotationGroup
+        && profile.apiKey);
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      providerId: this.providerId,
+      apiKey: this.apiKey,
+      defaultModel: this.defaultModel,
+      rotationGroup: this.rotationGroup
+    };
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CredentialProfile;
+}
@@ -0,0 +1,75 @@
+/**
+ * CredentialProfile Value Object Tests
+ * Tests validation, active profile selection and rotation groups of API key profiles
+ *
+ * Copyright (C) 2025 Dimitry Polivaev
+ * Licensed under GPL3 or later
+ */
+
+const CredentialProfile = require('./CredentialProfile');
+const ModelId = require('./ModelId');
+
+describe('CredentialProfile', () => {
+  const profile = (id, providerId = 'OpenRouter', rotationGroup = '', apiKey = `${id}-key`) => new CredentialProfile({
+    id,
+    name: id,
+    providerId,
+    apiKey,
+    rotationGroup
+  });
+
+  test('should keep a trimmed profile with its default model', () => {
+    const workProfile = new CredentialProfile({
+      id: 'work',
+      name: ' Work ',
+      providerId: 'OpenRouter',
+      apiKey: ' sk-or-work ',
+      defaultModel: new ModelId('openai/gpt-4o', 'OpenRouter').toJSON(),
+      rotationGroup: ' team '
+    });
+
+    expect(workProfile.name).toBe('Work');
+    expect(workProfile.apiKey).toBe('sk-or-work');
+    expect(workProfile.rotationGroup).toBe('team');
+    expect(workProfile.getDefaultModelId().value).toBe('openai/gpt-4o');
+    expect(CredentialProfile.fromJSON(JSON.parse(JSON.stringify(workProfile)))).toEqual(workProfile);
+    expect(Object.isFrozen(workProfile)).toBe(true);
+  });
+
+  test('should reject profiles without name or with a default model of another provider', () => {
+    expect(() => new CredentialProfile({ id: 'a', name: ' ', providerId: 'OpenRouter' })).toThrow('Profile name must be a non-empty string');
+    expect(() => new CredentialProfile({ id: 'a', name: 'Work', providerId: 'OpenRouter', defaultModel: { value: 'gemini-2.5-pro', provider: 'Gemini' } }))
+      .toThrow('Default model of profile Work must belong to OpenRouter');
+  });
+
+  test('should skip invalid profiles when reading settings', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const profiles = CredentialProfile.listFromJSON([{ id: 'work', name: 'Work', providerId: 'OpenRouter' }, { id: 'broken' }]);
+    warn.mockRestore();
+
+    expect(profiles.map(candidate => candidate.id)).toEqual(['work']);
+    expect(CredentialProfile.listFromJSON(undefined)).toEqual([]);
+  });
+
+  test('should find the selected profile of each provider', () => {
+    const profiles = [profile('work'), profile('personal'), profile('gemini', 'Gemini')];
+
+    const active = CredentialProfile.findActive(profiles, { OpenRouter: 'personal', Gemini: 'missing' });
+
+    expect(active.map(candidate => candidate.id)).toEqual(['personal']);
+  });
+
+  test('should rotate through the other keys of the group starting after the profile', () => {
+    const profiles = [
+      profile('a', 'OpenRouter', 'team'),
+      profile('b', 'OpenRouter', 'team'),
+      profile('c', 'OpenRouter'),
+      profile('d', 'OpenRouter', 'team', ''),
+      profile('e', 'Gemini', 'team'),
+      profile('f', 'OpenRouter', 'team')
+    ];
+
+    expect(profiles[1].getRotationPartners(profiles).map(candidate => candidate.id)).toEqual(['f', 'a']);
+    expect(profiles[2].getRotationPartners(profiles)).toEqual([]);
+  });
+});
@@ -7,10 +7,15 @@
  */
 
 class GenerationProgress {
-  constructor(percent, message, isComplete = false) {
+  constructor(percent, message, isComplete = false, completedChunks = null, totalChunks = null, retryAt = null, retryReason = null) {
     this.percent = Math.max(0, Math.min(100, Math.floor(percent)));
     this.message = message || '';
     this.isComplete = Boolean(isComplete);
+    this.completedChunks = Number.isInteger(completedChunks) ? completedChunks : null;
+    this.totalChunks = Number.isInteger(totalChunks) ? totalChunks : null;
+    // An absolute time lets every page count down on its own
+    this.retryAt = Number.isFinite(retryAt) ? retryAt : null;
+    this.retryReason = this.retryAt !== null ? retryReason || 'server_error' : null;
     Object.freeze(this);
   }
 
@@ -26,6 +31,27 @@ class GenerationProgress {
     return new GenerationProgress(90, message);
   }
 
+  static streaming(coveredSeconds, totalSeconds) {
+    const coveredRatio = totalSeconds > 0 ? Math.min(1, Math.max(0, coveredSeconds) / totalSeconds) : 0;
+    return new GenerationProgress(30 + 60 * coveredRatio, 'Receiving chapters...');
+  }
+
+  static chunk(completedChunks, totalChunks) {
+    const percent = 30 + (60 * completedChunks) / totalChunks;
+    return new GenerationProgress(percent, `Generating chapters for part ${completedChunks + 1} of ${totalChunks}...`, false, completedChunks, totalChunks);
+  }
+
+  static consolidating(totalChunks) {
+    return new GenerationProgress(90, `Merging chapters from ${totalChunks} parts...`, false, totalChunks, totalChunks);
+  }
+
+  static retrying(retryAt, retryReason, previous = null) {
+    const percent = previous ? previous.percent : 30;
+    const completedChunks = previous ? previous.completedChunks : null;
+    const totalChunks = previous ? previous.totalChunks : null;
+    return new GenerationProgress(percent, 'Waiting to retry...', false, completedChunks, totalChunks, retryAt, retryReason);
+  }
+
   static completed() {
     return new GenerationProgress(100, 'Chapters generated successfully!', true);
   }
@@ -51,6 +77,40 @@ class GenerationProgress {
     return !this.isComplete;
   }
 
+  isChunked() {
+    return this.totalChunks !== null;
+  }
+
+  isWaitingForRetry(now = Date.now()) {
+    return this.retryAt !== null && this.retryAt > now;
+  }
+
+  getRetrySecondsLeft(now = Date.now()) {
+    return this.retryAt === null ? 0 : Math.max(0, Math.ceil((this.retryAt - now) / 1000));
+  }
+
+  isConsolidating() {
+    return this.isChunked() && this.completedChunks === this.totalChunks;
+  }
+
+  toJSON() {
+    return {
+      percent: this.percent,
+      message: this.message,
+      isComplete: this.isComplete,
+      completedChunks: this.completedChunks,
+      totalChunks: this.totalChunks,
+      retryAt: this.retryAt,
+      retryReason: this.retryReason
+    };
+  }
+
+  static fromJSON(data) {
+    if (!data || typeof data !== 'object') {
+      return null;
+    }
+    return new GenerationProgress(data.percent, data.message, data.isComplete, data.completedChunks, data.totalChunks, data.retryAt, data.retryReason);
+  }
 
   toString() {
     return `${this.percent}% - ${this.message}`;
@@ -212,4 +212,64 @@ describe('GenerationProgress', () => {
       });
     });
   });
+
+  describe('chunked generation progress', () => {
+    test('should report progress per chunk', () => {
+      const first = GenerationProgress.chunk(0, 4);
+      const third = GenerationProgress.chunk(2, 4);
+
+      expect(first.percent).toBe(30);
+      expect(first.message).toBe('Generating chapters for part 1 of 4...');
+      expect(third.percent).toBe(60);
+      expect(third.isChunked()).toBe(true);
+      expect(third.isConsolidating()).toBe(false);
+      expect(third.isPending()).toBe(true);
+    });
+
+    test('should report streaming progress by covered transcript time', () => {
+      expect(GenerationProgress.streaming(0, 600).percent).toBe(30);
+      expect(GenerationProgress.streaming(300, 600).percent).toBe(60);
+      expect(GenerationProgress.streaming(900, 600).percent).toBe(90);
+      expect(GenerationProgress.streaming(300, 0).percent).toBe(30);
+    });
+
+    test('should report consolidation after all chunks', () => {
+      const progress = GenerationProgress.consolidating(4);
+
+      expect(progress.percent).toBe(90);
+      expect(progress.isConsolidating()).toBe(true);
+      expect(GenerationProgress.pending().isChunked()).toBe(false);
+    });
+
+    test('should round-trip through JSON', () => {
+      const progress = GenerationProgress.chunk(1, 3);
+
+      expect(GenerationProgress.fromJSON(JSON.parse(JSON.stringify(progress)))).toEqual(progress);
+      expect(GenerationProgress.fromJSON(null)).toBeNull();
+    });
+  });
+
+  describe('retry countdown', () => {
+    test('should count down to the retry time and keep the chunk progress', () => {
+      const chunkProgress = GenerationProgress.chunk(1, 4);
+      const progress = GenerationProgress.retrying(10000, 'rate_limit', chunkProgress);
+
+      expect(progress.percent).toBe(chunkProgress.percent);
+      expect(progress.isChunked()).toBe(true);
+      expect(progress.retryReason).toBe('rate_limit');
+      expect(progress.isWaitingForRetry(1000)).toBe(true);
+      expect(progress.getRetrySecondsLeft(1000)).toBe(9);
+      expect(progress.getRetrySecondsLeft(9500)).toBe(1);
+      expect(progress.isWaitingForRetry(10000)).toBe(false);
+      expect(progress.getRetrySecondsLeft(12000)).toBe(0);
+    });
+
+    test('should round-trip the retry time through JSON', () => {
+      const progress = GenerationProgress.retrying(5000, 'throttled');
+
+      expect(GenerationProgress.fromJSON(JSON.parse(JSON.stringify(progress)))).toEqual(progress);
+      expect(GenerationProgress.pending().isWaitingForRetry()).toBe(false);
+      expect(GenerationProgress.pending().retryReason).toBeNull();
+    });
+  });
 });
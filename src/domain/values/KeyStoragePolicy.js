@@ -0,0 +1,65 @@
+/**
+ * KeyStoragePolicy Value Object
+ * Where the API keys of each provider are stored: synced across devices, on this device only, or on this device encrypted
+ *
+ * Copyright (C) 2025 Dimitry Polivaev
+ * Licensed under GPL3 or later
+ */
+
+class KeyStoragePolicy {
+  constructor(policies = {}) {
+    const validatedPolicies = {};
+    Object.entries(policies || {}).forEach(([providerId, policy]) => {
+      if (!KeyStoragePolicy.isValid(policy)) {
+        throw new Error(`Unknown key storage policy: ${policy}`);
+      }
+      // Synced is the default, only the exceptions are kept
+      if (policy !== 'sync') {
+        validatedPolicies[providerId] = policy;
+      }
+    });
+    this.policies = Object.freeze(validatedPolicies);
+    Object.freeze(this);
+  }
+
+  static isValid(policy) {
+    return ['sync', 'local', 'encrypted'].includes(policy);
+  }
+
+  // A policy this version does not know is treated as synced rather than breaking the settings
+  static fromSettings(settings = {}) {
+    const policies = {};
+    Object.entries(settings.keyStoragePolicies || {}).forEach(([providerId, policy]) => {
+      if (KeyStoragePolicy.isValid(policy)) {
+        policies[providerId] = policy;
+      } else {
+        console.warn(`KeyStoragePolicy: Ignoring unknown policy ${policy} of ${providerId}`);
+      }
+    });
+    return new KeyStoragePolicy(policies);
+  }
+
+  getPolicy(providerId) {
+    return this.policies[providerId] || 'sync';
+  }
+
+  isSynced(providerId) {
+    return this.getPolicy(providerId) === 'sync';
+  }
+
+  isEncrypted(providerId) {
+    return this.getPolicy(providerId) === 'encrypted';
+  }
+
+  hasEncryptedKeys() {
+    return Object.values(this.policies).includes('encrypted');
+  }
+
+  toJSON() {
+    return { ...this.policies };
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = KeyStoragePolicy;
+}
@@ -0,0 +1,44 @@
+/**
+ * KeyStoragePolicy Value Object Tests
+ * Tests the per-provider choice between synced, local and encrypted API key storage
+ *
+ * Copyright (C) 2025 Dimitry Polivaev
+ * Licensed under GPL3 or later
+ */
+
+const KeyStoragePolicy = require('./KeyStoragePolicy');
+
+describe('KeyStoragePolicy', () => {
+  test('should sync the keys of providers without a policy', () => {
+    const policy = new KeyStoragePolicy({ Gemini: 'local', OpenRouter: 'sync' });
+
+    expect(policy.getPolicy('Gemini')).toBe('local');
+    expect(policy.isSynced('OpenRouter')).toBe(true);
+    expect(policy.isSynced('Anthropic')).toBe(true);
+    expect(policy.toJSON()).toEqual({ Gemini: 'local' });
+    expect(Object.isFrozen(policy)).toBe(true);
+  });
+
+  test('should tell whether any keys are encrypted', () => {
+    expect(new KeyStoragePolicy({ Gemini: 'local' }).hasEncryptedKeys()).toBe(false);
+
+    const policy = new KeyStoragePolicy({ Gemini: 'local', OpenRouter: 'encrypted' });
+    expect(policy.hasEncryptedKeys()).toBe(true);
+    expect(policy.isEncrypted('OpenRouter')).toBe(true);
+    expect(policy.isEncrypted('Gemini')).toBe(false);
+  });
+
+  test('should reject unknown policies', () => {
+    expect(() => new KeyStoragePolicy({ Gemini: 'cloud' })).toThrow('Unknown key storage policy: cloud');
+  });
+
+  test('should read the policies from the settings and ignore unknown ones', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const policy = KeyStoragePolicy.fromSettings({ keyStoragePolicies: { Gemini: 'encrypted', OpenRouter: 'cloud' } });
+
+    expect(policy.toJSON()).toEqual({ Gemini: 'encrypted' });
+    expect(KeyStoragePolicy.fromSettings({}).toJSON()).toEqual({});
+    console.warn.mockRestore();
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * ModelCatalogFilter Value Object
+ * Filters OpenRouter catalog entries by name, price, context length and provider for the options model browser
+ *
+ * Copyright (C) 2025 Dimitry Polivaev
+ * Licensed under GPL3 or later
+ */
+
+class ModelCatalogFilter {
+  constructor({ search = '', pricing = 'all', maxPromptPrice = null, minContextLength = null, provider = '' } = {}) {
+    if (!['all', 'free', 'paid'].includes(pricing)) {
+      throw new Error(`Unknown pricing filter: ${pricing}`);
+    }
+    this.search = String(search || '').trim().toLowerCase();
+    this.pricing = pricing;
+    this.maxPromptPrice = this.validateLimit(maxPromptPrice);
+    this.minContextLength = this.validateLimit(minContextLength);
+    this.provider = provider || '';
+    Object.freeze(this);
+  }
+
+  validateLimit(limit) {
+    if (limit === null || limit === undefined || limit === '') {
+      return null;
+    }
+    const value = Number(limit);
+    return Number.isFinite(value) && value >= 0 ? value : null;
+  }
+
+  static getProvider(model) {
+    const separatorIndex = model.id.indexOf('/');
+    return separatorIndex > 0 ? model.id.substring(0, separatorIndex) : '';
+  }
+
+  static getProviders(models) {
+    return Array.from(new Set(models.map(model => ModelCatalogFilter.getProvider(model)).filter(Boolean))).sort();
+  }
+
+  // OpenRouter prices are quoted per token, people compare them per million tokens
+  static getPromptPricePerMillion(model) {
+    const price = parseFloat(model.pricing?.prompt);
+    return Number.isFinite(price) ? price * 1e6 : null;
+  }
+
+  static getCompletionPricePerMillion(model) {
+    const price = parseFloat(model.pricing?.completion);
+    return Number.isFinite(price) ? price * 1e6 : null;
+  }
+
+  static isFree(model) {
+    return ModelCatalogFilter.getPromptPricePerMillion(model) === 0 &&
+      ModelCatalogFilter.getCompletionPricePerMillion(model) === 0;
+  }
+
+  matches(model) {
+    if (this.search) {
+      const haystack = `${model.id} ${model.name || ''}`.toLowerCase();
+      if (!haystack.includes(this.search)) {
+        return false;
+      }
+    }
+
+    const isFree = ModelCatalogFilter.isFree(model);
+    if ((this.pricing === 'free' && !isFree) || (this.pricing === 'paid' && isFree)) {
+      return false;
+    }
+
+    if (this.maxPromptPrice !== null) {
+      const promptPrice = ModelCatalogFilter.getPromptPricePerMillion(model);
+      if (promptPrice === null || promptPrice > this.maxPromptPrice) {
+        return false;
+      }
+    }
+
+    if (this.minContextLength !== null && !(model.context_length >= this.minContextLength)) {
+      return false;
+    }
+
+    return !this.provider || ModelCatalogFilter.getProvider(model) === this.provider;
+  }
+
+  apply(models) {
+    return models
+      .filter(model => this.matches(model))
+      .sort((first, second) => (first.name || first.id).localeCompare(second.name || second.id));
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ModelCatalogFilter;
+}
@@ -0,0 +1,70 @@
+/**
+ * ModelCatalogFilter Value Object Tests
+ * Tests searching and filtering the OpenRouter model catalog
+ *
+ * Copyright (C) 2025 Dimitry Polivaev
+ * Licensed under GPL3 or later
+ */
+
+const ModelCatalogFilter = require('./ModelCatalogFilter');
+
+describe('ModelCatalogFilter', () => {
+  const models = [
+    { id: 'openai/gpt-4o', name: 'OpenAI: GPT-4o', pricing: { prompt: '0.0000025', completion: '0.00001' }, context_length: 128000 },
+    { id: 'openai/gpt-4o-mini', name: 'OpenAI: GPT-4o-mini', pricing: { prompt: '0.00000015', completion: '0.0000006' }, context_length: 128000 },
+    { id: 'deepseek/deepseek-r1-0528:free', name: 'DeepSeek: R1 (free)', pricing: { prompt: '0', completion: '0' }, context_length: 163840 },
+    { id: 'mistralai/mistral-7b-instruct', name: 'Mistral: 7B Instruct', pricing: { prompt: '0.00000003', completion: '0.00000005' }, context_length: 32768 }
+  ];
+
+  const idsFor = criteria => new ModelCatalogFilter(criteria).apply(models).map(model => model.id);
+
+  test('should return all models sorted by name without criteria', () => {
+    expect(idsFor({})).toEqual([
+      'deepseek/deepseek-r1-0528:free',
+      'mistralai/mistral-7b-instruct',
+      'openai/gpt-4o',
+      'openai/gpt-4o-mini'
+    ]);
+  });
+
+  test('should search names and ids case-insensitively', () => {
+    expect(idsFor({ search: 'MINI' })).toEqual(['openai/gpt-4o-mini']);
+    expect(idsFor({ search: 'r1-0528' })).toEqual(['deepseek/deepseek-r1-0528:free']);
+  });
+
+  test('should filter free and paid models', () => {
+    expect(idsFor({ pricing: 'free' })).toEqual(['deepseek/deepseek-r1-0528:free']);
+    expect(idsFor({ pricing: 'paid' })).not.toContain('deepseek/deepseek-r1-0528:free');
+    expect(() => new ModelCatalogFilter({ pricing: 'cheap' })).toThrow('Unknown pricing filter: cheap');
+  });
+
+  test('should limit the prompt price per million tokens', () => {
+    expect(idsFor({ maxPromptPrice: 0.2 })).toEqual([
+      'deepseek/deepseek-r1-0528:free',
+      'mistralai/mistral-7b-instruct',
+      'openai/gpt-4o-mini'
+    ]);
+  });
+
+  test('should require a minimum context length', () => {
+    expect(idsFor({ minContextLength: 150000 })).toEqual(['deepseek/deepseek-r1-0528:free']);
+  });
+
+  test('should filter by provider', () => {
+    expect(idsFor({ provider: 'openai' })).toEqual(['openai/gpt-4o', 'openai/gpt-4o-mini']);
+    expect(ModelCatalogFilter.getProviders(models)).toEqual(['deepseek', 'mistralai', 'openai']);
+  });
+
+  test('should ignore empty and invalid limits', () => {
+    const filter = new ModelCatalogFilter({ maxPromptPrice: '', minContextLength: 'abc' });
+    expect(filter.maxPromptPrice).toBeNull();
+    expect(filter.minContextLength).toBeNull();
+    expect(Object.isFrozen(filter)).toBe(true);
+  });
+
+  test('should convert per-token prices to prices per million tokens', () => {
+    expect(ModelCatalogFilter.getPromptPricePerMillion(models[0])).toBeCloseTo(2.5);
+    expect(ModelCatalogFilter.getCompletionPricePerMillion(models[0])).toBeCloseTo(10);
+    expect(ModelCatalogFilter.getPromptPricePerMillion({ id: 'x/y' })).toBeNull();
+  });
+});
@@ -66,24 +66,33 @@ class ModelId {
   }
 
 
-  isGemini() {
-    return this.provider === 'Gemini';
+  static getModelTier(modelValue) {
+    const tiers = ['flash-lite', 'flash', 'pro', 'haiku', 'sonnet', 'opus', 'nano', 'mini'];
+    return tiers.find(tier => modelValue.includes(tier)) || null;
   }
 
-  isOpenRouter() {
-    return this.provider === 'OpenRouter';
+  static isPreviewModel(modelValue) {
+    return /preview|exp/.test(modelValue);
   }
 
-  requiresApiKey() {
-    if (this.isGemini()) {
-      return true;
+  // Saved models may have been retired since, offer the closest one of the same provider and tier instead
+  static findReplacement(savedModel, availableModels) {
+    const candidates = availableModels.filter(model => model.provider === savedModel.provider);
+    if (candidates.length === 0) {
+      return null;
     }
 
-    if (this.isOpenRouter() && !this.isFree) {
-      return true;
-    }
-
-    return false;
+    const tier = ModelId.getModelTier(savedModel.value);
+    const sameTier = candidates.filter(model => ModelId.getModelTier(model.value) === tier);
+    const pool = sameTier.length > 0 ? sameTier : candidates;
+    return [...pool].sort((first, second) => {
+      const previewOrder = Number(ModelId.isPreviewModel(first.value)) - Number(ModelId.isPreviewModel(second.value));
+      if (previewOrder !== 0) {
+        return previewOrder;
+      }
+      // Newer versions sort last in natural order
+      return second.value.localeCompare(first.value, undefined, { numeric: true });
+    })[0];
   }
 
   getDisplayName() {
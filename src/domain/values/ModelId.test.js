@@ -49,20 +49,20 @@ describe('ModelId Value Object', () => {
       const geminiPro = new ModelId('gemini-2.5-pro', 'Gemini', false);
       const geminiFlash = new ModelId('gemini-3-flash-preview', 'Gemini', false);
 
-      expect(geminiPro.isGemini()).toBe(true);
-      expect(geminiPro.isOpenRouter()).toBe(false);
-      expect(geminiFlash.isGemini()).toBe(true);
-      expect(geminiFlash.isOpenRouter()).toBe(false);
+      expect(geminiPro.provider).toBe('Gemini');
+      expect(geminiPro.provider).not.toBe('OpenRouter');
+      expect(geminiFlash.provider).toBe('Gemini');
+      expect(geminiFlash.provider).not.toBe('OpenRouter');
     });
 
     test('should correctly identify OpenRouter models', () => {
       const openRouterGemini = new ModelId('google/gemini-2.5-pro', 'OpenRouter', false);
       const freeModel = new ModelId('deepseek/deepseek-r1-0528:free', 'OpenRouter', true);
 
-      expect(openRouterGemini.isGemini()).toBe(false);
-      expect(openRouterGemini.isOpenRouter()).toBe(true);
-      expect(freeModel.isGemini()).toBe(false);
-      expect(freeModel.isOpenRouter()).toBe(true);
+      expect(openRouterGemini.provider).not.toBe('Gemini');
+      expect(openRouterGemini.provider).toBe('OpenRouter');
+      expect(freeModel.provider).not.toBe('Gemini');
+      expect(freeModel.provider).toBe('OpenRouter');
     });
   });
 
@@ -91,7 +91,7 @@ describe('ModelId Value Object', () => {
       expect(modelId.value).toBe('deepseek/deepseek-r1-0528:free');
       expect(modelId.provider).toBe('OpenRouter');
       expect(modelId.isFree).toBe(true);
-      expect(modelId.isOpenRouter()).toBe(true);
+      expect(modelId.provider).toBe('OpenRouter');
     });
 
     test('should maintain data integrity through JSON cycle', () => {
@@ -110,7 +110,6 @@ describe('ModelId Value Object', () => {
       expect(restored.value).toBe(original.value);
       expect(restored.provider).toBe(original.provider);
       expect(restored.isFree).toBe(original.isFree);
-      expect(restored.isOpenRouter()).toBe(original.isOpenRouter());
     });
   });
 
@@ -118,15 +117,15 @@ describe('ModelId Value Object', () => {
     test('should route direct Gemini models to Gemini API', () => {
       const directGemini = new ModelId('gemini-2.5-pro', 'Gemini', false);
 
-      expect(directGemini.isGemini()).toBe(true);
-      expect(directGemini.isOpenRouter()).toBe(false);
+      expect(directGemini.provider).toBe('Gemini');
+      expect(directGemini.provider).not.toBe('OpenRouter');
     });
 
     test('should route OpenRouter Gemini models to OpenRouter API', () => {
       const openRouterGemini = new ModelId('google/gemini-2.5-pro', 'OpenRouter', false);
 
-      expect(openRouterGemini.isGemini()).toBe(false);
-      expect(openRouterGemini.isOpenRouter()).toBe(true);
+      expect(openRouterGemini.provider).not.toBe('Gemini');
+      expect(openRouterGemini.provider).toBe('OpenRouter');
     });
 
     test('should handle free models correctly', () => {
@@ -135,8 +134,29 @@ describe('ModelId Value Object', () => {
 
       expect(freeModel.isFree).toBe(true);
       expect(paidModel.isFree).toBe(false);
-      expect(freeModel.isOpenRouter()).toBe(true);
-      expect(paidModel.isOpenRouter()).toBe(true);
+      expect(freeModel.provider).toBe('OpenRouter');
+      expect(paidModel.provider).toBe('OpenRouter');
+    });
+  });
+
+  describe('retired model replacement', () => {
+    const available = [
+      new ModelId('gemini-2.5-pro', 'Gemini', false),
+      new ModelId('gemini-2.5-flash', 'Gemini', false),
+      new ModelId('gemini-3-flash-preview', 'Gemini', false),
+      new ModelId('gemini-3-pro-preview', 'Gemini', false),
+      new ModelId('anthropic/claude-sonnet-4', 'OpenRouter', false)
+    ];
+
+    test('should prefer a stable model of the same tier', () => {
+      const replacement = ModelId.findReplacement(new ModelId('gemini-1.5-flash', 'Gemini', false), available);
+      expect(replacement.value).toBe('gemini-2.5-flash');
+    });
+
+    test('should stay with the provider of the saved model', () => {
+      const replacement = ModelId.findReplacement(new ModelId('gemini-ultra', 'Gemini', false), available);
+      expect(replacement.value).toBe('gemini-2.5-pro');
+      expect(ModelId.findReplacement(new ModelId('claude-3-opus', 'Anthropic', false), available)).toBeNull();
     });
   });
 
@@ -0,0 +1,111 @@
+/**
+ * ProviderDefinition Value Object
+ * Declares what the extension needs to know about an AI provider: its id, credential and provider specific settings
+ *
+ * Copyright (C) 2025 Dimitry Polivaev
+ * Licensed under GPL3 or later
+ */
+
+class ProviderDefinition {
+  constructor({ id, displayName = id, displayNameKey = null, credential = null, settings = [], settingsTitleKey = null, displayModelIds = false } = {}) {
+    if (!id || typeof id !== 'string') {
+      throw new Error('Provider id must be a non-empty string');
+    }
+
+    this.id = id;
+    this.displayName = displayName;
+    this.displayNameKey = displayNameKey;
+    this.credential = credential ? this.validateCredential(credential) : null;
+    this.settings = Object.freeze(settings.map(setting => this.validateSetting(setting)));
+    this.settingsTitleKey = settingsTitleKey;
+    // Model ids typed in by the user are shown as configured instead of prettified
+    this.displayModelIds = Boolean(displayModelIds);
+    Object.freeze(this);
+  }
+
+  validateCredential(credential) {
+    if (!credential.settingsKey || typeof credential.settingsKey !== 'string') {
+      throw new Error(`Credential of provider ${this.id} needs a settingsKey`);
+    }
+    return Object.freeze({
+      settingsKey: credential.settingsKey,
+      required: credential.required !== false,
+      keyPattern: credential.keyPattern || null,
+      keyUrl: credential.keyUrl || null,
+      keyUrlLabelKey: credential.keyUrlLabelKey || null,
+      labelKey: credential.labelKey || null,
+      placeholderKey: credential.placeholderKey || null,
+      requiredMessageKey: credential.requiredMessageKey || null,
+      clearedMessageKey: credential.clearedMessageKey || null
+    });
+  }
+
+  validateSetting(setting) {
+    if (!setting.key || typeof setting.key !== 'string') {
+      throw new Error(`Setting of provider ${this.id} needs a key`);
+    }
+    return Object.freeze({
+      key: setting.key,
+      type: setting.type || 'text',
+      defaultValue: setting.defaultValue !== undefined ? setting.defaultValue : '',
+      labelKey: setting.labelKey || null,
+      hintKey: setting.hintKey || null,
+      placeholder: setting.placeholder || '',
+      grantsHostPermission: Boolean(setting.grantsHostPermission)
+    });
+  }
+
+  hasCredential() {
+    return this.credential !== null;
+  }
+
+  getCredentialSettingsKey() {
+    return this.credential ? this.credential.settingsKey : null;
+  }
+
+  requiresApiKey(modelId = null) {
+    if (!this.credential || !this.credential.required) {
+      return false;
+    }
+    // Free models are billed to nobody, their providers decide whether they still need a key
+    return !(modelId && modelId.isFree);
+  }
+
+  isValidApiKey(apiKey) {
+    if (!apiKey || typeof apiKey !== 'string') {
+      return !this.requiresApiKey();
+    }
+    if (!this.credential || !this.credential.keyPattern) {
+      return true;
+    }
+    return new RegExp(this.credential.keyPattern).test(apiKey);
+  }
+
+  getSettingsDefaults() {
+    const defaults = {};
+    this.settings.forEach(setting => {
+      defaults[setting.key] = Array.isArray(setting.defaultValue) ? [...setting.defaultValue] : setting.defaultValue;
+    });
+    return defaults;
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      displayName: this.displayName,
+      displayNameKey: this.displayNameKey,
+      credential: this.credential ? { ...this.credential } : null,
+      settings: this.settings.map(setting => ({ ...setting })),
+      settingsTitleKey: this.settingsTitleKey,
+      displayModelIds: this.displayModelIds
+    };
+  }
+
+  static fromJSON(data) {
+    return new ProviderDefinition(data);
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ProviderDefinition;
+}
@@ -0,0 +1,100 @@
+/**
+ * ProviderDefinition Value Object Tests
+ * Tests provider declarations, key requirements and serialization
+ *
+ * Copyright (C) 2025 Dimitry Polivaev
+ * Licensed under GPL3 or later
+ */
+
+const ProviderDefinition = require('./ProviderDefinition');
+const ModelId = require('./ModelId');
+
+describe('ProviderDefinition', () => {
+  const createKeyedProvider = () => new ProviderDefinition({
+    id: 'Mistral',
+    credential: {
+      settingsKey: 'mistralApiKey',
+      keyPattern: '^[A-Za-z0-9]{32}$'
+    }
+  });
+
+  describe('constructor and validation', () => {
+    test('should default the display name to the id', () => {
+      const definition = createKeyedProvider();
+      expect(definition.displayName).toBe('Mistral');
+      expect(definition.credential.required).toBe(true);
+      expect(definition.settings).toEqual([]);
+      expect(Object.isFrozen(definition)).toBe(true);
+    });
+
+    test('should reject missing ids, credential keys and setting keys', () => {
+      expect(() => new ProviderDefinition({})).toThrow('Provider id must be a non-empty string');
+      expect(() => new ProviderDefinition({ id: 'Mistral', credential: {} })).toThrow('Credential of provider Mistral needs a settingsKey');
+      expect(() => new ProviderDefinition({ id: 'Mistral', settings: [{ type: 'url' }] })).toThrow('Setting of provider Mistral needs a key');
+    });
+  });
+
+  describe('API key requirements', () => {
+    test('should require a key unless the model is free', () => {
+      const definition = createKeyedProvider();
+      expect(definition.requiresApiKey()).toBe(true);
+      expect(definition.requiresApiKey(new ModelId('mistral-large', 'Mistral'))).toBe(true);
+      expect(definition.requiresApiKey(new ModelId('mistral-small', 'Mistral', { prompt: '0', completion: '0' }))).toBe(false);
+    });
+
+    test('should not require a key for optional or missing credentials', () => {
+      const optional = new ProviderDefinition({ id: 'Local', credential: { settingsKey: 'localApiKey', required: false } });
+      const keyless = new ProviderDefinition({ id: 'Keyless' });
+
+      expect(optional.requiresApiKey()).toBe(false);
+      expect(keyless.requiresApiKey()).toBe(false);
+      expect(keyless.hasCredential()).toBe(false);
+      expect(keyless.getCredentialSettingsKey()).toBeNull();
+    });
+
+    test('should validate keys against the declared pattern', () => {
+      const definition = createKeyedProvider();
+      expect(definition.isValidApiKey('a'.repeat(32))).toBe(true);
+      expect(definition.isValidApiKey('too-short')).toBe(false);
+      expect(definition.isValidApiKey('')).toBe(false);
+      expect(new ProviderDefinition({ id: 'Keyless' }).isValidApiKey('')).toBe(true);
+    });
+  });
+
+  describe('provider settings', () => {
+    test('should collect setting defaults without sharing list instances', () => {
+      const models = ['llama3.1:8b'];
+      const definition = new ProviderDefinition({
+        id: 'Local',
+        settings: [
+          { key: 'localBaseUrl', type: 'url', grantsHostPermission: true },
+          { key: 'localModels', type: 'list', defaultValue: models }
+        ]
+      });
+
+      const defaults = definition.getSettingsDefaults();
+
+      expect(defaults).toEqual({ localBaseUrl: '', localModels: ['llama3.1:8b'] });
+      expect(defaults.localModels).not.toBe(models);
+      expect(definition.settings[0].grantsHostPermission).toBe(true);
+      expect(definition.settings[1].grantsHostPermission).toBe(false);
+    });
+  });
+
+  describe('serialization', () => {
+    test('should survive a round trip through JSON', () => {
+      const definition = new ProviderDefinition({
+        id: 'Local',
+        displayName: 'Local server',
+        displayModelIds: true,
+        credential: { settingsKey: 'localApiKey', required: false },
+        settings: [{ key: 'localBaseUrl', type: 'url' }]
+      });
+
+      const restored = ProviderDefinition.fromJSON(JSON.parse(JSON.stringify(definition)));
+
+      expect(restored).toEqual(definition);
+      expect(restored.requiresApiKey()).toBe(false);
+    });
+  });
+});
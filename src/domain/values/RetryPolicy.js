@@ -0,0 +1,144 @@
+/**
+ * RetryPolicy Value Object
+ * Decides whether and when a failed request is retried: exponential backoff with jitter, or the delay the server asks for
+ *
+ * Copyright (C) 2025 Dimitry Polivaev
+ * Licensed under GPL3 or later
+ */
+
+class RetryPolicy {
+  constructor({ maxRetries = 3, baseDelayMs = 2000, maxDelayMs = 30000, jitterRatio = 0.5, maxServerDelayMs = 120000 } = {}) {
+    [['maxRetries', maxRetries], ['baseDelayMs', baseDelayMs], ['maxDelayMs', maxDelayMs], ['maxServerDelayMs', maxServerDelayMs]]
+      .forEach(([name, value]) => {
+        if (!Number.isFinite(value) || value < 0) {
+          throw new Error(`${name} must be a non-negative number`);
+        }
+      });
+    if (!Number.isFinite(jitterRatio) || jitterRatio < 0 || jitterRatio > 1) {
+      throw new Error('jitterRatio must be between 0 and 1');
+    }
+    this.maxRetries = maxRetries;
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.jitterRatio = jitterRatio;
+    this.maxServerDelayMs = maxServerDelayMs;
+    Object.freeze(this);
+  }
+
+  // The options page stores delays in seconds, invalid or missing values keep the defaults
+  static fromSettings(settings = {}) {
+    const maxRetries = RetryPolicy.parseNumber(settings.retryMaxRetries);
+    const baseDelaySeconds = RetryPolicy.parseNumber(settings.retryBaseDelaySeconds);
+    const maxServerWaitSeconds = RetryPolicy.parseNumber(settings.retryMaxServerWaitSeconds);
+    return new RetryPolicy({
+      maxRetries: maxRetries !== null ? Math.floor(maxRetries) : undefined,
+      baseDelayMs: baseDelaySeconds !== null ? baseDelaySeconds * 1000 : undefined,
+      maxServerDelayMs: maxServerWaitSeconds !== null ? maxServerWaitSeconds * 1000 : undefined
+    });
+  }
+
+  isRetryableStatus(status) {
+    return status === 429 || (status >= 500 && status < 600);
+  }
+
+  getBackoffDelay(attempt, random = Math.random()) {
+    const exponentialDelay = Math.min(this.maxDelayMs, this.baseDelayMs * Math.pow(2, attempt));
+    // Jitter spreads out the retries of requests that failed at the same moment
+    return Math.round(exponentialDelay * (1 - this.jitterRatio * random));
+  }
+
+  // Returns null when the request should not be retried any more
+  getRetryDelay(attempt, headers = null, status = null, now = Date.now(), random = Math.random()) {
+    if (attempt >= this.maxRetries) {
+      return null;
+    }
+    const serverDelay = this.getServerDelay(headers, status, now);
+    if (serverDelay === null) {
+      return this.getBackoffDelay(attempt, random);
+    }
+    // Waiting for a daily quota would freeze the generation, failing lets a fallback model take over
+    return serverDelay <= this.maxServerDelayMs ? serverDelay : null;
+  }
+
+  getServerDelay(headers, status = null, now = Date.now()) {
+    if (!headers || typeof headers.get !== 'function') {
+      return null;
+    }
+
+    const retryAfterMs = RetryPolicy.parseNumber(headers.get('retry-after-ms'));
+    if (retryAfterMs !== null) {
+      return retryAfterMs;
+    }
+    const retryAfter = RetryPolicy.parseRetryAfter(headers.get('retry-after'), now);
+    if (retryAfter !== null) {
+      return retryAfter;
+    }
+    // Providers send rate limit resets with every response, a server error does not wait for them
+    if (status !== 429) {
+      return null;
+    }
+
+    // Rate limit headers differ per provider, the latest reset is the one that lifts the limit
+    const resetDelays = [
+      RetryPolicy.parseResetTime(headers.get('x-ratelimit-reset'), now),
+      RetryPolicy.parseDuration(headers.get('x-ratelimit-reset-requests')),
+      RetryPolicy.parseDuration(headers.get('x-ratelimit-reset-tokens')),
+      RetryPolicy.parseDate(headers.get('anthropic-ratelimit-requests-reset'), now),
+      RetryPolicy.parseDate(headers.get('anthropic-ratelimit-tokens-reset'), now)
+    ].filter(delay => delay !== null);
+    return resetDelays.length > 0 ? Math.max(...resetDelays) : null;
+  }
+
+  static parseNumber(value) {
+    if (value === null || value === undefined || String(value).trim() === '') {
+      return null;
+    }
+    const number = Number(value);
+    return Number.isFinite(number) && number >= 0 ? number : null;
+  }
+
+  static parseRetryAfter(value, now) {
+    const seconds = RetryPolicy.parseNumber(value);
+    return seconds !== null ? seconds * 1000 : RetryPolicy.parseDate(value, now);
+  }
+
+  static parseDate(value, now) {
+    if (!value) {
+      return null;
+    }
+    const time = Date.parse(value);
+    return Number.isFinite(time) ? Math.max(0, time - now) : null;
+  }
+
+  // OpenRouter sends a timestamp in milliseconds, other providers seconds since the epoch or from now
+  static parseResetTime(value, now) {
+    const number = RetryPolicy.parseNumber(value);
+    if (number === null) {
+      return null;
+    }
+    if (number > 1e12) {
+      return Math.max(0, number - now);
+    }
+    if (number > 1e9) {
+      return Math.max(0, number * 1000 - now);
+    }
+    return number * 1000;
+  }
+
+  // Durations like "1s", "6m0s" or "250ms" as OpenAI-style APIs send them
+  static parseDuration(value) {
+    if (!value) {
+      return null;
+    }
+    const parts = String(value).trim().match(/^(?:(\d+(?:\.\d+)?)h)?(?:(\d+(?:\.\d+)?)m(?!s))?(?:(\d+(?:\.\d+)?)s)?(?:(\d+(?:\.\d+)?)ms)?$/);
+    if (!parts || parts.slice(1).every(part => part === undefined)) {
+      return null;
+    }
+    const [hours, minutes, seconds, milliseconds] = parts.slice(1).map(part => parseFloat(part || 0));
+    return Math.round(((hours * 60 + minutes) * 60 + seconds) * 1000 + milliseconds);
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RetryPolicy;
+}
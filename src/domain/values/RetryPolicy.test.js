@@ -0,0 +1,112 @@
+/**
+ * RetryPolicy Value Object Tests
+ * Tests backoff delays, jitter and the retry delays servers ask for
+ *
+ * Copyright (C) 2025 Dimitry Polivaev
+ * Licensed under GPL3 or later
+ */
+
+const RetryPolicy = require('./RetryPolicy');
+
+describe('RetryPolicy', () => {
+  const now = Date.parse('2025-06-01T12:00:00Z');
+  const createHeaders = values => new Map(Object.entries(values));
+
+  test('should take its limits from the settings', () => {
+    const policy = RetryPolicy.fromSettings({ retryMaxRetries: 5, retryBaseDelaySeconds: 1, retryMaxServerWaitSeconds: 30 });
+
+    expect(policy.maxRetries).toBe(5);
+    expect(policy.baseDelayMs).toBe(1000);
+    expect(policy.maxServerDelayMs).toBe(30000);
+  });
+
+  test('should keep the defaults for missing or invalid settings', () => {
+    const defaults = new RetryPolicy();
+    const policy = RetryPolicy.fromSettings({ retryMaxRetries: -1, retryBaseDelaySeconds: 'soon' });
+
+    expect(policy.maxRetries).toBe(defaults.maxRetries);
+    expect(policy.baseDelayMs).toBe(defaults.baseDelayMs);
+    expect(policy.maxServerDelayMs).toBe(defaults.maxServerDelayMs);
+    expect(RetryPolicy.fromSettings().maxRetries).toBe(defaults.maxRetries);
+  });
+
+  test('should retry rate limits and server errors only', () => {
+    const policy = new RetryPolicy();
+
+    expect(policy.isRetryableStatus(429)).toBe(true);
+    expect(policy.isRetryableStatus(503)).toBe(true);
+    expect(policy.isRetryableStatus(529)).toBe(true);
+    expect(policy.isRetryableStatus(400)).toBe(false);
+    expect(policy.isRetryableStatus(401)).toBe(false);
+  });
+
+  test('should back off exponentially up to the maximum delay', () => {
+    const policy = new RetryPolicy({ baseDelayMs: 1000, maxDelayMs: 5000, jitterRatio: 0 });
+
+    expect(policy.getBackoffDelay(0)).toBe(1000);
+    expect(policy.getBackoffDelay(1)).toBe(2000);
+    expect(policy.getBackoffDelay(2)).toBe(4000);
+    expect(policy.getBackoffDelay(3)).toBe(5000);
+  });
+
+  test('should shorten delays by a random jitter', () => {
+    const policy = new RetryPolicy({ baseDelayMs: 1000, jitterRatio: 0.5 });
+
+    expect(policy.getBackoffDelay(1, 0)).toBe(2000);
+    expect(policy.getBackoffDelay(1, 0.5)).toBe(1500);
+    expect(policy.getBackoffDelay(1, 1)).toBe(1000);
+  });
+
+  test('should stop retrying after the maximum number of retries', () => {
+    const policy = new RetryPolicy({ maxRetries: 2, jitterRatio: 0 });
+
+    expect(policy.getRetryDelay(1, null, null, now)).toBe(4000);
+    expect(policy.getRetryDelay(2, null, null, now)).toBeNull();
+  });
+
+  test('should honour Retry-After in seconds and as a date', () => {
+    const policy = new RetryPolicy();
+
+    expect(policy.getRetryDelay(0, createHeaders({ 'retry-after': '12' }), 503, now)).toBe(12000);
+    expect(policy.getRetryDelay(0, createHeaders({ 'retry-after': 'Sun, 01 Jun 2025 12:00:30 GMT' }), 429, now)).toBe(30000);
+    expect(policy.getRetryDelay(0, createHeaders({ 'retry-after-ms': '250' }), 429, now)).toBe(250);
+  });
+
+  test('should honour provider rate limit reset headers', () => {
+    const policy = new RetryPolicy();
+
+    expect(policy.getServerDelay(createHeaders({ 'x-ratelimit-reset': String(now + 20000) }), 429, now)).toBe(20000);
+    expect(policy.getServerDelay(createHeaders({ 'x-ratelimit-reset-requests': '1m30s', 'x-ratelimit-reset-tokens': '250ms' }), 429, now)).toBe(90000);
+    expect(policy.getServerDelay(createHeaders({ 'anthropic-ratelimit-requests-reset': '2025-06-01T12:00:05Z' }), 429, now)).toBe(5000);
+    expect(policy.getServerDelay(createHeaders({ 'x-ratelimit-remaining': '0' }), 429, now)).toBeNull();
+  });
+
+  test('should ignore rate limit reset headers on server errors', () => {
+    const policy = new RetryPolicy({ maxServerDelayMs: 60000, jitterRatio: 0 });
+    const headers = createHeaders({ 'x-ratelimit-reset': String(now + 3600000), 'anthropic-ratelimit-tokens-reset': '2025-06-02T12:00:00Z' });
+
+    expect(policy.getServerDelay(headers, 503, now)).toBeNull();
+    expect(policy.getRetryDelay(0, headers, 503, now)).toBe(2000);
+    expect(policy.getRetryDelay(0, headers, 429, now)).toBeNull();
+  });
+
+  test('should give up when the server asks to wait too long', () => {
+    const policy = new RetryPolicy({ maxServerDelayMs: 60000 });
+
+    expect(policy.getRetryDelay(0, createHeaders({ 'retry-after': '3600' }), 429, now)).toBeNull();
+  });
+
+  test('should parse duration headers', () => {
+    expect(RetryPolicy.parseDuration('6m0s')).toBe(360000);
+    expect(RetryPolicy.parseDuration('1.5s')).toBe(1500);
+    expect(RetryPolicy.parseDuration('17ms')).toBe(17);
+    expect(RetryPolicy.parseDuration('1h')).toBe(3600000);
+    expect(RetryPolicy.parseDuration('soon')).toBeNull();
+    expect(RetryPolicy.parseDuration('')).toBeNull();
+  });
+
+  test('should reject invalid configuration', () => {
+    expect(() => new RetryPolicy({ maxRetries: -1 })).toThrow('maxRetries must be a non-negative number');
+    expect(() => new RetryPolicy({ jitterRatio: 2 })).toThrow('jitterRatio must be between 0 and 1');
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * TokenPricing Value Object
+ * Turns per-token model prices into estimated and actual generation costs
+ *
+ * Copyright (C) 2025 Dimitry Polivaev
+ * Licensed under GPL3 or later
+ */
+
+class TokenPricing {
+  constructor(pricing = null) {
+    // Providers without a price list (direct APIs, self-hosted models) leave the cost unknown
+    this.promptPrice = pricing ? TokenPricing.parsePrice(pricing.prompt || 0) : null;
+    this.completionPrice = pricing ? TokenPricing.parsePrice(pricing.completion || 0) : null;
+    Object.freeze(this);
+  }
+
+  static parsePrice(price) {
+    const value = parseFloat(price);
+    return Number.isFinite(value) && value >= 0 ? value : null;
+  }
+
+  static fromModel(modelId) {
+    return new TokenPricing(modelId ? modelId.pricing : null);
+  }
+
+  isKnown() {
+    return this.promptPrice !== null && this.completionPrice !== null;
+  }
+
+  isFree() {
+    return this.isKnown() && this.promptPrice === 0 && this.completionPrice === 0;
+  }
+
+  getCost(inputTokens, outputTokens) {
+    if (!this.isKnown()) {
+      return null;
+    }
+    return (inputTokens || 0) * this.promptPrice + (outputTokens || 0) * this.completionPrice;
+  }
+
+  estimateCostRange(inputTokens, minOutputTokens, maxOutputTokens) {
+    if (!this.isKnown()) {
+      return null;
+    }
+    return {
+      min: this.getCost(inputTokens, minOutputTokens),
+      max: this.getCost(inputTokens, maxOutputTokens)
+    };
+  }
+
+  static formatCost(cost) {
+    if (cost === 0) {
+      return '$0';
+    }
+    if (cost < 0.0001) {
+      return '<$0.0001';
+    }
+    // Cents matter for large amounts, small ones need their leading digits
+    return cost >= 1 ? `$${cost.toFixed(2)}` : `$${Number(cost.toPrecision(2))}`;
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TokenPricing;
+}
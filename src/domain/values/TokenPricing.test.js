@@ -0,0 +1,52 @@
+/**
+ * TokenPricing Value Object Tests
+ * Tests cost estimates and actual costs computed from per-token model prices
+ *
+ * Copyright (C) 2025 Dimitry Polivaev
+ * Licensed under GPL3 or later
+ */
+
+const TokenPricing = require('./TokenPricing');
+const ModelId = require('./ModelId');
+
+describe('TokenPricing', () => {
+  const paidModel = new ModelId('openai/gpt-4o', 'OpenRouter', { prompt: '0.0000025', completion: '0.00001' });
+
+  test('should compute the cost of used tokens', () => {
+    const pricing = TokenPricing.fromModel(paidModel);
+
+    expect(pricing.isKnown()).toBe(true);
+    expect(pricing.getCost(10000, 500)).toBeCloseTo(0.03);
+  });
+
+  test('should estimate a cost range for the possible output lengths', () => {
+    const range = TokenPricing.fromModel(paidModel).estimateCostRange(10000, 200, 8192);
+
+    expect(range.min).toBeCloseTo(0.027);
+    expect(range.max).toBeCloseTo(0.10692);
+  });
+
+  test('should recognize free models', () => {
+    const pricing = TokenPricing.fromModel(new ModelId('deepseek/deepseek-r1-0528:free', 'OpenRouter', { prompt: '0', completion: '0' }));
+
+    expect(pricing.isFree()).toBe(true);
+    expect(pricing.getCost(10000, 500)).toBe(0);
+  });
+
+  test('should leave the cost unknown without a price list', () => {
+    const pricing = TokenPricing.fromModel(new ModelId('gemini-2.5-pro', 'Gemini'));
+
+    expect(pricing.isKnown()).toBe(false);
+    expect(pricing.isFree()).toBe(false);
+    expect(pricing.getCost(10000, 500)).toBeNull();
+    expect(pricing.estimateCostRange(10000, 200, 8192)).toBeNull();
+    expect(new TokenPricing({ prompt: 'n/a' }).isKnown()).toBe(false);
+  });
+
+  test('should format costs in dollars', () => {
+    expect(TokenPricing.formatCost(0)).toBe('$0');
+    expect(TokenPricing.formatCost(0.00004)).toBe('<$0.0001');
+    expect(TokenPricing.formatCost(0.012345)).toBe('$0.012');
+    expect(TokenPricing.formatCost(3.456)).toBe('$3.46');
+  });
+});
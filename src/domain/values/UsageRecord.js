@@ -0,0 +1,84 @@
+/**
+ * UsageRecord Value Object
+ * One paid or free request in the local usage ledger: who used which model for which video and what it cost
+ *
+ * Copyright (C) 2025 Dimitry Polivaev
+ * Licensed under GPL3 or later
+ */
+
+// Load TokenPricing for Node.js environment (tests), skip if already loaded in browser
+if (typeof TokenPricing === 'undefined' && typeof require !== 'undefined') {
+  const TokenPricing = require('./TokenPricing');
+}
+
+class UsageRecord {
+  constructor({ timestamp, provider, model, inputTokens = 0, outputTokens = 0, cost = null, videoId = '', requestType = 'generation', userLabel = '', profile = '' }) {
+    if (!Number.isFinite(timestamp)) {
+      throw new Error('Usage timestamp must be a number');
+    }
+    if (!provider || typeof provider !== 'string') {
+      throw new Error('Usage provider must be a non-empty string');
+    }
+    if (!model || typeof model !== 'string') {
+      throw new Error('Usage model must be a non-empty string');
+    }
+    if (!['generation', 'chat'].includes(requestType)) {
+      throw new Error(`Unknown usage request type: ${requestType}`);
+    }
+    this.timestamp = timestamp;
+    this.provider = provider;
+    this.model = model;
+    this.inputTokens = inputTokens || 0;
+    this.outputTokens = outputTokens || 0;
+    // Unknown for providers without a price list, those requests count tokens only
+    this.cost = Number.isFinite(cost) ? cost : null;
+    this.videoId = videoId || '';
+    this.requestType = requestType;
+    this.userLabel = userLabel || '';
+    // The API key profile that paid for the request, empty for the default key
+    this.profile = profile || '';
+    Object.freeze(this);
+  }
+
+  static forModel(modelId, { inputTokens, outputTokens, videoId, requestType, userLabel, profile, timestamp = Date.now() }) {
+    return new UsageRecord({
+      timestamp,
+      provider: modelId.provider,
+      model: modelId.value,
+      inputTokens,
+      outputTokens,
+      cost: TokenPricing.fromModel(modelId).getCost(inputTokens, outputTokens),
+      videoId,
+      requestType,
+      userLabel,
+      profile
+    });
+  }
+
+  getCost() {
+    return this.cost || 0;
+  }
+
+  static fromJSON(data) {
+    return new UsageRecord(data);
+  }
+
+  toJSON() {
+    return {
+      timestamp: this.timestamp,
+      provider: this.provider,
+      model: this.model,
+      inputTokens: this.inputTokens,
+      outputTokens: this.outputTokens,
+      cost: this.cost,
+      videoId: this.videoId,
+      requestType: this.requestType,
+      userLabel: this.userLabel,
+      profile: this.profile
+    };
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = UsageRecord;
+}
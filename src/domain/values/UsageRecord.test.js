@@ -0,0 +1,60 @@
+/**
+ * UsageRecord Value Object Tests
+ * Tests validation, cost calculation and serialization of usage ledger records
+ *
+ * Copyright (C) 2025 Dimitry Polivaev
+ * Licensed under GPL3 or later
+ */
+
+const UsageRecord = require('./UsageRecord');
+const ModelId = require('./ModelId');
+
+describe('UsageRecord', () => {
+  const paidModel = new ModelId('openai/gpt-4o', 'OpenRouter', { prompt: '0.0000025', completion: '0.00001' });
+
+  test('should compute the cost from the model pricing', () => {
+    const record = UsageRecord.forModel(paidModel, {
+      inputTokens: 10000,
+      outputTokens: 500,
+      videoId: 'abc123',
+      requestType: 'chat',
+      userLabel: 'Alex',
+      profile: 'Work',
+      timestamp: 1000
+    });
+
+    expect(record.cost).toBeCloseTo(0.03);
+    expect(record.toJSON()).toEqual(expect.objectContaining({
+      timestamp: 1000,
+      provider: 'OpenRouter',
+      model: 'openai/gpt-4o',
+      videoId: 'abc123',
+      requestType: 'chat',
+      userLabel: 'Alex',
+      profile: 'Work'
+    }));
+    expect(Object.isFrozen(record)).toBe(true);
+  });
+
+  test('should keep the cost unknown for providers without prices', () => {
+    const record = UsageRecord.forModel(new ModelId('gemini-2.5-pro', 'Gemini'), { inputTokens: 100, outputTokens: 20 });
+
+    expect(record.cost).toBeNull();
+    expect(record.getCost()).toBe(0);
+    expect(record.requestType).toBe('generation');
+  });
+
+  test('should restore records from JSON', () => {
+    const record = UsageRecord.forModel(paidModel, { inputTokens: 1, outputTokens: 2, timestamp: 5 });
+
+    expect(UsageRecord.fromJSON(JSON.parse(JSON.stringify(record)))).toEqual(record);
+  });
+
+  test('should reject incomplete records', () => {
+    expect(() => new UsageRecord({ provider: 'Gemini', model: 'gemini-2.5-pro' })).toThrow('Usage timestamp must be a number');
+    expect(() => new UsageRecord({ timestamp: 1, model: 'gemini-2.5-pro' })).toThrow('Usage provider must be a non-empty string');
+    expect(() => new UsageRecord({ timestamp: 1, provider: 'Gemini' })).toThrow('Usage model must be a non-empty string');
+    expect(() => new UsageRecord({ timestamp: 1, provider: 'Gemini', model: 'gemini-2.5-pro', requestType: 'repair' }))
+      .toThrow('Unknown usage request type: repair');
+  });
+});
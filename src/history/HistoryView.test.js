@@ -0,0 +1,159 @@
+/**
+ * History View Tests
+ * Verifies listing, searching, reopening and deleting stored generations on the history page
+ */
+
+global.getLocalizedMessage = (key, substitutions = []) => [key, ...substitutions].join(' ').trim();
+
+const makeElement = (tag = 'div') => {
+  const element = {
+    tagName: tag.toUpperCase(),
+    className: '',
+    style: {},
+    children: [],
+    listeners: {},
+    value: '',
+    addEventListener: jest.fn((type, listener) => {
+      element.listeners[type] = listener;
+    }),
+    appendChild: jest.fn(child => element.children.push(child))
+  };
+  let textContent = '';
+  Object.defineProperty(element, 'textContent', {
+    get: () => textContent,
+    set: value => {
+      textContent = value;
+      element.children = [];
+    }
+  });
+  return element;
+};
+
+let elements;
+let historyResponse;
+
+const entries = [
+  { id: 2, savedAt: 2000, title: 'Rust async', author: 'Talks', url: 'https://youtu.be/b', model: { value: 'gemini-2.5-pro', provider: 'Gemini', pricing: null }, customInstructions: '', chapterCount: 5, chatMessageCount: 2, inputTokens: 100, outputTokens: 20 },
+  { id: 1, savedAt: 1000, title: 'Pasta', author: 'Kitchen', url: 'https://youtu.be/a', model: null, customInstructions: 'Short', chapterCount: 3, chatMessageCount: 0, inputTokens: 50, outputTokens: 10 }
+];
+
+beforeEach(() => {
+  historyResponse = { success: true, data: { enabled: true, entries } };
+  elements = {
+    historySearchInput: makeElement('input'),
+    clearHistoryBtn: makeElement('button'),
+    openOptionsBtn: makeElement('button'),
+    historyDisabledNotice: makeElement(),
+    historyStatus: makeElement(),
+    historyList: makeElement(),
+    historyEmpty: makeElement()
+  };
+
+  global.document = {
+    getElementById: jest.fn((id) => elements[id] || null),
+    createElement: jest.fn((tag) => makeElement(tag)),
+    addEventListener: jest.fn()
+  };
+
+  global.browser = {
+    runtime: {
+      sendMessage: jest.fn(async (payload) => {
+        if (payload.action === 'getGenerationHistory') {
+          return historyResponse;
+        }
+        return { success: true };
+      }),
+      openOptionsPage: jest.fn()
+    }
+  };
+
+  global.confirm = jest.fn(() => true);
+});
+
+const fs = require('fs');
+const path = require('path');
+const historyJs = fs.readFileSync(path.join(__dirname, 'history.js'), 'utf8');
+const classCode = historyJs.match(/class HistoryView \{[\s\S]*?\n\}/)[0];
+eval(`${classCode}\nglobal.HistoryView = HistoryView;`);
+
+describe('HistoryView', () => {
+  test('renders stored generations with their details', async () => {
+    const view = new global.HistoryView();
+    await view.loadEntries();
+
+    expect(browser.runtime.sendMessage).toHaveBeenCalledWith({ action: 'getGenerationHistory', query: '' });
+    expect(elements.historyList.children).toHaveLength(2);
+    expect(elements.historyDisabledNotice.style.display).toBe('none');
+    expect(elements.historyEmpty.style.display).toBe('none');
+
+    const details = elements.historyList.children[0].children[0];
+    expect(details.children[0].textContent).toBe('Rust async');
+    expect(details.children[1].textContent).toBe('Talks');
+    expect(details.children[2].textContent).toContain('generation_history_chat_count 2');
+  });
+
+  test('shows a notice and the empty state while history is disabled', async () => {
+    historyResponse = { success: true, data: { enabled: false, entries: [] } };
+    const view = new global.HistoryView();
+    await view.loadEntries();
+
+    expect(elements.historyDisabledNotice.style.display).toBe('');
+    expect(elements.historyEmpty.style.display).toBe('');
+  });
+
+  test('searches with the typed query after a short delay', async () => {
+    jest.useFakeTimers();
+    try {
+      const view = new global.HistoryView();
+      elements.historySearchInput.value = 'ru';
+      elements.historySearchInput.listeners.input();
+      elements.historySearchInput.value = 'rust';
+      elements.historySearchInput.listeners.input();
+
+      jest.advanceTimersByTime(view.SEARCH_DELAY_MS);
+
+      const searches = browser.runtime.sendMessage.mock.calls.map(call => call[0]);
+      expect(searches).toEqual([{ action: 'getGenerationHistory', query: 'rust' }]);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('reopens and deletes single entries', async () => {
+    const view = new global.HistoryView();
+    await view.loadEntries();
+
+    await view.openEntry(2);
+    expect(browser.runtime.sendMessage).toHaveBeenCalledWith({ action: 'openHistoryEntry', id: 2 });
+
+    await view.deleteEntry(2);
+    expect(browser.runtime.sendMessage).toHaveBeenCalledWith({ action: 'deleteHistoryEntry', id: 2 });
+    expect(view.entries.map(entry => entry.id)).toEqual([1]);
+    expect(elements.historyList.children).toHaveLength(1);
+  });
+
+  test('reports entries that can no longer be opened', async () => {
+    browser.runtime.sendMessage.mockResolvedValueOnce({ success: false, error: 'History entry 3 not found' });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const view = new global.HistoryView();
+
+    await view.openEntry(3);
+
+    expect(elements.historyStatus.textContent).toBe('open_history_entry_failed');
+    expect(elements.historyStatus.style.display).toBe('');
+    console.error.mockRestore();
+  });
+
+  test('clears the history only after confirmation', async () => {
+    const view = new global.HistoryView();
+    await view.loadEntries();
+
+    global.confirm.mockReturnValueOnce(false);
+    await view.clearHistory();
+    expect(browser.runtime.sendMessage).not.toHaveBeenCalledWith({ action: 'clearGenerationHistory' });
+
+    await view.clearHistory();
+    expect(browser.runtime.sendMessage).toHaveBeenCalledWith({ action: 'clearGenerationHistory' });
+    expect(elements.historyList.children).toHaveLength(0);
+  });
+});
@@ -0,0 +1,218 @@
+/**
+ * Generation History Page Script for Chaptotek
+ * Lists stored chapter generations, searches them and reopens them in the results page
+ *
+ * Copyright (C) 2025 Dimitry Polivaev
+ *
+ * This file is part of Chaptotek.
+ *
+ * Chaptotek is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Chaptotek is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Chaptotek. If not, see <https://www.gnu.org/licenses/>.
+ */
+if (typeof browser === 'undefined') {
+  const browser = chrome;
+}
+
+class HistoryView {
+  constructor() {
+    this.entries = [];
+    this.query = '';
+    this.searchTimeout = null;
+    this.SEARCH_DELAY_MS = 200;
+    this.setupEventListeners();
+  }
+
+  setupEventListeners() {
+    const searchInput = document.getElementById('historySearchInput');
+    if (searchInput) {
+      searchInput.addEventListener('input', () => this.scheduleSearch(searchInput.value));
+    }
+
+    const clearButton = document.getElementById('clearHistoryBtn');
+    if (clearButton) {
+      clearButton.addEventListener('click', () => this.clearHistory());
+    }
+
+    const openOptionsButton = document.getElementById('openOptionsBtn');
+    if (openOptionsButton) {
+      openOptionsButton.addEventListener('click', () => browser.runtime.openOptionsPage());
+    }
+  }
+
+  scheduleSearch(query) {
+    clearTimeout(this.searchTimeout);
+    this.searchTimeout = setTimeout(() => {
+      this.query = query;
+      this.loadEntries();
+    }, this.SEARCH_DELAY_MS);
+  }
+
+  async loadEntries() {
+    try {
+      const response = await browser.runtime.sendMessage({
+        action: 'getGenerationHistory',
+        query: this.query
+      });
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'Failed to load generation history');
+      }
+
+      this.entries = response.data.entries;
+      this.updateDisabledNotice(response.data.enabled);
+      this.renderEntries();
+    } catch (error) {
+      console.error('Error loading generation history:', error);
+      this.entries = [];
+      this.renderEntries();
+    }
+  }
+
+  updateDisabledNotice(enabled) {
+    const notice = document.getElementById('historyDisabledNotice');
+    if (notice) {
+      notice.style.display = enabled ? 'none' : '';
+    }
+  }
+
+  renderEntries() {
+    const list = document.getElementById('historyList');
+    const empty = document.getElementById('historyEmpty');
+    if (!list) {
+      return;
+    }
+
+    list.textContent = '';
+    this.entries.forEach(entry => list.appendChild(this.createEntryElement(entry)));
+
+    if (empty) {
+      empty.style.display = this.entries.length === 0 ? '' : 'none';
+    }
+  }
+
+  createEntryElement(entry) {
+    const item = document.createElement('div');
+    item.className = 'history-entry';
+
+    const details = document.createElement('div');
+    details.className = 'history-entry-details';
+
+    const title = document.createElement('div');
+    title.className = 'history-entry-title';
+    title.textContent = entry.title || getLocalizedMessage('unknown');
+    details.appendChild(title);
+
+    const author = document.createElement('div');
+    author.className = 'history-entry-author';
+    author.textContent = entry.author;
+    details.appendChild(author);
+
+    const meta = document.createElement('div');
+    meta.className = 'history-entry-meta';
+    meta.textContent = this.formatEntryMeta(entry);
+    details.appendChild(meta);
+
+    if (entry.customInstructions) {
+      const instructions = document.createElement('div');
+      instructions.className = 'history-entry-instructions';
+      instructions.textContent = '"' + entry.customInstructions + '"';
+      details.appendChild(instructions);
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'history-entry-actions';
+
+    const openButton = document.createElement('button');
+    openButton.className = 'btn-primary';
+    openButton.textContent = getLocalizedMessage('open_history_entry_button');
+    openButton.addEventListener('click', () => this.openEntry(entry.id));
+    actions.appendChild(openButton);
+
+    const deleteButton = document.createElement('button');
+    deleteButton.className = 'btn-secondary';
+    deleteButton.textContent = getLocalizedMessage('delete_history_entry_button');
+    deleteButton.addEventListener('click', () => this.deleteEntry(entry.id));
+    actions.appendChild(deleteButton);
+
+    item.appendChild(details);
+    item.appendChild(actions);
+    return item;
+  }
+
+  formatEntryMeta(entry) {
+    const date = new Date(entry.savedAt);
+    const parts = [date.toLocaleDateString() + ' ' + date.toLocaleTimeString()];
+    if (entry.model) {
+      parts.push(ModelId.fromJSON(entry.model).getDisplayName());
+    }
+    parts.push(getLocalizedMessage('generation_history_chapter_count', [String(entry.chapterCount)]));
+    if (entry.chatMessageCount > 0) {
+      parts.push(getLocalizedMessage('generation_history_chat_count', [String(entry.chatMessageCount)]));
+    }
+    parts.push(getLocalizedMessage('generation_history_tokens', [String(entry.inputTokens), String(entry.outputTokens)]));
+    return parts.join(' · ');
+  }
+
+  async openEntry(id) {
+    try {
+      const response = await browser.runtime.sendMessage({ action: 'openHistoryEntry', id });
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'Failed to open history entry');
+      }
+    } catch (error) {
+      console.error('Error opening history entry:', error);
+      this.showError(getLocalizedMessage('open_history_entry_failed'));
+    }
+  }
+
+  showError(message) {
+    const status = document.getElementById('historyStatus');
+    if (status) {
+      status.textContent = message;
+      status.style.display = '';
+    }
+  }
+
+  async deleteEntry(id) {
+    try {
+      const response = await browser.runtime.sendMessage({ action: 'deleteHistoryEntry', id });
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'Failed to delete history entry');
+      }
+      this.entries = this.entries.filter(entry => entry.id !== id);
+      this.renderEntries();
+    } catch (error) {
+      console.error('Error deleting history entry:', error);
+    }
+  }
+
+  async clearHistory() {
+    if (!confirm(getLocalizedMessage('clear_generation_history_confirm'))) {
+      return;
+    }
+    try {
+      const response = await browser.runtime.sendMessage({ action: 'clearGenerationHistory' });
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'Failed to clear generation history');
+      }
+      this.entries = [];
+      this.renderEntries();
+    } catch (error) {
+      console.error('Error clearing generation history:', error);
+    }
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  const historyView = new HistoryView();
+  historyView.loadEntries();
+});
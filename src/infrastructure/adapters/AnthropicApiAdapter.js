@@ -0,0 +1,36 @@
+/**
+ * Anthropic API Adapter - Minimal wrapper for BackgroundService integration
+ *
+ * Copyright (C) 2025 Dimitry Polivaev
+ * Licensed under GPL3 or later
+ */
+
+class AnthropicApiAdapter {
+  constructor() {
+    const httpAdapter = new BrowserHttpAdapter();
+    const networkCommunicator = new NetworkCommunicator(httpAdapter, retryHandler);
+    this.anthropicChapterGenerator = new AnthropicChapterGenerator(networkCommunicator, new PromptGenerator());
+  }
+
+  async listModels() {
+    return this.anthropicChapterGenerator.getAvailableModels().map(model => new ModelId(model.id, 'Anthropic'));
+  }
+
+  async testAPIKey(apiKey) {
+    try {
+      await this.anthropicChapterGenerator.sendTestPrompt(apiKey);
+      return ApiKeyTestResult.valid();
+    } catch (error) {
+      return ApiKeyTestResult.fromError(error);
+    }
+  }
+
+  async processSubtitles(processedContent, customInstructions, apiKey, model, _tabId = null, requestOptions = {}) {
+    // Check if processedContent is an array (conversation messages) or string (single prompt)
+    if (Array.isArray(processedContent)) {
+      return this.anthropicChapterGenerator.processConversation(processedContent, apiKey, model, requestOptions);
+    } else {
+      return this.anthropicChapterGenerator.processSubtitles(processedContent, customInstructions, apiKey, model, requestOptions);
+    }
+  }
+}
@@ -14,7 +14,13 @@ class BrowserStorageAdapter {
       INSTRUCTION_HISTORY: 'instructionHistory',
       LAST_CUSTOM_INSTRUCTIONS: 'lastCustomInstructions',
       CURRENT_INSTRUCTION_NAME: 'currentInstructionName',
-      HISTORY_LIMIT: 'historyLimit'
+      HISTORY_LIMIT: 'historyLimit',
+      CAPTION_TRACK_PREFERENCES: 'captionTrackPreferences',
+      SESSION_CHECKPOINT: 'sessionCheckpoint',
+      MODEL_CATALOG: 'modelCatalog',
+      LOCAL_API_KEYS: 'localApiKeys',
+      ENCRYPTED_API_KEYS: 'encryptedApiKeys',
+      API_KEY_VAULT_KEY: 'apiKeyVaultKey'
     };
   }
 
@@ -68,6 +74,38 @@ class BrowserStorageAdapter {
     }
   }
 
+  async getSessionStorage(key) {
+    try {
+      const result = await this.getSessionStorageArea().get(key);
+      return result[key];
+    } catch (error) {
+      throw new Error(`Failed to get session storage key '${key}': ${error.message}`);
+    }
+  }
+
+  async setSessionStorage(key, value) {
+    try {
+      await this.getSessionStorageArea().set({ [key]: value });
+    } catch (error) {
+      throw new Error(`Failed to set session storage key '${key}': ${error.message}`);
+    }
+  }
+
+  async removeSessionStorage(key) {
+    try {
+      await this.getSessionStorageArea().remove(key);
+    } catch (error) {
+      throw new Error(`Failed to remove session storage key '${key}': ${error.message}`);
+    }
+  }
+
+  getSessionStorageArea() {
+    if (!this.browser.storage.session) {
+      throw new Error('Session storage is not available');
+    }
+    return this.browser.storage.session;
+  }
+
   getUserSettings() {
     return this.getSyncStorage(this.STORAGE_KEYS.USER_SETTINGS);
   }
@@ -123,6 +161,58 @@ class BrowserStorageAdapter {
   removeHistoryLimit() {
     return this.removeLocalStorage(this.STORAGE_KEYS.HISTORY_LIMIT);
   }
+
+  getCaptionTrackPreferences() {
+    return this.getLocalStorage(this.STORAGE_KEYS.CAPTION_TRACK_PREFERENCES);
+  }
+
+  setCaptionTrackPreferences(preferences) {
+    return this.setLocalStorage(this.STORAGE_KEYS.CAPTION_TRACK_PREFERENCES, preferences);
+  }
+
+  getSessionCheckpoint() {
+    return this.getSessionStorage(this.STORAGE_KEYS.SESSION_CHECKPOINT);
+  }
+
+  setSessionCheckpoint(checkpoint) {
+    return this.setSessionStorage(this.STORAGE_KEYS.SESSION_CHECKPOINT, checkpoint);
+  }
+
+  getModelCatalog() {
+    return this.getLocalStorage(this.STORAGE_KEYS.MODEL_CATALOG);
+  }
+
+  setModelCatalog(catalog) {
+    return this.setLocalStorage(this.STORAGE_KEYS.MODEL_CATALOG, catalog);
+  }
+
+  getLocalApiKeys() {
+    return this.getLocalStorage(this.STORAGE_KEYS.LOCAL_API_KEYS);
+  }
+
+  setLocalApiKeys(keys) {
+    return this.setLocalStorage(this.STORAGE_KEYS.LOCAL_API_KEYS, keys);
+  }
+
+  getEncryptedApiKeys() {
+    return this.getLocalStorage(this.STORAGE_KEYS.ENCRYPTED_API_KEYS);
+  }
+
+  setEncryptedApiKeys(vault) {
+    return this.setLocalStorage(this.STORAGE_KEYS.ENCRYPTED_API_KEYS, vault);
+  }
+
+  getApiKeyVaultKey() {
+    return this.getSessionStorage(this.STORAGE_KEYS.API_KEY_VAULT_KEY);
+  }
+
+  setApiKeyVaultKey(rawKey) {
+    return this.setSessionStorage(this.STORAGE_KEYS.API_KEY_VAULT_KEY, rawKey);
+  }
+
+  removeApiKeyVaultKey() {
+    return this.removeSessionStorage(this.STORAGE_KEYS.API_KEY_VAULT_KEY);
+  }
 }
 
 if (typeof module !== 'undefined' && module.exports) {
@@ -290,6 +290,99 @@ describe('BrowserStorageAdapter', () => {
     });
   });
 
+  describe('caption track preference operations', () => {
+    test('should get caption track preferences from local storage', async () => {
+      const preferences = { UC123: { trackId: '.de', languageCode: 'de', isAutoGenerated: false, isTranslation: false } };
+      mockBrowser.storage.local.get.mockResolvedValue({ captionTrackPreferences: preferences });
+
+      const result = await adapter.getCaptionTrackPreferences();
+
+      expect(result).toEqual(preferences);
+      expect(mockBrowser.storage.local.get).toHaveBeenCalledWith('captionTrackPreferences');
+    });
+
+    test('should set caption track preferences to local storage', async () => {
+      const preferences = { UC123: { trackId: 'a.en', languageCode: 'en', isAutoGenerated: true, isTranslation: false } };
+      mockBrowser.storage.local.set.mockResolvedValue();
+
+      await adapter.setCaptionTrackPreferences(preferences);
+
+      expect(mockBrowser.storage.local.set).toHaveBeenCalledWith({ captionTrackPreferences: preferences });
+    });
+  });
+
+  describe('session checkpoint operations', () => {
+    test('should read and write the checkpoint in session storage', async () => {
+      const checkpoint = { sessions: [{ resultId: 1 }], tabs: {} };
+      mockBrowser.storage.session = {
+        get: jest.fn().mockResolvedValue({ sessionCheckpoint: checkpoint }),
+        set: jest.fn().mockResolvedValue(),
+        remove: jest.fn()
+      };
+
+      await adapter.setSessionCheckpoint(checkpoint);
+      const result = await adapter.getSessionCheckpoint();
+
+      expect(mockBrowser.storage.session.set).toHaveBeenCalledWith({ sessionCheckpoint: checkpoint });
+      expect(mockBrowser.storage.session.get).toHaveBeenCalledWith('sessionCheckpoint');
+      expect(result).toEqual(checkpoint);
+    });
+
+    test('should report browsers without session storage', async () => {
+      await expect(adapter.getSessionCheckpoint()).rejects.toThrow(
+        "Failed to get session storage key 'sessionCheckpoint': Session storage is not available"
+      );
+    });
+  });
+
+  describe('model catalog operations', () => {
+    test('should read and write the model catalog in local storage', async () => {
+      const catalog = { OpenRouter: { models: [{ id: 'openai/gpt-4o' }], fetchedAt: 1000 } };
+      mockBrowser.storage.local.get.mockResolvedValue({ modelCatalog: catalog });
+      mockBrowser.storage.local.set.mockResolvedValue();
+
+      await adapter.setModelCatalog(catalog);
+      const result = await adapter.getModelCatalog();
+
+      expect(mockBrowser.storage.local.set).toHaveBeenCalledWith({ modelCatalog: catalog });
+      expect(mockBrowser.storage.local.get).toHaveBeenCalledWith('modelCatalog');
+      expect(result).toEqual(catalog);
+    });
+  });
+
+  describe('API key storage operations', () => {
+    test('should keep local and encrypted API keys in local storage', async () => {
+      const vault = { salt: 'c2FsdA==', iterations: 1000, verifier: { iv: 'aXY=', data: 'ZGF0YQ==' }, keys: {} };
+      mockBrowser.storage.local.get.mockResolvedValue({ localApiKeys: { apiKey: 'key' }, encryptedApiKeys: vault });
+      mockBrowser.storage.local.set.mockResolvedValue();
+
+      await adapter.setLocalApiKeys({ apiKey: 'key' });
+      await adapter.setEncryptedApiKeys(vault);
+
+      expect(await adapter.getLocalApiKeys()).toEqual({ apiKey: 'key' });
+      expect(await adapter.getEncryptedApiKeys()).toEqual(vault);
+      expect(mockBrowser.storage.local.set).toHaveBeenCalledWith({ localApiKeys: { apiKey: 'key' } });
+      expect(mockBrowser.storage.local.set).toHaveBeenCalledWith({ encryptedApiKeys: vault });
+      expect(mockBrowser.storage.sync.set).not.toHaveBeenCalled();
+    });
+
+    test('should keep the unlocked vault key in session storage', async () => {
+      mockBrowser.storage.session = {
+        get: jest.fn().mockResolvedValue({ apiKeyVaultKey: 'cmF3' }),
+        set: jest.fn().mockResolvedValue(),
+        remove: jest.fn().mockResolvedValue()
+      };
+
+      await adapter.setApiKeyVaultKey('cmF3');
+      const result = await adapter.getApiKeyVaultKey();
+      await adapter.removeApiKeyVaultKey();
+
+      expect(result).toBe('cmF3');
+      expect(mockBrowser.storage.session.set).toHaveBeenCalledWith({ apiKeyVaultKey: 'cmF3' });
+      expect(mockBrowser.storage.session.remove).toHaveBeenCalledWith('apiKeyVaultKey');
+    });
+  });
+
   describe('storage type consistency', () => {
     test('should use sync storage for user settings consistently', async () => {
       mockBrowser.storage.sync.get.mockResolvedValue({ userSettings: {} });
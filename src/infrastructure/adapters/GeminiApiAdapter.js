@@ -22,14 +22,18 @@ if (typeof importScripts !== 'undefined') {
 }
 
 class GeminiApiAdapter extends BaseLLM {
-  constructor() {
+  constructor(settingsRepository = null, modelCatalog = null, cryptoAdapter = null) {
     super('Gemini');
 
     const httpAdapter = new BrowserHttpAdapter();
     const networkCommunicator = new NetworkCommunicator(httpAdapter, retryHandler);
 
-    this.geminiChapterGenerator = new GeminiChapterGenerator(networkCommunicator, this.promptGenerator);
+    this.settingsRepository = settingsRepository;
+    this.modelCatalog = modelCatalog;
+    this.cryptoAdapter = cryptoAdapter;
+    this.geminiChapterGenerator = new GeminiChapterGenerator(networkCommunicator, this.promptGenerator, modelCatalog);
     this.availableModels = this.geminiChapterGenerator.getAvailableModels();
+    this.TEST_MODEL = 'gemini-2.5-flash';
   }
 
   getAvailableModels() {
@@ -39,12 +43,42 @@ class GeminiApiAdapter extends BaseLLM {
     }));
   }
 
-  async processSubtitles(processedContent, customInstructions = '', apiKey, model = 'gemini-2.5-pro') {
+  async fetchCatalogModels() {
+    // Which models are offered depends on the key, so they are discovered with the user's own key
+    const credentials = await this.settingsRepository.loadActiveCredentials();
+    return this.geminiChapterGenerator.fetchLiveModels(credentials.getKey('Gemini'));
+  }
+
+  async getCatalogFingerprint() {
+    const credentials = await this.settingsRepository.loadActiveCredentials();
+    return this.cryptoAdapter.fingerprint(credentials.getKey('Gemini') || '');
+  }
+
+  async listModels() {
+    let models;
+    try {
+      models = await this.geminiChapterGenerator.getLiveModels();
+    } catch (error) {
+      console.warn('GeminiApiAdapter: Model discovery unavailable, offering default models:', error.message);
+      models = this.geminiChapterGenerator.getAvailableModels();
+    }
+    return models.map(model => new ModelId(model.id, 'Gemini'));
+  }
+
+  async getTokenLimits(model) {
+    try {
+      return await this.geminiChapterGenerator.getTokenLimits(model);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async processSubtitles(processedContent, customInstructions = '', apiKey, model = 'gemini-2.5-pro', _tabId = null, requestOptions = {}) {
     // Check if processedContent is an array (conversation messages) or string (single prompt)
     if (Array.isArray(processedContent)) {
-      return this.geminiChapterGenerator.processConversation(processedContent, apiKey, model);
+      return this.geminiChapterGenerator.processConversation(processedContent, apiKey, model, requestOptions);
     } else {
-      return this.geminiChapterGenerator.processSubtitles(processedContent, customInstructions, apiKey, model);
+      return this.geminiChapterGenerator.processSubtitles(processedContent, customInstructions, apiKey, model, requestOptions);
     }
   }
 
@@ -56,6 +90,11 @@ class GeminiApiAdapter extends BaseLLM {
     return this.geminiChapterGenerator.networkCommunicator.post(url, headers, body);
   }
 
+  // The region restriction only shows when generating, so the key is tested with a prompt to a cheap model
+  testAPIKey(apiKey, model = this.TEST_MODEL) {
+    return super.testAPIKey(apiKey, model);
+  }
+
   parseResponse(response) {
     return this.geminiChapterGenerator.parseApiResponse(response);
   }
@@ -0,0 +1,106 @@
+/**
+ * IndexedDB Adapter - Single Source of Truth for IndexedDB access
+ * Wraps the callback based IndexedDB API in promises for the repositories
+ *
+ * Copyright (C) 2025 Dimitry Polivaev
+ * Licensed under GPL3 or later
+ */
+
+class IndexedDbAdapter {
+  constructor(indexedDbFactory = (typeof indexedDB !== 'undefined' ? indexedDB : null), databaseName = 'chaptotek') {
+    this.indexedDbFactory = indexedDbFactory;
+    this.databaseName = databaseName;
+    this.DATABASE_VERSION = 2;
+    this.STORES = {
+      GENERATION_HISTORY: 'generationHistory',
+      USAGE_LEDGER: 'usageLedger'
+    };
+    this.connection = null;
+  }
+
+  open() {
+    if (this.connection) {
+      return this.connection;
+    }
+    if (!this.indexedDbFactory) {
+      return Promise.reject(new Error('IndexedDB is not available'));
+    }
+
+    this.connection = new Promise((resolve, reject) => {
+      const request = this.indexedDbFactory.open(this.databaseName, this.DATABASE_VERSION);
+      request.onupgradeneeded = () => this.createStores(request.result);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(new Error(`Failed to open database '${this.databaseName}': ${request.error?.message}`));
+    }).catch(error => {
+      this.connection = null;
+      throw error;
+    });
+    return this.connection;
+  }
+
+  createStores(database) {
+    if (!database.objectStoreNames.contains(this.STORES.GENERATION_HISTORY)) {
+      const store = database.createObjectStore(this.STORES.GENERATION_HISTORY, { keyPath: 'id' });
+      store.createIndex('savedAt', 'savedAt');
+    }
+    if (!database.objectStoreNames.contains(this.STORES.USAGE_LEDGER)) {
+      const store = database.createObjectStore(this.STORES.USAGE_LEDGER, { keyPath: 'id', autoIncrement: true });
+      store.createIndex('timestamp', 'timestamp');
+    }
+  }
+
+  async runRequest(storeName, mode, createRequest) {
+    const database = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = database.transaction(storeName, mode);
+      const request = createRequest(transaction.objectStore(storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error || request.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+  }
+
+  async get(storeName, key) {
+    try {
+      return await this.runRequest(storeName, 'readonly', store => store.get(key));
+    } catch (error) {
+      throw new Error(`Failed to get '${key}' from '${storeName}': ${error.message}`);
+    }
+  }
+
+  async getAll(storeName) {
+    try {
+      return await this.runRequest(storeName, 'readonly', store => store.getAll());
+    } catch (error) {
+      throw new Error(`Failed to read '${storeName}': ${error.message}`);
+    }
+  }
+
+  async put(storeName, value) {
+    try {
+      await this.runRequest(storeName, 'readwrite', store => store.put(value));
+    } catch (error) {
+      throw new Error(`Failed to write to '${storeName}': ${error.message}`);
+    }
+  }
+
+  async delete(storeName, key) {
+    try {
+      await this.runRequest(storeName, 'readwrite', store => store.delete(key));
+    } catch (error) {
+      throw new Error(`Failed to delete '${key}' from '${storeName}': ${error.message}`);
+    }
+  }
+
+  async clear(storeName) {
+    try {
+      await this.runRequest(storeName, 'readwrite', store => store.clear());
+    } catch (error) {
+      throw new Error(`Failed to clear '${storeName}': ${error.message}`);
+    }
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = IndexedDbAdapter;
+}
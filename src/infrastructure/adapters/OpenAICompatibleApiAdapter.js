@@ -0,0 +1,74 @@
+/**
+ * OpenAI-Compatible API Adapter - Reads the configured server and wraps the generator for BackgroundService integration
+ *
+ * Copyright (C) 2025 Dimitry Polivaev
+ * Licensed under GPL3 or later
+ */
+
+class OpenAICompatibleApiAdapter {
+  constructor(settingsRepository) {
+    this.settingsRepository = settingsRepository;
+  }
+
+  async loadServerSettings() {
+    const { additionalSettings } = await this.settingsRepository.load();
+    return {
+      baseUrl: additionalSettings.openAICompatibleBaseUrl || '',
+      models: Array.isArray(additionalSettings.openAICompatibleModels) ? additionalSettings.openAICompatibleModels : []
+    };
+  }
+
+  async listModels() {
+    const { baseUrl, models } = await this.loadServerSettings();
+    if (!baseUrl) {
+      return [];
+    }
+    return models.map(model => new ModelId(model, 'OpenAICompatible'));
+  }
+
+  async ensureHostPermission(baseUrl) {
+    const pattern = toHostPermissionPattern(baseUrl);
+    if (!pattern || !browser.permissions || !browser.permissions.contains) {
+      return;
+    }
+    // The permission is granted from the options page when the server URL is saved
+    const granted = await browser.permissions.contains({ origins: [pattern] });
+    if (!granted) {
+      throw new Error(`Access to ${new URL(baseUrl).origin} was not granted. Please save the server URL again in extension settings and allow access.`);
+    }
+  }
+
+  createGenerator(baseUrl) {
+    const httpAdapter = new BrowserHttpAdapter();
+    const networkCommunicator = new NetworkCommunicator(httpAdapter, retryHandler);
+    const promptGenerator = new PromptGenerator();
+    return new OpenAICompatibleChapterGenerator(networkCommunicator, promptGenerator, baseUrl);
+  }
+
+  // Tests the saved server with a model listing, which local servers answer without generating anything
+  async testAPIKey(apiKey) {
+    try {
+      const { baseUrl } = await this.loadServerSettings();
+      const generator = this.createGenerator(baseUrl);
+      await this.ensureHostPermission(baseUrl);
+      await generator.fetchModels(apiKey);
+      return ApiKeyTestResult.valid();
+    } catch (error) {
+      return ApiKeyTestResult.fromError(error);
+    }
+  }
+
+  async processSubtitles(processedContent, customInstructions, apiKey, model, _tabId = null, requestOptions = {}) {
+    const { baseUrl } = await this.loadServerSettings();
+
+    const generator = this.createGenerator(baseUrl);
+    await this.ensureHostPermission(baseUrl);
+
+    // Check if processedContent is an array (conversation messages) or string (single prompt)
+    if (Array.isArray(processedContent)) {
+      return generator.processConversation(processedContent, apiKey, model, requestOptions);
+    } else {
+      return generator.processSubtitles(processedContent, customInstructions, apiKey, model, requestOptions);
+    }
+  }
+}
@@ -6,26 +6,72 @@
  */
 
 class OpenRouterApiAdapter {
-  constructor(backgroundService) {
+  constructor(backgroundService, modelCatalog) {
     this.backgroundService = backgroundService;
+    this.modelCatalog = modelCatalog;
+    this.DEFAULT_OUTPUT_TOKEN_LIMIT = 8192;
+    // Generators are created per request, the free model limit has to outlive them
+    this.freeModelRateLimit = OpenRouterChapterGenerator.createFreeModelRateLimit();
   }
 
-  async getAvailableModels() {
+  async listModels() {
     return this.backgroundService.fetchOpenRouterModels();
   }
 
-  async processSubtitles(processedContent, customInstructions, apiKey, model) {
-    // Create a minimal OpenRouterChapterGenerator for processing
+  createGenerator() {
     const httpAdapter = new BrowserHttpAdapter();
     const networkCommunicator = new NetworkCommunicator(httpAdapter, retryHandler);
     const promptGenerator = new PromptGenerator();
-    const generator = new OpenRouterChapterGenerator(networkCommunicator, promptGenerator);
+    return new OpenRouterChapterGenerator(networkCommunicator, promptGenerator, this.modelCatalog, this.freeModelRateLimit);
+  }
+
+  async fetchCatalogModels() {
+    // Only what model lookups need is kept, the full listing is too large for local storage
+    const models = await this.createGenerator().fetchLiveModels();
+    return models.map(model => ({
+      id: model.id,
+      name: model.name,
+      pricing: model.pricing,
+      context_length: model.context_length
+    }));
+  }
+
+  async getTokenLimits(model) {
+    try {
+      const catalogModel = await this.modelCatalog.findModel('OpenRouter', model);
+      if (!catalogModel || !catalogModel.context_length) {
+        return null;
+      }
+      return {
+        input: catalogModel.context_length,
+        output: Math.min(catalogModel.context_length, this.DEFAULT_OUTPUT_TOKEN_LIMIT)
+      };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async testAPIKey(apiKey) {
+    try {
+      const keyInfo = await this.createGenerator().fetchKeyInfo(apiKey);
+      // The key endpoint still accepts a key whose credit limit is used up
+      if (keyInfo.limitRemaining !== null && keyInfo.limitRemaining <= 0) {
+        return new ApiKeyTestResult({ category: 'insufficient_credits', keyInfo });
+      }
+      return ApiKeyTestResult.valid(keyInfo);
+    } catch (error) {
+      return ApiKeyTestResult.fromError(error);
+    }
+  }
+
+  async processSubtitles(processedContent, customInstructions, apiKey, model, _tabId = null, requestOptions = {}) {
+    const generator = this.createGenerator();
 
     // Check if processedContent is an array (conversation messages) or string (single prompt)
     if (Array.isArray(processedContent)) {
-      return generator.processConversation(processedContent, apiKey, model);
+      return generator.processConversation(processedContent, apiKey, model, requestOptions);
     } else {
-      return generator.processSubtitles(processedContent, customInstructions, apiKey, model);
+      return generator.processSubtitles(processedContent, customInstructions, apiKey, model, requestOptions);
     }
   }
 }
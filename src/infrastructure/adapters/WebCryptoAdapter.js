@@ -0,0 +1,82 @@
+/**
+ * WebCrypto Adapter - Single Source of Truth for encryption
+ * Derives AES-GCM keys from passphrases with PBKDF2 and encrypts short texts such as API keys
+ *
+ * Copyright (C) 2025 Dimitry Polivaev
+ * Licensed under GPL3 or later
+ */
+
+class WebCryptoAdapter {
+  constructor(cryptoApi = (typeof crypto !== 'undefined' ? crypto : null)) {
+    this.crypto = cryptoApi;
+    this.SALT_BYTES = 16;
+    this.IV_BYTES = 12;
+  }
+
+  getSubtle() {
+    if (!this.crypto || !this.crypto.subtle) {
+      throw new Error('WebCrypto is not available');
+    }
+    return this.crypto.subtle;
+  }
+
+  createSalt() {
+    return this.toBase64(this.crypto.getRandomValues(new Uint8Array(this.SALT_BYTES)));
+  }
+
+  async deriveKey(passphrase, salt, iterations) {
+    const subtle = this.getSubtle();
+    const passphraseKey = await subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    // Extractable so that an unlocked key can be kept in session storage until the browser closes
+    return subtle.deriveKey(
+      { name: 'PBKDF2', salt: this.fromBase64(salt), iterations, hash: 'SHA-256' },
+      passphraseKey,
+      { name: 'AES-GCM', length: 256 },
+      true,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  async exportKey(key) {
+    return this.toBase64(new Uint8Array(await this.getSubtle().exportKey('raw', key)));
+  }
+
+  importKey(rawKey) {
+    return this.getSubtle().importKey('raw', this.fromBase64(rawKey), 'AES-GCM', true, ['encrypt', 'decrypt']);
+  }
+
+  async encrypt(key, plaintext) {
+    // AES-GCM must never reuse an IV with the same key, so every encryption gets a random one
+    const iv = this.crypto.getRandomValues(new Uint8Array(this.IV_BYTES));
+    const data = await this.getSubtle().encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(plaintext));
+    return { iv: this.toBase64(iv), data: this.toBase64(new Uint8Array(data)) };
+  }
+
+  // Rejects when the key is wrong or the data was tampered with
+  async decrypt(key, payload) {
+    const data = await this.getSubtle().decrypt({ name: 'AES-GCM', iv: this.fromBase64(payload.iv) }, key, this.fromBase64(payload.data));
+    return new TextDecoder().decode(data);
+  }
+
+  // Identifies a secret such as an API key without storing it
+  async fingerprint(text) {
+    const digest = await this.getSubtle().digest('SHA-256', new TextEncoder().encode(text));
+    return this.toBase64(new Uint8Array(digest));
+  }
+
+  toBase64(bytes) {
+    let binary = '';
+    bytes.forEach(byte => {
+      binary += String.fromCharCode(byte);
+    });
+    return btoa(binary);
+  }
+
+  fromBase64(text) {
+    return Uint8Array.from(atob(text), character => character.charCodeAt(0));
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WebCryptoAdapter;
+}
@@ -0,0 +1,72 @@
+/**
+ * WebCryptoAdapter Tests
+ * Tests passphrase key derivation and AES-GCM encryption of API keys
+ *
+ * Copyright (C) 2025 Dimitry Polivaev
+ * Licensed under GPL3 or later
+ */
+
+const WebCryptoAdapter = require('./WebCryptoAdapter');
+
+describe('WebCryptoAdapter', () => {
+  const ITERATIONS = 1000;
+  let adapter;
+
+  beforeEach(() => {
+    adapter = new WebCryptoAdapter(globalThis.crypto);
+  });
+
+  test('should decrypt what it encrypted with a key derived from the same passphrase', async () => {
+    const salt = adapter.createSalt();
+    const key = await adapter.deriveKey('correct horse', salt, ITERATIONS);
+
+    const payload = await adapter.encrypt(key, 'sk-or-secret');
+    const sameKey = await adapter.deriveKey('correct horse', salt, ITERATIONS);
+
+    expect(payload.data).not.toContain('sk-or-secret');
+    expect(await adapter.decrypt(sameKey, payload)).toBe('sk-or-secret');
+  });
+
+  test('should use a new IV for every encryption', async () => {
+    const key = await adapter.deriveKey('correct horse', adapter.createSalt(), ITERATIONS);
+
+    const first = await adapter.encrypt(key, 'sk-or-secret');
+    const second = await adapter.encrypt(key, 'sk-or-secret');
+
+    expect(first.iv).not.toBe(second.iv);
+    expect(first.data).not.toBe(second.data);
+  });
+
+  test('should fail to decrypt with a key of another passphrase', async () => {
+    const salt = adapter.createSalt();
+    const key = await adapter.deriveKey('correct horse', salt, ITERATIONS);
+    const otherKey = await adapter.deriveKey('battery staple', salt, ITERATIONS);
+
+    const payload = await adapter.encrypt(key, 'sk-or-secret');
+
+    await expect(adapter.decrypt(otherKey, payload)).rejects.toThrow();
+  });
+
+  test('should export and import a derived key', async () => {
+    const key = await adapter.deriveKey('correct horse', adapter.createSalt(), ITERATIONS);
+    const payload = await adapter.encrypt(key, 'sk-or-secret');
+
+    const importedKey = await adapter.importKey(await adapter.exportKey(key));
+
+    expect(await adapter.decrypt(importedKey, payload)).toBe('sk-or-secret');
+  });
+
+  test('should report a missing WebCrypto API', async () => {
+    const unavailableAdapter = new WebCryptoAdapter(null);
+
+    await expect(unavailableAdapter.deriveKey('correct horse', 'c2FsdA==', ITERATIONS)).rejects.toThrow('WebCrypto is not available');
+  });
+
+  test('should fingerprint a secret without revealing it', async () => {
+    const fingerprint = await adapter.fingerprint('AIza-secret');
+
+    expect(fingerprint).not.toContain('AIza-secret');
+    expect(await adapter.fingerprint('AIza-secret')).toBe(fingerprint);
+    expect(await adapter.fingerprint('AIza-other')).not.toBe(fingerprint);
+  });
+});
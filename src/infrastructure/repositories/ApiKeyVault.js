@@ -0,0 +1,188 @@
+/**
+ * ApiKeyVault
+ * Keeps API keys that must not be synced in local storage, either as they are or encrypted with a passphrase
+ *
+ * Copyright (C) 2025 Dimitry Polivaev
+ * Licensed under GPL3 or later
+ */
+
+class ApiKeyVault {
+  constructor(storageAdapter, cryptoAdapter, iterations = 600000) {
+    if (!storageAdapter) {
+      throw new Error('storageAdapter is required');
+    }
+    if (!cryptoAdapter) {
+      throw new Error('cryptoAdapter is required');
+    }
+    this.storageAdapter = storageAdapter;
+    this.cryptoAdapter = cryptoAdapter;
+    this.iterations = iterations;
+    this.MIN_PASSPHRASE_LENGTH = 8;
+    this.VERIFIER_TEXT = 'chaptotek';
+    this.unlockedKey = null;
+  }
+
+  async getStatus() {
+    const vault = await this.storageAdapter.getEncryptedApiKeys();
+    return {
+      hasPassphrase: Boolean(vault),
+      unlocked: Boolean(vault) && Boolean(await this.getUnlockedKey())
+    };
+  }
+
+  async getUnlockedKey() {
+    if (this.unlockedKey) {
+      return this.unlockedKey;
+    }
+    try {
+      // A restarted service worker finds the key of the running browser session here
+      const rawKey = await this.storageAdapter.getApiKeyVaultKey();
+      if (rawKey) {
+        this.unlockedKey = await this.cryptoAdapter.importKey(rawKey);
+      }
+    } catch (error) {
+      console.warn('ApiKeyVault: Failed to restore the unlocked key:', error.message);
+    }
+    return this.unlockedKey;
+  }
+
+  async unlock(passphrase) {
+    const vault = await this.storageAdapter.getEncryptedApiKeys();
+    if (!vault) {
+      throw new Error('No passphrase has been set');
+    }
+    const key = await this.cryptoAdapter.deriveKey(passphrase || '', vault.salt, vault.iterations);
+    try {
+      await this.cryptoAdapter.decrypt(key, vault.verifier);
+    } catch (error) {
+      throw new Error('Wrong passphrase');
+    }
+    await this.keepUnlocked(key);
+  }
+
+  async keepUnlocked(key) {
+    this.unlockedKey = key;
+    try {
+      await this.storageAdapter.setApiKeyVaultKey(await this.cryptoAdapter.exportKey(key));
+    } catch (error) {
+      // Without session storage the keys stay unlocked while the background page lives
+      console.warn('ApiKeyVault: Failed to keep the unlocked key for the session:', error.message);
+    }
+  }
+
+  async lock() {
+    this.unlockedKey = null;
+    try {
+      await this.storageAdapter.removeApiKeyVaultKey();
+    } catch (error) {
+      console.warn('ApiKeyVault: Failed to forget the unlocked key:', error.message);
+    }
+  }
+
+  // Changing the passphrase re-encrypts the stored keys, so the old one has to be unlocked first
+  async setPassphrase(passphrase) {
+    if (typeof passphrase !== 'string' || passphrase.length < this.MIN_PASSPHRASE_LENGTH) {
+      throw new Error(`The passphrase must have at least ${this.MIN_PASSPHRASE_LENGTH} characters`);
+    }
+    const oldVault = await this.storageAdapter.getEncryptedApiKeys();
+    let keys = {};
+    if (oldVault) {
+      const oldKey = await this.getUnlockedKey();
+      if (!oldKey) {
+        throw this.createLockedError();
+      }
+      keys = await this.decryptAll(oldKey, oldVault.keys);
+    }
+
+    const salt = this.cryptoAdapter.createSalt();
+    const key = await this.cryptoAdapter.deriveKey(passphrase, salt, this.iterations);
+    await this.storageAdapter.setEncryptedApiKeys({
+      salt,
+      iterations: this.iterations,
+      verifier: await this.cryptoAdapter.encrypt(key, this.VERIFIER_TEXT),
+      keys: await this.encryptAll(key, keys)
+    });
+    await this.keepUnlocked(key);
+  }
+
+  // Encrypted keys can only be returned while unlocked
+  async loadKeys() {
+    const localKeys = await this.storageAdapter.getLocalApiKeys() || {};
+    const vault = await this.storageAdapter.getEncryptedApiKeys();
+    const key = vault ? await this.getUnlockedKey() : null;
+    if (!key) {
+      return { localKeys, encryptedKeys: {}, unlocked: false };
+    }
+    return { localKeys, encryptedKeys: await this.decryptAll(key, vault.keys), unlocked: true };
+  }
+
+  // While locked an empty encrypted key means "unchanged", because its stored value could not be loaded
+  async saveKeys(localKeys, encryptedKeys) {
+    await this.storageAdapter.setLocalApiKeys(ApiKeyVault.withoutEmptyKeys(localKeys));
+
+    const keys = ApiKeyVault.withoutEmptyKeys(encryptedKeys);
+    const vault = await this.storageAdapter.getEncryptedApiKeys();
+    if (!vault) {
+      if (Object.keys(keys).length > 0) {
+        throw new Error('Set a passphrase before storing encrypted API keys');
+      }
+      return;
+    }
+
+    const key = await this.getUnlockedKey();
+    if (key) {
+      await this.storageAdapter.setEncryptedApiKeys({ ...vault, keys: await this.encryptAll(key, keys) });
+      return;
+    }
+    if (Object.keys(keys).length > 0) {
+      throw this.createLockedError();
+    }
+    const keptKeys = {};
+    Object.keys(encryptedKeys).forEach(slot => {
+      if (vault.keys[slot]) {
+        keptKeys[slot] = vault.keys[slot];
+      }
+    });
+    await this.storageAdapter.setEncryptedApiKeys({ ...vault, keys: keptKeys });
+  }
+
+  async encryptAll(key, keys) {
+    const encryptedKeys = {};
+    for (const [slot, value] of Object.entries(keys)) {
+      encryptedKeys[slot] = await this.cryptoAdapter.encrypt(key, value);
+    }
+    return encryptedKeys;
+  }
+
+  async decryptAll(key, encryptedKeys = {}) {
+    const keys = {};
+    for (const [slot, payload] of Object.entries(encryptedKeys)) {
+      try {
+        keys[slot] = await this.cryptoAdapter.decrypt(key, payload);
+      } catch (error) {
+        console.warn(`ApiKeyVault: Skipping API key ${slot} that cannot be decrypted`);
+      }
+    }
+    return keys;
+  }
+
+  createLockedError() {
+    const error = new Error('API keys are locked, enter your passphrase to unlock them');
+    error.isLocked = true;
+    return error;
+  }
+
+  static withoutEmptyKeys(keys = {}) {
+    const nonEmptyKeys = {};
+    Object.entries(keys).forEach(([slot, value]) => {
+      if (value) {
+        nonEmptyKeys[slot] = value;
+      }
+    });
+    return nonEmptyKeys;
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ApiKeyVault;
+}
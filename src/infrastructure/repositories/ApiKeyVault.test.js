@@ -0,0 +1,133 @@
+/**
+ * ApiKeyVault Tests
+ * Tests local and passphrase encrypted API key storage, unlocking and locking
+ *
+ * Copyright (C) 2025 Dimitry Polivaev
+ * Licensed under GPL3 or later
+ */
+
+const ApiKeyVault = require('./ApiKeyVault');
+const WebCryptoAdapter = require('../adapters/WebCryptoAdapter');
+
+describe('ApiKeyVault', () => {
+  const ITERATIONS = 1000;
+  let local;
+  let session;
+  let storageAdapter;
+  let vault;
+
+  const createVault = () => new ApiKeyVault(storageAdapter, new WebCryptoAdapter(globalThis.crypto), ITERATIONS);
+
+  beforeEach(() => {
+    local = {};
+    session = {};
+    storageAdapter = {
+      getLocalApiKeys: jest.fn(async () => local.localApiKeys),
+      setLocalApiKeys: jest.fn(async keys => {
+        local.localApiKeys = keys;
+      }),
+      getEncryptedApiKeys: jest.fn(async () => local.encryptedApiKeys),
+      setEncryptedApiKeys: jest.fn(async encryptedKeys => {
+        local.encryptedApiKeys = encryptedKeys;
+      }),
+      getApiKeyVaultKey: jest.fn(async () => session.apiKeyVaultKey),
+      setApiKeyVaultKey: jest.fn(async rawKey => {
+        session.apiKeyVaultKey = rawKey;
+      }),
+      removeApiKeyVaultKey: jest.fn(async () => {
+        delete session.apiKeyVaultKey;
+      })
+    };
+    vault = createVault();
+  });
+
+  test('should require its adapters', () => {
+    expect(() => new ApiKeyVault()).toThrow('storageAdapter is required');
+    expect(() => new ApiKeyVault(storageAdapter)).toThrow('cryptoAdapter is required');
+  });
+
+  test('should keep local keys as they are and drop empty ones', async () => {
+    await vault.saveKeys({ apiKey: 'gemini-key', openRouterApiKey: '' }, {});
+
+    expect(local.localApiKeys).toEqual({ apiKey: 'gemini-key' });
+    expect(await vault.loadKeys()).toEqual({ localKeys: { apiKey: 'gemini-key' }, encryptedKeys: {}, unlocked: false });
+  });
+
+  test('should refuse encrypted keys without a passphrase', async () => {
+    await expect(vault.saveKeys({}, { apiKey: 'gemini-key' })).rejects.toThrow('Set a passphrase before storing encrypted API keys');
+    await expect(vault.setPassphrase('short')).rejects.toThrow('The passphrase must have at least 8 characters');
+  });
+
+  test('should store encrypted keys that only the passphrase unlocks', async () => {
+    await vault.setPassphrase('correct horse');
+    await vault.saveKeys({}, { apiKey: 'gemini-key', 'profile:work': 'work-key' });
+
+    expect(JSON.stringify(local.encryptedApiKeys)).not.toContain('gemini-key');
+    expect((await vault.loadKeys()).encryptedKeys).toEqual({ apiKey: 'gemini-key', 'profile:work': 'work-key' });
+
+    await vault.lock();
+    expect(await vault.getStatus()).toEqual({ hasPassphrase: true, unlocked: false });
+    expect(await vault.loadKeys()).toEqual({ localKeys: {}, encryptedKeys: {}, unlocked: false });
+
+    await expect(vault.unlock('wrong horse')).rejects.toThrow('Wrong passphrase');
+    await vault.unlock('correct horse');
+    expect((await vault.loadKeys()).encryptedKeys.apiKey).toBe('gemini-key');
+  });
+
+  test('should stay unlocked for the browser session', async () => {
+    await vault.setPassphrase('correct horse');
+    await vault.saveKeys({}, { apiKey: 'gemini-key' });
+
+    // A restarted service worker creates a new vault
+    const restartedVault = createVault();
+    expect((await restartedVault.loadKeys()).encryptedKeys).toEqual({ apiKey: 'gemini-key' });
+
+    // A new browser session starts with empty session storage
+    session = {};
+    const newSessionVault = createVault();
+    expect((await newSessionVault.getStatus()).unlocked).toBe(false);
+  });
+
+  test('should stay unlocked in memory without session storage', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    storageAdapter.setApiKeyVaultKey.mockRejectedValue(new Error('Session storage is not available'));
+    storageAdapter.getApiKeyVaultKey.mockRejectedValue(new Error('Session storage is not available'));
+
+    await vault.setPassphrase('correct horse');
+    await vault.saveKeys({}, { apiKey: 'gemini-key' });
+
+    expect((await vault.loadKeys()).encryptedKeys).toEqual({ apiKey: 'gemini-key' });
+    console.warn.mockRestore();
+  });
+
+  test('should re-encrypt the stored keys with a changed passphrase', async () => {
+    await vault.setPassphrase('correct horse');
+    await vault.saveKeys({}, { apiKey: 'gemini-key' });
+
+    await vault.setPassphrase('battery staple');
+    await vault.lock();
+
+    await expect(vault.unlock('correct horse')).rejects.toThrow('Wrong passphrase');
+    await vault.unlock('battery staple');
+    expect((await vault.loadKeys()).encryptedKeys).toEqual({ apiKey: 'gemini-key' });
+  });
+
+  test('should not change the passphrase while locked', async () => {
+    await vault.setPassphrase('correct horse');
+    await vault.lock();
+
+    await expect(vault.setPassphrase('battery staple')).rejects.toMatchObject({ isLocked: true });
+  });
+
+  test('should keep locked keys unchanged and only drop removed ones', async () => {
+    await vault.setPassphrase('correct horse');
+    await vault.saveKeys({}, { apiKey: 'gemini-key', 'profile:work': 'work-key' });
+    await vault.lock();
+
+    await vault.saveKeys({}, { apiKey: '' });
+    await expect(vault.saveKeys({}, { apiKey: 'new-key' })).rejects.toMatchObject({ isLocked: true });
+
+    await vault.unlock('correct horse');
+    expect((await vault.loadKeys()).encryptedKeys).toEqual({ apiKey: 'gemini-key' });
+  });
+});
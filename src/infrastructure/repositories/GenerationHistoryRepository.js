@@ -0,0 +1,148 @@
+/**
+ * GenerationHistoryRepository
+ * Keeps completed chapter generations in IndexedDB so they survive browser restarts
+ *
+ * Copyright (C) 2025 Dimitry Polivaev
+ * Licensed under GPL3 or later
+ */
+
+class GenerationHistoryRepository {
+  constructor(indexedDbAdapter, settingsRepository) {
+    if (!indexedDbAdapter) {
+      throw new Error('indexedDbAdapter is required');
+    }
+    if (!settingsRepository) {
+      throw new Error('settingsRepository is required');
+    }
+    this.indexedDbAdapter = indexedDbAdapter;
+    this.settingsRepository = settingsRepository;
+    this.storeName = indexedDbAdapter.STORES.GENERATION_HISTORY;
+    this.DAY_MS = 24 * 60 * 60 * 1000;
+  }
+
+  async getRetentionSettings() {
+    const { additionalSettings } = await this.settingsRepository.load();
+    return {
+      enabled: Boolean(additionalSettings.generationHistoryEnabled),
+      maxEntries: additionalSettings.generationHistoryMaxEntries,
+      maxAgeDays: additionalSettings.generationHistoryMaxAgeDays
+    };
+  }
+
+  async isEnabled() {
+    const retention = await this.getRetentionSettings();
+    return retention.enabled;
+  }
+
+  async save(chapterGeneration, chatHistory = null) {
+    if (!(chapterGeneration instanceof ChapterGeneration)) {
+      throw new Error('Can only save ChapterGeneration instances');
+    }
+    if (!chapterGeneration.isCompleted()) {
+      throw new Error(`Cannot save generation with status: ${chapterGeneration.status}`);
+    }
+
+    const retention = await this.getRetentionSettings();
+    if (!retention.enabled) {
+      return null;
+    }
+
+    // Without a new chat the stored one is kept, e.g. when chapters were repaired
+    const existing = chatHistory === null ? await this.findById(chapterGeneration.id) : null;
+    const record = this.createRecord(chapterGeneration.toSessionResults(), existing ? existing.chatHistory : chatHistory);
+    await this.indexedDbAdapter.put(this.storeName, record);
+    await this.applyRetention(retention);
+    return record;
+  }
+
+  async updateChatHistory(id, chatHistory) {
+    const record = await this.findById(id);
+    if (!record) {
+      return null;
+    }
+
+    const updatedRecord = this.createRecord(record.results, chatHistory, record.savedAt);
+    await this.indexedDbAdapter.put(this.storeName, updatedRecord);
+    return updatedRecord;
+  }
+
+  createRecord(results, chatHistory, savedAt = Date.now()) {
+    const metadata = results.videoMetadata || {};
+    return {
+      id: this.normalizeId(results.resultId),
+      savedAt,
+      title: metadata.title || '',
+      author: metadata.author || '',
+      url: metadata.url || '',
+      results,
+      chatHistory: Array.isArray(chatHistory) ? chatHistory.map(message => ({ ...message })) : []
+    };
+  }
+
+  async findById(id) {
+    return await this.indexedDbAdapter.get(this.storeName, this.normalizeId(id)) || null;
+  }
+
+  async findAll() {
+    const records = await this.indexedDbAdapter.getAll(this.storeName) || [];
+    return records.sort((first, second) => second.savedAt - first.savedAt);
+  }
+
+  async search(query = '') {
+    const terms = String(query).toLowerCase().split(/\s+/).filter(term => term.length > 0);
+    const records = await this.findAll();
+    return records
+      .filter(record => {
+        const searchable = `${record.title} ${record.author}`.toLowerCase();
+        return terms.every(term => searchable.includes(term));
+      })
+      .map(record => this.toSummary(record));
+  }
+
+  toSummary(record) {
+    const results = record.results || {};
+    return {
+      id: record.id,
+      savedAt: record.savedAt,
+      title: record.title,
+      author: record.author,
+      url: record.url,
+      model: results.model || null,
+      customInstructions: results.customInstructions || '',
+      chapterCount: Array.isArray(results.chapterList) ? results.chapterList.length : 0,
+      chatMessageCount: record.chatHistory.filter(message => !message.isOriginal).length,
+      inputTokens: results.inputTokens || 0,
+      outputTokens: results.outputTokens || 0
+    };
+  }
+
+  async delete(id) {
+    await this.indexedDbAdapter.delete(this.storeName, this.normalizeId(id));
+  }
+
+  async clear() {
+    await this.indexedDbAdapter.clear(this.storeName);
+  }
+
+  async applyRetention(retention) {
+    const records = await this.findAll();
+    const cutoff = retention.maxAgeDays > 0 ? Date.now() - retention.maxAgeDays * this.DAY_MS : null;
+    const expired = records.filter((record, index) =>
+      (retention.maxEntries > 0 && index >= retention.maxEntries) ||
+      (cutoff !== null && record.savedAt < cutoff)
+    );
+
+    for (const record of expired) {
+      await this.indexedDbAdapter.delete(this.storeName, record.id);
+    }
+    return expired.length;
+  }
+
+  normalizeId(id) {
+    return typeof id === 'string' ? parseInt(id, 10) : id;
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = GenerationHistoryRepository;
+}
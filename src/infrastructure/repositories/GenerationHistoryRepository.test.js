@@ -0,0 +1,212 @@
+/**
+ * GenerationHistoryRepository Tests
+ * Tests opt-in persistence, search and retention of past chapter generations
+ *
+ * Copyright (C) 2025 Dimitry Polivaev
+ * Licensed under GPL3 or later
+ */
+
+const GenerationHistoryRepository = require('./GenerationHistoryRepository');
+
+describe('GenerationHistoryRepository', () => {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  let records;
+  let mockIndexedDbAdapter;
+  let mockSettingsRepository;
+  let historySettings;
+  let repository;
+
+  const createGeneration = (id, title, author, chapters = '00:00 - Intro\n05:00 - Main') => {
+    const transcript = new VideoTranscript('(0:00) Hello', title, author, `https://www.youtube.com/watch?v=${id}`);
+    const generation = new ChapterGeneration(transcript, new ModelId('gemini-2.5-pro', 'Gemini'), 'Short titles');
+    generation.id = id;
+    generation.markCompleted(chapters, 120, 40);
+    return generation;
+  };
+
+  beforeEach(() => {
+    records = new Map();
+    mockIndexedDbAdapter = {
+      STORES: { GENERATION_HISTORY: 'generationHistory' },
+      get: jest.fn(async (store, key) => records.get(key)),
+      getAll: jest.fn(async () => Array.from(records.values())),
+      put: jest.fn(async (store, value) => {
+        records.set(value.id, value);
+      }),
+      delete: jest.fn(async (store, key) => {
+        records.delete(key);
+      }),
+      clear: jest.fn(async () => records.clear())
+    };
+
+    historySettings = {
+      generationHistoryEnabled: true,
+      generationHistoryMaxEntries: 200,
+      generationHistoryMaxAgeDays: 90
+    };
+    mockSettingsRepository = {
+      load: jest.fn(async () => ({ additionalSettings: historySettings }))
+    };
+
+    repository = new GenerationHistoryRepository(mockIndexedDbAdapter, mockSettingsRepository);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('constructor', () => {
+    test('should require its dependencies', () => {
+      expect(() => new GenerationHistoryRepository()).toThrow('indexedDbAdapter is required');
+      expect(() => new GenerationHistoryRepository(mockIndexedDbAdapter)).toThrow('settingsRepository is required');
+    });
+  });
+
+  describe('saving generations', () => {
+    test('should not store anything while history is disabled', async () => {
+      historySettings.generationHistoryEnabled = false;
+
+      const result = await repository.save(createGeneration(1, 'Talk', 'Channel'));
+
+      expect(result).toBeNull();
+      expect(mockIndexedDbAdapter.put).not.toHaveBeenCalled();
+    });
+
+    test('should store transcript, model, instructions, token usage and chat', async () => {
+      const chat = [{ role: 'user', content: 'Shorter please', timestamp: 1 }];
+
+      await repository.save(createGeneration(1, 'Talk', 'Channel'), chat);
+
+      const record = records.get(1);
+      expect(record.title).toBe('Talk');
+      expect(record.author).toBe('Channel');
+      expect(record.results.processedContent.content).toBe('(0:00) Hello');
+      expect(record.results.model).toEqual({ value: 'gemini-2.5-pro', provider: 'Gemini', pricing: null });
+      expect(record.results.customInstructions).toBe('Short titles');
+      expect(record.results.inputTokens).toBe(120);
+      expect(record.results.outputTokens).toBe(40);
+      expect(record.chatHistory).toEqual(chat);
+    });
+
+    test('should restore a stored generation as a completed entity', async () => {
+      await repository.save(createGeneration(7, 'Talk', 'Channel'));
+
+      const record = await repository.findById('7');
+      const restored = ChapterGeneration.fromSessionResults(record.results);
+
+      expect(restored.id).toBe(7);
+      expect(restored.isCompleted()).toBe(true);
+      expect(restored.chapterList.size()).toBe(2);
+    });
+
+    test('should reject generations that have not completed', async () => {
+      const transcript = new VideoTranscript('(0:00) Hello', 'Talk', 'Channel');
+      const pending = new ChapterGeneration(transcript, new ModelId('gemini-2.5-pro', 'Gemini'));
+
+      await expect(repository.save(pending)).rejects.toThrow('Cannot save generation with status: pending');
+    });
+
+    test('should update the chat of a stored generation', async () => {
+      await repository.save(createGeneration(1, 'Talk', 'Channel'));
+      const savedAt = records.get(1).savedAt;
+
+      await repository.updateChatHistory(1, [{ role: 'user', content: 'More detail' }, { role: 'assistant', content: 'Sure' }]);
+
+      expect(records.get(1).chatHistory).toHaveLength(2);
+      expect(records.get(1).savedAt).toBe(savedAt);
+    });
+
+    test('should keep the stored chat when saving without one', async () => {
+      const chat = [{ role: 'user', content: 'Shorter please' }];
+      await repository.save(createGeneration(1, 'Talk', 'Channel'), chat);
+
+      await repository.save(createGeneration(1, 'Talk', 'Channel', '00:00 - Intro'));
+
+      expect(records.get(1).chatHistory).toEqual(chat);
+      expect(records.get(1).results.chapters).toBe('00:00 - Intro');
+    });
+
+    test('should ignore chat updates for generations that are not stored', async () => {
+      expect(await repository.updateChatHistory(42, [])).toBeNull();
+      expect(mockIndexedDbAdapter.put).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('searching', () => {
+    beforeEach(async () => {
+      let now = 1000;
+      jest.spyOn(Date, 'now').mockImplementation(() => now++);
+      await repository.save(createGeneration(1, 'Rust ownership explained', 'Systems Channel'));
+      await repository.save(createGeneration(2, 'Cooking pasta', 'Kitchen Stories'));
+      await repository.save(createGeneration(3, 'Rust async deep dive', 'Conference Talks'));
+    });
+
+    test('should list all generations newest first', async () => {
+      const summaries = await repository.search();
+
+      expect(summaries.map(summary => summary.id)).toEqual([3, 2, 1]);
+      expect(summaries[0]).toEqual(expect.objectContaining({
+        title: 'Rust async deep dive',
+        author: 'Conference Talks',
+        chapterCount: 2,
+        chatMessageCount: 0,
+        inputTokens: 120
+      }));
+    });
+
+    test('should match title and channel case-insensitively', async () => {
+      expect((await repository.search('rust')).map(summary => summary.id)).toEqual([3, 1]);
+      expect((await repository.search('KITCHEN')).map(summary => summary.id)).toEqual([2]);
+      expect((await repository.search('rust systems')).map(summary => summary.id)).toEqual([1]);
+    });
+  });
+
+  describe('retention', () => {
+    test('should keep only the configured number of newest entries', async () => {
+      historySettings.generationHistoryMaxEntries = 2;
+      let now = 1000;
+      jest.spyOn(Date, 'now').mockImplementation(() => now++);
+
+      await repository.save(createGeneration(1, 'First', 'A'));
+      await repository.save(createGeneration(2, 'Second', 'A'));
+      await repository.save(createGeneration(3, 'Third', 'A'));
+
+      expect(Array.from(records.keys()).sort()).toEqual([2, 3]);
+    });
+
+    test('should drop entries older than the configured age', async () => {
+      const now = 100 * DAY_MS;
+      jest.spyOn(Date, 'now').mockReturnValue(now);
+      records.set(1, repository.createRecord(createGeneration(1, 'Old', 'A').toSessionResults(), [], now - 31 * DAY_MS));
+      historySettings.generationHistoryMaxAgeDays = 30;
+
+      await repository.save(createGeneration(2, 'New', 'A'));
+
+      expect(Array.from(records.keys())).toEqual([2]);
+    });
+
+    test('should keep entries forever when the age limit is zero', async () => {
+      const now = 1000 * DAY_MS;
+      jest.spyOn(Date, 'now').mockReturnValue(now);
+      records.set(1, repository.createRecord(createGeneration(1, 'Old', 'A').toSessionResults(), [], 0));
+      historySettings.generationHistoryMaxAgeDays = 0;
+
+      await repository.save(createGeneration(2, 'New', 'A'));
+
+      expect(records.size).toBe(2);
+    });
+  });
+
+  describe('removal', () => {
+    test('should delete single entries and clear the history', async () => {
+      await repository.save(createGeneration(1, 'First', 'A'));
+      await repository.save(createGeneration(2, 'Second', 'A'));
+
+      await repository.delete('1');
+      expect(Array.from(records.keys())).toEqual([2]);
+
+      await repository.clear();
+      expect(records.size).toBe(0);
+    });
+  });
+});
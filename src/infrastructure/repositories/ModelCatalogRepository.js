@@ -0,0 +1,144 @@
+/**
+ * ModelCatalogRepository
+ * Caches provider model lists in local storage, serves stale lists while refreshing and falls back to the last good list when offline
+ * Lists that depend on the API key are stored with a fingerprint of the key and only served to the same key
+ *
+ * Copyright (C) 2025 Dimitry Polivaev
+ * Licensed under GPL3 or later
+ */
+
+class ModelCatalogRepository {
+  constructor(storageAdapter, ttlMs = 60 * 60 * 1000, now = () => Date.now()) {
+    if (!storageAdapter) {
+      throw new Error('storageAdapter is required');
+    }
+    this.storageAdapter = storageAdapter;
+    this.ttlMs = ttlMs;
+    this.now = now;
+    this.sources = new Map();
+    this.fingerprintSources = new Map();
+    this.entries = new Map();
+    this.pendingRefreshes = new Map();
+    this.loading = null;
+  }
+
+  addSource(providerId, loadModels, loadFingerprint = null) {
+    if (typeof loadModels !== 'function') {
+      throw new Error('loadModels must be a function');
+    }
+    this.sources.set(providerId, loadModels);
+    if (loadFingerprint) {
+      this.fingerprintSources.set(providerId, loadFingerprint);
+    }
+    return this;
+  }
+
+  async getModels(providerId) {
+    const entry = await this.getEntry(providerId, await this.loadFingerprint(providerId));
+    if (entry && this.isFresh(entry)) {
+      return entry.models;
+    }
+    if (entry) {
+      this.refreshInBackground(providerId);
+      return entry.models;
+    }
+    return this.refresh(providerId);
+  }
+
+  async findModel(providerId, modelId) {
+    const models = await this.getModels(providerId);
+    return models.find(model => model.id === modelId) || null;
+  }
+
+  refresh(providerId) {
+    // Concurrent callers share one request per provider
+    if (!this.pendingRefreshes.has(providerId)) {
+      const pending = this.fetchAndStore(providerId)
+        .finally(() => this.pendingRefreshes.delete(providerId));
+      this.pendingRefreshes.set(providerId, pending);
+    }
+    return this.pendingRefreshes.get(providerId);
+  }
+
+  refreshInBackground(providerId) {
+    this.refresh(providerId).catch(error => {
+      console.error('ModelCatalogRepository: Background refresh failed:', providerId, error);
+    });
+  }
+
+  async fetchAndStore(providerId) {
+    const loadModels = this.sources.get(providerId);
+    if (!loadModels) {
+      throw new Error(`No model source for provider: ${providerId}`);
+    }
+
+    const fingerprint = await this.loadFingerprint(providerId);
+    let models;
+    try {
+      models = await loadModels();
+      if (!Array.isArray(models) || models.length === 0) {
+        throw new Error(`${providerId} returned no models`);
+      }
+    } catch (error) {
+      const lastGoodEntry = await this.getEntry(providerId, fingerprint);
+      if (lastGoodEntry) {
+        console.warn('ModelCatalogRepository: Using last known models for', providerId, error.message);
+        return lastGoodEntry.models;
+      }
+      throw error;
+    }
+
+    await this.ensureLoaded();
+    this.entries.set(providerId, fingerprint ? { models, fetchedAt: this.now(), fingerprint } : { models, fetchedAt: this.now() });
+    await this.persist();
+    return models;
+  }
+
+  isFresh(entry) {
+    return this.now() - entry.fetchedAt < this.ttlMs;
+  }
+
+  async loadFingerprint(providerId) {
+    const loadFingerprint = this.fingerprintSources.get(providerId);
+    return loadFingerprint ? loadFingerprint() : null;
+  }
+
+  async getEntry(providerId, fingerprint = null) {
+    await this.ensureLoaded();
+    const entry = this.entries.get(providerId);
+    // A list discovered with another key may offer models and limits the current key does not have
+    return entry && (entry.fingerprint || null) === fingerprint ? entry : null;
+  }
+
+  ensureLoaded() {
+    if (!this.loading) {
+      this.loading = this.load();
+    }
+    return this.loading;
+  }
+
+  async load() {
+    try {
+      const stored = await this.storageAdapter.getModelCatalog();
+      Object.entries(stored || {}).forEach(([providerId, entry]) => {
+        if (entry && Array.isArray(entry.models) && typeof entry.fetchedAt === 'number' && !this.entries.has(providerId)) {
+          this.entries.set(providerId, entry);
+        }
+      });
+    } catch (error) {
+      console.error('ModelCatalogRepository: Failed to load stored catalog:', error);
+    }
+  }
+
+  async persist() {
+    try {
+      await this.storageAdapter.setModelCatalog(Object.fromEntries(this.entries));
+    } catch (error) {
+      console.error('ModelCatalogRepository: Failed to store catalog:', error);
+    }
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ModelCatalogRepository;
+}
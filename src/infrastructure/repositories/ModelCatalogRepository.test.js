@@ -0,0 +1,167 @@
+/**
+ * ModelCatalogRepository Tests
+ * Tests caching, stale-while-revalidate refreshes and the offline fallback of provider model lists
+ *
+ * Copyright (C) 2025 Dimitry Polivaev
+ * Licensed under GPL3 or later
+ */
+
+const ModelCatalogRepository = require('./ModelCatalogRepository');
+
+describe('ModelCatalogRepository', () => {
+  const TTL = 1000;
+  let storedCatalog;
+  let mockStorageAdapter;
+  let currentTime;
+  let loadModels;
+  let repository;
+
+  const flushPromises = () => new Promise((r) => setTimeout(r, 0));
+
+  const createRepository = () => new ModelCatalogRepository(mockStorageAdapter, TTL, () => currentTime)
+    .addSource('OpenRouter', loadModels);
+
+  beforeEach(() => {
+    storedCatalog = undefined;
+    currentTime = 10000;
+    mockStorageAdapter = {
+      getModelCatalog: jest.fn(async () => storedCatalog),
+      setModelCatalog: jest.fn(async catalog => {
+        storedCatalog = catalog;
+      })
+    };
+    loadModels = jest.fn().mockResolvedValue([{ id: 'openai/gpt-4o' }]);
+    repository = createRepository();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should require a storage adapter', () => {
+    expect(() => new ModelCatalogRepository()).toThrow('storageAdapter is required');
+  });
+
+  test('should fetch and persist models on first use', async () => {
+    const models = await repository.getModels('OpenRouter');
+
+    expect(models).toEqual([{ id: 'openai/gpt-4o' }]);
+    expect(storedCatalog).toEqual({ OpenRouter: { models: [{ id: 'openai/gpt-4o' }], fetchedAt: 10000 } });
+  });
+
+  test('should serve fresh models from the cache', async () => {
+    await repository.getModels('OpenRouter');
+    currentTime += TTL - 1;
+
+    await repository.getModels('OpenRouter');
+
+    expect(loadModels).toHaveBeenCalledTimes(1);
+  });
+
+  test('should share one request between concurrent callers', async () => {
+    const [first, second] = await Promise.all([
+      repository.getModels('OpenRouter'),
+      repository.findModel('OpenRouter', 'openai/gpt-4o')
+    ]);
+
+    expect(first).toEqual([{ id: 'openai/gpt-4o' }]);
+    expect(second).toEqual({ id: 'openai/gpt-4o' });
+    expect(loadModels).toHaveBeenCalledTimes(1);
+  });
+
+  test('should return stale models immediately and refresh them in the background', async () => {
+    await repository.getModels('OpenRouter');
+    currentTime += TTL;
+    loadModels.mockResolvedValue([{ id: 'openai/gpt-5' }]);
+
+    const staleModels = await repository.getModels('OpenRouter');
+    await flushPromises();
+
+    expect(staleModels).toEqual([{ id: 'openai/gpt-4o' }]);
+    expect(await repository.getModels('OpenRouter')).toEqual([{ id: 'openai/gpt-5' }]);
+    expect(storedCatalog.OpenRouter.fetchedAt).toBe(currentTime);
+  });
+
+  test('should use the persisted catalog after a restart', async () => {
+    storedCatalog = { OpenRouter: { models: [{ id: 'stored/model' }], fetchedAt: currentTime - 10 } };
+
+    const models = await createRepository().getModels('OpenRouter');
+
+    expect(models).toEqual([{ id: 'stored/model' }]);
+    expect(loadModels).not.toHaveBeenCalled();
+  });
+
+  test('should fall back to the last good list when the provider is unreachable', async () => {
+    storedCatalog = { OpenRouter: { models: [{ id: 'stored/model' }], fetchedAt: 0 } };
+    loadModels.mockRejectedValue(new Error('OpenRouter API error: 503'));
+
+    const models = await createRepository().refresh('OpenRouter');
+
+    expect(models).toEqual([{ id: 'stored/model' }]);
+    expect(storedCatalog.OpenRouter.fetchedAt).toBe(0);
+  });
+
+  test('should treat an empty list as a failed refresh', async () => {
+    await repository.getModels('OpenRouter');
+    loadModels.mockResolvedValue([]);
+
+    expect(await repository.refresh('OpenRouter')).toEqual([{ id: 'openai/gpt-4o' }]);
+  });
+
+  test('should report failures when nothing is cached', async () => {
+    loadModels.mockRejectedValue(new Error('offline'));
+
+    await expect(repository.getModels('OpenRouter')).rejects.toThrow('offline');
+    await expect(repository.getModels('Unknown')).rejects.toThrow('No model source for provider: Unknown');
+  });
+
+  test('should keep working when storage fails', async () => {
+    mockStorageAdapter.getModelCatalog.mockRejectedValue(new Error('quota'));
+    mockStorageAdapter.setModelCatalog.mockRejectedValue(new Error('quota'));
+
+    expect(await createRepository().getModels('OpenRouter')).toEqual([{ id: 'openai/gpt-4o' }]);
+  });
+
+  describe('key dependent lists', () => {
+    let fingerprint;
+    const createKeyedRepository = () => new ModelCatalogRepository(mockStorageAdapter, TTL, () => currentTime)
+      .addSource('Gemini', loadModels, async () => fingerprint);
+
+    beforeEach(() => {
+      fingerprint = 'key-a';
+      loadModels.mockResolvedValue([{ id: 'gemini-2.5-pro' }]);
+    });
+
+    test('should store the fingerprint of the key with the list', async () => {
+      await createKeyedRepository().getModels('Gemini');
+
+      expect(storedCatalog).toEqual({ Gemini: { models: [{ id: 'gemini-2.5-pro' }], fetchedAt: 10000, fingerprint: 'key-a' } });
+    });
+
+    test('should fetch the list again once another key is active', async () => {
+      const keyedRepository = createKeyedRepository();
+      await keyedRepository.getModels('Gemini');
+      fingerprint = 'key-b';
+      loadModels.mockResolvedValue([{ id: 'gemini-2.5-flash' }]);
+
+      expect(await keyedRepository.getModels('Gemini')).toEqual([{ id: 'gemini-2.5-flash' }]);
+      expect(loadModels).toHaveBeenCalledTimes(2);
+      expect(storedCatalog.Gemini.fingerprint).toBe('key-b');
+    });
+
+    test('should not fall back to the list of another key', async () => {
+      storedCatalog = { Gemini: { models: [{ id: 'gemini-2.5-pro' }], fetchedAt: currentTime - 10, fingerprint: 'key-b' } };
+      loadModels.mockRejectedValue(new Error('Invalid API key. Please check your Gemini API key.'));
+
+      await expect(createKeyedRepository().getModels('Gemini')).rejects.toThrow('Invalid API key');
+    });
+
+    test('should refetch lists stored before fingerprints were kept', async () => {
+      storedCatalog = { Gemini: { models: [{ id: 'gemini-1.5-pro' }], fetchedAt: currentTime - 10 } };
+
+      expect(await createKeyedRepository().getModels('Gemini')).toEqual([{ id: 'gemini-2.5-pro' }]);
+    });
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * SessionCheckpointRepository
+ * Mirrors sessions and tab mappings into storage.session so they survive service worker restarts
+ *
+ * Copyright (C) 2025 Dimitry Polivaev
+ * Licensed under GPL3 or later
+ */
+
+class SessionCheckpointRepository {
+  constructor(storageAdapter, sessionRepository, tabRegistry) {
+    if (!storageAdapter) {
+      throw new Error('storageAdapter is required');
+    }
+    if (!sessionRepository) {
+      throw new Error('sessionRepository is required');
+    }
+    if (!tabRegistry) {
+      throw new Error('tabRegistry is required');
+    }
+    this.storageAdapter = storageAdapter;
+    this.sessionRepository = sessionRepository;
+    this.tabRegistry = tabRegistry;
+    this.saveScheduled = false;
+    this.isWatching = false;
+  }
+
+  watch() {
+    if (this.isWatching) {
+      return;
+    }
+    this.isWatching = true;
+    this.sessionRepository.addChangeListener(() => this.scheduleSave());
+    this.tabRegistry.addChangeListener(() => this.scheduleSave());
+  }
+
+  scheduleSave() {
+    // Several changes usually happen in one handler, write them together
+    if (this.saveScheduled) {
+      return;
+    }
+    this.saveScheduled = true;
+    Promise.resolve().then(() => {
+      this.saveScheduled = false;
+      return this.save();
+    }).catch(error => {
+      console.error('SessionCheckpointRepository: Failed to save checkpoint:', error);
+    });
+  }
+
+  async save() {
+    // Only running generations need to survive a restart, finished ones would fill the storage.session quota
+    const checkpoint = {
+      sessions: this.sessionRepository.findAllPendingSessions().map(session => session.toSessionResults()),
+      tabs: this.tabRegistry.toCheckpoint()
+    };
+    await this.storageAdapter.setSessionCheckpoint(checkpoint);
+    return checkpoint;
+  }
+
+  async restore() {
+    const checkpoint = await this.storageAdapter.getSessionCheckpoint();
+    if (!checkpoint) {
+      return [];
+    }
+
+    const restoredSessions = (checkpoint.sessions || [])
+      .filter(results => !this.sessionRepository.findById(results.resultId))
+      .map(results => this.sessionRepository.fromSessionResults(results));
+    if (checkpoint.tabs) {
+      this.tabRegistry.restoreCheckpoint(checkpoint.tabs);
+    }
+
+    // Whatever was still pending lost its request together with the previous worker
+    return restoredSessions.filter(session => session.isPending());
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SessionCheckpointRepository;
+}
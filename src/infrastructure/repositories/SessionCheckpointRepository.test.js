@@ -0,0 +1,121 @@
+/**
+ * SessionCheckpointRepository Tests
+ * Tests that sessions and tab mappings survive a service worker restart
+ *
+ * Copyright (C) 2025 Dimitry Polivaev
+ * Licensed under GPL3 or later
+ */
+
+const SessionCheckpointRepository = require('./SessionCheckpointRepository');
+
+describe('SessionCheckpointRepository', () => {
+  let storedCheckpoint;
+  let mockStorageAdapter;
+  let sessionRepository;
+  let tabRegistry;
+  let repository;
+
+  const createGeneration = (id, chapters = null) => {
+    const transcript = new VideoTranscript('(0:00) Hello', 'Talk', 'Channel', 'https://www.youtube.com/watch?v=abc');
+    const generation = new ChapterGeneration(transcript, new ModelId('gemini-2.5-pro', 'Gemini'));
+    generation.id = id;
+    if (chapters) {
+      generation.markCompleted(chapters, 10, 5);
+    }
+    return generation;
+  };
+
+  const flushPromises = () => new Promise((r) => setTimeout(r, 0));
+
+  const restartWorker = () => {
+    sessionRepository = new SessionRepository();
+    tabRegistry = new TabRegistry();
+    repository = new SessionCheckpointRepository(mockStorageAdapter, sessionRepository, tabRegistry);
+  };
+
+  beforeEach(() => {
+    storedCheckpoint = undefined;
+    mockStorageAdapter = {
+      getSessionCheckpoint: jest.fn(async () => storedCheckpoint),
+      setSessionCheckpoint: jest.fn(async checkpoint => {
+        storedCheckpoint = JSON.parse(JSON.stringify(checkpoint));
+      })
+    };
+    restartWorker();
+  });
+
+  test('should require its dependencies', () => {
+    expect(() => new SessionCheckpointRepository()).toThrow('storageAdapter is required');
+    expect(() => new SessionCheckpointRepository(mockStorageAdapter)).toThrow('sessionRepository is required');
+    expect(() => new SessionCheckpointRepository(mockStorageAdapter, sessionRepository)).toThrow('tabRegistry is required');
+  });
+
+  test('should write one checkpoint for changes made together once watching', async () => {
+    repository.watch();
+
+    sessionRepository.save(createGeneration(1));
+    tabRegistry.registerResultsTab(1, 42);
+    await flushPromises();
+
+    expect(mockStorageAdapter.setSessionCheckpoint).toHaveBeenCalledTimes(1);
+    expect(storedCheckpoint.sessions.map(results => results.resultId)).toEqual([1]);
+    expect(storedCheckpoint.tabs.resultsTabs).toEqual([[1, 42]]);
+  });
+
+  test('should restore pending sessions and tab mappings after a restart', async () => {
+    repository.watch();
+    sessionRepository.save(createGeneration(1));
+    tabRegistry.registerResultsTab(1, 42);
+    tabRegistry.storeResultToVideoMapping(1, 'https://www.youtube.com/watch?v=abc');
+    await flushPromises();
+
+    restartWorker();
+    const interrupted = await repository.restore();
+
+    expect(interrupted.map(session => session.id)).toEqual([1]);
+    expect(sessionRepository.getGenerationStatus(1)).toBe('pending');
+    expect(sessionRepository.findById(1).videoTranscript.title).toBe('Talk');
+    expect(tabRegistry.getResultsTab(1)).toBe(42);
+    expect(tabRegistry.resultToVideoMapping.get(1)).toBe('https://www.youtube.com/watch?v=abc');
+  });
+
+  test('should report generations that were still running as interrupted', async () => {
+    repository.watch();
+    sessionRepository.save(createGeneration(1));
+    sessionRepository.save(createGeneration(2, '00:00 - Intro'));
+    await flushPromises();
+
+    restartWorker();
+    const interrupted = await repository.restore();
+
+    expect(interrupted.map(session => session.id)).toEqual([1]);
+    expect(interrupted[0].isPending()).toBe(true);
+  });
+
+  test('should not persist finished sessions', async () => {
+    repository.watch();
+    sessionRepository.save(createGeneration(1));
+    sessionRepository.save(createGeneration(2, '00:00 - Intro'));
+    await flushPromises();
+
+    expect(storedCheckpoint.sessions.map(results => results.resultId)).toEqual([1]);
+
+    sessionRepository.findById(1).markCompleted('00:00 - Intro', 10, 5);
+    sessionRepository.save(sessionRepository.findById(1));
+    await flushPromises();
+
+    expect(storedCheckpoint.sessions).toEqual([]);
+  });
+
+  test('should restore nothing when no checkpoint exists', async () => {
+    expect(await repository.restore()).toEqual([]);
+    expect(sessionRepository.getCount()).toBe(0);
+  });
+
+  test('should not write checkpoints before watching', async () => {
+    sessionRepository.save(createGeneration(1));
+    await flushPromises();
+
+    expect(mockStorageAdapter.setSessionCheckpoint).not.toHaveBeenCalled();
+  });
+});
@@ -11,6 +11,15 @@ class SessionRepository {
     this.sessions = new Map();
     this.sessionsByTab = new Map();
     this.activeSession = null;
+    this.changeListeners = [];
+  }
+
+  addChangeListener(listener) {
+    this.changeListeners.push(listener);
+  }
+
+  notifyChange() {
+    this.changeListeners.forEach(listener => listener());
   }
 
   save(chapterGeneration) {
@@ -20,6 +29,7 @@ class SessionRepository {
 
     this.sessions.set(chapterGeneration.id, chapterGeneration);
     this.activeSession = chapterGeneration;
+    this.notifyChange();
 
     return chapterGeneration.id;
   }
@@ -40,6 +50,7 @@ class SessionRepository {
     }
 
     this.sessionsByTab.set(tabId, sessionId);
+    this.notifyChange();
   }
 
   getActiveSession() {
@@ -54,6 +65,20 @@ class SessionRepository {
     return Array.from(this.sessions.values()).filter(session => session.isCompleted());
   }
 
+  // Includes pending and failed generations, so that a side panel can show their progress and errors
+  findLatestForVideo(videoId) {
+    return Array.from(this.sessions.values())
+      .filter(session => session.videoTranscript.getVideoId() === videoId)
+      .reduce((latest, session) => (!latest || session.createdAt >= latest.createdAt ? session : latest), null);
+  }
+
+  // A video may have been processed several times, the newest chapters are the ones to show
+  findLatestChaptersForVideo(videoId) {
+    return this.findAllCompletedSessions()
+      .filter(session => session.hasStructuredChapters() && session.videoTranscript.getVideoId() === videoId)
+      .reduce((latest, session) => (!latest || session.completedAt >= latest.completedAt ? session : latest), null);
+  }
+
   remove(sessionId) {
     const session = this.sessions.get(sessionId);
     if (session) {
@@ -69,6 +94,7 @@ class SessionRepository {
         this.activeSession = null;
       }
 
+      this.notifyChange();
       return true;
     }
     return false;
@@ -78,6 +104,7 @@ class SessionRepository {
     this.sessions.clear();
     this.sessionsByTab.clear();
     this.activeSession = null;
+    this.notifyChange();
   }
 
   getCount() {
@@ -122,7 +149,19 @@ class SessionRepository {
     if (session.isFailed()) {
       return 'error';
     }
+    if (session.isCancelled()) {
+      return 'cancelled';
+    }
 
     return 'unknown';
   }
+
+  getGenerationProgress(sessionId) {
+    const session = this.findById(sessionId);
+    return session && session.isPending() && session.progress ? session.progress.toJSON() : null;
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SessionRepository;
 }
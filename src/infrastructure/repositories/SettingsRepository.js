@@ -7,20 +7,124 @@
  */
 
 class SettingsRepository {
-  constructor(storageAdapter) {
+  constructor(storageAdapter, providerRegistry = ProviderRegistry.createDefault(), apiKeyVault = null) {
     if (!storageAdapter) {
       throw new Error('storageAdapter is required');
     }
     this.storageAdapter = storageAdapter;
+    this.providerRegistry = providerRegistry;
+    this.apiKeyVault = apiKeyVault;
+    this.credentialSettingsKeys = providerRegistry.getCredentialSettingsKeys();
+    this.providerSettingsDefaults = providerRegistry.getSettingsDefaults();
     this.defaultSettings = {
-      apiKey: '',
-      openRouterApiKey: '',
+      ...this.credentialsToSettings(new ApiCredentials()),
       model: 'deepseek/deepseek-r1-0528:free',
       historyLimit: 10,
       autoSaveInstructions: true,
       theme: 'auto',
-      uiLanguage: ''
+      uiLanguage: '',
+      generationHistoryEnabled: false,
+      generationHistoryMaxEntries: 200,
+      generationHistoryMaxAgeDays: 90,
+      favoriteModels: [],
+      usageBudgetDaily: null,
+      usageBudgetMonthly: null,
+      usageBudgetAction: 'confirm',
+      usageUserLabel: '',
+      fallbackModels: [],
+      retryMaxRetries: 3,
+      retryBaseDelaySeconds: 2,
+      retryMaxServerWaitSeconds: 120,
+      credentialProfiles: [],
+      activeCredentialProfiles: {},
+      keyStoragePolicies: {},
+      ...this.providerSettingsDefaults
     };
+    this.additionalSettingKeys = [
+      'historyLimit',
+      'autoSaveInstructions',
+      'theme',
+      'uiLanguage',
+      'generationHistoryEnabled',
+      'generationHistoryMaxEntries',
+      'generationHistoryMaxAgeDays',
+      'favoriteModels',
+      'usageBudgetDaily',
+      'usageBudgetMonthly',
+      'usageBudgetAction',
+      'usageUserLabel',
+      'fallbackModels',
+      'retryMaxRetries',
+      'retryBaseDelaySeconds',
+      'retryMaxServerWaitSeconds',
+      'credentialProfiles',
+      'activeCredentialProfiles',
+      'keyStoragePolicies',
+      ...Object.keys(this.providerSettingsDefaults)
+    ];
+  }
+
+  credentialsToSettings(credentials) {
+    const settings = {};
+    this.credentialSettingsKeys.forEach(({ providerId, settingsKey }) => {
+      settings[settingsKey] = credentials.getKey(providerId);
+    });
+    return settings;
+  }
+
+  credentialsFromSettings(settings, fallbackCredentials = new ApiCredentials()) {
+    const keys = {};
+    this.credentialSettingsKeys.forEach(({ providerId, settingsKey }) => {
+      keys[providerId] = settings[settingsKey] !== undefined ? settings[settingsKey] : fallbackCredentials.getKey(providerId);
+    });
+    return ApiCredentials.fromKeys(keys);
+  }
+
+  // Every stored API key has a slot: the settings key of a provider's default key or the id of a key profile
+  getKeySlots(settings) {
+    const slots = this.credentialSettingsKeys.map(({ providerId, settingsKey }) => ({
+      slot: settingsKey,
+      providerId,
+      value: settings[settingsKey] || ''
+    }));
+    if (Array.isArray(settings.credentialProfiles)) {
+      settings.credentialProfiles
+        .filter(profile => profile && profile.id && profile.providerId)
+        .forEach(profile => slots.push({
+          slot: SettingsRepository.getProfileKeySlot(profile.id),
+          providerId: profile.providerId,
+          value: profile.apiKey || ''
+        }));
+    }
+    return slots;
+  }
+
+  applyKeySlots(settings, keysBySlot) {
+    const updatedSettings = { ...settings };
+    this.credentialSettingsKeys.forEach(({ settingsKey }) => {
+      if (keysBySlot[settingsKey] !== undefined) {
+        updatedSettings[settingsKey] = keysBySlot[settingsKey];
+      }
+    });
+    if (Array.isArray(settings.credentialProfiles)) {
+      updatedSettings.credentialProfiles = settings.credentialProfiles.map(profile => {
+        const value = profile && keysBySlot[SettingsRepository.getProfileKeySlot(profile.id)];
+        return value !== undefined ? { ...profile, apiKey: value } : profile;
+      });
+    }
+    return updatedSettings;
+  }
+
+  static getProfileKeySlot(profileId) {
+    return `profile:${profileId}`;
+  }
+
+  pickAdditionalSettings(settings, fallbackSettings = {}) {
+    const additionalSettings = {};
+    this.additionalSettingKeys.forEach(key => {
+      additionalSettings[key] = settings[key] !== undefined ? settings[key] : fallbackSettings[key];
+    });
+    return additionalSettings;
   }
 
   async save(credentials, selectedModel, additionalSettings = {}) {
@@ -35,15 +139,15 @@ class SettingsRepository {
     const allSettings = {
       ...this.defaultSettings,
       ...additionalSettings,
-      apiKey: credentials.geminiKey,
-      openRouterApiKey: credentials.openRouterKey,
+      ...this.credentialsToSettings(credentials),
       model: selectedModel.toString(),
       selectedModel: selectedModel.toJSON()
     };
 
     try {
       // Split settings between sync and local storage
-      await this._saveSyncSettings(allSettings);
+      const syncedSettings = this.apiKeyVault ? await this._storeUnsyncedKeys(allSettings) : allSettings;
+      await this._saveSyncSettings(syncedSettings);
       await this._saveLocalSettings(allSettings);
       return allSettings;
     } catch (error) {
@@ -60,40 +164,53 @@ class SettingsRepository {
       // Clean up orphaned historyLimit from sync storage if it exists
       await this._cleanupOrphanedHistoryLimit(syncSettings);
 
-      const settings = {
+      let settings = {
         ...this.defaultSettings,
         ...syncSettings,
         ...localSettings
       };
+      let hasSyncedKeysToMove = false;
+      if (this.apiKeyVault) {
+        ({ settings, hasSyncedKeysToMove } = await this._loadUnsyncedKeys(settings));
+      }
 
       if (!settings.apiKey && !settings.openRouterApiKey) {
         settings.model = 'deepseek/deepseek-r1-0528:free';
       }
 
-      return {
-        credentials: new ApiCredentials(settings.apiKey, settings.openRouterApiKey),
+      const loadedSettings = {
+        credentials: this.credentialsFromSettings(settings),
         selectedModel: settings.selectedModel ? ModelId.fromJSON(settings.selectedModel) : new ModelId('deepseek/deepseek-r1-0528:free', 'OpenRouter', true),
-        additionalSettings: {
-          historyLimit: settings.historyLimit,
-          autoSaveInstructions: settings.autoSaveInstructions,
-          theme: settings.theme,
-          uiLanguage: settings.uiLanguage
-        }
+        additionalSettings: this.pickAdditionalSettings(settings)
       };
+      if (hasSyncedKeysToMove) {
+        await this._migrateSyncedKeys(loadedSettings);
+      }
+      return loadedSettings;
     } catch (error) {
       return {
         credentials: new ApiCredentials(),
         selectedModel: new ModelId('deepseek/deepseek-r1-0528:free', 'OpenRouter', true),
-        additionalSettings: {
-          historyLimit: this.defaultSettings.historyLimit,
-          autoSaveInstructions: this.defaultSettings.autoSaveInstructions,
-          theme: this.defaultSettings.theme,
-          uiLanguage: this.defaultSettings.uiLanguage
-        }
+        additionalSettings: this.pickAdditionalSettings(this.defaultSettings)
       };
     }
   }
 
+  // The stored keys with the key of each provider's selected profile in place of its default key
+  async loadActiveCredentials() {
+    const { credentials, additionalSettings } = await this.load();
+    const profiles = CredentialProfile.listFromJSON(additionalSettings.credentialProfiles);
+    return CredentialProfile.findActive(profiles, additionalSettings.activeCredentialProfiles)
+      .reduce((activeCredentials, profile) => activeCredentials.withProfile(profile), credentials);
+  }
+
+  async loadRotationProfiles() {
+    const { additionalSettings } = await this.load();
+    const profiles = CredentialProfile.listFromJSON(additionalSettings.credentialProfiles);
+    return CredentialProfile.findActive(profiles, additionalSettings.activeCredentialProfiles)
+      .flatMap(profile => profile.getRotationPartners(profiles));
+  }
+
   async updateCredentials(credentials) {
     const currentSettings = await this.load();
     return this.save(
@@ -131,23 +248,13 @@ class SettingsRepository {
       // Load existing settings first to preserve what's not being updated
       const currentSettings = await this.load();
 
-      const credentials = new ApiCredentials(
-        legacySettings.apiKey !== undefined ? legacySettings.apiKey : currentSettings.credentials.geminiKey,
-        legacySettings.openRouterApiKey !== undefined ? legacySettings.openRouterApiKey : currentSettings.credentials.openRouterKey
-      );
+      const credentials = this.credentialsFromSettings(legacySettings, currentSettings.credentials);
 
       const selectedModel = legacySettings.selectedModel
         ? ModelId.fromJSON(legacySettings.selectedModel)
         : currentSettings.selectedModel;
 
-      const additionalSettings = {
-        historyLimit: legacySettings.historyLimit !== undefined ? legacySettings.historyLimit : currentSettings.additionalSettings.historyLimit,
-        autoSaveInstructions: legacySettings.autoSaveInstructions !== undefined
-          ? legacySettings.autoSaveInstructions
-          : currentSettings.additionalSettings.autoSaveInstructions,
-        theme: legacySettings.theme !== undefined ? legacySettings.theme : currentSettings.additionalSettings.theme,
-        uiLanguage: legacySettings.uiLanguage !== undefined ? legacySettings.uiLanguage : currentSettings.additionalSettings.uiLanguage
-      };
+      const additionalSettings = this.pickAdditionalSettings(legacySettings, currentSettings.additionalSettings);
 
       return this.save(credentials, selectedModel, additionalSettings);
     } catch (error) {
@@ -159,8 +266,7 @@ class SettingsRepository {
     const { credentials, selectedModel, additionalSettings } = await this.load();
 
     return {
-      apiKey: credentials.geminiKey,
-      openRouterApiKey: credentials.openRouterKey,
+      ...this.credentialsToSettings(credentials),
       model: selectedModel.toString(),
       ...additionalSettings
     };
@@ -211,6 +317,69 @@ class SettingsRepository {
     };
   }
 
+  // Keys that must not be synced go to the vault and are blanked in the synced copy
+  async _storeUnsyncedKeys(allSettings) {
+    const policy = KeyStoragePolicy.fromSettings(allSettings);
+    const storedSyncedKeys = {};
+    this.getKeySlots(await this._loadSyncSettings()).forEach(({ slot, value }) => {
+      storedSyncedKeys[slot] = value;
+    });
+    const { unlocked } = await this.apiKeyVault.getStatus();
+
+    const syncedKeys = {};
+    const localKeys = {};
+    const encryptedKeys = {};
+    this.getKeySlots(allSettings).forEach(({ slot, providerId, value }) => {
+      if (policy.isSynced(providerId)) {
+        return;
+      }
+      if (policy.isEncrypted(providerId)) {
+        // Until the vault is unlocked, a synced key waiting for encryption stays where it is
+        if (!unlocked && value && value === storedSyncedKeys[slot]) {
+          return;
+        }
+        encryptedKeys[slot] = value;
+      } else {
+        localKeys[slot] = value;
+      }
+      syncedKeys[slot] = '';
+    });
+
+    await this.apiKeyVault.saveKeys(localKeys, encryptedKeys);
+    return this.applyKeySlots(allSettings, syncedKeys);
+  }
+
+  async _loadUnsyncedKeys(settings) {
+    const policy = KeyStoragePolicy.fromSettings(settings);
+    const { localKeys, encryptedKeys, unlocked } = await this.apiKeyVault.loadKeys();
+
+    const keysBySlot = {};
+    let hasSyncedKeysToMove = false;
+    this.getKeySlots(settings).forEach(({ slot, providerId, value }) => {
+      if (policy.isSynced(providerId)) {
+        return;
+      }
+      const storedKeys = policy.isEncrypted(providerId) ? encryptedKeys : localKeys;
+      if (storedKeys[slot] !== undefined) {
+        keysBySlot[slot] = storedKeys[slot];
+      }
+      // Plain text keys synced by earlier versions are moved once they can be stored as the policy demands
+      if (value && (unlocked || !policy.isEncrypted(providerId))) {
+        hasSyncedKeysToMove = true;
+      }
+    });
+    return { settings: this.applyKeySlots(settings, keysBySlot), hasSyncedKeysToMove };
+  }
+
+  async _migrateSyncedKeys({ credentials, selectedModel, additionalSettings }) {
+    try {
+      await this.save(credentials, selectedModel, additionalSettings);
+    } catch (error) {
+      // Don't fail the load operation if the migration fails, it is retried on the next load
+      console.warn('Failed to move API keys out of sync storage:', error.message);
+    }
+  }
+
   async _saveSyncSettings(allSettings) {
     const { historyLimit: _, ...syncSettings } = allSettings;
     await this.storageAdapter.setUserSettings(syncSettings);
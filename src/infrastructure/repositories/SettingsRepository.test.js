@@ -9,6 +9,8 @@
 const SettingsRepository = require('./SettingsRepository');
 const ApiCredentials = require('../../domain/values/ApiCredentials');
 const ModelId = require('../../domain/values/ModelId');
+const ApiKeyVault = require('./ApiKeyVault');
+const WebCryptoAdapter = require('../adapters/WebCryptoAdapter');
 
 describe('SettingsRepository', () => {
   let mockStorageAdapter;
@@ -37,11 +39,30 @@ describe('SettingsRepository', () => {
       expect(repository.defaultSettings).toEqual({
         apiKey: '',
         openRouterApiKey: '',
+        anthropicApiKey: '',
+        openAICompatibleApiKey: '',
         model: 'deepseek/deepseek-r1-0528:free',
         historyLimit: 10,
         autoSaveInstructions: true,
         theme: 'auto',
-        uiLanguage: ''
+        uiLanguage: '',
+        generationHistoryEnabled: false,
+        generationHistoryMaxEntries: 200,
+        generationHistoryMaxAgeDays: 90,
+        favoriteModels: [],
+        usageBudgetDaily: null,
+        usageBudgetMonthly: null,
+        usageBudgetAction: 'confirm',
+        usageUserLabel: '',
+        fallbackModels: [],
+        retryMaxRetries: 3,
+        retryBaseDelaySeconds: 2,
+        retryMaxServerWaitSeconds: 120,
+        credentialProfiles: [],
+        activeCredentialProfiles: {},
+        keyStoragePolicies: {},
+        openAICompatibleBaseUrl: '',
+        openAICompatibleModels: []
       });
     });
 
@@ -63,11 +84,30 @@ describe('SettingsRepository', () => {
       expect(mockStorageAdapter.setUserSettings).toHaveBeenCalledWith({
         apiKey: 'test-gemini-key',
         openRouterApiKey: 'test-openrouter-key',
+        anthropicApiKey: '',
+        openAICompatibleApiKey: '',
         model: 'gemini-2.5-pro',
         selectedModel: sampleModel.toJSON(),
         autoSaveInstructions: true,
         theme: 'dark',
-        uiLanguage: ''
+        uiLanguage: '',
+        generationHistoryEnabled: false,
+        generationHistoryMaxEntries: 200,
+        generationHistoryMaxAgeDays: 90,
+        favoriteModels: [],
+        usageBudgetDaily: null,
+        usageBudgetMonthly: null,
+        usageBudgetAction: 'confirm',
+        usageUserLabel: '',
+        fallbackModels: [],
+        retryMaxRetries: 3,
+        retryBaseDelaySeconds: 2,
+        retryMaxServerWaitSeconds: 120,
+        credentialProfiles: [],
+        activeCredentialProfiles: {},
+        keyStoragePolicies: {},
+        openAICompatibleBaseUrl: '',
+        openAICompatibleModels: []
       });
       expect(mockStorageAdapter.setHistoryLimit).toHaveBeenCalledWith(15);
       expect(result).toEqual(expect.objectContaining({
@@ -175,7 +215,24 @@ describe('SettingsRepository', () => {
         historyLimit: 25,
         autoSaveInstructions: false,
         theme: 'light',
-        uiLanguage: 'es'
+        uiLanguage: 'es',
+        generationHistoryEnabled: false,
+        generationHistoryMaxEntries: 200,
+        generationHistoryMaxAgeDays: 90,
+        favoriteModels: [],
+        usageBudgetDaily: null,
+        usageBudgetMonthly: null,
+        usageBudgetAction: 'confirm',
+        usageUserLabel: '',
+        fallbackModels: [],
+        retryMaxRetries: 3,
+        retryBaseDelaySeconds: 2,
+        retryMaxServerWaitSeconds: 120,
+        credentialProfiles: [],
+        activeCredentialProfiles: {},
+        keyStoragePolicies: {},
+        openAICompatibleBaseUrl: '',
+        openAICompatibleModels: []
       });
     });
 
@@ -208,7 +265,24 @@ describe('SettingsRepository', () => {
         historyLimit: 10,
         autoSaveInstructions: true,
         theme: 'auto',
-        uiLanguage: ''
+        uiLanguage: '',
+        generationHistoryEnabled: false,
+        generationHistoryMaxEntries: 200,
+        generationHistoryMaxAgeDays: 90,
+        favoriteModels: [],
+        usageBudgetDaily: null,
+        usageBudgetMonthly: null,
+        usageBudgetAction: 'confirm',
+        usageUserLabel: '',
+        fallbackModels: [],
+        retryMaxRetries: 3,
+        retryBaseDelaySeconds: 2,
+        retryMaxServerWaitSeconds: 120,
+        credentialProfiles: [],
+        activeCredentialProfiles: {},
+        keyStoragePolicies: {},
+        openAICompatibleBaseUrl: '',
+        openAICompatibleModels: []
       });
     });
 
@@ -348,6 +422,37 @@ describe('SettingsRepository', () => {
     });
   });
 
+  describe('credential profiles', () => {
+    const profiles = [
+      { id: 'work', name: 'Work', providerId: 'OpenRouter', apiKey: 'work-key', rotationGroup: 'team' },
+      { id: 'personal', name: 'Personal', providerId: 'OpenRouter', apiKey: 'personal-key' },
+      { id: 'backup', name: 'Backup', providerId: 'OpenRouter', apiKey: 'backup-key', rotationGroup: 'team' }
+    ];
+
+    beforeEach(() => {
+      jest.spyOn(repository, 'load').mockResolvedValue({
+        credentials: new ApiCredentials('gemini-key', 'default-key'),
+        selectedModel: new ModelId('gemini-2.5-pro', 'Gemini', false),
+        additionalSettings: { credentialProfiles: profiles, activeCredentialProfiles: { OpenRouter: 'work' } }
+      });
+    });
+
+    test('should use the key of the selected profile in place of the default key', async () => {
+      const credentials = await repository.loadActiveCredentials();
+
+      expect(credentials.getKey('OpenRouter')).toBe('work-key');
+      expect(credentials.getProfileName('OpenRouter')).toBe('Work');
+      expect(credentials.getKey('Gemini')).toBe('gemini-key');
+      expect(credentials.getProfileName('Gemini')).toBe('');
+    });
+
+    test('should offer the other profiles of the rotation group', async () => {
+      const rotationProfiles = await repository.loadRotationProfiles();
+
+      expect(rotationProfiles.map(profile => profile.id)).toEqual(['backup']);
+    });
+  });
+
   describe('legacy settings support', () => {
     test('should save legacy settings format', async () => {
       const currentSettings = {
@@ -436,6 +541,32 @@ describe('SettingsRepository', () => {
       );
     });
 
+    test('should save the OpenAI-compatible server configuration', async () => {
+      const currentSettings = {
+        credentials: new ApiCredentials('gemini', 'openrouter'),
+        selectedModel: new ModelId('model', 'Provider', false),
+        additionalSettings: { historyLimit: 5 }
+      };
+      jest.spyOn(repository, 'load').mockResolvedValue(currentSettings);
+      jest.spyOn(repository, 'save').mockResolvedValue({});
+
+      await repository.saveSettings({
+        openAICompatibleApiKey: 'local-key',
+        openAICompatibleBaseUrl: 'http://localhost:11434/v1',
+        openAICompatibleModels: ['llama3.1:8b', 'qwen2.5:14b']
+      });
+
+      expect(repository.save).toHaveBeenCalledWith(
+        ApiCredentials.fromKeys({ Gemini: 'gemini', OpenRouter: 'openrouter', OpenAICompatible: 'local-key' }),
+        currentSettings.selectedModel,
+        expect.objectContaining({
+          historyLimit: 5,
+          openAICompatibleBaseUrl: 'http://localhost:11434/v1',
+          openAICompatibleModels: ['llama3.1:8b', 'qwen2.5:14b']
+        })
+      );
+    });
+
     test('should propagate errors from legacy settings save', async () => {
       jest.spyOn(repository, 'load').mockRejectedValue(new Error('Load failed'));
 
@@ -457,11 +588,30 @@ describe('SettingsRepository', () => {
       expect(result).toEqual({
         apiKey: 'legacy-gemini',
         openRouterApiKey: 'legacy-openrouter',
+        anthropicApiKey: '',
+        openAICompatibleApiKey: '',
         model: 'deepseek/deepseek-r1-0528:free', // defaults to free model when no selectedModel JSON
         historyLimit: 8,
         autoSaveInstructions: true, // default
         theme: 'custom',
-        uiLanguage: '' // default
+        uiLanguage: '', // default
+        generationHistoryEnabled: false,
+        generationHistoryMaxEntries: 200,
+        generationHistoryMaxAgeDays: 90,
+        favoriteModels: [],
+        usageBudgetDaily: null,
+        usageBudgetMonthly: null,
+        usageBudgetAction: 'confirm',
+        usageUserLabel: '',
+        fallbackModels: [],
+        retryMaxRetries: 3,
+        retryBaseDelaySeconds: 2,
+        retryMaxServerWaitSeconds: 120,
+        credentialProfiles: [],
+        activeCredentialProfiles: {},
+        keyStoragePolicies: {},
+        openAICompatibleBaseUrl: '',
+        openAICompatibleModels: []
       });
     });
   });
@@ -562,11 +712,30 @@ describe('SettingsRepository', () => {
       expect(mockStorageAdapter.setUserSettings).toHaveBeenCalledWith({
         apiKey: 'test-key',
         openRouterApiKey: 'router-key',
+        anthropicApiKey: '',
+        openAICompatibleApiKey: '',
         model: 'test-model',
         selectedModel: model.toJSON(),
         autoSaveInstructions: true,
         theme: 'auto',
-        uiLanguage: 'es'
+        uiLanguage: 'es',
+        generationHistoryEnabled: false,
+        generationHistoryMaxEntries: 200,
+        generationHistoryMaxAgeDays: 90,
+        favoriteModels: [],
+        usageBudgetDaily: null,
+        usageBudgetMonthly: null,
+        usageBudgetAction: 'confirm',
+        usageUserLabel: '',
+        fallbackModels: [],
+        retryMaxRetries: 3,
+        retryBaseDelaySeconds: 2,
+        retryMaxServerWaitSeconds: 120,
+        credentialProfiles: [],
+        activeCredentialProfiles: {},
+        keyStoragePolicies: {},
+        openAICompatibleBaseUrl: '',
+        openAICompatibleModels: []
       });
 
       // Verify local storage gets only historyLimit
@@ -742,4 +911,117 @@ describe('SettingsRepository', () => {
       expect(mockStorageAdapter.setUserSettings).not.toHaveBeenCalledWith(expect.anything());
     });
   });
+
+  describe('API key storage policies', () => {
+    let sync;
+    let local;
+    let session;
+    let storageAdapter;
+    let vault;
+    let vaultRepository;
+
+    const createVault = () => new ApiKeyVault(storageAdapter, new WebCryptoAdapter(globalThis.crypto), 1000);
+    const saveWithPolicies = (keyStoragePolicies, credentialProfiles = []) => vaultRepository.save(
+      new ApiCredentials('gemini-key', 'openrouter-key'),
+      new ModelId('gemini-2.5-pro', 'Gemini', false),
+      { keyStoragePolicies, credentialProfiles }
+    );
+
+    beforeEach(() => {
+      sync = {};
+      local = {};
+      session = {};
+      storageAdapter = {
+        getUserSettings: jest.fn(async () => sync.userSettings),
+        setUserSettings: jest.fn(async settings => {
+          sync.userSettings = settings;
+        }),
+        getHistoryLimit: jest.fn(async () => undefined),
+        setHistoryLimit: jest.fn(),
+        getLocalApiKeys: jest.fn(async () => local.localApiKeys),
+        setLocalApiKeys: jest.fn(async keys => {
+          local.localApiKeys = keys;
+        }),
+        getEncryptedApiKeys: jest.fn(async () => local.encryptedApiKeys),
+        setEncryptedApiKeys: jest.fn(async encryptedKeys => {
+          local.encryptedApiKeys = encryptedKeys;
+        }),
+        getApiKeyVaultKey: jest.fn(async () => session.apiKeyVaultKey),
+        setApiKeyVaultKey: jest.fn(async rawKey => {
+          session.apiKeyVaultKey = rawKey;
+        }),
+        removeApiKeyVaultKey: jest.fn(async () => {
+          delete session.apiKeyVaultKey;
+        })
+      };
+      vault = createVault();
+      vaultRepository = new SettingsRepository(storageAdapter, undefined, vault);
+    });
+
+    test('should sync keys without a policy', async () => {
+      await saveWithPolicies({});
+
+      expect(sync.userSettings.apiKey).toBe('gemini-key');
+      expect(sync.userSettings.openRouterApiKey).toBe('openrouter-key');
+      expect(local.localApiKeys).toEqual({});
+    });
+
+    test('should keep local-only keys out of sync storage', async () => {
+      await saveWithPolicies({ Gemini: 'local' }, [{ id: 'work', name: 'Work', providerId: 'Gemini', apiKey: 'work-key' }]);
+
+      expect(sync.userSettings.apiKey).toBe('');
+      expect(sync.userSettings.credentialProfiles[0].apiKey).toBe('');
+      expect(sync.userSettings.openRouterApiKey).toBe('openrouter-key');
+      expect(local.localApiKeys).toEqual({ apiKey: 'gemini-key', 'profile:work': 'work-key' });
+
+      const { credentials, additionalSettings } = await vaultRepository.load();
+      expect(credentials.getKey('Gemini')).toBe('gemini-key');
+      expect(additionalSettings.credentialProfiles[0].apiKey).toBe('work-key');
+    });
+
+    test('should encrypt keys and hide them while locked', async () => {
+      await vault.setPassphrase('correct horse');
+      await saveWithPolicies({ OpenRouter: 'encrypted' });
+
+      expect(sync.userSettings.openRouterApiKey).toBe('');
+      expect(JSON.stringify(local)).not.toContain('openrouter-key');
+      expect((await vaultRepository.load()).credentials.getKey('OpenRouter')).toBe('openrouter-key');
+
+      await vault.lock();
+      const lockedSettings = await vaultRepository.load();
+      expect(lockedSettings.credentials.getKey('OpenRouter')).toBe('');
+
+      // Saving other settings while locked must not lose the encrypted key
+      await vaultRepository.save(lockedSettings.credentials, lockedSettings.selectedModel, lockedSettings.additionalSettings);
+      await vault.unlock('correct horse');
+      expect((await vaultRepository.load()).credentials.getKey('OpenRouter')).toBe('openrouter-key');
+    });
+
+    test('should refuse to encrypt keys without a passphrase', async () => {
+      await expect(saveWithPolicies({ OpenRouter: 'encrypted' })).rejects.toThrow('Set a passphrase before storing encrypted API keys');
+    });
+
+    test('should move plain text synced keys out of sync storage when loading', async () => {
+      sync.userSettings = { apiKey: 'gemini-key', openRouterApiKey: 'openrouter-key', keyStoragePolicies: { Gemini: 'local' } };
+
+      const { credentials } = await vaultRepository.load();
+
+      expect(credentials.getKey('Gemini')).toBe('gemini-key');
+      expect(sync.userSettings.apiKey).toBe('');
+      expect(sync.userSettings.openRouterApiKey).toBe('openrouter-key');
+      expect(local.localApiKeys).toEqual({ apiKey: 'gemini-key' });
+    });
+
+    test('should wait for the passphrase before moving keys to be encrypted', async () => {
+      sync.userSettings = { openRouterApiKey: 'openrouter-key', keyStoragePolicies: { OpenRouter: 'encrypted' } };
+
+      expect((await vaultRepository.load()).credentials.getKey('OpenRouter')).toBe('openrouter-key');
+      expect(sync.userSettings.openRouterApiKey).toBe('openrouter-key');
+
+      await vault.setPassphrase('correct horse');
+      expect((await vaultRepository.load()).credentials.getKey('OpenRouter')).toBe('openrouter-key');
+      expect(sync.userSettings.openRouterApiKey).toBe('');
+      expect((await vault.loadKeys()).encryptedKeys).toEqual({ openRouterApiKey: 'openrouter-key' });
+    });
+  });
 });
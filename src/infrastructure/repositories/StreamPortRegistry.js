@@ -0,0 +1,62 @@
+/**
+ * StreamPortRegistry
+ * Tracks long-lived ports of results tabs and forwards streamed generation output to them
+ *
+ * Copyright (C) 2025 Dimitry Polivaev
+ * Licensed under GPL3 or later
+ */
+
+class StreamPortRegistry {
+  constructor() {
+    this.PORT_NAME = 'generationStream';
+    this.portsByResultId = new Map();
+  }
+
+  accepts(port) {
+    return Boolean(port) && port.name === this.PORT_NAME;
+  }
+
+  subscribe(resultId, port) {
+    const key = String(resultId);
+    if (!this.portsByResultId.has(key)) {
+      this.portsByResultId.set(key, new Set());
+    }
+    this.portsByResultId.get(key).add(port);
+  }
+
+  unsubscribe(port) {
+    for (const [key, ports] of this.portsByResultId.entries()) {
+      ports.delete(port);
+      if (ports.size === 0) {
+        this.portsByResultId.delete(key);
+      }
+    }
+  }
+
+  hasSubscribers(resultId) {
+    return this.portsByResultId.has(String(resultId));
+  }
+
+  publish(resultId, message) {
+    const ports = this.portsByResultId.get(String(resultId));
+    if (!ports) {
+      return 0;
+    }
+
+    let delivered = 0;
+    for (const port of Array.from(ports)) {
+      try {
+        port.postMessage({ ...message, resultId: String(resultId) });
+        delivered++;
+      } catch (error) {
+        console.warn('StreamPortRegistry: Dropping disconnected port:', error.message);
+        this.unsubscribe(port);
+      }
+    }
+    return delivered;
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = StreamPortRegistry;
+}
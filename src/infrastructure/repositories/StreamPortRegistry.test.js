@@ -0,0 +1,62 @@
+/**
+ * StreamPortRegistry Tests
+ * Tests forwarding streamed output to subscribed results tab ports
+ *
+ * Copyright (C) 2025 Dimitry Polivaev
+ * Licensed under GPL3 or later
+ */
+
+const StreamPortRegistry = require('./StreamPortRegistry');
+
+describe('StreamPortRegistry', () => {
+  let registry;
+
+  const createPort = (name = 'generationStream') => ({ name, postMessage: jest.fn() });
+
+  beforeEach(() => {
+    registry = new StreamPortRegistry();
+  });
+
+  test('should only accept generation stream ports', () => {
+    expect(registry.accepts(createPort())).toBe(true);
+    expect(registry.accepts(createPort('other'))).toBe(false);
+    expect(registry.accepts(null)).toBe(false);
+  });
+
+  test('should publish messages to ports subscribed to a result', () => {
+    const first = createPort();
+    const second = createPort();
+    const unrelated = createPort();
+    registry.subscribe(123, first);
+    registry.subscribe('123', second);
+    registry.subscribe(456, unrelated);
+
+    const delivered = registry.publish(123, { type: 'chapterDelta', text: '00:00 - Intro' });
+
+    expect(delivered).toBe(2);
+    expect(first.postMessage).toHaveBeenCalledWith({ type: 'chapterDelta', text: '00:00 - Intro', resultId: '123' });
+    expect(second.postMessage).toHaveBeenCalledTimes(1);
+    expect(unrelated.postMessage).not.toHaveBeenCalled();
+  });
+
+  test('should forget ports on unsubscribe', () => {
+    const port = createPort();
+    registry.subscribe(123, port);
+
+    registry.unsubscribe(port);
+
+    expect(registry.hasSubscribers(123)).toBe(false);
+    expect(registry.publish(123, { type: 'chapterDelta' })).toBe(0);
+  });
+
+  test('should drop ports that fail to receive messages', () => {
+    const port = createPort();
+    port.postMessage.mockImplementation(() => {
+      throw new Error('Attempting to use a disconnected port object');
+    });
+    registry.subscribe(123, port);
+
+    expect(registry.publish(123, { type: 'chapterDelta' })).toBe(0);
+    expect(registry.hasSubscribers(123)).toBe(false);
+  });
+});
@@ -13,6 +13,37 @@ class TabRegistry {
     this.sessionTabMapping = new Map(); // sessionId -> tabId
     this.videoUrlToTabMapping = new Map(); // cleanedVideoUrl -> {tabId, url, lastSeen}
     this.resultToVideoMapping = new Map(); // resultId -> cleanedVideoUrl
+    this.changeListeners = [];
+  }
+
+  addChangeListener(listener) {
+    this.changeListeners.push(listener);
+  }
+
+  notifyChange() {
+    this.changeListeners.forEach(listener => listener());
+  }
+
+  toCheckpoint() {
+    return {
+      sessionTabMapping: Array.from(this.sessionTabMapping.entries()),
+      videoUrlToTabMapping: Array.from(this.videoUrlToTabMapping.entries()),
+      resultToVideoMapping: Array.from(this.resultToVideoMapping.entries()),
+      resultsTabs: Array.from((this.resultsTabs || new Map()).entries())
+    };
+  }
+
+  restoreCheckpoint(checkpoint) {
+    this.resultsTabs = this.resultsTabs || new Map();
+    (checkpoint.sessionTabMapping || []).forEach(([sessionId, tabId]) => this.sessionTabMapping.set(sessionId, tabId));
+    (checkpoint.resultToVideoMapping || []).forEach(([resultId, cleanedUrl]) => this.resultToVideoMapping.set(resultId, cleanedUrl));
+    (checkpoint.resultsTabs || []).forEach(([resultId, tabId]) => this.resultsTabs.set(resultId, tabId));
+    (checkpoint.videoUrlToTabMapping || []).forEach(([cleanedUrl, videoTabInfo]) => {
+      this.videoUrlToTabMapping.set(cleanedUrl, videoTabInfo);
+      if (videoTabInfo.tabId && !this.tabs.has(videoTabInfo.tabId)) {
+        this.registerVideoTab(videoTabInfo.tabId, videoTabInfo.url);
+      }
+    });
   }
 
   register(browserTab) {
@@ -46,6 +77,7 @@ class TabRegistry {
 
       this.cleanupResultsTab(tabId);
 
+      this.notifyChange();
       return true;
     }
     return false;
@@ -69,6 +101,7 @@ class TabRegistry {
     }
 
     this.sessionTabMapping.set(sessionId, tabId);
+    this.notifyChange();
   }
 
   findTabForSession(sessionId) {
@@ -99,6 +132,7 @@ class TabRegistry {
     this.sessionTabMapping.clear();
     this.videoUrlToTabMapping.clear();
     this.resultToVideoMapping.clear();
+    this.notifyChange();
   }
 
   getCount() {
@@ -150,6 +184,15 @@ class TabRegistry {
     this.registerVideoTab(tabId, url);
   }
 
+  registerVideoUrlForResult(resultId, url) {
+    // Results reopened from history have no video tab, it is looked up by URL when needed
+    const cleanedUrl = this.cleanVideoURL(url);
+    if (!this.videoUrlToTabMapping.has(cleanedUrl)) {
+      this.storeVideoTabMapping(cleanedUrl, null, url);
+    }
+    this.storeResultToVideoMapping(this.ensureNumericResultId(resultId), cleanedUrl);
+  }
+
   ensureNumericResultId(resultId) {
     return typeof resultId === 'string' ? parseInt(resultId, 10) : resultId;
   }
@@ -160,10 +203,12 @@ class TabRegistry {
       url,
       lastSeen: Date.now()
     });
+    this.notifyChange();
   }
 
   storeResultToVideoMapping(normalizedResultId, cleanedUrl) {
     this.resultToVideoMapping.set(normalizedResultId, cleanedUrl);
+    this.notifyChange();
   }
 
   cleanVideoURL(url) {
@@ -183,6 +228,7 @@ class TabRegistry {
   registerResultsTab(resultId, tabId) {
     this.resultsTabs = this.resultsTabs || new Map();
     this.resultsTabs.set(resultId, tabId);
+    this.notifyChange();
   }
 
   getResultsTab(resultId) {
@@ -306,6 +352,7 @@ class TabRegistry {
       url: tab.url,
       lastSeen: Date.now()
     });
+    this.notifyChange();
   }
 
   createDiscoveredTabResult(tab) {
@@ -340,6 +387,7 @@ class TabRegistry {
     for (const [resultId, storedTabId] of this.resultsTabs.entries()) {
       if (storedTabId === tabId) {
         this.resultsTabs.delete(resultId);
+        this.notifyChange();
       }
     }
   }
@@ -354,3 +402,7 @@ class TabRegistry {
     return null;
   }
 }
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TabRegistry;
+}
@@ -0,0 +1,40 @@
+/**
+ * UsageLedgerRepository
+ * Records the tokens and cost of every generation and chat request in IndexedDB
+ *
+ * Copyright (C) 2025 Dimitry Polivaev
+ * Licensed under GPL3 or later
+ */
+
+class UsageLedgerRepository {
+  constructor(indexedDbAdapter) {
+    if (!indexedDbAdapter) {
+      throw new Error('indexedDbAdapter is required');
+    }
+    this.indexedDbAdapter = indexedDbAdapter;
+    this.storeName = indexedDbAdapter.STORES.USAGE_LEDGER;
+  }
+
+  async add(usageRecord) {
+    if (!(usageRecord instanceof UsageRecord)) {
+      throw new Error('Can only add UsageRecord instances');
+    }
+    await this.indexedDbAdapter.put(this.storeName, usageRecord.toJSON());
+    return usageRecord;
+  }
+
+  async findAll() {
+    const storedRecords = await this.indexedDbAdapter.getAll(this.storeName) || [];
+    return storedRecords
+      .map(storedRecord => UsageRecord.fromJSON(storedRecord))
+      .sort((first, second) => first.timestamp - second.timestamp);
+  }
+
+  async clear() {
+    await this.indexedDbAdapter.clear(this.storeName);
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = UsageLedgerRepository;
+}
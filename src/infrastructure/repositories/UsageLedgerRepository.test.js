@@ -0,0 +1,59 @@
+/**
+ * UsageLedgerRepository Tests
+ * Tests recording, reading and clearing usage records in IndexedDB
+ *
+ * Copyright (C) 2025 Dimitry Polivaev
+ * Licensed under GPL3 or later
+ */
+
+const UsageLedgerRepository = require('./UsageLedgerRepository');
+
+describe('UsageLedgerRepository', () => {
+  let storedRecords;
+  let mockIndexedDbAdapter;
+  let repository;
+
+  const createRecord = timestamp => new UsageRecord({ timestamp, provider: 'Gemini', model: 'gemini-2.5-pro', inputTokens: 10, outputTokens: 5 });
+
+  beforeEach(() => {
+    storedRecords = [];
+    mockIndexedDbAdapter = {
+      STORES: { USAGE_LEDGER: 'usageLedger' },
+      getAll: jest.fn(async () => storedRecords.map((record, index) => ({ id: index + 1, ...record }))),
+      put: jest.fn(async (store, value) => {
+        storedRecords.push(value);
+      }),
+      clear: jest.fn(async () => {
+        storedRecords = [];
+      })
+    };
+    repository = new UsageLedgerRepository(mockIndexedDbAdapter);
+  });
+
+  test('should require an IndexedDB adapter', () => {
+    expect(() => new UsageLedgerRepository()).toThrow('indexedDbAdapter is required');
+  });
+
+  test('should store records and return them oldest first', async () => {
+    await repository.add(createRecord(2000));
+    await repository.add(createRecord(1000));
+
+    const records = await repository.findAll();
+
+    expect(mockIndexedDbAdapter.put).toHaveBeenCalledWith('usageLedger', createRecord(2000).toJSON());
+    expect(records.map(record => record.timestamp)).toEqual([1000, 2000]);
+    expect(records[0]).toBeInstanceOf(UsageRecord);
+  });
+
+  test('should only accept usage records', async () => {
+    await expect(repository.add({ timestamp: 1 })).rejects.toThrow('Can only add UsageRecord instances');
+  });
+
+  test('should clear the ledger', async () => {
+    await repository.add(createRecord(1000));
+
+    await repository.clear();
+
+    expect(await repository.findAll()).toEqual([]);
+  });
+});
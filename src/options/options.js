@@ -23,22 +23,187 @@ if (typeof browser === 'undefined') {
   const browser = chrome;
 }
 
+let providerDefinitions = [];
+let modelCatalog = null;
+let recommendedModelIds = [];
+let savedFavoriteModelIds = [];
+let favoriteModelIds = new Set();
+let usageRecords = [];
+let availableModels = [];
+let fallbackModels = [];
+let credentialProfiles = [];
+let savedKeyStoragePolicy = new KeyStoragePolicy();
+let apiKeyStorageStatus = { hasPassphrase: false, unlocked: false };
+const USAGE_CHART_DAYS = 30;
+
 document.addEventListener('DOMContentLoaded', async function() {
+  await loadProviders();
   await loadApiKeys();
   await loadLanguageSettings();
+  await loadModelBrowser();
+  await loadFallbackModels();
+  renderCredentialProfileList();
+  await loadUsageLedger();
   await loadVersionInfo();
   setupEventListeners();
 });
 
+async function loadProviders() {
+  try {
+    const response = await browser.runtime.sendMessage({
+      action: 'getProviders'
+    });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'Failed to load providers');
+    }
+    providerDefinitions = response.data.map(definition => ProviderDefinition.fromJSON(definition));
+    renderProviderFields();
+  } catch (error) {
+    console.error('Error loading providers:', error);
+    showStatus(getLocalizedMessage('error_loading_settings'), 'error');
+  }
+}
+
+function renderProviderFields() {
+  const apiKeyFields = document.getElementById('apiKeyFields');
+  const providerSections = document.getElementById('providerSettingsSections');
+
+  providerDefinitions.forEach(definition => {
+    // Providers that only need a key share the API keys section, the others get a section of their own
+    if (definition.settings.length === 0) {
+      if (definition.hasCredential()) {
+        apiKeyFields.appendChild(createCredentialField(definition));
+      }
+      return;
+    }
+
+    const section = document.createElement('section');
+    section.className = 'setting-group api-keys-section';
+    const title = document.createElement('h2');
+    title.textContent = definition.settingsTitleKey ? getLocalizedMessage(definition.settingsTitleKey) : definition.displayName;
+    section.appendChild(title);
+    definition.settings.forEach(setting => {
+      section.appendChild(createSettingField(setting));
+    });
+    if (definition.hasCredential()) {
+      section.appendChild(createCredentialField(definition));
+    }
+    providerSections.appendChild(section);
+  });
+}
+
+function createFieldLabel(inputId, labelKey, fallbackText) {
+  const label = document.createElement('label');
+  label.htmlFor = inputId;
+  label.textContent = labelKey ? getLocalizedMessage(labelKey) : fallbackText;
+  return label;
+}
+
+function createCredentialField(definition) {
+  const credential = definition.credential;
+  const field = document.createElement('div');
+  field.className = 'api-key-field';
+  field.appendChild(createFieldLabel(credential.settingsKey, credential.labelKey, `${definition.displayName} API Key:`));
+
+  const input = document.createElement('input');
+  input.type = 'password';
+  input.id = credential.settingsKey;
+  input.placeholder = credential.placeholderKey ? getLocalizedMessage(credential.placeholderKey) : '';
+
+  if (!credential.keyUrl) {
+    field.appendChild(input);
+    field.appendChild(createKeyOptionsRow(definition));
+    return field;
+  }
+
+  const row = document.createElement('div');
+  row.className = 'key-input-row';
+  row.appendChild(input);
+  const keyLink = document.createElement('a');
+  keyLink.href = credential.keyUrl;
+  keyLink.target = '_blank';
+  keyLink.rel = 'noopener noreferrer';
+  keyLink.className = 'get-key-btn';
+  keyLink.id = `${credential.settingsKey}Link`;
+  keyLink.textContent = credential.keyUrlLabelKey ? getLocalizedMessage(credential.keyUrlLabelKey) : definition.displayName;
+  row.appendChild(keyLink);
+  field.appendChild(row);
+  field.appendChild(createKeyOptionsRow(definition));
+  return field;
+}
+
+function createKeyOptionsRow(definition) {
+  const credential = definition.credential;
+  const row = document.createElement('div');
+  row.className = 'key-options-row';
+  row.appendChild(createKeyStoragePolicySelect(credential));
+
+  const testButton = document.createElement('button');
+  testButton.id = `${credential.settingsKey}Test`;
+  testButton.className = 'secondary-btn';
+  testButton.textContent = getLocalizedMessage('api_key_test_button');
+  testButton.addEventListener('click', () => testApiKey(definition));
+  row.appendChild(testButton);
+
+  const result = document.createElement('small');
+  result.id = `${credential.settingsKey}TestResult`;
+  result.className = 'api-key-test-result';
+  row.appendChild(result);
+  return row;
+}
+
+function createKeyStoragePolicySelect(credential) {
+  const select = document.createElement('select');
+  select.id = `${credential.settingsKey}StoragePolicy`;
+  select.className = 'key-storage-select';
+  select.title = getLocalizedMessage('key_storage_policy_tooltip');
+  [['sync', 'key_storage_policy_sync'], ['local', 'key_storage_policy_local'], ['encrypted', 'key_storage_policy_encrypted']]
+    .forEach(([policy, messageKey]) => {
+      const option = document.createElement('option');
+      option.value = policy;
+      option.textContent = getLocalizedMessage(messageKey);
+      select.appendChild(option);
+    });
+  return select;
+}
+
+function createSettingField(setting) {
+  const field = document.createElement('div');
+  field.className = 'api-key-field';
+  field.appendChild(createFieldLabel(setting.key, setting.labelKey, setting.key));
+
+  let input;
+  if (setting.type === 'list') {
+    input = document.createElement('textarea');
+    input.className = 'list-setting';
+  } else {
+    input = document.createElement('input');
+    input.type = setting.type === 'url' ? 'url' : 'text';
+  }
+  input.id = setting.key;
+  input.placeholder = setting.placeholder;
+  field.appendChild(input);
+
+  if (setting.hintKey) {
+    const hint = document.createElement('small');
+    hint.className = 'field-hint';
+    hint.textContent = getLocalizedMessage(setting.hintKey);
+    field.appendChild(hint);
+  }
+  return field;
+}
+
 async function loadApiKeys() {
   try {
     const response = await browser.runtime.sendMessage({
       action: 'loadSettings'
     });
     if (response && response.success) {
-      const settings = response.data;
-      document.getElementById('apiKey').value = settings.apiKey || '';
-      document.getElementById('openRouterApiKey').value = settings.openRouterApiKey || '';
+      await loadApiKeyStorageStatus();
+      savedKeyStoragePolicy = KeyStoragePolicy.fromSettings(response.data);
+      loadProviderSettings(response.data);
+      credentialProfiles = CredentialProfile.listFromJSON(response.data.credentialProfiles).map(profile => profile.toJSON());
+      updateKeyStorageControls();
 
       // Update help button visibility
       updateApiHelpVisibility();
@@ -51,26 +216,250 @@ async function loadApiKeys() {
   }
 }
 
-function updateApiHelpVisibility() {
-  const geminiKey = document.getElementById('apiKey').value;
-  const openRouterKey = document.getElementById('openRouterApiKey').value;
+function loadProviderSettings(settings) {
+  providerDefinitions.forEach(definition => {
+    if (definition.hasCredential()) {
+      document.getElementById(definition.credential.settingsKey).value = settings[definition.credential.settingsKey] || '';
+      document.getElementById(`${definition.credential.settingsKey}StoragePolicy`).value = savedKeyStoragePolicy.getPolicy(definition.id);
+    }
+    definition.settings.forEach(setting => {
+      const value = settings[setting.key];
+      if (setting.type === 'list') {
+        document.getElementById(setting.key).value = Array.isArray(value) ? value.join('\n') : '';
+      } else {
+        document.getElementById(setting.key).value = value || '';
+      }
+    });
+  });
+}
+
+function collectProviderSettings() {
+  const settings = {};
+  const hostPermissionPatterns = [];
+  let invalidUrl = false;
+
+  settings.keyStoragePolicies = {};
+  providerDefinitions.forEach(definition => {
+    if (definition.hasCredential()) {
+      settings[definition.credential.settingsKey] = document.getElementById(definition.credential.settingsKey).value;
+      settings.keyStoragePolicies[definition.id] = document.getElementById(`${definition.credential.settingsKey}StoragePolicy`).value;
+    }
+    definition.settings.forEach(setting => {
+      const input = document.getElementById(setting.key);
+      const value = setting.type === 'list' ? parseModelList(input.value) : input.value.trim();
+      settings[setting.key] = value;
+      if (setting.grantsHostPermission && value) {
+        const pattern = toHostPermissionPattern(value);
+        if (pattern) {
+          hostPermissionPatterns.push(pattern);
+        } else {
+          invalidUrl = true;
+        }
+      }
+    });
+  });
 
-  const geminiBtn = document.getElementById('geminiKeyBtn');
-  const openRouterBtn = document.getElementById('openRouterKeyBtn');
+  return { settings, hostPermissionPatterns, invalidUrl };
+}
 
-  if (geminiBtn) {
-    geminiBtn.classList.toggle('hidden', geminiKey.length > 0);
+async function loadApiKeyStorageStatus() {
+  try {
+    const response = await browser.runtime.sendMessage({
+      action: 'getApiKeyStorageStatus'
+    });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'Failed to load API key storage status');
+    }
+    apiKeyStorageStatus = response.data;
+  } catch (error) {
+    console.error('Error loading API key storage status:', error);
   }
+}
 
-  if (openRouterBtn) {
-    openRouterBtn.classList.toggle('hidden', openRouterKey.length > 0);
+// Keys that stay encrypted cannot be shown or changed until the passphrase unlocks them
+function isApiKeyLocked(providerId) {
+  return savedKeyStoragePolicy.isEncrypted(providerId) && !apiKeyStorageStatus.unlocked;
+}
+
+function updateKeyStorageControls() {
+  const { hasPassphrase, unlocked } = apiKeyStorageStatus;
+  let statusKey = 'key_storage_status_none';
+  if (hasPassphrase) {
+    statusKey = unlocked ? 'key_storage_status_unlocked' : 'key_storage_status_locked';
   }
+  document.getElementById('keyStorageStatus').textContent = getLocalizedMessage(statusKey);
+  document.getElementById('unlockApiKeys').classList.toggle('hidden', !hasPassphrase || unlocked);
+  document.getElementById('lockApiKeys').classList.toggle('hidden', !unlocked);
+  const setPassphraseButton = document.getElementById('setApiKeyPassphrase');
+  setPassphraseButton.classList.toggle('hidden', hasPassphrase && !unlocked);
+  setPassphraseButton.textContent = getLocalizedMessage(hasPassphrase ? 'key_storage_change_passphrase_button' : 'key_storage_set_passphrase_button');
+
+  providerDefinitions
+    .filter(definition => definition.hasCredential())
+    .forEach(definition => {
+      const locked = isApiKeyLocked(definition.id);
+      const keyInput = document.getElementById(definition.credential.settingsKey);
+      keyInput.disabled = locked;
+      keyInput.title = locked ? getLocalizedMessage('key_storage_locked_tooltip') : '';
+      document.getElementById(`${definition.credential.settingsKey}StoragePolicy`).disabled = locked;
+      document.getElementById(`${definition.credential.settingsKey}Test`).disabled = locked;
+    });
+}
+
+async function testApiKey(definition) {
+  const settingsKey = definition.credential.settingsKey;
+  const testButton = document.getElementById(`${settingsKey}Test`);
+  const resultElement = document.getElementById(`${settingsKey}TestResult`);
+  resultElement.className = 'api-key-test-result';
+  resultElement.textContent = getLocalizedMessage('api_key_test_running');
+  resultElement.title = '';
+  testButton.disabled = true;
+  try {
+    const response = await browser.runtime.sendMessage({
+      action: 'testApiKey',
+      providerId: definition.id,
+      apiKey: document.getElementById(settingsKey).value
+    });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'Failed to test API key');
+    }
+    const result = ApiKeyTestResult.fromJSON(response.data);
+    resultElement.textContent = [getLocalizedMessage(result.getMessageKey()), ...formatApiKeyInfo(result.keyInfo)].join(' ');
+    // The provider's own words help when the category alone does not explain the failure
+    resultElement.title = result.message;
+    resultElement.classList.add(result.isValid() ? 'valid' : 'invalid');
+  } catch (error) {
+    console.error('Error testing API key:', error);
+    resultElement.textContent = getLocalizedMessage('api_key_test_error');
+    resultElement.title = error.message;
+    resultElement.classList.add('invalid');
+  } finally {
+    testButton.disabled = isApiKeyLocked(definition.id);
+  }
+}
+
+function formatApiKeyInfo(keyInfo) {
+  if (!keyInfo) {
+    return [];
+  }
+  const details = [];
+  if (keyInfo.limitRemaining !== null && keyInfo.limit !== null) {
+    details.push(getLocalizedMessage('api_key_test_credit_remaining', [TokenPricing.formatCost(keyInfo.limitRemaining), TokenPricing.formatCost(keyInfo.limit)]));
+  } else if (keyInfo.usage !== null) {
+    details.push(getLocalizedMessage('api_key_test_credit_unlimited', [TokenPricing.formatCost(keyInfo.usage)]));
+  }
+  if (keyInfo.isFreeTier) {
+    details.push(getLocalizedMessage('api_key_test_free_tier'));
+  }
+  if (keyInfo.rateLimit) {
+    details.push(getLocalizedMessage('api_key_test_rate_limit', [String(keyInfo.rateLimit.requests), keyInfo.rateLimit.interval]));
+  }
+  return details;
+}
+
+async function sendApiKeyStorageAction(action, passphrase) {
+  const response = await browser.runtime.sendMessage({ action, passphrase });
+  if (!response || !response.success) {
+    throw new Error(response?.error || `Failed to ${action}`);
+  }
+  apiKeyStorageStatus = response.data;
+}
+
+async function setApiKeyPassphrase() {
+  const passphraseInput = document.getElementById('apiKeyPassphrase');
+  if (passphraseInput.value.length < 8) {
+    showStatus(getLocalizedMessage('key_storage_passphrase_too_short'), 'error');
+    return;
+  }
+  try {
+    await sendApiKeyStorageAction('setApiKeyPassphrase', passphraseInput.value);
+    passphraseInput.value = '';
+    await reloadApiKeys();
+    showStatus(getLocalizedMessage('key_storage_passphrase_saved'), 'success');
+  } catch (error) {
+    console.error('Error setting passphrase:', error);
+    showStatus(error.message, 'error');
+  }
+}
+
+async function unlockApiKeys() {
+  const passphraseInput = document.getElementById('apiKeyPassphrase');
+  try {
+    await sendApiKeyStorageAction('unlockApiKeys', passphraseInput.value);
+    passphraseInput.value = '';
+    await reloadApiKeys();
+  } catch (error) {
+    console.error('Error unlocking API keys:', error);
+    showStatus(getLocalizedMessage('key_storage_unlock_failed'), 'error');
+  }
+}
+
+async function lockApiKeys() {
+  try {
+    await sendApiKeyStorageAction('lockApiKeys');
+    await reloadApiKeys();
+  } catch (error) {
+    console.error('Error locking API keys:', error);
+    showStatus(error.message, 'error');
+  }
+}
+
+async function reloadApiKeys() {
+  await loadApiKeys();
+  renderCredentialProfileList();
+}
+
+// Encrypting keys needs an unlocked passphrase, a new one can be set while saving
+async function prepareKeyStorage(keyStoragePolicies) {
+  const newlyEncrypted = Object.entries(keyStoragePolicies)
+    .some(([providerId, policy]) => policy === 'encrypted' && !savedKeyStoragePolicy.isEncrypted(providerId));
+  if (!newlyEncrypted || apiKeyStorageStatus.unlocked) {
+    return true;
+  }
+  if (apiKeyStorageStatus.hasPassphrase) {
+    showStatus(getLocalizedMessage('key_storage_unlock_required'), 'error');
+    return false;
+  }
+  const passphrase = document.getElementById('apiKeyPassphrase').value;
+  if (passphrase.length < 8) {
+    showStatus(getLocalizedMessage('key_storage_passphrase_required'), 'error');
+    return false;
+  }
+  await sendApiKeyStorageAction('setApiKeyPassphrase', passphrase);
+  document.getElementById('apiKeyPassphrase').value = '';
+  return true;
+}
+
+function parseModelList(text) {
+  const models = text.split(/[\n,]/).map(model => model.trim()).filter(model => model.length > 0);
+  return Array.from(new Set(models));
+}
+
+function requestHostPermissions(patterns) {
+  if (patterns.length === 0 || !browser.permissions || !browser.permissions.request) {
+    return Promise.resolve(true);
+  }
+  return browser.permissions.request({ origins: patterns }).catch(error => {
+    console.error('Error requesting host permission:', error);
+    return false;
+  });
+}
+
+function updateApiHelpVisibility() {
+  providerDefinitions.forEach(definition => {
+    if (!definition.hasCredential() || !definition.credential.keyUrl) {
+      return;
+    }
+    const keyInput = document.getElementById(definition.credential.settingsKey);
+    const keyLink = document.getElementById(`${definition.credential.settingsKey}Link`);
+    if (keyInput && keyLink) {
+      keyLink.classList.toggle('hidden', keyInput.value.length > 0);
+    }
+  });
 }
 
 async function saveAllSettings() {
   try {
-    const apiKey = document.getElementById('apiKey').value;
-    const openRouterApiKey = document.getElementById('openRouterApiKey').value;
     const languageSelect = document.getElementById('languageSelect');
     const selectedLanguage = languageSelect.value;
     const historyLimitInput = document.getElementById('historyLimitInput');
@@ -83,21 +472,91 @@ async function saveAllSettings() {
       return;
     }
 
+    const generationHistoryEnabled = document.getElementById('generationHistoryEnabled').checked;
+    const maxEntriesInput = document.getElementById('generationHistoryMaxEntries');
+    const generationHistoryMaxEntries = parseInt(maxEntriesInput.value);
+    const maxAgeInput = document.getElementById('generationHistoryMaxAgeDays');
+    const generationHistoryMaxAgeDays = parseInt(maxAgeInput.value);
+
+    if (isNaN(generationHistoryMaxEntries) || generationHistoryMaxEntries < 1 || generationHistoryMaxEntries > 1000) {
+      showStatus(getLocalizedMessage('generation_history_max_entries_invalid'), 'error');
+      maxEntriesInput.value = 200;
+      return;
+    }
+
+    if (isNaN(generationHistoryMaxAgeDays) || generationHistoryMaxAgeDays < 0 || generationHistoryMaxAgeDays > 3650) {
+      showStatus(getLocalizedMessage('generation_history_max_age_invalid'), 'error');
+      maxAgeInput.value = 90;
+      return;
+    }
+
+    const usageBudgetDaily = parseBudgetLimit('usageBudgetDaily');
+    const usageBudgetMonthly = parseBudgetLimit('usageBudgetMonthly');
+    if (usageBudgetDaily === undefined || usageBudgetMonthly === undefined) {
+      showStatus(getLocalizedMessage('usage_budget_invalid'), 'error');
+      return;
+    }
+
+    const retrySettings = collectRetrySettings();
+    if (!retrySettings) {
+      showStatus(getLocalizedMessage('retry_settings_invalid'), 'error');
+      return;
+    }
+
+    const validatedProfiles = collectCredentialProfiles();
+    if (!validatedProfiles) {
+      showStatus(getLocalizedMessage('credential_profile_name_required'), 'error');
+      return;
+    }
+
+    const providerSettings = collectProviderSettings();
+    if (providerSettings.invalidUrl) {
+      showStatus(getLocalizedMessage('server_url_invalid'), 'error');
+      return;
+    }
+
+    // Browsers only show the permission prompt while handling the click, so ask before awaiting anything
+    const hostPermissionRequest = requestHostPermissions(providerSettings.hostPermissionPatterns);
+
+    if (!await prepareKeyStorage(providerSettings.settings.keyStoragePolicies)) {
+      return;
+    }
+
+    const settings = {
+      ...providerSettings.settings,
+      uiLanguage: selectedLanguage,
+      historyLimit,
+      generationHistoryEnabled,
+      generationHistoryMaxEntries,
+      generationHistoryMaxAgeDays,
+      usageUserLabel: document.getElementById('usageUserLabel').value.trim(),
+      usageBudgetDaily,
+      usageBudgetMonthly,
+      usageBudgetAction: document.getElementById('usageBudgetAction').value,
+      fallbackModels,
+      ...retrySettings,
+      credentialProfiles: validatedProfiles
+    };
+    // Favourites are only known once the catalog loaded, otherwise the stored ones are kept
+    if (modelCatalog) {
+      settings.favoriteModels = collectFavoriteModels();
+    }
+
     const response = await browser.runtime.sendMessage({
       action: 'saveSettings',
-      settings: {
-        apiKey,
-        openRouterApiKey,
-        uiLanguage: selectedLanguage,
-        historyLimit
-      }
+      settings
     });
 
     if (!response || !response.success) {
       throw new Error(response?.error || 'Failed to save settings');
     }
+    await reloadApiKeys();
 
-    showStatus(getLocalizedMessage('settings_saved_successfully'), 'success');
+    if (await hostPermissionRequest) {
+      showStatus(getLocalizedMessage('settings_saved_successfully'), 'success');
+    } else {
+      showStatus(getLocalizedMessage('server_permission_denied'), 'error');
+    }
 
     // Reload page if language was changed
     if (selectedLanguage !== getInitialLanguage()) {
@@ -130,6 +589,12 @@ async function loadLanguageSettings() {
       if (historyLimitInput) {
         historyLimitInput.value = settings.historyLimit || 10;
       }
+
+      loadGenerationHistorySettings(settings);
+      loadUsageSettings(settings);
+      loadRetrySettings(settings);
+      savedFavoriteModelIds = Array.isArray(settings.favoriteModels) ? settings.favoriteModels : [];
+      fallbackModels = Array.isArray(settings.fallbackModels) ? settings.fallbackModels : [];
     } else {
       throw new Error(response?.error || 'Failed to load settings');
     }
@@ -139,6 +604,578 @@ async function loadLanguageSettings() {
   }
 }
 
+function loadGenerationHistorySettings(settings) {
+  const enabledCheckbox = document.getElementById('generationHistoryEnabled');
+  if (enabledCheckbox) {
+    enabledCheckbox.checked = Boolean(settings.generationHistoryEnabled);
+  }
+
+  const maxEntriesInput = document.getElementById('generationHistoryMaxEntries');
+  if (maxEntriesInput) {
+    maxEntriesInput.value = settings.generationHistoryMaxEntries || 200;
+  }
+
+  // Zero is a valid age limit and means entries are kept forever
+  const maxAgeInput = document.getElementById('generationHistoryMaxAgeDays');
+  if (maxAgeInput) {
+    maxAgeInput.value = settings.generationHistoryMaxAgeDays ?? 90;
+  }
+}
+
+function loadUsageSettings(settings) {
+  document.getElementById('usageUserLabel').value = settings.usageUserLabel || '';
+  // An empty budget field means there is no limit
+  document.getElementById('usageBudgetDaily').value = settings.usageBudgetDaily ?? '';
+  document.getElementById('usageBudgetMonthly').value = settings.usageBudgetMonthly ?? '';
+  document.getElementById('usageBudgetAction').value = settings.usageBudgetAction || 'confirm';
+}
+
+function parseBudgetLimit(inputId) {
+  const value = document.getElementById(inputId).value.trim();
+  if (value === '') {
+    return null;
+  }
+  const limit = Number(value);
+  return Number.isFinite(limit) && limit >= 0 ? limit : undefined;
+}
+
+function loadRetrySettings(settings) {
+  // Zero is a valid value for all of them, so only missing ones fall back to the defaults
+  document.getElementById('retryMaxRetries').value = settings.retryMaxRetries ?? 3;
+  document.getElementById('retryBaseDelaySeconds').value = settings.retryBaseDelaySeconds ?? 2;
+  document.getElementById('retryMaxServerWaitSeconds').value = settings.retryMaxServerWaitSeconds ?? 120;
+}
+
+function collectRetrySettings() {
+  const limits = [
+    ['retryMaxRetries', 10],
+    ['retryBaseDelaySeconds', 30],
+    ['retryMaxServerWaitSeconds', 3600]
+  ];
+  const retrySettings = {};
+  for (const [inputId, maximum] of limits) {
+    const input = document.getElementById(inputId).value.trim();
+    const value = Number(input);
+    if (input === '' || !Number.isInteger(value) || value < 0 || value > maximum) {
+      return null;
+    }
+    retrySettings[inputId] = value;
+  }
+  return retrySettings;
+}
+
+async function loadUsageLedger() {
+  try {
+    const response = await browser.runtime.sendMessage({
+      action: 'getUsageLedger'
+    });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'Failed to load usage ledger');
+    }
+    usageRecords = response.data.map(record => UsageRecord.fromJSON(record));
+  } catch (error) {
+    console.error('Error loading usage ledger:', error);
+    usageRecords = [];
+  }
+  renderUsage();
+}
+
+function renderUsage() {
+  const report = new UsageReport(usageRecords);
+  const spending = report.getSpending();
+  document.getElementById('usageSpending').textContent = [
+    getLocalizedMessage('usage_spent_today', [TokenPricing.formatCost(spending.daily)]),
+    getLocalizedMessage('usage_spent_this_month', [TokenPricing.formatCost(spending.monthly)])
+  ].join(' • ');
+  document.getElementById('exportUsageLedger').disabled = usageRecords.length === 0;
+  renderUsageDailyChart(report.summarizeByDay(USAGE_CHART_DAYS));
+  renderUsageModelChart(report.summarizeByModel());
+  renderUsageProfileChart(report.summarizeByProfile());
+}
+
+// Free and self-hosted models cost nothing, their usage is charted by tokens instead
+function getUsageChartValue(totals, chartByCost) {
+  return chartByCost ? totals.cost : totals.inputTokens + totals.outputTokens;
+}
+
+function formatUsageTotals(totals) {
+  return getLocalizedMessage('usage_totals', [
+    String(totals.requests),
+    (totals.inputTokens + totals.outputTokens).toLocaleString()
+  ]) + ` • ${TokenPricing.formatCost(totals.cost)}`;
+}
+
+function renderUsageDailyChart(days) {
+  const chartByCost = days.some(day => day.cost > 0);
+  const maxValue = Math.max(...days.map(day => getUsageChartValue(day, chartByCost)));
+  const bars = days.map(day => {
+    const bar = document.createElement('div');
+    bar.className = 'usage-day-bar';
+    bar.style.height = maxValue > 0 ? `${(getUsageChartValue(day, chartByCost) / maxValue) * 100}%` : '0';
+    bar.title = `${day.day}: ${formatUsageTotals(day)}`;
+    return bar;
+  });
+  document.getElementById('usageDailyChart').replaceChildren(...bars);
+}
+
+function renderUsageModelChart(models) {
+  const chart = document.getElementById('usageModelChart');
+  if (models.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'field-hint';
+    empty.textContent = getLocalizedMessage('usage_empty');
+    chart.replaceChildren(empty);
+    return;
+  }
+  renderUsageBarChart(chart, models.map(model => ({
+    label: model.model,
+    title: `${model.provider}: ${model.model}`,
+    totals: model
+  })));
+}
+
+// Only worth showing once some requests were made with a named key profile
+function renderUsageProfileChart(profiles) {
+  const chart = document.getElementById('usageProfileChart');
+  const hasProfiles = profiles.some(profile => profile.profile);
+  chart.style.display = hasProfiles ? '' : 'none';
+  document.getElementById('usageProfileChartTitle').style.display = hasProfiles ? '' : 'none';
+  if (!hasProfiles) {
+    chart.replaceChildren();
+    return;
+  }
+  renderUsageBarChart(chart, profiles.map(profile => {
+    const name = profile.profile || getLocalizedMessage('credential_profile_default_key');
+    return {
+      label: name,
+      title: `${getProviderDisplayName(profile.provider)}: ${name}`,
+      totals: profile
+    };
+  }));
+}
+
+function renderUsageBarChart(chart, rows) {
+  const chartByCost = rows.some(({ totals }) => totals.cost > 0);
+  const maxValue = Math.max(...rows.map(({ totals }) => getUsageChartValue(totals, chartByCost)));
+  chart.replaceChildren(...rows.map(({ label, title, totals }) => {
+    const row = document.createElement('li');
+    row.className = 'usage-model-row';
+
+    const name = document.createElement('span');
+    name.className = 'usage-model-name';
+    name.textContent = label;
+    name.title = title;
+    row.appendChild(name);
+
+    const bar = document.createElement('div');
+    bar.className = 'usage-model-bar';
+    bar.style.width = maxValue > 0 ? `${(getUsageChartValue(totals, chartByCost) / maxValue) * 100}%` : '0';
+    row.appendChild(bar);
+
+    const value = document.createElement('span');
+    value.className = 'usage-model-value';
+    value.textContent = formatUsageTotals(totals);
+    row.appendChild(value);
+    return row;
+  }));
+}
+
+function exportUsageLedger() {
+  const blob = new Blob([new UsageReport(usageRecords).toCsv()], { type: 'text/csv;charset=utf-8' });
+  const objectUrl = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = objectUrl;
+  link.download = `chaptotek-usage-${UsageReport.formatDay(new Date())}.csv`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(objectUrl), 0);
+}
+
+async function clearUsageLedger() {
+  if (!confirm(getLocalizedMessage('usage_clear_confirm'))) {
+    return;
+  }
+  try {
+    const response = await browser.runtime.sendMessage({
+      action: 'clearUsageLedger'
+    });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'Failed to clear usage ledger');
+    }
+    usageRecords = [];
+    renderUsage();
+  } catch (error) {
+    console.error('Error clearing usage ledger:', error);
+    showStatus(getLocalizedMessage('usage_clear_failed'), 'error');
+  }
+}
+
+async function loadModelBrowser() {
+  try {
+    const response = await browser.runtime.sendMessage({
+      action: 'getModelCatalog'
+    });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'Failed to load model catalog');
+    }
+    modelCatalog = response.data.models;
+    recommendedModelIds = response.data.recommendedModelIds;
+    // Without starred models the popup offers the recommended ones, so they start out starred
+    favoriteModelIds = new Set(savedFavoriteModelIds.length > 0 ? savedFavoriteModelIds : recommendedModelIds);
+
+    const providerFilter = document.getElementById('modelProviderFilter');
+    ModelCatalogFilter.getProviders(modelCatalog).forEach(provider => {
+      const option = document.createElement('option');
+      option.value = provider;
+      option.textContent = provider;
+      providerFilter.appendChild(option);
+    });
+    renderModelBrowser();
+  } catch (error) {
+    console.error('Error loading model catalog:', error);
+    document.getElementById('modelBrowserCount').textContent = getLocalizedMessage('model_browser_unavailable');
+  }
+}
+
+function renderModelBrowser() {
+  if (!modelCatalog) {
+    return;
+  }
+
+  const filter = new ModelCatalogFilter({
+    search: document.getElementById('modelSearch').value,
+    pricing: document.getElementById('modelPricingFilter').value,
+    provider: document.getElementById('modelProviderFilter').value,
+    maxPromptPrice: document.getElementById('modelMaxPriceFilter').value,
+    minContextLength: document.getElementById('modelMinContextFilter').value
+  });
+  const starredOnly = document.getElementById('modelStarredOnly').checked;
+  const models = filter.apply(modelCatalog).filter(model => !starredOnly || favoriteModelIds.has(model.id));
+
+  const list = document.getElementById('modelBrowserList');
+  list.replaceChildren(...models.map(model => createModelBrowserItem(model)));
+  document.getElementById('modelBrowserCount').textContent = getLocalizedMessage('model_browser_count', [
+    String(models.length),
+    String(modelCatalog.length),
+    String(favoriteModelIds.size)
+  ]);
+}
+
+function createModelBrowserItem(model) {
+  const item = document.createElement('li');
+  item.className = 'model-browser-item';
+
+  const isStarred = favoriteModelIds.has(model.id);
+  const starButton = document.createElement('button');
+  starButton.className = isStarred ? 'star-btn starred' : 'star-btn';
+  starButton.textContent = isStarred ? '★' : '☆';
+  starButton.title = getLocalizedMessage('model_browser_star_tooltip');
+  starButton.setAttribute('aria-pressed', String(isStarred));
+  starButton.addEventListener('click', () => toggleFavoriteModel(model.id));
+  item.appendChild(starButton);
+
+  const name = document.createElement('div');
+  name.className = 'model-browser-name';
+  name.textContent = model.name || model.id;
+  const id = document.createElement('span');
+  id.className = 'model-browser-id';
+  id.textContent = model.id;
+  name.appendChild(id);
+  item.appendChild(name);
+
+  const details = document.createElement('div');
+  details.className = 'model-browser-details';
+  const detailLines = [formatModelPrice(model)];
+  if (model.context_length) {
+    detailLines.push(getLocalizedMessage('model_browser_context', [model.context_length.toLocaleString()]));
+  }
+  detailLines.forEach(line => {
+    const detail = document.createElement('div');
+    detail.textContent = line;
+    details.appendChild(detail);
+  });
+  item.appendChild(details);
+
+  return item;
+}
+
+function formatModelPrice(model) {
+  if (ModelCatalogFilter.isFree(model)) {
+    return getLocalizedMessage('free');
+  }
+  const promptPrice = ModelCatalogFilter.getPromptPricePerMillion(model);
+  const completionPrice = ModelCatalogFilter.getCompletionPricePerMillion(model);
+  if (promptPrice === null || completionPrice === null) {
+    return '';
+  }
+  return `$${promptPrice.toFixed(2)} / $${completionPrice.toFixed(2)}`;
+}
+
+function toggleFavoriteModel(modelId) {
+  if (favoriteModelIds.has(modelId)) {
+    favoriteModelIds.delete(modelId);
+  } else {
+    favoriteModelIds.add(modelId);
+  }
+  renderModelBrowser();
+}
+
+function resetFavoriteModels() {
+  favoriteModelIds = new Set(recommendedModelIds);
+  renderModelBrowser();
+}
+
+function collectFavoriteModels() {
+  const favorites = Array.from(favoriteModelIds);
+  const isRecommendedList = favorites.length === recommendedModelIds.length &&
+    recommendedModelIds.every(modelId => favoriteModelIds.has(modelId));
+  // An empty list keeps following the recommended models as they change between releases
+  return isRecommendedList ? [] : favorites;
+}
+
+async function loadFallbackModels() {
+  try {
+    const response = await browser.runtime.sendMessage({
+      action: 'getAllModels'
+    });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'Failed to load models');
+    }
+    availableModels = response.data.map(model => ModelId.fromJSON(model));
+    renderFallbackModelSelect();
+  } catch (error) {
+    console.error('Error loading fallback models:', error);
+    const select = document.getElementById('fallbackModelSelect');
+    const option = document.createElement('option');
+    option.textContent = getLocalizedMessage('fallback_models_unavailable');
+    select.replaceChildren(option);
+    select.disabled = true;
+    document.getElementById('addFallbackModel').disabled = true;
+  }
+  renderFallbackModelList();
+}
+
+function getFallbackModelKey(model) {
+  return `${model.provider}/${model.value}`;
+}
+
+function getFallbackModelName(model) {
+  const definition = providerDefinitions.find(candidate => candidate.id === model.provider);
+  return definition && definition.displayModelIds ? model.value : ModelId.fromJSON(model).getDisplayName();
+}
+
+function getProviderDisplayName(providerId) {
+  const definition = providerDefinitions.find(candidate => candidate.id === providerId);
+  if (!definition) {
+    return providerId;
+  }
+  return definition.displayNameKey ? getLocalizedMessage(definition.displayNameKey) : definition.displayName;
+}
+
+function renderFallbackModelSelect() {
+  const select = document.getElementById('fallbackModelSelect');
+  const groups = providerDefinitions
+    .map(definition => {
+      const providerModels = availableModels.filter(model => model.provider === definition.id);
+      if (providerModels.length === 0) {
+        return null;
+      }
+      const group = document.createElement('optgroup');
+      group.label = getProviderDisplayName(definition.id);
+      providerModels.forEach(model => {
+        const option = document.createElement('option');
+        option.value = getFallbackModelKey(model);
+        option.textContent = getFallbackModelName(model);
+        group.appendChild(option);
+      });
+      return group;
+    })
+    .filter(group => group !== null);
+  select.replaceChildren(...groups);
+}
+
+function renderFallbackModelList() {
+  const list = document.getElementById('fallbackModelList');
+  if (fallbackModels.length === 0) {
+    const emptyItem = document.createElement('li');
+    emptyItem.className = 'fallback-model-empty';
+    emptyItem.textContent = getLocalizedMessage('fallback_models_empty');
+    list.replaceChildren(emptyItem);
+    return;
+  }
+  list.replaceChildren(...fallbackModels.map((model, index) => createFallbackModelItem(model, index)));
+}
+
+function createFallbackModelItem(model, index) {
+  const item = document.createElement('li');
+  item.className = 'fallback-model-item';
+
+  const name = document.createElement('div');
+  name.className = 'fallback-model-name';
+  name.textContent = getFallbackModelName(model);
+  const provider = document.createElement('span');
+  provider.className = 'fallback-model-provider';
+  provider.textContent = getProviderDisplayName(model.provider);
+  name.appendChild(provider);
+  item.appendChild(name);
+
+  [
+    { label: '↑', titleKey: 'fallback_model_move_up', disabled: index === 0, action: () => moveFallbackModel(index, -1) },
+    { label: '↓', titleKey: 'fallback_model_move_down', disabled: index === fallbackModels.length - 1, action: () => moveFallbackModel(index, 1) },
+    { label: '✕', titleKey: 'fallback_model_remove', disabled: false, action: () => removeFallbackModel(index) }
+  ].forEach(({ label, titleKey, disabled, action }) => {
+    const button = document.createElement('button');
+    button.className = 'fallback-model-btn';
+    button.textContent = label;
+    button.title = getLocalizedMessage(titleKey);
+    button.disabled = disabled;
+    button.addEventListener('click', action);
+    item.appendChild(button);
+  });
+
+  return item;
+}
+
+function addFallbackModel() {
+  const key = document.getElementById('fallbackModelSelect').value;
+  const model = availableModels.find(candidate => getFallbackModelKey(candidate) === key);
+  if (!model || fallbackModels.some(fallbackModel => getFallbackModelKey(fallbackModel) === key)) {
+    return;
+  }
+  fallbackModels = [...fallbackModels, model.toJSON()];
+  renderFallbackModelList();
+}
+
+function moveFallbackModel(index, offset) {
+  const reordered = [...fallbackModels];
+  const [model] = reordered.splice(index, 1);
+  reordered.splice(index + offset, 0, model);
+  fallbackModels = reordered;
+  renderFallbackModelList();
+}
+
+function removeFallbackModel(index) {
+  fallbackModels = fallbackModels.filter((_model, modelIndex) => modelIndex !== index);
+  renderFallbackModelList();
+}
+
+function renderCredentialProfileList() {
+  const list = document.getElementById('credentialProfileList');
+  if (credentialProfiles.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'credential-profile-empty';
+    empty.textContent = getLocalizedMessage('credential_profiles_empty');
+    list.replaceChildren(empty);
+    return;
+  }
+  list.replaceChildren(...credentialProfiles.map((profile, index) => createCredentialProfileItem(profile, index)));
+}
+
+function createCredentialProfileItem(profile, index) {
+  const item = document.createElement('div');
+  item.className = 'credential-profile-item';
+  const updateProfile = changes => {
+    credentialProfiles = credentialProfiles.map((candidate, profileIndex) => profileIndex === index ? { ...candidate, ...changes } : candidate);
+  };
+
+  const nameInput = document.createElement('input');
+  nameInput.type = 'text';
+  nameInput.value = profile.name;
+  nameInput.placeholder = getLocalizedMessage('credential_profile_name_placeholder');
+  nameInput.addEventListener('input', () => updateProfile({ name: nameInput.value }));
+  item.appendChild(nameInput);
+
+  const providerSelect = document.createElement('select');
+  providerDefinitions
+    .filter(definition => definition.hasCredential())
+    .forEach(definition => {
+      const option = document.createElement('option');
+      option.value = definition.id;
+      option.textContent = getProviderDisplayName(definition.id);
+      providerSelect.appendChild(option);
+    });
+  providerSelect.value = profile.providerId;
+  // A default model of another provider cannot be used with this key
+  providerSelect.addEventListener('change', () => {
+    updateProfile({ providerId: providerSelect.value, defaultModel: null });
+    renderCredentialProfileList();
+  });
+  item.appendChild(providerSelect);
+
+  const keyInput = document.createElement('input');
+  keyInput.type = 'password';
+  keyInput.value = profile.apiKey;
+  keyInput.placeholder = getLocalizedMessage('credential_profile_key_placeholder');
+  keyInput.disabled = isApiKeyLocked(profile.providerId);
+  keyInput.addEventListener('input', () => updateProfile({ apiKey: keyInput.value.trim() }));
+  item.appendChild(keyInput);
+
+  const modelSelect = document.createElement('select');
+  const noModelOption = document.createElement('option');
+  noModelOption.value = '';
+  noModelOption.textContent = getLocalizedMessage('credential_profile_default_model_none');
+  modelSelect.appendChild(noModelOption);
+  const providerModels = availableModels.filter(model => model.provider === profile.providerId);
+  providerModels.forEach(model => {
+    const option = document.createElement('option');
+    option.value = model.value;
+    option.textContent = getFallbackModelName(model);
+    modelSelect.appendChild(option);
+  });
+  modelSelect.value = profile.defaultModel ? profile.defaultModel.value : '';
+  modelSelect.addEventListener('change', () => {
+    const model = providerModels.find(candidate => candidate.value === modelSelect.value);
+    updateProfile({ defaultModel: model ? model.toJSON() : null });
+  });
+  item.appendChild(modelSelect);
+
+  const rotationInput = document.createElement('input');
+  rotationInput.type = 'text';
+  rotationInput.value = profile.rotationGroup;
+  rotationInput.placeholder = getLocalizedMessage('credential_profile_rotation_placeholder');
+  rotationInput.addEventListener('input', () => updateProfile({ rotationGroup: rotationInput.value }));
+  item.appendChild(rotationInput);
+
+  const removeButton = document.createElement('button');
+  removeButton.className = 'fallback-model-btn';
+  removeButton.textContent = '✕';
+  removeButton.title = getLocalizedMessage('credential_profile_remove');
+  removeButton.addEventListener('click', () => {
+    credentialProfiles = credentialProfiles.filter((_profile, profileIndex) => profileIndex !== index);
+    renderCredentialProfileList();
+  });
+  item.appendChild(removeButton);
+
+  return item;
+}
+
+function addCredentialProfile() {
+  const definition = providerDefinitions.find(candidate => candidate.hasCredential());
+  if (!definition) {
+    return;
+  }
+  credentialProfiles = [...credentialProfiles, {
+    id: CredentialProfile.generateId(),
+    name: '',
+    providerId: definition.id,
+    apiKey: '',
+    defaultModel: null,
+    rotationGroup: ''
+  }];
+  renderCredentialProfileList();
+}
+
+// Returns null when a profile cannot be saved, which only happens without a name
+function collectCredentialProfiles() {
+  try {
+    return credentialProfiles.map(profile => CredentialProfile.fromJSON(profile).toJSON());
+  } catch (error) {
+    console.error('Invalid credential profile:', error);
+    return null;
+  }
+}
+
 let initialLanguage = '';
 
 function getInitialLanguage() {
@@ -206,32 +1243,59 @@ function setupEventListeners() {
     saveButton.addEventListener('click', saveAllSettings);
   }
 
-  const apiKeyInput = document.getElementById('apiKey');
-  if (apiKeyInput) {
-    apiKeyInput.addEventListener('keypress', function(e) {
-      if (e.key === 'Enter') {
-        saveAllSettings();
-      }
+  providerDefinitions.forEach(definition => {
+    const inputs = definition.settings
+      .filter(setting => setting.type !== 'list')
+      .map(setting => document.getElementById(setting.key));
+    if (definition.hasCredential()) {
+      const keyInput = document.getElementById(definition.credential.settingsKey);
+      keyInput.addEventListener('input', updateApiHelpVisibility);
+      inputs.push(keyInput);
+    }
+    inputs.forEach(input => {
+      input.addEventListener('keypress', function(e) {
+        if (e.key === 'Enter') {
+          saveAllSettings();
+        }
+      });
     });
-    apiKeyInput.addEventListener('input', updateApiHelpVisibility);
-  }
-
-  const openRouterApiKeyInput = document.getElementById('openRouterApiKey');
-  if (openRouterApiKeyInput) {
-    openRouterApiKeyInput.addEventListener('keypress', function(e) {
-      if (e.key === 'Enter') {
-        saveAllSettings();
-      }
-    });
-    openRouterApiKeyInput.addEventListener('input', updateApiHelpVisibility);
-  }
+  });
 
   const helpButton = document.getElementById('helpBtn');
   if (helpButton) {
     helpButton.addEventListener('click', openHelp);
   }
+
+  ['modelSearch', 'modelMaxPriceFilter', 'modelMinContextFilter'].forEach(id => {
+    document.getElementById(id).addEventListener('input', renderModelBrowser);
+  });
+  ['modelPricingFilter', 'modelProviderFilter', 'modelStarredOnly'].forEach(id => {
+    document.getElementById(id).addEventListener('change', renderModelBrowser);
+  });
+
+  const resetFavoritesButton = document.getElementById('resetFavoriteModels');
+  if (resetFavoritesButton) {
+    resetFavoritesButton.addEventListener('click', resetFavoriteModels);
+  }
+
+  document.getElementById('addFallbackModel').addEventListener('click', addFallbackModel);
+  document.getElementById('addCredentialProfile').addEventListener('click', addCredentialProfile);
+  document.getElementById('setApiKeyPassphrase').addEventListener('click', setApiKeyPassphrase);
+  document.getElementById('unlockApiKeys').addEventListener('click', unlockApiKeys);
+  document.getElementById('lockApiKeys').addEventListener('click', lockApiKeys);
+  document.getElementById('exportUsageLedger').addEventListener('click', exportUsageLedger);
+  document.getElementById('clearUsageLedger').addEventListener('click', clearUsageLedger);
+
+  const openHistoryButton = document.getElementById('openGenerationHistory');
+  if (openHistoryButton) {
+    openHistoryButton.addEventListener('click', openGenerationHistory);
+  }
 }
 
 function openHelp() {
   browser.tabs.create({ url: browser.runtime.getURL('help/help.html') });
 }
+
+function openGenerationHistory() {
+  browser.tabs.create({ url: browser.runtime.getURL('history/history.html') });
+}
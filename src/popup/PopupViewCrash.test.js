@@ -50,14 +50,13 @@ describe('PopupView Crash Fixes', () => {
         models.forEach(modelId => {
           const displayName = modelId.getDisplayName();
           expect(typeof displayName).toBe('string');
-          expect(typeof modelId.isGemini).toBe('function');
-          expect(typeof modelId.isOpenRouter).toBe('function');
+          expect(typeof modelId.toJSON).toBe('function');
         });
       }).not.toThrow();
 
       // Verify functionality works
-      expect(models[0].isGemini()).toBe(true);
-      expect(models[1].isOpenRouter()).toBe(true);
+      expect(models[0].provider).toBe('Gemini');
+      expect(models[1].provider).toBe('OpenRouter');
     });
   });
 
@@ -75,7 +74,7 @@ describe('PopupView Crash Fixes', () => {
 
         isDirectGeminiModel() {
           const selectedModel = this.getSelectedModel();
-          return selectedModel ? selectedModel.isGemini() : false;
+          return selectedModel ? selectedModel.provider === 'Gemini' : false;
         }
       }
 
@@ -102,12 +101,12 @@ describe('PopupView Crash Fixes', () => {
 
         isDirectGeminiModel() {
           const selectedModel = this.getSelectedModel();
-          return selectedModel ? selectedModel.isGemini() : false;
+          return selectedModel ? selectedModel.provider === 'Gemini' : false;
         }
 
         isOpenRouterModel() {
           const selectedModel = this.getSelectedModel();
-          return selectedModel ? selectedModel.isOpenRouter() : false;
+          return selectedModel ? selectedModel.provider === 'OpenRouter' : false;
         }
       }
 
@@ -37,9 +37,19 @@ console.log('About to define PopupView class...');
 class PopupView {
   constructor() {
     this.currentVideo = null;
+    this.currentTab = null;
+    this.activeWindowId = null;
+    this.captionTracks = [];
+    this.captionChannelId = null;
     this.isProcessing = false;
     this.settings = null;
+    this.apiKeyStorageStatus = { hasPassphrase: false, unlocked: false };
     this.allModels = [];
+    this.estimateRequestCount = 0;
+    this.estimateTimer = null;
+    // A chapter list is short, the upper end of the estimate assumes the full output limit
+    this.MIN_EXPECTED_OUTPUT_TOKENS = 300;
+    this.ESTIMATE_DELAY_MS = 500;
     this.init();
   }
   async saveDraft() {
@@ -92,12 +102,30 @@ class PopupView {
     document.getElementById('viewResultsBtn').addEventListener('click', () => {
       this.viewResults();
     });
+    document.getElementById('openSidePanelBtn').addEventListener('click', () => {
+      this.openSidePanel();
+    });
     document.getElementById('dynamicApiKeyInput').addEventListener('input', () => {
       this.onSettingsChange();
     });
+    document.getElementById('credentialProfileSelect').addEventListener('change', () => {
+      this.onCredentialProfileChange();
+    });
+    document.getElementById('unlockApiKeysBtn').addEventListener('click', () => {
+      this.unlockApiKeys();
+    });
+    document.getElementById('apiKeyPassphraseInput').addEventListener('keypress', event => {
+      if (event.key === 'Enter') {
+        this.unlockApiKeys();
+      }
+    });
     document.getElementById('modelSelect').addEventListener('change', () => {
       this.updateApiKeyField();
       this.onSettingsChange();
+      this.updateGenerationEstimate();
+    });
+    document.getElementById('captionTrackSelect').addEventListener('change', () => {
+      this.onCaptionTrackChange();
     });
     const instructionsTextarea = document.getElementById('instructionsTextarea');
     instructionsTextarea.addEventListener('input', () => {
@@ -133,6 +161,7 @@ class PopupView {
       if (response && response.success) {
         this.settings = response.data;
         console.log('PopupView: Settings loaded successfully:', this.settings);
+        await this.loadApiKeyStorageStatus();
         this.applySettingsToUI();
         return;
       } else {
@@ -144,6 +173,48 @@ class PopupView {
       throw error;
     }
   }
+  async loadApiKeyStorageStatus() {
+    try {
+      const response = await browser.runtime.sendMessage({
+        action: 'getApiKeyStorageStatus'
+      });
+      if (response && response.success) {
+        this.apiKeyStorageStatus = response.data;
+      }
+    } catch (error) {
+      console.error('PopupView: Error loading API key storage status:', error);
+    }
+  }
+  isApiKeyLocked(providerId) {
+    return KeyStoragePolicy.fromSettings(this.settings || {}).isEncrypted(providerId) && !this.apiKeyStorageStatus.unlocked;
+  }
+  async unlockApiKeys() {
+    const passphraseInput = document.getElementById('apiKeyPassphraseInput');
+    try {
+      const response = await browser.runtime.sendMessage({
+        action: 'unlockApiKeys',
+        passphrase: passphraseInput.value
+      });
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'Failed to unlock API keys');
+      }
+      passphraseInput.value = '';
+      this.apiKeyStorageStatus = response.data;
+      // The keys were not part of the settings while locked
+      const settingsResponse = await browser.runtime.sendMessage({
+        action: 'loadSettings'
+      });
+      if (settingsResponse && settingsResponse.success) {
+        this.settings = settingsResponse.data;
+      }
+      this.updateApiKeyField();
+      this.updateGenerateButtonState();
+      this.updateGenerationEstimate();
+    } catch (error) {
+      console.error('PopupView: Error unlocking API keys:', error);
+      this.showNotification(getLocalizedMessage('key_storage_unlock_failed'), 'error');
+    }
+  }
   async applySettingsToUI() {
     if (!this.settings) {
       console.log('PopupView: No settings to apply');
@@ -154,17 +225,23 @@ class PopupView {
 
     // Restore selected model from settings - wait for models to load first
     let modelValue = 'deepseek/deepseek-r1-0528:free'; // fallback
+    let savedModel = null;
     if (this.settings.selectedModel) {
       // New format: ModelId JSON object
-      const savedModel = ModelId.fromJSON(this.settings.selectedModel);
+      savedModel = ModelId.fromJSON(this.settings.selectedModel);
       modelValue = savedModel.value;
     } else if (this.settings.model) {
       // Legacy format: string value
       modelValue = this.settings.model;
     }
 
-    modelSelect.value = modelValue;
+    const replacementModel = this.findReplacementForRetiredModel(savedModel, modelValue);
+    modelSelect.value = replacementModel ? replacementModel.value : modelValue;
     this.updateApiKeyField();
+    if (replacementModel) {
+      console.log('PopupView: Saved model is no longer available, switched to', replacementModel.value);
+      await this.saveSettings();
+    }
     this.restoreCustomInstructions();
     console.log('PopupView: Updating generate button state from applySettingsToUI');
     this.updateGenerateButtonState();
@@ -172,8 +249,34 @@ class PopupView {
       this.displayVideoInfo();
     }
   }
+  findReplacementForRetiredModel(savedModel, modelValue) {
+    if (!this.modelIndex || !savedModel || this.modelIndex.has(modelValue)) {
+      return null;
+    }
+    return ModelId.findReplacement(savedModel, this.allModels);
+  }
+  async loadProviders() {
+    const response = await browser.runtime.sendMessage({
+      action: 'getProviders'
+    });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'Failed to load providers');
+    }
+    this.providerDefinitions = response.data.map(definition => ProviderDefinition.fromJSON(definition));
+  }
+  getProviderDisplayName(definition) {
+    return definition.displayNameKey ? getLocalizedMessage(definition.displayNameKey) : definition.displayName;
+  }
+  getSelectedProviderDefinition() {
+    const selectedModel = this.getSelectedModel();
+    if (!selectedModel || !this.providerDefinitions) {
+      return null;
+    }
+    return this.providerDefinitions.find(definition => definition.id === selectedModel.provider) || null;
+  }
   async loadModels() {
     try {
+      await this.loadProviders();
       const response = await browser.runtime.sendMessage({
         action: 'getAllModels'
       });
@@ -205,45 +308,38 @@ class PopupView {
           providers[modelId.provider].push(modelId);
         });
 
-        if (providers.OpenRouter) {
-
-          const openRouterGroup = document.createElement('optgroup');
-          const pricingTooltip = chrome.i18n.getMessage('pricing_tooltip');
-          openRouterGroup.label = 'OpenRouter';
-          providers.OpenRouter.sort((a, b) => {
-            if (a.isFree && !b.isFree) {
-              return -1;
-            }
-            if (!a.isFree && b.isFree) {
-              return 1;
-            }
-            return a.getDisplayName().localeCompare(b.getDisplayName());
-          });
+        const pricingTooltip = chrome.i18n.getMessage('pricing_tooltip');
+        this.providerDefinitions.forEach(definition => {
+          const providerModels = providers[definition.id];
+          if (!providerModels) {
+            return;
+          }
+          const group = document.createElement('optgroup');
+          group.label = this.getProviderDisplayName(definition);
+          if (!definition.displayModelIds) {
+            providerModels.sort((a, b) => {
+              if (a.isFree && !b.isFree) {
+                return -1;
+              }
+              if (!a.isFree && b.isFree) {
+                return 1;
+              }
+              return a.getDisplayName().localeCompare(b.getDisplayName());
+            });
+          }
 
-          providers.OpenRouter.forEach((modelId, _index) => {
+          providerModels.forEach(modelId => {
             const option = document.createElement('option');
             option.value = modelId.value;
-            option.textContent = modelId.getDisplayName();
-            if (! modelId.isFree) {
+            option.textContent = definition.displayModelIds ? modelId.value : modelId.getDisplayName();
+            if (modelId.pricing && !modelId.isFree) {
               option.title = pricingTooltip;
             }
-            openRouterGroup.appendChild(option);
+            group.appendChild(option);
           });
 
-          modelSelect.appendChild(openRouterGroup);
-        }
-
-        if (providers.Gemini) {
-          const geminiGroup = document.createElement('optgroup');
-          geminiGroup.label = 'Gemini';
-          providers.Gemini.forEach(modelId => {
-            const option = document.createElement('option');
-            option.value = modelId.value;
-            option.textContent = modelId.getDisplayName();
-            geminiGroup.appendChild(option);
-          });
-          modelSelect.appendChild(geminiGroup);
-        }
+          modelSelect.appendChild(group);
+        });
       } else {
         console.error('PopupView: Failed to load models:', response);
         this.loadFallbackModels();
@@ -263,18 +359,25 @@ class PopupView {
     const apiKeyLabel = document.getElementById('apiKeyLabel');
     const apiKeyInfo = document.getElementById('apiKeyInfo');
     const apiKeyGroup = document.getElementById('apiKeyGroup');
-    if (this.isDirectGeminiModel()) {
-      apiKeyLabel.textContent = 'Gemini API Key:';
-      dynamicApiKeyInput.placeholder = 'Enter your Gemini API key';
-      dynamicApiKeyInput.value = this.settings?.apiKey || '';
-      apiKeyInfo.style.display = 'none';
-      apiKeyGroup.style.display = 'block';
-    } else if (this.isOpenRouterModel()) {
+    const definition = this.getSelectedProviderDefinition();
+    const activeProfile = this.renderCredentialProfiles(definition && definition.hasCredential() ? definition : null);
+    const locked = Boolean(definition && definition.hasCredential() && this.isApiKeyLocked(definition.id));
+    // A profile's key is edited in the options, typing here would change the default key instead
+    dynamicApiKeyInput.readOnly = !!activeProfile || locked;
+    document.getElementById('clearDynamicApiKeyBtn').disabled = !!activeProfile || locked;
+    document.getElementById('apiKeyUnlockRow').style.display = locked ? '' : 'none';
+    if (definition && !definition.hasCredential()) {
+      dynamicApiKeyInput.value = '';
+      apiKeyGroup.style.display = 'none';
+    } else if (definition) {
+      const credential = definition.credential;
       const selectedModel = this.getSelectedModel();
-      apiKeyLabel.textContent = 'OpenRouter API Key:';
-      dynamicApiKeyInput.placeholder = 'Enter your OpenRouter API key';
-      dynamicApiKeyInput.value = this.settings?.openRouterApiKey || '';
-      if (selectedModel && selectedModel.isFree) {
+      apiKeyLabel.textContent = getLocalizedMessage(credential.labelKey);
+      dynamicApiKeyInput.placeholder = credential.required
+        ? `Enter your ${definition.displayName} API key`
+        : getLocalizedMessage(credential.placeholderKey);
+      dynamicApiKeyInput.value = activeProfile ? activeProfile.apiKey : this.settings?.[credential.settingsKey] || '';
+      if (credential.required && selectedModel.isFree) {
         apiKeyInfo.innerHTML = '<small>Free model - no usage cost, but API key required for authentication</small>';
         apiKeyInfo.style.display = 'block';
       } else {
@@ -290,19 +393,64 @@ class PopupView {
       apiKeyGroup.style.display = 'block';
     }
   }
+  getCredentialProfiles(providerId) {
+    return CredentialProfile.listFromJSON(this.settings?.credentialProfiles)
+      .filter(profile => profile.providerId === providerId);
+  }
+  getActiveCredentialProfile(providerId) {
+    const activeProfileId = this.settings?.activeCredentialProfiles?.[providerId];
+    return this.getCredentialProfiles(providerId).find(profile => profile.id === activeProfileId) || null;
+  }
+  renderCredentialProfiles(definition) {
+    const profileSelect = document.getElementById('credentialProfileSelect');
+    const profiles = definition ? this.getCredentialProfiles(definition.id) : [];
+    if (profiles.length === 0) {
+      profileSelect.replaceChildren();
+      profileSelect.style.display = 'none';
+      return null;
+    }
+
+    const defaultOption = document.createElement('option');
+    defaultOption.value = '';
+    defaultOption.textContent = getLocalizedMessage('credential_profile_default_key');
+    profileSelect.replaceChildren(defaultOption, ...profiles.map(profile => {
+      const option = document.createElement('option');
+      option.value = profile.id;
+      option.textContent = profile.name;
+      return option;
+    }));
+    const activeProfile = this.getActiveCredentialProfile(definition.id);
+    profileSelect.value = activeProfile ? activeProfile.id : '';
+    profileSelect.style.display = 'block';
+    return activeProfile;
+  }
+  onCredentialProfileChange() {
+    const definition = this.getSelectedProviderDefinition();
+    if (!definition) {
+      return;
+    }
+    const profileId = document.getElementById('credentialProfileSelect').value;
+    const { [definition.id]: _, ...activeCredentialProfiles } = this.settings?.activeCredentialProfiles || {};
+    if (profileId) {
+      activeCredentialProfiles[definition.id] = profileId;
+    }
+    this.settings = { ...this.settings, activeCredentialProfiles };
+
+    const activeProfile = this.getActiveCredentialProfile(definition.id);
+    const defaultModelId = activeProfile ? activeProfile.getDefaultModelId() : null;
+    const availableModel = defaultModelId && this.modelIndex ? this.modelIndex.get(defaultModelId.value) : null;
+    if (availableModel && availableModel.provider === defaultModelId.provider) {
+      document.getElementById('modelSelect').value = availableModel.value;
+    }
+    this.updateApiKeyField();
+    this.onSettingsChange();
+    this.updateGenerationEstimate();
+  }
   getSelectedModel() {
     const modelSelect = document.getElementById('modelSelect');
     const selectedValue = modelSelect.value;
     return this.modelIndex ? this.modelIndex.get(selectedValue) : null;
   }
-  isOpenRouterModel() {
-    const selectedModel = this.getSelectedModel();
-    return selectedModel ? selectedModel.isOpenRouter() : false;
-  }
-  isDirectGeminiModel() {
-    const selectedModel = this.getSelectedModel();
-    return selectedModel ? selectedModel.isGemini() : false;
-  }
   async restoreCustomInstructions() {
     try {
       const response = await browser.runtime.sendMessage({
@@ -335,6 +483,7 @@ class PopupView {
         this.showNoVideoMessage(getLocalizedMessage('no_active_tab_found'));
         return;
       }
+      this.activeWindowId = tab.windowId;
       if (!tab.url) {
         console.log('PopupView: Tab has no URL');
         this.showNoVideoMessage(getLocalizedMessage('tab_has_no_url'));
@@ -401,63 +550,171 @@ class PopupView {
         return;
       }
       console.log('PopupView: YouTube video page detected, trying transcript extraction...');
+      this.currentTab = tab;
       this.showLoadingMessage();
-      try {
-        console.log('PopupView: Trying working transcript extraction method...');
-        const transcriptResponse = await browser.tabs.sendMessage(tab.id, {
-          action: 'copyTranscript'
+      const trackId = await this.loadCaptionTracks(tab);
+      await this.extractTranscript(tab, trackId);
+    } catch (error) {
+      console.error('PopupView: Error in loadCurrentVideo:', error);
+      this.showNoVideoMessage(getLocalizedMessage('error') + ': ' + error.message);
+    }
+  }
+  async extractTranscript(tab, trackId = null) {
+    try {
+      console.log('PopupView: Trying working transcript extraction method...');
+      const transcriptResponse = await browser.tabs.sendMessage(tab.id, {
+        action: 'copyTranscript',
+        trackId
+      });
+      if (transcriptResponse && transcriptResponse.status === 'success' && transcriptResponse.transcript) {
+        console.log('PopupView: ✅ Working transcript extraction successful!');
+        console.log('PopupView: Title:', transcriptResponse.title);
+        console.log('PopupView: Transcript length:', transcriptResponse.transcript.length);
+
+        const videoTranscript = new VideoTranscript(
+          transcriptResponse.transcript,
+          transcriptResponse.title,
+          transcriptResponse.author || 'YouTube Video',
+          transcriptResponse.url || tab.url,
+          transcriptResponse.language,
+          transcriptResponse.trackName,
+          transcriptResponse.isAutoGenerated || false
+        );
+
+        this.currentVideo = {
+          title: videoTranscript.title,
+          author: videoTranscript.author,
+          url: videoTranscript.videoUrl.toString(),
+          processedContent: videoTranscript.toProcessedContent(),
+          tabId: tab.id,
+          videoTranscript // Store the entity
+        };
+
+        console.log('PopupView: ✅ currentVideo set with VideoTranscript entity:', {
+          title: this.currentVideo.title,
+          author: this.currentVideo.author,
+          url: this.currentVideo.url,
+          wordCount: videoTranscript.getWordCount(),
+          hasProcessedContent: !!this.currentVideo.processedContent
         });
-        if (transcriptResponse && transcriptResponse.status === 'success' && transcriptResponse.transcript) {
-          console.log('PopupView: ✅ Working transcript extraction successful!');
-          console.log('PopupView: Title:', transcriptResponse.title);
-          console.log('PopupView: Transcript length:', transcriptResponse.transcript.length);
-
-          const videoTranscript = new VideoTranscript(
-            transcriptResponse.transcript,
-            transcriptResponse.title,
-            transcriptResponse.author || 'YouTube Video',
-            transcriptResponse.url || tab.url,
-            transcriptResponse.language,
-            transcriptResponse.trackName,
-            transcriptResponse.isAutoGenerated || false
-          );
-
-          this.currentVideo = {
-            title: videoTranscript.title,
-            author: videoTranscript.author,
-            url: videoTranscript.videoUrl.toString(),
-            processedContent: videoTranscript.toProcessedContent(),
-            tabId: tab.id,
-            videoTranscript // Store the entity
-          };
-
-          console.log('PopupView: ✅ currentVideo set with VideoTranscript entity:', {
-            title: this.currentVideo.title,
-            author: this.currentVideo.author,
-            url: this.currentVideo.url,
-            wordCount: videoTranscript.getWordCount(),
-            hasProcessedContent: !!this.currentVideo.processedContent
-          });
-          this.displayVideoInfo();
-          return;
-        } else {
-          console.log('PopupView: Working transcript extraction failed:', transcriptResponse);
-          console.log('PopupView: Response status:', transcriptResponse?.status);
-          console.log('PopupView: Response message:', transcriptResponse?.message);
-          const errorMessage = transcriptResponse?.message || 'Transcript extraction failed';
-          this.showNoVideoMessage(getLocalizedMessage('transcript_extraction_failed') + ': ' + errorMessage);
-          return;
-        }
-      } catch (transcriptError) {
-        console.log('PopupView: Transcript extraction error:', transcriptError);
-        this.showNoVideoMessage(getLocalizedMessage('error_extracting_transcript') + ': ' + transcriptError.message);
+        this.displayVideoInfo();
+        return;
+      } else {
+        console.log('PopupView: Working transcript extraction failed:', transcriptResponse);
+        console.log('PopupView: Response status:', transcriptResponse?.status);
+        console.log('PopupView: Response message:', transcriptResponse?.message);
+        const errorMessage = transcriptResponse?.message || 'Transcript extraction failed';
+        this.showNoVideoMessage(getLocalizedMessage('transcript_extraction_failed') + ': ' + errorMessage);
         return;
       }
+    } catch (transcriptError) {
+      console.log('PopupView: Transcript extraction error:', transcriptError);
+      this.showNoVideoMessage(getLocalizedMessage('error_extracting_transcript') + ': ' + transcriptError.message);
+      return;
+    }
+  }
+  async loadCaptionTracks(tab, chosenTrackId = null) {
+    this.captionTracks = [];
+    this.captionChannelId = null;
+    try {
+      const response = await browser.tabs.sendMessage(tab.id, { action: 'getCaptionTracks', trackId: chosenTrackId });
+      if (!response || response.status !== 'success' || !Array.isArray(response.tracks) || response.tracks.length === 0) {
+        console.log('PopupView: No caption tracks listed:', response?.message);
+        this.renderCaptionTracks(null);
+        return null;
+      }
+
+      this.captionTracks = response.tracks;
+      this.captionChannelId = response.channelId;
+
+      let selectedTrackId = chosenTrackId;
+      if (!selectedTrackId) {
+        const preference = await this.loadCaptionTrackPreference(response.channelId);
+        const preferredTrack = preference ? preference.findMatchingTrack(response.tracks) : null;
+        selectedTrackId = preferredTrack ? preferredTrack.id : response.defaultTrackId;
+      }
+
+      this.renderCaptionTracks(selectedTrackId);
+      return selectedTrackId;
     } catch (error) {
-      console.error('PopupView: Error in loadCurrentVideo:', error);
-      this.showNoVideoMessage(getLocalizedMessage('error') + ': ' + error.message);
+      console.log('PopupView: Could not list caption tracks:', error);
+      this.renderCaptionTracks(null);
+      return null;
     }
   }
+  async loadCaptionTrackPreference(channelId) {
+    if (!channelId) {
+      return null;
+    }
+    const response = await browser.runtime.sendMessage({
+      action: 'getCaptionTrackPreference',
+      channelId
+    });
+    return response && response.success ? CaptionTrackPreference.fromJSON(response.data) : null;
+  }
+  renderCaptionTracks(selectedTrackId) {
+    const group = document.getElementById('captionTrackGroup');
+    const select = document.getElementById('captionTrackSelect');
+    if (!group || !select) {
+      return;
+    }
+
+    select.textContent = '';
+    if (!this.captionTracks.length) {
+      group.style.display = 'none';
+      return;
+    }
+
+    const groups = [
+      { label: getLocalizedMessage('caption_tracks_manual'), tracks: this.captionTracks.filter(track => !track.isTranslation && !track.isAutoGenerated) },
+      { label: getLocalizedMessage('caption_tracks_auto_generated'), tracks: this.captionTracks.filter(track => !track.isTranslation && track.isAutoGenerated) },
+      { label: getLocalizedMessage('caption_tracks_translated'), tracks: this.captionTracks.filter(track => track.isTranslation) }
+    ];
+
+    groups.filter(trackGroup => trackGroup.tracks.length > 0).forEach(trackGroup => {
+      const optgroup = document.createElement('optgroup');
+      optgroup.label = trackGroup.label;
+      trackGroup.tracks.forEach(track => {
+        const option = document.createElement('option');
+        option.value = track.id;
+        option.textContent = track.isTranslation
+          ? getLocalizedMessage('caption_track_translated_from', [track.name, track.sourceTrackName])
+          : track.name;
+        option.selected = track.id === selectedTrackId;
+        optgroup.appendChild(option);
+      });
+      select.appendChild(optgroup);
+    });
+
+    group.style.display = 'block';
+  }
+  async onCaptionTrackChange() {
+    const select = document.getElementById('captionTrackSelect');
+    const track = this.captionTracks.find(candidate => candidate.id === select.value);
+    if (!track || !this.currentTab) {
+      return;
+    }
+
+    if (this.captionChannelId) {
+      try {
+        await browser.runtime.sendMessage({
+          action: 'saveCaptionTrackPreference',
+          channelId: this.captionChannelId,
+          preference: CaptionTrackPreference.fromTrack(track).toJSON()
+        });
+      } catch (error) {
+        console.log('PopupView: Could not remember caption track:', error);
+      }
+    }
+
+    if (!track.isTranslation) {
+      // The translated tracks on offer are those of the selected track
+      await this.loadCaptionTracks(this.currentTab, track.id);
+    }
+    this.currentVideo = null;
+    this.showLoadingMessage();
+    await this.extractTranscript(this.currentTab, track.id);
+  }
   showLoadingMessage() {
     const videoMetaLine = document.getElementById('videoMetaLine');
     if (videoMetaLine) {
@@ -503,25 +760,25 @@ class PopupView {
     }
     const dynamicApiKey = document.getElementById('dynamicApiKeyInput').value.trim();
     const customInstructions = document.getElementById('instructionsTextarea').value.trim();
-    let apiKey = '';
-    if (this.isDirectGeminiModel()) {
-      apiKey = dynamicApiKey;
-      if (!apiKey) {
-        this.showNotification(getLocalizedMessage('gemini_api_key_required'), 'error');
-        return;
-      }
-    } else if (this.isOpenRouterModel()) {
-      apiKey = dynamicApiKey;
-      if (!apiKey) {
-        this.showNotification(getLocalizedMessage('openrouter_api_key_required'), 'error');
-        return;
-      }
+    const definition = this.getSelectedProviderDefinition();
+    const apiKey = definition && definition.hasCredential() ? dynamicApiKey : '';
+    if (definition && definition.hasCredential() && !apiKey && this.isApiKeyLocked(definition.id)) {
+      this.showNotification(getLocalizedMessage('key_storage_locked_notice'), 'error');
+      return;
+    }
+    if (definition && definition.requiresApiKey() && !apiKey) {
+      this.showNotification(getLocalizedMessage(definition.credential.requiredMessageKey), 'error');
+      return;
     }
     if (!this.currentVideo) {
       console.log('PopupView: No video detected for chapter generation');
       this.showNotification(getLocalizedMessage('no_video_detected'), 'error');
       return;
     }
+    const budgetDecision = await this.confirmWithinBudget(customInstructions);
+    if (!budgetDecision.proceed) {
+      return;
+    }
     try {
       if (customInstructions && window.instructionHistory) {
         const instructionNameInput = document.getElementById('instructionNameInput');
@@ -596,7 +853,8 @@ class PopupView {
         apiKey,
         modelId: this.getSelectedModel(),
         resultId,
-        newResultId
+        newResultId,
+        budgetConfirmed: budgetDecision.confirmed
       });
 
       const [tab] = await browser.tabs.query({
@@ -635,6 +893,44 @@ class PopupView {
       this.showNotification('Error: ' + error.message, 'error');
     }
   }
+  // The background starts generations beyond the budget only when the request says the user confirmed them
+  async confirmWithinBudget(customInstructions) {
+    const selectedModel = this.getSelectedModel();
+    if (!selectedModel || !this.currentVideo.processedContent) {
+      return { proceed: true, confirmed: false };
+    }
+    let budgetCheck;
+    try {
+      const response = await browser.runtime.sendMessage({
+        action: 'checkBudget',
+        processedContent: this.currentVideo.processedContent,
+        customInstructions,
+        modelId: selectedModel.toJSON()
+      });
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'Failed to check budget');
+      }
+      budgetCheck = response.data;
+    } catch (error) {
+      // Budgets are checked again when the generation starts
+      console.error('PopupView: Error checking budget:', error);
+      return { proceed: true, confirmed: false };
+    }
+    if (budgetCheck.exceededLimits.length === 0) {
+      return { proceed: true, confirmed: false };
+    }
+
+    const details = budgetCheck.exceededLimits.map(({ period, limit, spent }) => getLocalizedMessage(
+      period === 'daily' ? 'usage_spent_today' : 'usage_spent_this_month',
+      [`${TokenPricing.formatCost(spent)} / ${TokenPricing.formatCost(limit)}`]
+    )).join(', ');
+    if (budgetCheck.blocks) {
+      this.showNotification(getLocalizedMessage('budget_exceeded_blocked', [details]), 'error');
+      return { proceed: false, confirmed: false };
+    }
+    const confirmed = confirm(getLocalizedMessage('budget_exceeded_confirm', [details]));
+    return { proceed: confirmed, confirmed };
+  }
   async sendMessageToTab(message) {
     if (!this.currentVideo || !this.currentVideo.tabId) {
       throw new Error('No active tab');
@@ -704,22 +1000,32 @@ class PopupView {
     }
     window.close();
   }
+  canOpenSidePanel() {
+    const chromeSidePanel = typeof chrome !== 'undefined' && chrome.sidePanel;
+    return Boolean((chromeSidePanel && chromeSidePanel.open) || (browser.sidebarAction && browser.sidebarAction.open));
+  }
+
+  // Both browsers open panels only while handling the click, so nothing may be awaited before
+  openSidePanel() {
+    const chromeSidePanel = typeof chrome !== 'undefined' && chrome.sidePanel;
+    const opening = chromeSidePanel && chromeSidePanel.open
+      ? chromeSidePanel.open({ windowId: this.activeWindowId })
+      : browser.sidebarAction.open();
+    Promise.resolve(opening).then(() => window.close(), error => {
+      console.error('Error opening side panel:', error);
+      this.showNotification(getLocalizedMessage('side_panel_open_failed'), 'error');
+    });
+  }
+
   async clearDynamicApiKey() {
     try {
       document.getElementById('dynamicApiKeyInput').value = '';
       await this.saveSettings();
-      if (this.isDirectGeminiModel()) {
-        this.showNotification(getLocalizedMessage('api_key_cleared_gemini'), 'success');
-      } else if (this.isOpenRouterModel()) {
-        const selectedModel = this.getSelectedModel();
-        if (selectedModel && !selectedModel.isFree) {
-          this.showNotification(getLocalizedMessage('api_key_cleared_openrouter'), 'success');
-        } else {
-          this.showNotification(getLocalizedMessage('api_key_cleared'), 'success');
-        }
-      } else {
-        this.showNotification(getLocalizedMessage('api_key_cleared'), 'success');
-      }
+      const definition = this.getSelectedProviderDefinition();
+      const clearedMessageKey = definition && definition.requiresApiKey(this.getSelectedModel())
+        ? definition.credential.clearedMessageKey
+        : null;
+      this.showNotification(getLocalizedMessage(clearedMessageKey || 'api_key_cleared'), 'success');
     } catch (error) {
       console.error('Error clearing API key:', error);
       this.showNotification(getLocalizedMessage('error_clearing_api_key'), 'error');
@@ -739,6 +1045,71 @@ class PopupView {
     if (window.instructionHistory) {
       window.instructionHistory.onInstructionsChange();
     }
+    this.scheduleGenerationEstimate();
+  }
+  scheduleGenerationEstimate() {
+    clearTimeout(this.estimateTimer);
+    this.estimateTimer = setTimeout(() => this.updateGenerationEstimate(), this.ESTIMATE_DELAY_MS);
+  }
+  async updateGenerationEstimate() {
+    const estimateSection = document.getElementById('generationEstimate');
+    const selectedModel = this.getSelectedModel();
+    const processedContent = this.currentVideo?.processedContent;
+    const requestNumber = ++this.estimateRequestCount;
+    if (!selectedModel || !processedContent) {
+      estimateSection.style.display = 'none';
+      return;
+    }
+    try {
+      const response = await browser.runtime.sendMessage({
+        action: 'estimateGeneration',
+        processedContent,
+        customInstructions: document.getElementById('instructionsTextarea').value.trim(),
+        modelId: selectedModel.toJSON()
+      });
+      // The model or the instructions may have changed while the estimate was computed
+      if (requestNumber !== this.estimateRequestCount) {
+        return;
+      }
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'Failed to estimate generation');
+      }
+      this.renderGenerationEstimate(response.data, selectedModel);
+    } catch (error) {
+      console.error('PopupView: Error estimating generation:', error);
+      estimateSection.style.display = 'none';
+    }
+  }
+  renderGenerationEstimate(estimate, selectedModel) {
+    const videoTranscript = this.currentVideo.videoTranscript;
+    const characterCount = videoTranscript ? videoTranscript.getCharacterCount() : this.currentVideo.processedContent.length;
+    document.getElementById('estimateTokens').textContent = getLocalizedMessage('estimate_transcript_size', [
+      characterCount.toLocaleString(),
+      estimate.inputTokens.toLocaleString()
+    ]);
+    document.getElementById('estimateCost').textContent = this.formatEstimatedCost(estimate, selectedModel);
+
+    const warning = document.getElementById('estimateWarning');
+    if (estimate.exceedsContextWindow) {
+      warning.textContent = getLocalizedMessage('estimate_exceeds_context_window', [estimate.contextWindow.toLocaleString()]);
+      warning.style.display = 'block';
+    } else {
+      warning.style.display = 'none';
+    }
+    document.getElementById('generationEstimate').style.display = 'block';
+  }
+  formatEstimatedCost(estimate, selectedModel) {
+    const pricing = TokenPricing.fromModel(selectedModel);
+    if (pricing.isFree()) {
+      return getLocalizedMessage('estimate_cost_free');
+    }
+    const range = pricing.estimateCostRange(estimate.inputTokens, this.MIN_EXPECTED_OUTPUT_TOKENS, estimate.maxOutputTokens);
+    if (!range) {
+      return getLocalizedMessage('estimate_cost_unknown');
+    }
+    const minCost = TokenPricing.formatCost(range.min);
+    const maxCost = TokenPricing.formatCost(range.max);
+    return getLocalizedMessage('estimate_cost', [minCost === maxCost ? minCost : `${minCost} – ${maxCost}`]);
   }
 
   onInstructionNameChange() {
@@ -796,20 +1167,15 @@ class PopupView {
     console.log('PopupView: Dynamic API key present:', !!dynamicApiKey);
     console.log('PopupView: isProcessing:', this.isProcessing);
     console.log('PopupView: currentVideo present:', !!this.currentVideo);
+    const definition = this.getSelectedProviderDefinition();
     let canUseModel = false;
     let reasonDisabled = '';
-    if (this.isDirectGeminiModel()) {
-      canUseModel = !!dynamicApiKey;
-      if (!canUseModel) {
-        reasonDisabled = getLocalizedMessage('gemini_api_key_required');
-      }
-    } else if (this.isOpenRouterModel()) {
-      canUseModel = !!dynamicApiKey;
+    if (definition) {
+      canUseModel = !definition.requiresApiKey() || !!dynamicApiKey;
       if (!canUseModel) {
-        reasonDisabled = getLocalizedMessage('openrouter_api_key_required');
+        reasonDisabled = getLocalizedMessage(this.isApiKeyLocked(definition.id) ? 'key_storage_locked_notice' : definition.credential.requiredMessageKey);
       }
     } else {
-      canUseModel = false;
       reasonDisabled = 'Please select a model';
     }
     const shouldEnable = canUseModel && !this.isProcessing && this.currentVideo;
@@ -836,10 +1202,10 @@ class PopupView {
         selectedModel: selectedModelId ? selectedModelId.toJSON() : null,
         model: selectedModelId ? selectedModelId.value : 'deepseek/deepseek-r1-0528:free' // Legacy compatibility
       };
-      if (this.isDirectGeminiModel()) {
-        settings.apiKey = dynamicApiKey;
-      } else if (this.isOpenRouterModel()) {
-        settings.openRouterApiKey = dynamicApiKey;
+      const definition = this.getSelectedProviderDefinition();
+      // The field shows the key of the selected profile, which must not replace the default key
+      if (definition && definition.hasCredential() && !this.getActiveCredentialProfile(definition.id)) {
+        settings[definition.credential.settingsKey] = dynamicApiKey;
       }
       const response = await browser.runtime.sendMessage({
         action: 'saveSettings',
@@ -855,6 +1221,8 @@ class PopupView {
   }
   async updateUI() {
     this.updateGenerateButtonState();
+    document.getElementById('openSidePanelBtn').style.display = this.canOpenSidePanel() && this.activeWindowId !== null ? 'inline-block' : 'none';
+    this.updateGenerationEstimate();
     try {
       const currentVideoTabId = this.currentVideo?.tabId || null;
       const response = await browser.runtime.sendMessage({
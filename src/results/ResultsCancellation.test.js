@@ -0,0 +1,212 @@
+/**
+ * Results Cancellation Tests
+ * Verifies that the results page can stop a running generation and re-run it with another model
+ */
+
+const { createResultsElements, installResultsDocument, loadResultsView } = require('./resultsDom.test-helper');
+
+// Basic localized message helper
+global.getLocalizedMessage = (key, substitutions = []) => [key, ...substitutions].join(' ').trim();
+
+let elements;
+let generationStatus;
+let cancelResponse;
+let budgetResponse;
+
+const sessionResults = {
+  resultId: 'r1',
+  processedContent: { content: '(0:00) Hello\n(10:00) Bye' },
+  chapters: 'https://youtu.be/x',
+  timestamp: Date.now(),
+  model: { value: 'deepseek/deepseek-r1-0528:free', provider: 'OpenRouter', pricing: 'free' },
+  customInstructions: 'Short titles',
+  videoMetadata: { title: 'T', author: 'A', url: 'https://youtu.be/x' },
+  status: 'pending', error: null, inputTokens: 0, outputTokens: 0
+};
+
+const availableModels = [
+  { value: 'deepseek/deepseek-r1-0528:free', provider: 'OpenRouter', pricing: 'free' },
+  { value: 'gemini-2.5-flash', provider: 'Gemini', pricing: null }
+];
+
+const flushPromises = () => new Promise((r) => setTimeout(r, 0));
+
+beforeEach(() => {
+  generationStatus = 'pending';
+  cancelResponse = { success: true, status: 'cancelled' };
+  budgetResponse = { success: true, data: { exceededLimits: [], blocks: false } };
+  global.confirm = jest.fn(() => true);
+
+  elements = createResultsElements({
+    stopGenerationBtn: { disabled: false, addEventListener: jest.fn() },
+    rerunSection: { style: { display: 'none' } },
+    rerunMessage: { textContent: '' },
+    rerunModelSelect: { value: '', textContent: '', appendChild: jest.fn() },
+    rerunGenerationBtn: { disabled: false, addEventListener: jest.fn() },
+    chaptersHtml: { tagName: 'DIV', textContent: '00:00 - Partial', appendChild: jest.fn() }
+  });
+  installResultsDocument(elements);
+
+  global.browser = {
+    runtime: {
+      sendMessage: jest.fn(async (payload) => {
+        if (payload.action === 'getGenerationStatus') {
+          return { success: true, status: generationStatus, progress: null };
+        }
+        if (payload.action === 'getSessionResults') {
+          return { success: true, results: { ...sessionResults, status: generationStatus } };
+        }
+        if (payload.action === 'cancelGeneration') {
+          return cancelResponse;
+        }
+        if (payload.action === 'checkBudget') {
+          return budgetResponse;
+        }
+        if (payload.action === 'getAllModels') {
+          return { success: true, data: availableModels };
+        }
+        return { success: true };
+      }),
+      onMessage: { addListener: jest.fn() }
+    },
+    tabs: { getCurrent: jest.fn(async () => ({ id: 99 })), create: jest.fn(), query: jest.fn() }
+  };
+
+  global.chrome = { i18n: { getMessage: jest.fn((k) => k) } };
+});
+
+loadResultsView();
+
+describe('ResultsView cancellation', () => {
+  test('stops a running generation and offers a re-run', async () => {
+    const view = new global.ResultsView('r1');
+    await flushPromises();
+
+    await view.cancelGeneration();
+    await flushPromises();
+
+    expect(browser.runtime.sendMessage).toHaveBeenCalledWith({ action: 'cancelGeneration', resultId: 'r1' });
+    expect(view.status).toBe('cancelled');
+    expect(elements.progressSection.style.display).toBe('none');
+    expect(elements.rerunSection.style.display).toBe('');
+    expect(elements.statusText.textContent).toBe('generation_cancelled');
+    expect(elements.chaptersHtml.textContent).toBe('');
+    expect(elements.rerunModelSelect.value).toBe('deepseek/deepseek-r1-0528:free');
+  });
+
+  test('keeps the generation running when cancelling fails', async () => {
+    cancelResponse = { success: false, error: 'Cannot cancel generation with status: completed' };
+    const view = new global.ResultsView('r1');
+    await flushPromises();
+
+    await view.cancelGeneration();
+
+    expect(view.status).toBe('pending');
+    expect(elements.stopGenerationBtn.disabled).toBe(false);
+    expect(elements.rerunSection.style.display).toBe('none');
+    view.hideProgress();
+  });
+
+  test('leaves a generation alone that finished before it was cancelled', async () => {
+    cancelResponse = { success: true, status: 'done' };
+    const view = new global.ResultsView('r1');
+    await flushPromises();
+
+    await view.cancelGeneration();
+
+    expect(view.status).toBe('pending');
+    expect(elements.rerunSection.style.display).toBe('none');
+    expect(elements.statusText.textContent).not.toBe('generation_cancelled');
+    view.hideProgress();
+  });
+
+  test('shows the re-run offer when opening a cancelled session', async () => {
+    generationStatus = 'cancelled';
+    const view = new global.ResultsView('r1');
+    await flushPromises();
+    await flushPromises();
+
+    expect(view.status).toBe('cancelled');
+    expect(elements.rerunSection.style.display).toBe('');
+    expect(elements.rerunMessage.textContent).toBe('generation_cancelled_message');
+    expect(view.rerunModels.has('gemini-2.5-flash')).toBe(true);
+  });
+
+  test('offers a retry when the generation failed', async () => {
+    generationStatus = 'error';
+    sessionResults.error = 'Generation was interrupted because the extension restarted';
+    const view = new global.ResultsView('r1');
+    await flushPromises();
+    await flushPromises();
+    delete sessionResults.error;
+
+    expect(view.status).toBe('error');
+    expect(elements.statusText.textContent).toBe('generation_failed');
+    expect(elements.rerunSection.style.display).toBe('');
+    expect(elements.rerunMessage.textContent).toBe('generation_failed_rerun_message');
+    expect(view.rerunModels.has('gemini-2.5-flash')).toBe(true);
+  });
+
+  test('re-runs the generation in place with the selected model', async () => {
+    generationStatus = 'cancelled';
+    const view = new global.ResultsView('r1');
+    await flushPromises();
+    await flushPromises();
+
+    generationStatus = 'pending';
+    elements.rerunModelSelect.value = 'gemini-2.5-flash';
+    await view.rerunGeneration();
+
+    const generateCall = browser.runtime.sendMessage.mock.calls
+      .map(call => call[0])
+      .find(payload => payload.action === 'generateChapters');
+    expect(generateCall.resultId).toBe('r1');
+    expect(generateCall.newResultId).toBe('r1');
+    expect(generateCall.customInstructions).toBe('Short titles');
+    expect(generateCall.modelId.value).toBe('gemini-2.5-flash');
+    expect(generateCall.budgetConfirmed).toBe(false);
+    expect(confirm).not.toHaveBeenCalled();
+    expect(view.status).toBe('pending');
+    expect(elements.rerunSection.style.display).toBe('none');
+    expect(elements.progressSection.style.display).toBe('block');
+    await flushPromises();
+    view.hideProgress();
+  });
+
+  test('asks before re-running beyond the usage budget', async () => {
+    generationStatus = 'cancelled';
+    budgetResponse = { success: true, data: { exceededLimits: [{ period: 'daily', limit: 1, spent: 1.5 }], blocks: false } };
+    const view = new global.ResultsView('r1');
+    await flushPromises();
+    await flushPromises();
+
+    generationStatus = 'pending';
+    elements.rerunModelSelect.value = 'gemini-2.5-flash';
+    await view.rerunGeneration();
+
+    expect(confirm).toHaveBeenCalledTimes(1);
+    const generateCall = browser.runtime.sendMessage.mock.calls
+      .map(call => call[0])
+      .find(payload => payload.action === 'generateChapters');
+    expect(generateCall.budgetConfirmed).toBe(true);
+    await flushPromises();
+    view.hideProgress();
+  });
+
+  test('does not re-run when the user declines the budget warning', async () => {
+    generationStatus = 'cancelled';
+    budgetResponse = { success: true, data: { exceededLimits: [{ period: 'monthly', limit: 10, spent: 12 }], blocks: false } };
+    global.confirm = jest.fn(() => false);
+    const view = new global.ResultsView('r1');
+    await flushPromises();
+    await flushPromises();
+
+    elements.rerunModelSelect.value = 'gemini-2.5-flash';
+    await view.rerunGeneration();
+
+    const actions = browser.runtime.sendMessage.mock.calls.map(call => call[0].action);
+    expect(actions).not.toContain('generateChapters');
+    expect(view.status).toBe('cancelled');
+    expect(elements.rerunSection.style.display).toBe('');
+  });
+});
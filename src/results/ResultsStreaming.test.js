@@ -0,0 +1,118 @@
+/**
+ * Results Streaming Tests
+ * Verifies that streamed chapter and chat output reaches the results page over the background port
+ */
+
+const { createResultsElements, installResultsDocument, loadResultsView } = require('./resultsDom.test-helper');
+
+// Basic localized message helper
+global.getLocalizedMessage = (key, substitutions = []) => [key, ...substitutions].join(' ').trim();
+
+let elements;
+let port;
+
+const pendingResults = {
+  resultId: 'r1',
+  processedContent: { content: '(0:00) Hello\n(10:00) Bye' },
+  chapters: 'https://youtu.be/x',
+  timestamp: Date.now(),
+  model: { value: 'deepseek/deepseek-r1-0528:free', provider: 'OpenRouter', pricing: 'free' },
+  customInstructions: '',
+  videoMetadata: { title: 'T', author: 'A', url: 'https://youtu.be/x' },
+  status: 'pending', error: null, inputTokens: 0, outputTokens: 0
+};
+
+beforeEach(() => {
+  elements = createResultsElements();
+  installResultsDocument(elements);
+
+  port = {
+    listener: null,
+    postMessage: jest.fn(),
+    disconnect: jest.fn(),
+    onMessage: {
+      addListener: jest.fn(listener => {
+        port.listener = listener;
+      })
+    },
+    onDisconnect: { addListener: jest.fn() }
+  };
+
+  global.browser = {
+    runtime: {
+      connect: jest.fn(() => port),
+      sendMessage: jest.fn(async (payload) => {
+        if (payload.action === 'getGenerationStatus') {
+          return { success: true, status: 'pending', progress: null };
+        }
+        if (payload.action === 'getSessionResults') {
+          return { success: true, results: pendingResults };
+        }
+        return { success: true };
+      }),
+      onMessage: { addListener: jest.fn() }
+    },
+    tabs: { getCurrent: jest.fn(async () => ({ id: 99 })), create: jest.fn(), query: jest.fn() }
+  };
+
+  global.chrome = { i18n: { getMessage: jest.fn((k) => k) } };
+});
+
+loadResultsView();
+
+describe('ResultsView streaming', () => {
+  test('subscribes to the generation stream of its result', async () => {
+    const view = new global.ResultsView('r1');
+    await new Promise((r) => setTimeout(r, 0));
+
+    expect(browser.runtime.connect).toHaveBeenCalledWith({ name: 'generationStream' });
+    expect(port.postMessage).toHaveBeenCalledWith({ type: 'subscribe', resultId: 'r1' });
+    view.hideProgress();
+  });
+
+  test('renders partial chapters with real progress while pending', async () => {
+    const view = new global.ResultsView('r1');
+    await new Promise((r) => setTimeout(r, 0));
+
+    port.listener({ type: 'chapterDelta', text: '00:00 - Intro\n05:00 - Mid', progress: { percent: 60, message: 'Receiving chapters...' } });
+
+    expect(elements.chaptersHtml.textContent).toBe('00:00 - Intro\n05:00 - Mid');
+    expect(elements.progressFill.style.width).toBe('60%');
+    expect(elements.progressMessage.textContent).toBe('progress_receiving_chapters');
+    view.hideProgress();
+  });
+
+  test('shows chunk progress for long transcripts', async () => {
+    const view = new global.ResultsView('r1');
+    await new Promise((r) => setTimeout(r, 0));
+
+    port.listener({ type: 'chapterDelta', text: '', progress: { percent: 90, message: '', completedChunks: 3, totalChunks: 3 } });
+
+    expect(elements.progressMessage.textContent).toBe('progress_consolidating_chapters 3');
+    view.hideProgress();
+  });
+
+  test('keeps the streamed chat reply until the final response arrives', async () => {
+    const view = new global.ResultsView('r1');
+    await new Promise((r) => setTimeout(r, 0));
+    view.renderChatMessages = jest.fn();
+
+    port.listener({ type: 'chatDelta', text: 'Partial answer' });
+
+    expect(view.streamingChatReply).toBe('Partial answer');
+    expect(view.renderChatMessages).toHaveBeenCalled();
+    view.hideProgress();
+  });
+
+  test('stops streaming, polling and shortcuts once the side panel replaces it', async () => {
+    const view = new global.ResultsView('r1');
+    await view.ready;
+
+    view.destroy();
+
+    expect(port.disconnect).toHaveBeenCalled();
+    expect(view.streamPort).toBeNull();
+    expect(view.pollingTimeout).toBeNull();
+    expect(document.removeEventListener).toHaveBeenCalledWith('keydown', view.shortcutListener);
+  });
+});
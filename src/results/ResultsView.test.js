@@ -180,3 +180,104 @@ describe('ResultsView clipboard functionality', () => {
     });
   });
 });
+
+describe('ResultsView chapter warnings', () => {
+  let resultsView;
+  let warnings;
+  let warningsList;
+  let fixButton;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    warnings = { style: {} };
+    warningsList = { textContent: '', appendChild: jest.fn() };
+    fixButton = { style: {}, disabled: true };
+
+    document.getElementById.mockImplementation((id) => {
+      if (id === 'chapterWarnings') {
+        return warnings;
+      }
+      if (id === 'chapterWarningsList') {
+        return warningsList;
+      }
+      if (id === 'fixChaptersBtn') {
+        return fixButton;
+      }
+      return null;
+    });
+
+    resultsView = new Object();
+    resultsView.updateChapterWarnings = ResultsView.prototype.updateChapterWarnings.bind(resultsView);
+  });
+
+  test('should hide warnings when chapters follow YouTube rules', () => {
+    resultsView.results = { validationIssues: [] };
+
+    resultsView.updateChapterWarnings();
+
+    expect(warnings.style.display).toBe('none');
+    expect(warningsList.appendChild).not.toHaveBeenCalled();
+  });
+
+  test('should list localized issues and offer the automatic fix', () => {
+    resultsView.results = {
+      validationIssues: [{ type: 'too_short', chapterIndex: 1, timecode: '00:05', title: 'Teaser' }]
+    };
+
+    resultsView.updateChapterWarnings();
+
+    expect(warnings.style.display).toBe('block');
+    expect(getLocalizedMessage).toHaveBeenCalledWith('chapter_issue_too_short', ['00:05', 'Teaser']);
+    expect(warningsList.appendChild).toHaveBeenCalledTimes(1);
+    expect(fixButton.style.display).toBe('');
+    expect(fixButton.disabled).toBe(false);
+  });
+
+  test('should not offer a fix when only the chapter count is too low', () => {
+    resultsView.results = {
+      validationIssues: [{ type: 'too_few_chapters', chapterIndex: null, timecode: null, title: null }]
+    };
+
+    resultsView.updateChapterWarnings();
+
+    expect(warnings.style.display).toBe('block');
+    expect(fixButton.style.display).toBe('none');
+  });
+});
+
+describe('ResultsView in the side panel', () => {
+  let resultsView;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    global.browser = {
+      tabs: {
+        sendMessage: jest.fn(),
+        update: jest.fn().mockResolvedValue({})
+      }
+    };
+
+    resultsView = new Object();
+    resultsView.videoTabId = 7;
+    resultsView.seekVideo = ResultsView.prototype.seekVideo.bind(resultsView);
+  });
+
+  test('should seek the playing video without loading the page again', async () => {
+    browser.tabs.sendMessage.mockResolvedValue({ status: 'success' });
+
+    await resultsView.seekVideo(90, 'https://youtube.com/watch?v=abc&t=1m30s');
+
+    expect(browser.tabs.sendMessage).toHaveBeenCalledWith(7, { action: 'seekVideo', seconds: 90 });
+    expect(browser.tabs.update).not.toHaveBeenCalled();
+  });
+
+  test('should open the timestamp when the video tab cannot seek', async () => {
+    browser.tabs.sendMessage.mockRejectedValue(new Error('Could not establish connection'));
+
+    await resultsView.seekVideo(90, 'https://youtube.com/watch?v=abc&t=1m30s');
+
+    expect(browser.tabs.update).toHaveBeenCalledWith(7, { url: 'https://youtube.com/watch?v=abc&t=1m30s' });
+  });
+});
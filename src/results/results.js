@@ -28,22 +28,34 @@ function getResultIdFromUrl() {
   return params.get('resultId');
 }
 
+function isSidePanelView() {
+  return new URLSearchParams(window.location.search).get('view') === 'sidepanel';
+}
+
 class ResultsView {
-  constructor(resultId) {
+  constructor(resultId, videoTabId = null) {
     this.resultId = resultId;
+    this.videoTabId = videoTabId;
     this.results = null;
     this.userSwitchedTab = false;
     this.status = 'pending';
     this.isDead = false;
     this.progress = 0;
+    this.generationProgress = null;
     this.progressTimeout = null;
+    this.retryCountdownInterval = null;
     this.chatHistory = [];
+    this.streamPort = null;
+    this.streamingChatReply = null;
+    this.rerunModels = null;
     this.totalInputTokens = 0;
     this.totalOutputTokens = 0;
-    this.init();
+    this.isDestroyed = false;
+    this.ready = this.init();
   }
   async init() {
     try {
+      this.connectStream();
       await this.checkStatusAndInit();
     } catch (error) {
       console.error('Error initializing results:', error);
@@ -56,6 +68,7 @@ class ResultsView {
 
     if (this.status === 'done') {
       await this.loadResults();
+      await this.loadSavedChatHistory();
       this.setupEventListeners();
       this.setupTabSwitching();
       this.switchTab('chapters');
@@ -66,6 +79,11 @@ class ResultsView {
       this.setupTabSwitching();
       await this.loadResults();
       this.handleGenerationError();
+    } else if (this.status === 'cancelled') {
+      this.setupEventListeners();
+      this.setupTabSwitching();
+      await this.loadResults();
+      this.handleGenerationCancelled();
     } else if (this.status === 'not_found') {
       this.enterDeadState(getLocalizedMessage('no_session_available'));
     } else {
@@ -89,6 +107,60 @@ class ResultsView {
       }
     }
   }
+  connectStream() {
+    if (typeof browser.runtime.connect !== 'function') {
+      return;
+    }
+    try {
+      this.streamPort = browser.runtime.connect({ name: 'generationStream' });
+      this.streamPort.onMessage.addListener(message => this.handleStreamMessage(message));
+      this.streamPort.onDisconnect.addListener(() => {
+        this.streamPort = null;
+      });
+      this.streamPort.postMessage({ type: 'subscribe', resultId: this.resultId });
+    } catch (error) {
+      console.debug('Streaming unavailable, falling back to polling', error);
+      this.streamPort = null;
+    }
+  }
+  handleStreamMessage(message) {
+    if (!message || this.isDead) {
+      return;
+    }
+    if (message.type === 'chapterDelta') {
+      this.showStreamingChapters(message.text, GenerationProgress.fromJSON(message.progress));
+    } else if (message.type === 'generationProgress' && this.status === 'pending') {
+      this.generationProgress = GenerationProgress.fromJSON(message.progress);
+      if (this.generationProgress && this.generationProgress.isWaitingForRetry()) {
+        this.showRetryCountdown(this.generationProgress);
+      }
+    } else if (message.type === 'chatDelta') {
+      this.updateStreamingChatReply(message.text);
+    } else if (message.type === 'generationFinished' && this.status === 'pending') {
+      this.pollForCompletion();
+    }
+  }
+  showStreamingChapters(text, progress) {
+    if (this.status !== 'pending') {
+      return;
+    }
+    const chaptersHtml = document.getElementById('chaptersHtml');
+    if (chaptersHtml) {
+      chaptersHtml.textContent = text || '';
+    }
+    if (!this.userSwitchedTab) {
+      this.switchTab('chapters');
+    }
+    if (progress) {
+      this.stopRetryCountdown();
+      this.generationProgress = progress;
+      if (progress.isChunked()) {
+        this.showChunkProgress(progress);
+      } else {
+        this.showProgress(getLocalizedMessage('progress_receiving_chapters'), progress.percent);
+      }
+    }
+  }
   async getGenerationStatus() {
     try {
       const response = await browser.runtime.sendMessage({
@@ -96,6 +168,7 @@ class ResultsView {
         resultId: this.resultId
       });
       if (response && response.success) {
+        this.generationProgress = GenerationProgress.fromJSON(response.progress);
         return response.status;
       }
     } catch (e) {
@@ -129,6 +202,7 @@ class ResultsView {
   hideProgress() {
     const section = document.getElementById('progressSection');
     section.style.display = 'none';
+    this.stopRetryCountdown();
     if (this.progressTimeout) {
       clearTimeout(this.progressTimeout);
       this.progressTimeout = null;
@@ -138,8 +212,11 @@ class ResultsView {
       this.pollingTimeout = null;
     }
   }
+  isGenerationFinished() {
+    return this.status === 'done' || this.status === 'error' || this.status === 'cancelled';
+  }
   async pollForCompletion() {
-    if (this.status === 'done' || this.status === 'error') {
+    if (this.isGenerationFinished()) {
       return;
     }
 
@@ -150,11 +227,14 @@ class ResultsView {
 
     let elapsed = 0;
     const poll = async () => {
-      if (this.status === 'done' || this.status === 'error') {
+      if (this.isGenerationFinished()) {
         return;
       }
 
       const status = await this.getGenerationStatus();
+      if (this.isDestroyed) {
+        return;
+      }
 
       if (status === 'done') {
         this.status = 'done';
@@ -179,9 +259,18 @@ class ResultsView {
           this.pollingTimeout = null;
         }
         return;
+      } else if (status === 'cancelled') {
+        this.status = 'cancelled';
+        this.hideProgress();
+        this.handleGenerationCancelled();
+        return;
       } else {
         elapsed += 2;
-        if (elapsed >= 300) {
+        if (this.generationProgress && this.generationProgress.isWaitingForRetry()) {
+          this.showRetryCountdown(this.generationProgress);
+        } else if (this.generationProgress && this.generationProgress.isChunked()) {
+          this.showChunkProgress(this.generationProgress);
+        } else if (elapsed >= 300) {
           this.showProgress(getLocalizedMessage('generation_is_taking_longer_than_expected'), 90);
         } else if (elapsed >= 60) {
           this.showProgress(getLocalizedMessage('still_generating_chapters_please_wait'), 60);
@@ -191,6 +280,37 @@ class ResultsView {
     };
     poll();
   }
+  showRetryCountdown(progress) {
+    this.stopRetryCountdown();
+    const messageKey = {
+      rate_limit: 'progress_rate_limited_retrying',
+      throttled: 'progress_waiting_for_rate_limit'
+    }[progress.retryReason] || 'progress_retrying';
+    const updateCountdown = () => {
+      if (!progress.isWaitingForRetry()) {
+        this.stopRetryCountdown();
+        this.showProgress(getLocalizedMessage('progress_generating_chapters'), progress.percent);
+        return;
+      }
+      this.showProgress(getLocalizedMessage(messageKey, [String(progress.getRetrySecondsLeft())]), progress.percent);
+    };
+    updateCountdown();
+    if (progress.isWaitingForRetry()) {
+      this.retryCountdownInterval = setInterval(updateCountdown, 1000);
+    }
+  }
+  stopRetryCountdown() {
+    if (this.retryCountdownInterval) {
+      clearInterval(this.retryCountdownInterval);
+      this.retryCountdownInterval = null;
+    }
+  }
+  showChunkProgress(progress) {
+    const message = progress.isConsolidating()
+      ? getLocalizedMessage('progress_consolidating_chapters', [String(progress.totalChunks)])
+      : getLocalizedMessage('progress_generating_chunk', [String(progress.completedChunks + 1), String(progress.totalChunks)]);
+    this.showProgress(message, progress.percent);
+  }
   startProgressTimeout() {
     this.progressTimeout = setTimeout(() => {
       this.showProgress(getLocalizedMessage('generation_timed_out_please_try_again'), 100);
@@ -212,10 +332,173 @@ class ResultsView {
       chaptersContent.value = getLocalizedMessage('error') + ': ' + errorMessage + '\n\n' + getLocalizedMessage('please_try_again') + '\n\n' + getLocalizedMessage('general_error');
       chaptersContent.classList.add('error-content');
     }
+    this.showRerunOffer('failed');
     if (!this.userSwitchedTab) {
       this.switchTab('chapters');
     }
   }
+  async cancelGeneration() {
+    const stopButton = document.getElementById('stopGenerationBtn');
+    if (stopButton) {
+      stopButton.disabled = true;
+    }
+
+    try {
+      const response = await browser.runtime.sendMessage({
+        action: 'cancelGeneration',
+        resultId: this.resultId
+      });
+      if (!response || !response.success) {
+        throw new Error(response?.error || getLocalizedMessage('cancel_generation_failed'));
+      }
+      // A generation that finished in the meantime shows its result as usual
+      if (response.status !== 'cancelled') {
+        return;
+      }
+
+      this.status = 'cancelled';
+      this.hideProgress();
+      this.handleGenerationCancelled();
+    } catch (error) {
+      console.error('Error cancelling generation:', error);
+      this.showNotification(getLocalizedMessage('cancel_generation_failed') + ': ' + error.message, 'error');
+      if (stopButton) {
+        stopButton.disabled = false;
+      }
+    }
+  }
+  handleGenerationCancelled() {
+    document.getElementById('statusText').textContent = getLocalizedMessage('generation_cancelled');
+    const chaptersHtml = document.getElementById('chaptersHtml');
+    if (chaptersHtml) {
+      chaptersHtml.textContent = '';
+    }
+    this.showRerunOffer('cancelled');
+  }
+  // Failed generations include those a worker restart interrupted or a budget blocked
+  showRerunOffer(reason) {
+    const rerunSection = document.getElementById('rerunSection');
+    const rerunMessage = document.getElementById('rerunMessage');
+    if (rerunMessage) {
+      rerunMessage.textContent = getLocalizedMessage(reason === 'cancelled' ? 'generation_cancelled_message' : 'generation_failed_rerun_message');
+    }
+    if (rerunSection) {
+      rerunSection.style.display = '';
+      this.loadRerunModels();
+    }
+  }
+  async loadRerunModels() {
+    const modelSelect = document.getElementById('rerunModelSelect');
+    if (!modelSelect || this.rerunModels) {
+      return;
+    }
+
+    try {
+      const response = await browser.runtime.sendMessage({ action: 'getAllModels' });
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'No models available');
+      }
+
+      this.rerunModels = new Map();
+      modelSelect.textContent = '';
+      const groups = new Map();
+      response.data.map(model => ModelId.fromJSON(model)).forEach(modelId => {
+        this.rerunModels.set(modelId.value, modelId);
+        if (!groups.has(modelId.provider)) {
+          const group = document.createElement('optgroup');
+          group.label = modelId.provider;
+          groups.set(modelId.provider, group);
+          modelSelect.appendChild(group);
+        }
+        const option = document.createElement('option');
+        option.value = modelId.value;
+        option.textContent = modelId.getDisplayName();
+        groups.get(modelId.provider).appendChild(option);
+      });
+
+      const currentModel = this.results?.model ? ModelId.fromJSON(this.results.model) : null;
+      if (currentModel && this.rerunModels.has(currentModel.value)) {
+        modelSelect.value = currentModel.value;
+      }
+    } catch (error) {
+      console.error('Error loading models for re-run:', error);
+      this.rerunModels = null;
+    }
+  }
+  async rerunGeneration() {
+    const modelSelect = document.getElementById('rerunModelSelect');
+    const modelId = this.rerunModels && modelSelect ? this.rerunModels.get(modelSelect.value) : null;
+    if (!modelId) {
+      this.showNotification(getLocalizedMessage('rerun_generation_failed'), 'error');
+      return;
+    }
+    const budgetDecision = await this.confirmWithinBudget(modelId);
+    if (!budgetDecision.proceed) {
+      return;
+    }
+
+    browser.runtime.sendMessage({
+      action: 'generateChapters',
+      modelId,
+      customInstructions: this.results?.customInstructions || '',
+      resultId: this.resultId,
+      newResultId: this.resultId,
+      budgetConfirmed: budgetDecision.confirmed
+    }).catch(error => {
+      console.error('Error re-running generation:', error);
+    });
+
+    this.status = 'pending';
+    this.userSwitchedTab = false;
+    if (this.results) {
+      this.results.model = modelId.toJSON();
+      this.results.fallbackAttempts = [];
+      this.updatePageTitle();
+    }
+    document.getElementById('rerunSection').style.display = 'none';
+    document.getElementById('statusText').textContent = '';
+    const stopButton = document.getElementById('stopGenerationBtn');
+    if (stopButton) {
+      stopButton.disabled = false;
+    }
+    this.showProgress(getLocalizedMessage('progress_generating_chapters'), 30);
+    this.pollForCompletion();
+    this.startProgressTimeout();
+  }
+  // Asks like the popup does, the background refuses paid runs beyond the budget without this confirmation
+  async confirmWithinBudget(modelId) {
+    let budgetCheck;
+    try {
+      const response = await browser.runtime.sendMessage({
+        action: 'checkBudget',
+        processedContent: this.results?.processedContent?.content || '',
+        customInstructions: this.results?.customInstructions || '',
+        modelId: modelId.toJSON()
+      });
+      if (!response || !response.success || !response.data) {
+        throw new Error(response?.error || 'Failed to check budget');
+      }
+      budgetCheck = response.data;
+    } catch (error) {
+      // Budgets are checked again when the generation starts
+      console.error('Error checking budget:', error);
+      return { proceed: true, confirmed: false };
+    }
+    if (budgetCheck.exceededLimits.length === 0) {
+      return { proceed: true, confirmed: false };
+    }
+
+    const details = budgetCheck.exceededLimits.map(({ period, limit, spent }) => getLocalizedMessage(
+      period === 'daily' ? 'usage_spent_today' : 'usage_spent_this_month',
+      [`${TokenPricing.formatCost(spent)} / ${TokenPricing.formatCost(limit)}`]
+    )).join(', ');
+    if (budgetCheck.blocks) {
+      this.showNotification(getLocalizedMessage('budget_exceeded_blocked', [details]), 'error');
+      return { proceed: false, confirmed: false };
+    }
+    const confirmed = confirm(getLocalizedMessage('budget_exceeded_confirm', [details]));
+    return { proceed: confirmed, confirmed };
+  }
   setupEventListeners() {
     document.querySelectorAll('.tab-btn').forEach(btn => {
       btn.addEventListener('click', e => {
@@ -237,6 +520,30 @@ class ResultsView {
     document.getElementById('helpBtn').addEventListener('click', () => {
       this.openHelp();
     });
+    const exportChaptersBtn = document.getElementById('exportChaptersBtn');
+    if (exportChaptersBtn) {
+      exportChaptersBtn.addEventListener('click', () => {
+        this.exportChapters();
+      });
+    }
+    const fixChaptersBtn = document.getElementById('fixChaptersBtn');
+    if (fixChaptersBtn) {
+      fixChaptersBtn.addEventListener('click', () => {
+        this.fixChapters();
+      });
+    }
+    const stopGenerationBtn = document.getElementById('stopGenerationBtn');
+    if (stopGenerationBtn) {
+      stopGenerationBtn.addEventListener('click', () => {
+        this.cancelGeneration();
+      });
+    }
+    const rerunGenerationBtn = document.getElementById('rerunGenerationBtn');
+    if (rerunGenerationBtn) {
+      rerunGenerationBtn.addEventListener('click', () => {
+        this.rerunGeneration();
+      });
+    }
 
     // Chat event listeners
     const sendBtn = document.getElementById('sendChatBtn');
@@ -259,7 +566,7 @@ class ResultsView {
       });
     }
 
-    document.addEventListener('keydown', e => {
+    this.shortcutListener = e => {
       if ((e.ctrlKey || e.metaKey) && e.key === 'c' && !e.target.matches('textarea')) {
         e.preventDefault();
         const activeTab = document.querySelector('.tab-btn.active');
@@ -275,7 +582,8 @@ class ResultsView {
           this.switchTab(tabs[tabIndex]);
         }
       }
-    });
+    };
+    document.addEventListener('keydown', this.shortcutListener);
   }
   setupTabSwitching() {
     const tabBtns = document.querySelectorAll('.tab-btn');
@@ -361,6 +669,27 @@ class ResultsView {
         userInstructions.style.display = 'none';
       }
     }
+    this.updateFallbackNotice();
+  }
+  updateFallbackNotice() {
+    const fallbackNotice = document.getElementById('fallbackNotice');
+    if (!fallbackNotice) {
+      return;
+    }
+    const fallbackAttempts = Array.isArray(this.results?.fallbackAttempts) ? this.results.fallbackAttempts : [];
+    if (fallbackAttempts.length === 0 || !this.results.model) {
+      fallbackNotice.style.display = 'none';
+      return;
+    }
+    const failedModelNames = fallbackAttempts.map(attempt => this.getModelDisplayName(attempt.model)).join(', ');
+    fallbackNotice.textContent = getLocalizedMessage('fallback_model_notice', [
+      this.getModelDisplayName(this.results.model),
+      failedModelNames
+    ]);
+    fallbackNotice.title = fallbackAttempts
+      .map(attempt => `${this.getModelDisplayName(attempt.model)}: ${attempt.error}`)
+      .join('\n');
+    fallbackNotice.style.display = 'block';
   }
   getModelDisplayName(model, removeFree = false) {
     const modelId = ModelId.fromJSON(model);
@@ -386,6 +715,58 @@ class ResultsView {
     }
 
     this.appendDisclaimer(chaptersHtml);
+    this.updateChapterWarnings();
+  }
+
+  updateChapterWarnings() {
+    const warnings = document.getElementById('chapterWarnings');
+    const warningsList = document.getElementById('chapterWarningsList');
+    const fixButton = document.getElementById('fixChaptersBtn');
+    if (!warnings || !warningsList) {
+      return;
+    }
+
+    const issues = Array.isArray(this.results?.validationIssues) ? this.results.validationIssues : [];
+    warningsList.textContent = '';
+    warnings.style.display = issues.length > 0 ? 'block' : 'none';
+
+    issues.forEach(issue => {
+      const item = document.createElement('li');
+      item.textContent = getLocalizedMessage('chapter_issue_' + issue.type, [issue.timecode || '', issue.title || '']);
+      warningsList.appendChild(item);
+    });
+
+    if (fixButton) {
+      fixButton.style.display = new ChapterValidator().isRepairable(issues) ? '' : 'none';
+      fixButton.disabled = false;
+    }
+  }
+
+  async fixChapters() {
+    const fixButton = document.getElementById('fixChaptersBtn');
+    if (fixButton) {
+      fixButton.disabled = true;
+    }
+
+    try {
+      const response = await browser.runtime.sendMessage({
+        action: 'repairChapters',
+        resultId: this.resultId
+      });
+      if (!response || !response.success) {
+        throw new Error(response?.error || getLocalizedMessage('chapters_fix_failed'));
+      }
+
+      this.results = response.results;
+      this.updateChaptersDisplay();
+      this.showNotification(getLocalizedMessage('chapters_fixed'), 'success');
+    } catch (error) {
+      console.error('Error fixing chapters:', error);
+      this.showNotification(getLocalizedMessage('chapters_fix_failed') + ': ' + error.message, 'error');
+      if (fixButton) {
+        fixButton.disabled = false;
+      }
+    }
   }
   renderChaptersWithVideoLink(container, videoId) {
     const urlLink = document.createElement('a');
@@ -399,33 +780,57 @@ class ResultsView {
     this.renderChaptersWithTimestampLinks(container, videoId);
   }
 
+  getChapterList() {
+    if (Array.isArray(this.results?.chapterList)) {
+      return ChapterList.fromJSON(this.results.chapterList);
+    }
+    return ChapterList.parse(this.results?.chapters || '');
+  }
+
   renderChaptersWithTimestampLinks(container, videoId) {
-    const chapters = this.results.chapters.split('\n');
-    chapters.forEach((line, index) => {
+    const chapterList = this.getChapterList();
+    if (chapterList.isEmpty()) {
+      this.appendTextLines(container, this.results.chapters.split('\n'));
+      return;
+    }
+
+    chapterList.getChapters().forEach((chapter, index) => {
       if (index > 0) {
         container.appendChild(document.createElement('br'));
       }
 
-      const match = line.match(/^((?:\d+:)?\d{1,2}:\d{2})\s*-\s*(.+)$/);
-      if (match) {
-        const [, timestamp, title] = match;
-        const ytFormat = this.formatTimestampForYoutube(timestamp);
+      const timestampLink = document.createElement('a');
+      timestampLink.href = `https://youtube.com/watch?v=${videoId}&t=${this.formatSecondsForYoutube(chapter.startSeconds)}`;
+      timestampLink.textContent = chapter.timecode;
+      if (this.videoTabId) {
+        timestampLink.addEventListener('click', event => {
+          event.preventDefault();
+          this.seekVideo(chapter.startSeconds, timestampLink.href);
+        });
+      }
+      container.appendChild(timestampLink);
 
-        const timestampLink = document.createElement('a');
-        timestampLink.href = `https://youtube.com/watch?v=${videoId}&t=${ytFormat}`;
-        timestampLink.textContent = timestamp;
-        container.appendChild(timestampLink);
+      container.appendChild(document.createTextNode(' - '));
+      container.appendChild(document.createTextNode(chapter.title));
 
-        const separator = document.createTextNode(' - ');
-        container.appendChild(separator);
+      chapter.descriptionLines.forEach(descriptionLine => {
+        container.appendChild(document.createElement('br'));
+        container.appendChild(document.createTextNode(descriptionLine));
+      });
+    });
+  }
 
-        const titleText = document.createTextNode(title);
-        container.appendChild(titleText);
-      } else {
-        const lineText = document.createTextNode(line);
-        container.appendChild(lineText);
+  // The side panel sits next to the video, so chapters seek it instead of loading the page again
+  async seekVideo(seconds, timestampUrl) {
+    try {
+      const response = await browser.tabs.sendMessage(this.videoTabId, { action: 'seekVideo', seconds });
+      if (response && response.status === 'success') {
+        return;
       }
-    });
+    } catch (error) {
+      console.debug('Seeking the video failed, opening the timestamp instead', error);
+    }
+    await browser.tabs.update(this.videoTabId, { url: timestampUrl });
   }
 
   renderChaptersAsPlainText(container) {
@@ -436,13 +841,17 @@ class ResultsView {
       container.appendChild(document.createElement('br'));
     }
 
-    const chaptersLines = this.results.chapters.split('\n');
-    chaptersLines.forEach((line, index) => {
+    const chapterList = this.getChapterList();
+    const text = chapterList.isEmpty() ? this.results.chapters : chapterList.toText();
+    this.appendTextLines(container, text.split('\n'));
+  }
+
+  appendTextLines(container, lines) {
+    lines.forEach((line, index) => {
       if (index > 0) {
         container.appendChild(document.createElement('br'));
       }
-      const lineText = document.createTextNode(line);
-      container.appendChild(lineText);
+      container.appendChild(document.createTextNode(line));
     });
   }
   updateSubtitlesDisplay() {
@@ -532,6 +941,47 @@ class ResultsView {
       this.showNotification(getLocalizedMessage('failed_to_copy'), 'error');
     }
   }
+  exportChapters() {
+    const chapterList = this.results ? this.getChapterList() : new ChapterList();
+    if (chapterList.isEmpty()) {
+      this.showNotification(getLocalizedMessage('no_chapters_to_export'), 'warning');
+      return;
+    }
+
+    try {
+      const formatSelect = document.getElementById('exportFormatSelect');
+      const exported = new ChapterExporter().export(chapterList, formatSelect ? formatSelect.value : 'youtube', {
+        title: this.results.videoMetadata?.title,
+        url: this.results.videoMetadata?.url,
+        durationSeconds: this.getTranscriptEndSeconds()
+      });
+      this.downloadFile(exported.content, exported.fileName, exported.mimeType);
+      this.showNotification(getLocalizedMessage('chapters_exported'), 'success');
+    } catch (error) {
+      console.error('Error exporting chapters:', error);
+      this.showNotification(getLocalizedMessage('failed_to_export'), 'error');
+    }
+  }
+
+  getTranscriptEndSeconds() {
+    const content = this.results?.processedContent?.content;
+    if (!content || !content.trim()) {
+      return null;
+    }
+    return new VideoTranscript(content).getLastTimestampSeconds();
+  }
+
+  downloadFile(content, fileName, mimeType) {
+    const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+    const objectUrl = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = objectUrl;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(objectUrl), 0);
+  }
   hideLoading() {}
   showLoading() {}
   showError(message) {
@@ -568,13 +1018,14 @@ class ResultsView {
     }
     return null;
   }
-  formatTimestampForYoutube(timestamp) {
-    const parts = timestamp.split(':');
-    if (parts.length === 3) {
-      return `${parseInt(parts[0])}h${parseInt(parts[1])}m${parseInt(parts[2])}s`;
-    } else {
-      return `${parseInt(parts[0])}m${parseInt(parts[1])}s`;
+  formatSecondsForYoutube(totalSeconds) {
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    if (hours > 0) {
+      return `${hours}h${minutes}m${seconds}s`;
     }
+    return `${minutes}m${seconds}s`;
   }
   openHelp() {
     browser.tabs.create({ url: browser.runtime.getURL('help/help.html') });
@@ -698,7 +1149,8 @@ class ResultsView {
   initializeChatHistory() {
     // Initialize with original generation for AI context
     const originalPrompt = this.buildOriginalPrompt();
-    const originalResponse = this.results.chapters || '';
+    const chapterList = this.getChapterList();
+    const originalResponse = chapterList.isEmpty() ? (this.results.chapters || '') : chapterList.toText();
 
     this.chatHistory = [
       {
@@ -722,6 +1174,26 @@ class ResultsView {
     this.totalOutputTokens = this.results.outputTokens || 0;
   }
 
+  async loadSavedChatHistory() {
+    // A generation reopened from history brings its earlier conversation along
+    try {
+      const response = await browser.runtime.sendMessage({
+        action: 'getSavedChatHistory',
+        resultId: this.resultId
+      });
+      if (!response || !response.success || !Array.isArray(response.chatHistory) || response.chatHistory.length === 0) {
+        return;
+      }
+
+      this.chatHistory = response.chatHistory;
+      const assistantMessages = this.chatHistory.filter(message => message.role === 'assistant');
+      this.totalInputTokens = assistantMessages.reduce((total, message) => total + (message.inputTokens || 0), 0);
+      this.totalOutputTokens = assistantMessages.reduce((total, message) => total + (message.outputTokens || 0), 0);
+    } catch (error) {
+      console.debug('Saved chat history unavailable', error);
+    }
+  }
+
   buildOriginalPrompt() {
     let prompt = 'Break down this video content into chapters and generate timecodes.';
 
@@ -754,11 +1226,37 @@ class ResultsView {
         chatMessages.appendChild(messageElement);
       });
 
+      if (this.streamingChatReply) {
+        const streamingElement = this.createMessageElement({
+          role: 'assistant',
+          content: this.streamingChatReply,
+          timestamp: Date.now()
+        });
+        streamingElement.classList.add('streaming');
+        chatMessages.appendChild(streamingElement);
+      }
+
       // Scroll to bottom
       chatMessages.scrollTop = chatMessages.scrollHeight;
     }
   }
 
+  updateStreamingChatReply(text) {
+    this.streamingChatReply = text;
+    const chatMessages = document.getElementById('chatMessages');
+    if (!chatMessages) {
+      return;
+    }
+
+    const streamingElement = chatMessages.querySelector('.chat-message.streaming .chat-message-content');
+    if (streamingElement) {
+      streamingElement.textContent = text;
+      chatMessages.scrollTop = chatMessages.scrollHeight;
+    } else {
+      this.renderChatMessages();
+    }
+  }
+
   createMessageElement(message) {
     const messageDiv = document.createElement('div');
     messageDiv.className = `chat-message ${message.role}`;
@@ -797,6 +1295,18 @@ class ResultsView {
     if (outputTokensSpan) {
       outputTokensSpan.textContent = this.totalOutputTokens.toString();
     }
+    this.updateCostDisplay();
+  }
+
+  updateCostDisplay() {
+    const costSpan = document.getElementById('generationCost');
+    if (!costSpan) {
+      return;
+    }
+    const modelId = this.results?.model ? ModelId.fromJSON(this.results.model) : null;
+    const cost = TokenPricing.fromModel(modelId).getCost(this.totalInputTokens, this.totalOutputTokens);
+    // Direct provider APIs do not publish prices through the extension, their cost stays hidden
+    costSpan.textContent = cost === null ? '' : ` • ${getLocalizedMessage('actual_cost', [TokenPricing.formatCost(cost)])}`;
   }
 
   updateSendButtonState() {
@@ -832,6 +1342,7 @@ class ResultsView {
     };
 
     this.chatHistory.push(userMessage);
+    this.streamingChatReply = null;
     chatInput.value = '';
     this.updateSendButtonState();
     this.renderChatMessages();
@@ -861,6 +1372,7 @@ class ResultsView {
         this.totalInputTokens += response.inputTokens || 0;
         this.totalOutputTokens += response.outputTokens || 0;
 
+        this.streamingChatReply = null;
         this.renderChatMessages();
         this.updateTokenDisplay();
       } else {
@@ -870,6 +1382,10 @@ class ResultsView {
       console.error('Chat error:', error);
       this.showNotification(getLocalizedMessage('chat_error'), 'error');
     } finally {
+      if (this.streamingChatReply) {
+        this.streamingChatReply = null;
+        this.renderChatMessages();
+      }
       this.showChatLoading(false);
     }
   }
@@ -904,6 +1420,19 @@ class ResultsView {
     }
   }
 
+  // The side panel replaces its view when the user switches videos, a destroyed view stops polling and streaming
+  destroy() {
+    this.isDestroyed = true;
+    this.hideProgress();
+    if (this.shortcutListener) {
+      document.removeEventListener('keydown', this.shortcutListener);
+    }
+    if (this.streamPort) {
+      this.streamPort.disconnect();
+      this.streamPort = null;
+    }
+  }
+
   showChatLoading(show) {
     const chatLoading = document.getElementById('chatLoading');
     const sendBtn = document.getElementById('sendChatBtn');
@@ -918,7 +1447,114 @@ class ResultsView {
 
 }
 
+// Binds the side panel to the active tab of its window and follows the video playing there
+class SidePanelBinding {
+  constructor() {
+    this.tabId = null;
+    this.videoId = null;
+    this.shownResultKey = null;
+    this.view = null;
+    this.pristinePage = null;
+    this.switching = Promise.resolve();
+  }
+
+  async init() {
+    document.body.classList.add('side-panel');
+    this.pristinePage = document.querySelector('.container').cloneNode(true);
+    browser.tabs.onActivated.addListener(() => this.followActiveTab());
+    browser.tabs.onUpdated.addListener((tabId, changeInfo) => {
+      // YouTube changes the URL without reloading when the user picks another video
+      if (tabId === this.tabId && changeInfo.url) {
+        this.followActiveTab();
+      }
+    });
+    browser.runtime.onMessage.addListener(request => {
+      if (request.action === 'videoResultChanged' && request.videoId === this.videoId) {
+        this.show(request.resultId);
+      }
+    });
+    await this.followActiveTab();
+  }
+
+  async followActiveTab() {
+    try {
+      const [tab] = await browser.tabs.query({ active: true, currentWindow: true });
+      const videoId = tab && tab.url ? this.getVideoId(tab.url) : null;
+      if (this.shownResultKey !== null && tab && tab.id === this.tabId && videoId === this.videoId) {
+        return;
+      }
+      this.tabId = tab ? tab.id : null;
+      this.videoId = videoId;
+      if (!videoId) {
+        this.show(null, 'side_panel_no_video');
+        return;
+      }
+
+      const response = await browser.runtime.sendMessage({ action: 'getVideoResult', videoId });
+      this.show(response && response.success && response.data ? response.data.resultId : null, 'side_panel_no_chapters');
+    } catch (error) {
+      console.error('Error following the active tab:', error);
+      this.show(null, 'error_loading_results');
+    }
+  }
+
+  // Only watch pages have the player that chapters can seek
+  getVideoId(url) {
+    try {
+      const parsedUrl = new URL(url);
+      const isYouTube = parsedUrl.hostname === 'youtube.com' || parsedUrl.hostname.endsWith('.youtube.com');
+      return isYouTube && parsedUrl.pathname === '/watch' ? parsedUrl.searchParams.get('v') : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  show(resultId, emptyMessageKey = 'side_panel_no_chapters') {
+    const resultKey = resultId ? `${resultId}@${this.tabId}` : `${emptyMessageKey}@${this.videoId}`;
+    if (resultKey !== this.shownResultKey) {
+      this.shownResultKey = resultKey;
+      this.switching = this.switching
+        .then(() => this.switchTo(resultKey, resultId, emptyMessageKey))
+        .catch(error => console.error('Error switching the side panel result:', error));
+    }
+    return this.switching;
+  }
+
+  async switchTo(resultKey, resultId, emptyMessageKey) {
+    // A later switch replaces this one before it is shown
+    if (resultKey !== this.shownResultKey) {
+      return;
+    }
+    if (this.view) {
+      // The first load of the previous result must not write into the page of the next one
+      await this.view.ready;
+      this.view.destroy();
+      this.view = null;
+      this.restorePage();
+    }
+
+    document.body.classList.toggle('side-panel-empty', !resultId);
+    if (resultId) {
+      this.view = new ResultsView(resultId, this.tabId);
+      return;
+    }
+    document.getElementById('sidePanelEmpty').textContent = getLocalizedMessage(emptyMessageKey);
+    document.getElementById('statusText').textContent = '';
+  }
+
+  // A fresh copy of the page drops the rendered result and the listeners of the previous view
+  restorePage() {
+    const page = this.pristinePage.cloneNode(true);
+    l10n.updateSubtree(page);
+    document.querySelector('.container').replaceWith(page);
+  }
+}
+
 async function initializeResultsView() {
+  if (isSidePanelView()) {
+    await new SidePanelBinding().init();
+    return;
+  }
   const resultId = getResultIdFromUrl();
   if (browser && browser.runtime && browser.tabs) {
     try {
@@ -0,0 +1,63 @@
+/**
+ * Results Page Test DOM
+ * Stubs the elements of the results page and loads ResultsView from results.js for the results page tests
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const makeClassList = () => ({ add: jest.fn(), remove: jest.fn(), toggle: jest.fn() });
+
+// The elements a ResultsView reads while it shows a session, tests add or replace the ones they look at
+function createResultsElements(extraElements = {}) {
+  return {
+    progressSection: { style: { display: 'none' } },
+    progressFill: { style: { width: '0%' } },
+    progressMessage: { textContent: '' },
+    statusText: { textContent: '' },
+    pageTitle: { textContent: '' },
+    chatSection: { style: { display: 'none' } },
+    sendChatBtn: { disabled: false, addEventListener: jest.fn() },
+    chatInput: { value: '', addEventListener: jest.fn() },
+    copyChaptersBtn: { disabled: false, addEventListener: jest.fn() },
+    copySubtitlesBtn: { disabled: false, addEventListener: jest.fn() },
+    backBtn: { addEventListener: jest.fn() },
+    helpBtn: { addEventListener: jest.fn() },
+    subtitlesContent: { tagName: 'TEXTAREA', value: '', textContent: '' },
+    subtitleInfo: { textContent: '' },
+    chaptersHtml: { tagName: 'DIV', textContent: '', appendChild: jest.fn() },
+    notificationContainer: { appendChild: jest.fn() },
+    videoTitle: { textContent: '' },
+    videoAuthor: { textContent: '' },
+    generationTime: { textContent: '' },
+    chatMessages: { classList: makeClassList(), innerHTML: '', scrollTop: 0, scrollHeight: 0, appendChild: jest.fn(), querySelector: jest.fn(() => null) },
+    ...extraElements
+  };
+}
+
+function installResultsDocument(elements) {
+  global.document = {
+    getElementById: jest.fn((id) => elements[id] || null),
+    querySelectorAll: jest.fn(() => []),
+    createElement: jest.fn((tag) => ({ tagName: tag.toUpperCase(), className: '', classList: makeClassList(), style: {}, appendChild: jest.fn(), textContent: '' })),
+    createTextNode: jest.fn((text) => ({ nodeType: 3, textContent: text })),
+    addEventListener: jest.fn(),
+    removeEventListener: jest.fn()
+  };
+
+  global.window = { getSelection: jest.fn(() => ({ rangeCount: 0, isCollapsed: true, removeAllRanges: jest.fn(), addRange: jest.fn(), toString: jest.fn(() => '') })) };
+}
+
+// Load ResultsView class from results.js
+function loadResultsView() {
+  const resultsJs = fs.readFileSync(path.join(__dirname, 'results.js'), 'utf8');
+  const classCode = resultsJs.match(/class ResultsView \{[\s\S]*?\n\}/)[0];
+  eval(`${classCode}\nglobal.ResultsView = ResultsView;`);
+  return global.ResultsView;
+}
+
+module.exports = {
+  createResultsElements,
+  installResultsDocument,
+  loadResultsView
+};
@@ -38,3 +38,25 @@ function cleanVideoURL(url) {
   }
 }
 
+
+/**
+ * Builds the host permission pattern that grants access to a server URL
+ * @param {string} url - The server URL, e.g. http://localhost:11434/v1
+ * @returns {string|null} - The match pattern, or null for non-HTTP URLs
+ */
+function toHostPermissionPattern(url) {
+  if (!url || typeof url !== 'string') {
+    return null;
+  }
+
+  try {
+    const urlObj = new URL(url.trim());
+    if (urlObj.protocol !== 'http:' && urlObj.protocol !== 'https:') {
+      return null;
+    }
+    // Match patterns cannot contain ports, the pattern covers every port of the host
+    return `${urlObj.protocol}//${urlObj.hostname}/*`;
+  } catch (e) {
+    return null;
+  }
+}